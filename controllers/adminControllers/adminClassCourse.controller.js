@@ -0,0 +1,569 @@
+// File: adminControllers/adminClassCourse.controller.js
+
+import Class from '../../models/class.model.js';
+import Course from '../../models/course.model.js';
+import Organization, { normalizeSubject } from '../../models/organization.model.js';
+import logger from '../../utils/logger.js';
+
+// Course fields admins see on a class's assignments
+const ASSIGNED_COURSE_FIELDS = 'title subject gradeLevel chapterNumber curriculum isActive isDeleted topics._id topics.title';
+
+/**
+ * Find a class in the admin's organization
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Class or null
+ */
+const findOrganizationClass = (req) => Class.findOne({
+    _id: req.params.classId,
+    organization: req.adminInfo?.organizationId || req.user.organization?._id,
+    isDeleted: false
+});
+
+/**
+ * Read an optional start date from the request body
+ * @param {*} value - Body value (undefined leaves it unchanged, null or '' clears it)
+ * @returns {Date|null|undefined|false} Parsed date, null, undefined, or false if the date is invalid
+ */
+const parseStartDate = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? false : date;
+};
+
+/**
+ * Shape a class's course assignments for admin responses (courses populated)
+ * @param {Object} classDoc - Class document
+ * @returns {Array} Assignments in teaching order
+ */
+const formatAssignments = (classDoc) => {
+    const now = new Date();
+
+    return [...classDoc.courses]
+        .sort((a, b) => a.order - b.order)
+        .map(assignment => ({
+            course: assignment.course,
+            order: assignment.order,
+            startDate: assignment.startDate,
+            isStarted: !assignment.startDate || assignment.startDate <= now,
+            hiddenTopics: assignment.hiddenTopics,
+            assignedAt: assignment.assignedAt
+        }));
+};
+
+/**
+ * Shape the class and its assignments for admin responses
+ * @param {Object} classDoc - Class document
+ * @returns {Promise<Object>} Class summary with populated assignments
+ */
+const formatClassCourses = async (classDoc) => {
+    await classDoc.populate('courses.course', ASSIGNED_COURSE_FIELDS);
+
+    return {
+        class: {
+            _id: classDoc._id,
+            name: classDoc.name,
+            grade: classDoc.grade
+        },
+        usesGradeFallback: classDoc.courses.length === 0,
+        courses: formatAssignments(classDoc),
+        totalCourses: classDoc.courses.length
+    };
+};
+
+// GET /admin/classes/:classId/courses - Courses assigned to a class
+export const getClassCourses = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-CLASS-COURSE] Listing class courses', {
+        adminId: req.user._id,
+        classId: req.params.classId
+    });
+
+    try {
+        const classDoc = await findOrganizationClass(req);
+        if (!classDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class not found in your organization'
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-CLASS-COURSE] Class courses retrieved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            classId: classDoc._id,
+            count: classDoc.courses.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            ...(await formatClassCourses(classDoc))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-CLASS-COURSE] Class course listing failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving class courses',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /admin/classes/:classId/courses - Assign courses, or every course of a subject, to a class
+export const assignClassCourses = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-CLASS-COURSE] Assigning courses to class', {
+        adminId: req.user._id,
+        classId: req.params.classId
+    });
+
+    try {
+        const { courseIds, subject } = req.body;
+        const startDate = parseStartDate(req.body.startDate);
+
+        if (!subject && (!Array.isArray(courseIds) || courseIds.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'courseIds (a non-empty array) or subject is required'
+            });
+        }
+
+        if (startDate === false) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start date'
+            });
+        }
+
+        const classDoc = await findOrganizationClass(req);
+        if (!classDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class not found in your organization'
+            });
+        }
+
+        const organization = await Organization.findById(classDoc.organization).select('contentAccess');
+
+        // Only active courses of the class's grade that the organization is entitled to
+        const courseQuery = { gradeLevel: classDoc.grade, isActive: true, isDeleted: false };
+        if (subject) {
+            courseQuery.subject = normalizeSubject(subject);
+        } else {
+            courseQuery._id = { $in: courseIds };
+        }
+
+        const courses = await Course.find(organization.restrictCourseQuery(courseQuery))
+            .select('_id subject chapterNumber')
+            .sort({ chapterNumber: 1 });
+
+        if (subject && courses.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `No ${courseQuery.subject} courses are available for Grade ${classDoc.grade}`
+            });
+        }
+
+        if (!subject) {
+            const foundIds = new Set(courses.map(course => course._id.toString()));
+            const unavailableCourseIds = courseIds.filter(courseId => !foundIds.has(courseId.toString()));
+
+            if (unavailableCourseIds.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Some courses are not available for Grade ${classDoc.grade} in your organization`,
+                    unavailableCourseIds
+                });
+            }
+
+            // Keep the order the admin listed them in
+            const position = new Map(courseIds.map((courseId, index) => [courseId.toString(), index]));
+            courses.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+        }
+
+        // New assignments go after the existing ones
+        let nextOrder = classDoc.courses.reduce((max, assignment) => Math.max(max, assignment.order), 0) + 1;
+        const newCourses = courses.filter(course => !classDoc.getCourseAssignment(course._id));
+
+        newCourses.forEach(course => {
+            classDoc.courses.push({
+                course: course._id,
+                order: nextOrder++,
+                startDate: startDate || null,
+                assignedBy: req.user._id
+            });
+        });
+
+        await classDoc.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-CLASS-COURSE] Courses assigned to class (${processingTime}ms)`, {
+            adminId: req.user._id,
+            classId: classDoc._id,
+            subject: courseQuery.subject,
+            assignedCount: newCourses.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: newCourses.length > 0
+                ? `${newCourses.length} course(s) assigned to ${classDoc.name}`
+                : 'These courses are already assigned to the class',
+            assignedCount: newCourses.length,
+            alreadyAssignedCount: courses.length - newCourses.length,
+            ...(await formatClassCourses(classDoc))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-CLASS-COURSE] Course assignment failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class or course ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error assigning courses',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// PATCH /admin/classes/:classId/courses/:courseId - Change a course's order, start date or hidden topics for a class
+export const updateClassCourse = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-CLASS-COURSE] Updating class course', {
+        adminId: req.user._id,
+        classId: req.params.classId,
+        courseId: req.params.courseId
+    });
+
+    try {
+        const { order, hiddenTopics } = req.body;
+        const startDate = parseStartDate(req.body.startDate);
+
+        if (startDate === false) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start date'
+            });
+        }
+
+        if (order !== undefined && !Number.isInteger(Number(order))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order must be a whole number'
+            });
+        }
+
+        if (hiddenTopics !== undefined && !Array.isArray(hiddenTopics)) {
+            return res.status(400).json({
+                success: false,
+                message: 'hiddenTopics must be an array of topic IDs'
+            });
+        }
+
+        const classDoc = await findOrganizationClass(req);
+        if (!classDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class not found in your organization'
+            });
+        }
+
+        const assignment = classDoc.getCourseAssignment(req.params.courseId);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course is not assigned to this class'
+            });
+        }
+
+        if (hiddenTopics !== undefined) {
+            const course = await Course.findById(assignment.course).select('topics._id');
+            const topicIds = new Set((course?.topics || []).map(topic => topic._id.toString()));
+            const unknownTopics = hiddenTopics.filter(topicId => !topicIds.has(topicId.toString()));
+
+            if (unknownTopics.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Some topics do not belong to this course',
+                    unknownTopics
+                });
+            }
+
+            assignment.hiddenTopics = [...new Set(hiddenTopics.map(topicId => topicId.toString()))];
+        }
+
+        if (order !== undefined) assignment.order = Number(order);
+        if (startDate !== undefined) assignment.startDate = startDate;
+
+        await classDoc.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-CLASS-COURSE] Class course updated (${processingTime}ms)`, {
+            adminId: req.user._id,
+            classId: classDoc._id,
+            courseId: req.params.courseId
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Class course updated',
+            ...(await formatClassCourses(classDoc))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-CLASS-COURSE] Class course update failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class, course or topic ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error updating class course',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// PUT /admin/classes/:classId/courses/order - Reorder a class's courses (unlisted ones follow in their current order)
+export const reorderClassCourses = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-CLASS-COURSE] Reordering class courses', {
+        adminId: req.user._id,
+        classId: req.params.classId
+    });
+
+    try {
+        const { courseIds } = req.body;
+
+        if (!Array.isArray(courseIds) || courseIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'courseIds must be a non-empty array'
+            });
+        }
+
+        const classDoc = await findOrganizationClass(req);
+        if (!classDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class not found in your organization'
+            });
+        }
+
+        const unassignedCourseIds = courseIds.filter(courseId => !classDoc.getCourseAssignment(courseId));
+        if (unassignedCourseIds.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some courses are not assigned to this class',
+                unassignedCourseIds
+            });
+        }
+
+        const listed = [...new Set(courseIds.map(courseId => courseId.toString()))]
+            .map(courseId => classDoc.getCourseAssignment(courseId));
+        const unlisted = [...classDoc.courses]
+            .filter(assignment => !listed.includes(assignment))
+            .sort((a, b) => a.order - b.order);
+
+        [...listed, ...unlisted].forEach((assignment, index) => {
+            assignment.order = index + 1;
+        });
+
+        await classDoc.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-CLASS-COURSE] Class courses reordered (${processingTime}ms)`, {
+            adminId: req.user._id,
+            classId: classDoc._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Class courses reordered',
+            ...(await formatClassCourses(classDoc))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-CLASS-COURSE] Class course reorder failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error reordering class courses',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /admin/classes/:classId/courses/:courseId - Unassign a course from a class
+export const unassignClassCourse = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-CLASS-COURSE] Unassigning course from class', {
+        adminId: req.user._id,
+        classId: req.params.classId,
+        courseId: req.params.courseId
+    });
+
+    try {
+        const classDoc = await findOrganizationClass(req);
+        if (!classDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class not found in your organization'
+            });
+        }
+
+        const assignment = classDoc.getCourseAssignment(req.params.courseId);
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course is not assigned to this class'
+            });
+        }
+
+        classDoc.courses.pull(assignment._id);
+        await classDoc.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-CLASS-COURSE] Course unassigned from class (${processingTime}ms)`, {
+            adminId: req.user._id,
+            classId: classDoc._id,
+            courseId: req.params.courseId
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: classDoc.courses.length > 0
+                ? 'Course unassigned from the class'
+                : 'Course unassigned. The class has no assigned courses left and now sees every course of its grade.',
+            ...(await formatClassCourses(classDoc))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-CLASS-COURSE] Course unassignment failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class or course ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error unassigning course',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /admin/classes/:classId/subjects/:subject - Unassign every course of a subject from a class
+export const unassignClassSubject = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-CLASS-COURSE] Unassigning subject from class', {
+        adminId: req.user._id,
+        classId: req.params.classId,
+        subject: req.params.subject
+    });
+
+    try {
+        const classDoc = await findOrganizationClass(req);
+        if (!classDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class not found in your organization'
+            });
+        }
+
+        const subject = normalizeSubject(req.params.subject);
+        const subjectCourseIds = await Course.find({
+            _id: { $in: classDoc.courses.map(assignment => assignment.course) },
+            subject
+        }).distinct('_id');
+
+        if (subjectCourseIds.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: `No ${subject} courses are assigned to this class`
+            });
+        }
+
+        const removed = new Set(subjectCourseIds.map(courseId => courseId.toString()));
+        classDoc.courses = classDoc.courses.filter(assignment => !removed.has(assignment.course.toString()));
+        await classDoc.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-CLASS-COURSE] Subject unassigned from class (${processingTime}ms)`, {
+            adminId: req.user._id,
+            classId: classDoc._id,
+            subject,
+            removedCount: removed.size
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: classDoc.courses.length > 0
+                ? `${removed.size} ${subject} course(s) unassigned from the class`
+                : `${removed.size} ${subject} course(s) unassigned. The class has no assigned courses left and now sees every course of its grade.`,
+            removedCount: removed.size,
+            ...(await formatClassCourses(classDoc))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-CLASS-COURSE] Subject unassignment failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error unassigning subject',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
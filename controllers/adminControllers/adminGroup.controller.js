@@ -0,0 +1,490 @@
+// File: adminControllers/adminGroup.controller.js
+
+import Organization, { SHARED_SETTINGS } from '../../models/organization.model.js';
+import OrganizationSettingsVersion from '../../models/organizationSettingsVersion.model.js';
+import Class from '../../models/class.model.js';
+import Section from '../../models/section.model.js';
+import User from '../../models/user.model.js';
+import { getLicenseDenial, getSeatOverflowDenial } from '../../utils/licenseHelper.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Load the admin's organization as a group along with its branches
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} group and branches, or null if the organization has no branches
+ */
+const findAdminGroup = async (req) => {
+    const group = await Organization.findOne({
+        _id: req.adminInfo?.organizationId || req.user.organization?._id,
+        isDeleted: false
+    });
+    if (!group || group.parentOrganization) return null;
+
+    const branches = await Organization.findBranches(group._id).sort({ name: 1 });
+    return branches.length > 0 ? { group, branches } : null;
+};
+
+// Response when the admin's organization is not a group
+const NOT_A_GROUP = {
+    success: false,
+    message: 'Only admins of an organization with branches can use group features'
+};
+
+/**
+ * Pick the shared setting values of an organization
+ * @param {Object} organization - Organization document
+ * @returns {Object} Setting name to value
+ */
+const pickSharedSettings = (organization) => {
+    const values = organization.toObject();
+    return Object.fromEntries(SHARED_SETTINGS.map(setting => [setting, values[setting]]));
+};
+
+// GET /admin/group/branches - Branches of the admin's group
+export const getGroupBranches = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-GROUP] Listing branches', { adminId: req.user._id });
+
+    try {
+        const adminGroup = await findAdminGroup(req);
+        if (!adminGroup) {
+            return res.status(403).json(NOT_A_GROUP);
+        }
+
+        const { group, branches } = adminGroup;
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-GROUP] Branches retrieved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            groupId: group._id,
+            branchCount: branches.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            group: {
+                _id: group._id,
+                name: group.name,
+                brandName: group.brandName,
+                organizationCode: group.organizationCode
+            },
+            branches: branches.map(branch => ({
+                _id: branch._id,
+                name: branch.name,
+                brandName: branch.brandName,
+                organizationCode: branch.organizationCode,
+                address: branch.address,
+                isActive: branch.isActive,
+                adminCount: branch.admins.length,
+                stats: branch.stats
+            })),
+            totalBranches: branches.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-GROUP] Branch listing failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving branches',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /admin/group/analytics - Enrollment and capacity rolled up across the group and its branches
+export const getGroupAnalytics = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-GROUP] Getting group analytics', { adminId: req.user._id });
+
+    try {
+        const adminGroup = await findAdminGroup(req);
+        if (!adminGroup) {
+            return res.status(403).json(NOT_A_GROUP);
+        }
+
+        const { group, branches } = adminGroup;
+        const organizations = [group, ...branches];
+        const organizationIds = organizations.map(organization => organization._id);
+        const activeSince = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+        const [userCounts, classCounts, sectionCounts] = await Promise.all([
+            User.aggregate([
+                {
+                    $match: {
+                        organization: { $in: organizationIds },
+                        role: { $in: ['student', 'teacher', 'admin'] },
+                        isDeleted: false
+                    }
+                },
+                {
+                    $group: {
+                        _id: { organization: '$organization', role: '$role' },
+                        total: { $sum: 1 },
+                        active: { $sum: { $cond: ['$isActive', 1, 0] } },
+                        recentlyActive: { $sum: { $cond: [{ $gte: ['$lastLogin', activeSince] }, 1, 0] } }
+                    }
+                }
+            ]),
+            Class.aggregate([
+                { $match: { organization: { $in: organizationIds }, isDeleted: false } },
+                { $group: { _id: '$organization', total: { $sum: 1 } } }
+            ]),
+            Section.aggregate([
+                { $match: { organization: { $in: organizationIds }, isDeleted: false } },
+                {
+                    $group: {
+                        _id: '$organization',
+                        total: { $sum: 1 },
+                        enrolled: { $sum: { $size: '$students' } },
+                        capacity: { $sum: '$maxStudents' },
+                        withTeacher: { $sum: { $cond: [{ $ne: ['$sectionTeacher', null] }, 1, 0] } }
+                    }
+                }
+            ])
+        ]);
+
+        const emptyRoleCount = { total: 0, active: 0, recentlyActive: 0 };
+        const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+        const rows = organizations.map(organization => {
+            const id = organization._id.toString();
+            const roleCount = (role) => userCounts.find(count =>
+                count._id.organization.toString() === id && count._id.role === role
+            ) || emptyRoleCount;
+            const sections = sectionCounts.find(count => count._id.toString() === id);
+
+            return {
+                _id: organization._id,
+                name: organization.name,
+                isGroup: organization === group,
+                isActive: organization.isActive,
+                students: roleCount('student').total,
+                activeStudents: roleCount('student').active,
+                studentsActiveLast30Days: roleCount('student').recentlyActive,
+                teachers: roleCount('teacher').total,
+                activeTeachers: roleCount('teacher').active,
+                admins: roleCount('admin').total,
+                classes: classCounts.find(count => count._id.toString() === id)?.total || 0,
+                sections: sections?.total || 0,
+                seatsFilled: sections?.enrolled || 0,
+                seatCapacity: sections?.capacity || 0,
+                sectionsWithTeacher: sections?.withTeacher || 0
+            };
+        });
+
+        const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+        const totals = {
+            branches: branches.length,
+            students: sum('students'),
+            activeStudents: sum('activeStudents'),
+            studentsActiveLast30Days: sum('studentsActiveLast30Days'),
+            teachers: sum('teachers'),
+            activeTeachers: sum('activeTeachers'),
+            admins: sum('admins'),
+            classes: sum('classes'),
+            sections: sum('sections'),
+            seatsFilled: sum('seatsFilled'),
+            seatCapacity: sum('seatCapacity'),
+            sectionsWithTeacher: sum('sectionsWithTeacher')
+        };
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-GROUP] Group analytics retrieved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            groupId: group._id,
+            branchCount: branches.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            analytics: {
+                totals: {
+                    ...totals,
+                    teacherToStudent: `1:${totals.activeTeachers > 0 ? Math.round(totals.activeStudents / totals.activeTeachers) : 0}`,
+                    seatUtilization: `${percent(totals.seatsFilled, totals.seatCapacity)}%`,
+                    teacherAssignmentRate: `${percent(totals.sectionsWithTeacher, totals.sections)}%`
+                },
+                organizations: rows.map(row => ({
+                    ...row,
+                    seatUtilization: `${percent(row.seatsFilled, row.seatCapacity)}%`,
+                    teacherAssignmentRate: `${percent(row.sectionsWithTeacher, row.sections)}%`
+                }))
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-GROUP] Group analytics retrieval failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving group analytics',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /admin/group/shared-settings - Settings the group shares with its branches
+export const getGroupSharedSettings = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-GROUP] Getting shared settings', { adminId: req.user._id });
+
+    try {
+        const adminGroup = await findAdminGroup(req);
+        if (!adminGroup) {
+            return res.status(403).json(NOT_A_GROUP);
+        }
+
+        const { group, branches } = adminGroup;
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-GROUP] Shared settings retrieved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            groupId: group._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            sharedSettings: group.sharedSettings,
+            availableSettings: SHARED_SETTINGS,
+            settings: pickSharedSettings(group),
+            totalBranches: branches.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-GROUP] Shared settings retrieval failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving shared settings',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// PUT /admin/group/shared-settings - Choose and update the settings branches inherit, then push them to every branch
+export const updateGroupSharedSettings = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-GROUP] Updating shared settings', { adminId: req.user._id });
+
+    try {
+        const {
+            sharedSettings,
+            security,
+            studentEnrollment,
+            maxStudentsPerSection,
+            allowSelfRegistration,
+            requireEmailVerification
+        } = req.body;
+
+        if (sharedSettings !== undefined) {
+            const invalidSettings = [].concat(sharedSettings).filter(setting => !SHARED_SETTINGS.includes(setting));
+            if (!Array.isArray(sharedSettings) || invalidSettings.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'sharedSettings must be an array of shareable settings',
+                    invalidSettings,
+                    availableSettings: SHARED_SETTINGS
+                });
+            }
+        }
+
+        const adminGroup = await findAdminGroup(req);
+        if (!adminGroup) {
+            return res.status(403).json(NOT_A_GROUP);
+        }
+
+        const { group } = adminGroup;
+        const previousSettings = group.getSettingsSnapshot();
+
+        if (sharedSettings !== undefined) group.sharedSettings = [...new Set(sharedSettings)];
+        if (studentEnrollment) group.studentEnrollment = { ...group.studentEnrollment, ...studentEnrollment };
+        if (security) group.security = { ...group.security, ...security };
+        if (maxStudentsPerSection !== undefined) group.maxStudentsPerSection = maxStudentsPerSection;
+        if (allowSelfRegistration !== undefined) group.allowSelfRegistration = allowSelfRegistration;
+        if (requireEmailVerification !== undefined) group.requireEmailVerification = requireEmailVerification;
+
+        await group.save();
+        const settingsVersion = await OrganizationSettingsVersion.record(group, previousSettings, {
+            changedBy: req.user._id,
+            source: 'shared_settings'
+        });
+        const updatedBranches = await group.pushSharedSettings(req.user._id);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-GROUP] Shared settings updated (${processingTime}ms)`, {
+            adminId: req.user._id,
+            groupId: group._id,
+            sharedSettings: group.sharedSettings,
+            updatedBranches,
+            settingsVersion: settingsVersion?.version
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: group.sharedSettings.length > 0
+                ? `Shared settings applied to ${updatedBranches} branch(es)`
+                : 'No settings are shared. Branches manage their own settings.',
+            sharedSettings: group.sharedSettings,
+            settings: pickSharedSettings(group),
+            updatedBranches,
+            settingsVersion: settingsVersion?.version || null
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-GROUP] Shared settings update failed (${processingTime}ms):`, error);
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error updating shared settings',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /admin/group/teachers/:teacherId/move - Move a teacher to another branch of the group
+export const moveTeacherToBranch = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-GROUP] Moving teacher between branches', {
+        adminId: req.user._id,
+        teacherId: req.params.teacherId,
+        targetOrganizationId: req.body.organizationId
+    });
+
+    try {
+        const { organizationId } = req.body;
+
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Target branch (organizationId) is required'
+            });
+        }
+
+        const adminGroup = await findAdminGroup(req);
+        if (!adminGroup) {
+            return res.status(403).json(NOT_A_GROUP);
+        }
+
+        const { group, branches } = adminGroup;
+        const organizations = [group, ...branches];
+        const findInGroup = (id) => organizations.find(organization => organization._id.toString() === id?.toString());
+
+        const target = findInGroup(organizationId);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Target branch not found in your group'
+            });
+        }
+
+        const teacher = await User.findOne({
+            _id: req.params.teacherId,
+            role: 'teacher',
+            organization: { $in: organizations.map(organization => organization._id) },
+            isDeleted: false
+        });
+
+        if (!teacher) {
+            return res.status(404).json({
+                success: false,
+                message: 'Teacher not found in your group'
+            });
+        }
+
+        const source = findInGroup(teacher.organization);
+        if (source === target) {
+            return res.status(400).json({
+                success: false,
+                message: 'Teacher already belongs to this branch'
+            });
+        }
+
+        // The teacher takes up a seat in the target branch's license
+        const licenseDenial = await getLicenseDenial(target, { role: 'teacher' });
+        if (licenseDenial) {
+            return res.status(403).json(licenseDenial);
+        }
+
+        // Changing organization also signs the teacher out everywhere (see the user pre-save hook)
+        const teachingSections = [...teacher.teachingSections];
+        teacher.organization = target._id;
+        teacher.teachingSections = [];
+        await teacher.save();
+
+        // Another move or enrollment may have taken the last seat in the meantime
+        const seatDenial = await getSeatOverflowDenial(target, 'teacher');
+        if (seatDenial) {
+            teacher.organization = source._id;
+            teacher.teachingSections = teachingSections;
+            await teacher.save();
+            return res.status(403).json(seatDenial);
+        }
+
+        // Sections stay with the old branch, so the teacher is taken off them
+        const releasedSections = await Section.updateMany(
+            { organization: source._id, sectionTeacher: teacher._id },
+            { $set: { sectionTeacher: null } }
+        );
+
+        await Promise.all([source.updateStats(), target.updateStats()]);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-GROUP] Teacher moved between branches (${processingTime}ms)`, {
+            adminId: req.user._id,
+            teacherId: teacher._id,
+            fromOrganizationId: source._id,
+            toOrganizationId: target._id,
+            releasedSections: releasedSections.modifiedCount
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `${teacher.name} moved to ${target.name}`,
+            teacher: {
+                _id: teacher._id,
+                name: teacher.name,
+                email: teacher.email,
+                organization: {
+                    _id: target._id,
+                    name: target.name
+                }
+            },
+            previousOrganization: {
+                _id: source._id,
+                name: source.name
+            },
+            releasedSections: releasedSections.modifiedCount
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-GROUP] Teacher move failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid teacher or branch ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error moving teacher',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -1,10 +1,32 @@
 // File: adminControllers/adminOrganization.controller.js
 
-import Organization from '../../models/organization.model.js';
+import Organization, { SHARED_SETTINGS } from '../../models/organization.model.js';
 import Class from '../../models/class.model.js';
 import Section from '../../models/section.model.js';
 import logger from '../../utils/logger.js';
 import User from '../../models/user.model.js';
+import OrganizationSettingsVersion from '../../models/organizationSettingsVersion.model.js';
+import { EMAIL_TEMPLATES, EmailType } from '../../utils/emailTemplates.js';
+
+// Placeholder values for previewing any email template
+const PREVIEW_EMAIL_DATA = {
+    name: 'Aarav Sharma',
+    email: 'aarav.sharma@example.com',
+    password: 'Temp#Pass123',
+    otp: '123456',
+    rollNumber: '001',
+    className: 'Grade 5',
+    sectionName: 'A',
+    employeeId: 'EMP000123',
+    department: 'Science',
+    childName: 'Aarav Sharma',
+    adminRole: 'admin',
+    loginUrl: 'https://example.com/login',
+    expiryMinutes: 15,
+    ipAddress: '203.0.113.10',
+    userAgent: 'Preview',
+    method: 'password'
+};
 
 // GET /admin/organization/details - Get comprehensive organization details
 export const getOrganizationDetails = async (req, res) => {
@@ -41,7 +63,8 @@ export const getOrganizationDetails = async (req, res) => {
         const organization = await Organization.findById(organizationId)
             .populate('admins.user', 'name email lastLogin createdAt')
             .populate('admins.addedBy', 'name email')
-            .populate('createdBy', 'name email');
+            .populate('createdBy', 'name email')
+            .populate('parentOrganization', 'name brandName sharedSettings');
 
         if (!organization) {
             logger.warn('[ADMIN-ORG] Organization not found', { organizationId });
@@ -58,14 +81,16 @@ export const getOrganizationDetails = async (req, res) => {
             totalClasses,
             totalSections,
             activeStudents,
-            activeTeachers
+            activeTeachers,
+            totalBranches
         ] = await Promise.all([
             User.countDocuments({ organization: organizationId, role: 'student', isDeleted: false }),
             User.countDocuments({ organization: organizationId, role: 'teacher', isDeleted: false }),
             Class.countDocuments({ organization: organizationId, isDeleted: false }),
             Section.countDocuments({ organization: organizationId, isDeleted: false }),
             User.countDocuments({ organization: organizationId, role: 'student', isActive: true, isDeleted: false }),
-            User.countDocuments({ organization: organizationId, role: 'teacher', isActive: true, isDeleted: false })
+            User.countDocuments({ organization: organizationId, role: 'teacher', isActive: true, isDeleted: false }),
+            Organization.countDocuments({ parentOrganization: organizationId, isDeleted: false })
         ]);
 
         // Get class-wise breakdown
@@ -155,7 +180,22 @@ export const getOrganizationDetails = async (req, res) => {
                 contentAccess: organization.contentAccess,
                 apiAccess: organization.apiAccess,
                 studentEnrollment: organization.studentEnrollment,
+                security: organization.security,
+                sso: organization.getSsoSummary(),
+                license: organization.getLicenseSummary(),
                 maxStudentsPerSection: organization.maxStudentsPerSection,
+                allowSelfRegistration: organization.allowSelfRegistration,
+                requireEmailVerification: organization.requireEmailVerification,
+                emailBranding: organization.emailBranding,
+
+                // Group membership (settings listed in group.sharedSettings are managed by the group)
+                group: organization.parentOrganization ? {
+                    _id: organization.parentOrganization._id,
+                    name: organization.parentOrganization.name,
+                    brandName: organization.parentOrganization.brandName,
+                    sharedSettings: organization.parentOrganization.sharedSettings
+                } : null,
+                totalBranches,
 
                 // Status
                 isActive: organization.isActive,
@@ -429,7 +469,7 @@ export const getOrganizationUsers = async (req, res) => {
             User.find(filterQuery)
                 .populate('section', 'name class')
                 .populate('teachingSections', 'name class')
-                .select('-password -otp')
+                .select('-password -otp -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -devicePin -passwordHistory')
                 .sort(sortOptions)
                 .skip(skip)
                 .limit(parseInt(limit)),
@@ -523,28 +563,62 @@ export const updateOrganizationSettings = async (req, res) => {
             websites,
             address,
             studentEnrollment,
-            maxStudentsPerSection
+            security,
+            sso,
+            maxStudentsPerSection,
+            allowSelfRegistration,
+            requireEmailVerification,
+            emailBranding
         } = req.body;
 
+        // A branch cannot change the settings its group shares
+        if (organization.parentOrganization) {
+            const group = await Organization.findById(organization.parentOrganization).select('name sharedSettings');
+            const lockedSettings = SHARED_SETTINGS.filter(setting =>
+                group?.sharedSettings.includes(setting) && req.body[setting] !== undefined
+            );
+
+            if (lockedSettings.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: `These settings are managed by ${group.name}: ${lockedSettings.join(', ')}`,
+                    lockedSettings
+                });
+            }
+        }
+
+        const previousSettings = organization.getSettingsSnapshot();
+
         // Update allowed fields
         if (emails) organization.emails = emails;
         if (phones) organization.phones = phones;
         if (websites) organization.websites = websites;
         if (address) organization.address = { ...organization.address, ...address };
         if (studentEnrollment) organization.studentEnrollment = { ...organization.studentEnrollment, ...studentEnrollment };
+        if (security) organization.security = { ...organization.security, ...security };
+        if (sso) organization.setSsoConfig(sso);
         if (maxStudentsPerSection !== undefined) organization.maxStudentsPerSection = maxStudentsPerSection;
+        if (allowSelfRegistration !== undefined) organization.allowSelfRegistration = allowSelfRegistration;
+        if (requireEmailVerification !== undefined) organization.requireEmailVerification = requireEmailVerification;
+        if (emailBranding) organization.emailBranding = { ...organization.emailBranding, ...emailBranding };
 
         await organization.save();
+        const settingsVersion = await OrganizationSettingsVersion.record(organization, previousSettings, {
+            changedBy: req.user._id,
+            source: 'admin_settings'
+        });
 
         const processingTime = Date.now() - startTime;
         logger.info(`[ADMIN-ORG] Organization settings updated successfully (${processingTime}ms)`, {
             adminId: req.user._id,
-            organizationId: organization._id
+            organizationId: organization._id,
+            settingsVersion: settingsVersion?.version
         });
 
         return res.status(200).json({
             success: true,
             message: 'Organization settings updated successfully',
+            settingsVersion: settingsVersion?.version || null,
             organization: {
                 _id: organization._id,
                 name: organization.name,
@@ -553,7 +627,12 @@ export const updateOrganizationSettings = async (req, res) => {
                 websites: organization.websites,
                 address: organization.address,
                 studentEnrollment: organization.studentEnrollment,
+                security: organization.security,
+                sso: organization.getSsoSummary(),
                 maxStudentsPerSection: organization.maxStudentsPerSection,
+                allowSelfRegistration: organization.allowSelfRegistration,
+                requireEmailVerification: organization.requireEmailVerification,
+                emailBranding: organization.emailBranding,
                 updatedAt: organization.updatedAt
             }
         });
@@ -578,4 +657,64 @@ export const updateOrganizationSettings = async (req, res) => {
             error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
         });
     }
-};
\ No newline at end of file
+};
+
+// GET /admin/organization/email-branding/preview - Render an email with the organization's saved branding
+export const previewEmailBranding = async (req, res) => {
+    const startTime = Date.now();
+    const template = req.query.template || EmailType.STUDENT_CREDENTIALS;
+    logger.info('[ADMIN-ORG] Previewing email branding', { adminId: req.user._id, template });
+
+    try {
+        if (!EmailType[template]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown email template',
+                availableTemplates: Object.keys(EmailType)
+            });
+        }
+
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+        const organization = await Organization.findById(organizationId).select('name brandName emailBranding');
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const now = Date.now();
+        const rendered = EMAIL_TEMPLATES({
+            ...PREVIEW_EMAIL_DATA,
+            organization: organization.name,
+            passwordExpiresAt: new Date(now + 7 * 24 * 60 * 60 * 1000),
+            lockUntil: new Date(now + 30 * 60 * 1000),
+            loginAt: new Date(now),
+            branding: organization.getEmailBranding()
+        }, template);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-ORG] Email branding preview rendered (${processingTime}ms)`, {
+            organizationId: organization._id,
+            template
+        });
+
+        return res.status(200).json({
+            success: true,
+            template,
+            branded: organization.emailBranding?.enabled || false,
+            subject: rendered.subject,
+            html: rendered.html
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-ORG] Email branding preview failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error rendering email preview',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -0,0 +1,283 @@
+// File: adminControllers/adminSectionDevice.controller.js
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../../models/user.model.js';
+import Section from '../../models/section.model.js';
+import SectionDevice from '../../models/sectionDevice.model.js';
+import logger from '../../utils/logger.js';
+
+// POST /admin/section-devices - Issue a credential for a shared headset bound to one section
+export const createSectionDevice = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-DEVICE] Creating section device', { adminId: req.user._id });
+
+    try {
+        const { name, sectionId } = req.body;
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        if (!name || !sectionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Device name and section are required'
+            });
+        }
+
+        const section = await Section.findOne({
+            _id: sectionId,
+            organization: organizationId,
+            isDeleted: false
+        }).populate('class', 'name grade');
+
+        if (!section) {
+            return res.status(404).json({
+                success: false,
+                message: 'Section not found in your organization'
+            });
+        }
+
+        const { plainKey, hashedKey, keyPrefix } = SectionDevice.generateDeviceKey();
+
+        const device = await SectionDevice.create({
+            name,
+            section: section._id,
+            organization: organizationId,
+            createdBy: req.user._id,
+            hashedKey,
+            keyPrefix
+        });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-DEVICE] Section device created (${processingTime}ms)`, {
+            adminId: req.user._id,
+            deviceId: device._id,
+            sectionId: section._id
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Section device created. Copy the device key now - it will not be shown again.',
+            deviceKey: plainKey,
+            device: {
+                _id: device._id,
+                name: device.name,
+                keyPrefix: device.keyPrefix,
+                section: {
+                    _id: section._id,
+                    name: section.name,
+                    class: section.class
+                },
+                createdAt: device.createdAt
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-DEVICE] Section device creation failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid section ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error creating section device',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /admin/section-devices - List section devices with last-seen activity
+export const getSectionDevices = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-DEVICE] Listing section devices', { adminId: req.user._id });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+        const { sectionId, includeRevoked } = req.query;
+
+        const query = SectionDevice.findByOrganization(organizationId, sectionId);
+        if (includeRevoked !== 'true') {
+            query.where({ isRevoked: false });
+        }
+
+        const devices = await query
+            .populate({ path: 'section', select: 'name class', populate: { path: 'class', select: 'name grade' } })
+            .populate('lastStudent', 'name studentDetails.rollNumber')
+            .populate('createdBy', 'name')
+            .sort({ createdAt: -1 });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-DEVICE] Section devices retrieved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            deviceCount: devices.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            devices: devices.map(device => ({
+                _id: device._id,
+                name: device.name,
+                keyPrefix: device.keyPrefix,
+                section: device.section,
+                isRevoked: device.isRevoked,
+                revokedAt: device.revokedAt,
+                lastSeenAt: device.lastSeenAt,
+                lastSeenIp: device.lastSeenIp,
+                lastStudent: device.lastStudent,
+                createdBy: device.createdBy,
+                createdAt: device.createdAt
+            })),
+            totalDevices: devices.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-DEVICE] Section device listing failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid section ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving section devices',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /admin/section-devices/:deviceId - Revoke a device credential (ends every student token issued on it)
+export const revokeSectionDevice = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-DEVICE] Revoking section device', {
+        adminId: req.user._id,
+        deviceId: req.params.deviceId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const device = await SectionDevice.findOne({
+            _id: req.params.deviceId,
+            organization: organizationId
+        });
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Section device not found in your organization'
+            });
+        }
+
+        if (!device.isRevoked) {
+            await device.revoke(req.user._id);
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-DEVICE] Section device revoked (${processingTime}ms)`, {
+            adminId: req.user._id,
+            deviceId: device._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `${device.name} has been revoked`
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-DEVICE] Section device revoke failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid device ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error revoking section device',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /admin/students/:studentId/device-pin - Set (or generate) the PIN a student uses on section devices
+export const setStudentDevicePin = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-DEVICE] Setting student device PIN', {
+        adminId: req.user._id,
+        studentId: req.params.studentId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+        const { pin } = req.body || {};
+
+        if (pin !== undefined && !/^\d{4,6}$/.test(pin.toString())) {
+            return res.status(400).json({
+                success: false,
+                message: 'PIN must be 4 to 6 digits'
+            });
+        }
+
+        const student = await User.findOne({
+            _id: req.params.studentId,
+            organization: organizationId,
+            role: 'student',
+            isDeleted: false
+        });
+
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found in your organization'
+            });
+        }
+
+        const devicePin = pin !== undefined
+            ? pin.toString()
+            : crypto.randomInt(0, 10000).toString().padStart(4, '0');
+
+        student.devicePin = await bcrypt.hash(devicePin, 10);
+        student.resetDevicePinAttempts();
+        await student.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-DEVICE] Student device PIN set (${processingTime}ms)`, {
+            adminId: req.user._id,
+            studentId: student._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Device PIN set for ${student.name}`,
+            pin: devicePin
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-DEVICE] Setting student device PIN failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid student ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error setting device PIN',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -0,0 +1,486 @@
+// File: adminControllers/adminSelfRegistration.controller.js
+
+import Organization from '../../models/organization.model.js';
+import Class from '../../models/class.model.js';
+import Section from '../../models/section.model.js';
+import JoinCode from '../../models/joinCode.model.js';
+import SelfRegistration from '../../models/selfRegistration.model.js';
+import { createStudentFromRegistration } from '../../utils/registrationHelper.js';
+import logger from '../../utils/logger.js';
+
+// Why an approval could not create the student
+const APPROVAL_FAILURES = {
+    class_not_found: 'The class this registration was for no longer exists',
+    email_in_use: 'Another account already uses this email',
+    no_section_available: 'No section in the class has a free seat',
+    seat_limit_reached: 'All student seats on your organization\'s license are in use'
+};
+
+/**
+ * Shape a join code for admin responses
+ * @param {Object} joinCode - JoinCode document (class and section optionally populated)
+ * @returns {Object} Join code summary
+ */
+const formatJoinCode = (joinCode) => ({
+    _id: joinCode._id,
+    code: joinCode.code,
+    label: joinCode.label,
+    class: joinCode.class,
+    section: joinCode.section,
+    maxUses: joinCode.maxUses,
+    useCount: joinCode.useCount,
+    expiresAt: joinCode.expiresAt,
+    isActive: joinCode.isActive,
+    isUsable: joinCode.isUsable,
+    revokedAt: joinCode.revokedAt,
+    createdAt: joinCode.createdAt
+});
+
+// POST /admin/join-codes - Create a join code for a class or one of its sections
+export const createJoinCode = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-REGISTRATION] Creating join code', { adminId: req.user._id });
+
+    try {
+        const { classId, sectionId, label, maxUses, expiresInDays } = req.body;
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        if (!classId && !sectionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'A class or section is required'
+            });
+        }
+
+        const days = Number(expiresInDays ?? (parseInt(process.env.JOIN_CODE_EXPIRY_DAYS) || 30));
+        if (!Number.isFinite(days) || days <= 0 || days > 365) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expiry must be between 1 and 365 days'
+            });
+        }
+
+        let section = null;
+        if (sectionId) {
+            section = await Section.findOne({ _id: sectionId, organization: organizationId, isDeleted: false });
+            if (!section) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Section not found in your organization'
+                });
+            }
+        }
+
+        const classDoc = await Class.findOne({ _id: section?.class || classId, organization: organizationId });
+        if (!classDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Class not found in your organization'
+            });
+        }
+
+        const joinCode = await JoinCode.createCode({
+            organization: organizationId,
+            class: classDoc._id,
+            section: section?._id || null,
+            label,
+            maxUses: maxUses || null,
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+            createdBy: req.user._id
+        });
+
+        const organization = await Organization.findById(organizationId).select('allowSelfRegistration');
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-REGISTRATION] Join code created (${processingTime}ms)`, {
+            adminId: req.user._id,
+            joinCodeId: joinCode._id,
+            classId: classDoc._id,
+            sectionId: section?._id
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: organization?.allowSelfRegistration
+                ? 'Join code created'
+                : 'Join code created. Turn on self-registration in organization settings before sharing it.',
+            joinCode: formatJoinCode(await joinCode.populate([
+                { path: 'class', select: 'name grade' },
+                { path: 'section', select: 'name' }
+            ]))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-REGISTRATION] Join code creation failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class or section ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error creating join code',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /admin/join-codes - List the organization's join codes
+export const getJoinCodes = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-REGISTRATION] Listing join codes', { adminId: req.user._id });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+        const { classId, includeInactive } = req.query;
+
+        const query = { organization: organizationId };
+        if (classId) query.class = classId;
+        if (includeInactive !== 'true') query.isActive = true;
+
+        const joinCodes = await JoinCode.find(query)
+            .populate('class', 'name grade')
+            .populate('section', 'name')
+            .sort({ createdAt: -1 });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-REGISTRATION] Join codes retrieved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            count: joinCodes.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            joinCodes: joinCodes.map(formatJoinCode),
+            totalJoinCodes: joinCodes.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-REGISTRATION] Join code listing failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving join codes',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /admin/join-codes/:joinCodeId - Revoke a join code (pending registrations stay in the queue)
+export const revokeJoinCode = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-REGISTRATION] Revoking join code', {
+        adminId: req.user._id,
+        joinCodeId: req.params.joinCodeId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const joinCode = await JoinCode.findOne({
+            _id: req.params.joinCodeId,
+            organization: organizationId,
+            isActive: true
+        });
+
+        if (!joinCode) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active join code not found in your organization'
+            });
+        }
+
+        await joinCode.revoke();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-REGISTRATION] Join code revoked (${processingTime}ms)`, {
+            adminId: req.user._id,
+            joinCodeId: joinCode._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Join code revoked'
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-REGISTRATION] Join code revocation failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid join code ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error revoking join code',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /admin/registrations - Self-registrations (pending by default) for the organization
+export const getSelfRegistrations = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-REGISTRATION] Listing self-registrations', { adminId: req.user._id });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+        const { page = 1, limit = 20, status = 'pending', classId } = req.query;
+
+        const query = { organization: organizationId };
+        if (status !== 'all') query.status = status;
+        if (classId) query.class = classId;
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [registrations, totalCount] = await Promise.all([
+            SelfRegistration.find(query)
+                .populate('class', 'name grade')
+                .populate('section', 'name')
+                .populate('joinCode', 'code label')
+                .populate('reviewedBy', 'name email')
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            SelfRegistration.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / pageSize);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-REGISTRATION] Self-registrations retrieved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            count: registrations.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            registrations: registrations.map(registration => ({
+                _id: registration._id,
+                name: registration.name,
+                email: registration.email,
+                status: registration.status,
+                class: registration.class,
+                section: registration.section,
+                joinCode: registration.joinCode,
+                user: registration.user,
+                reviewedBy: registration.reviewedBy,
+                reviewedAt: registration.reviewedAt,
+                rejectionReason: registration.rejectionReason,
+                createdAt: registration.createdAt
+            })),
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalCount,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1,
+                limit: pageSize
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-REGISTRATION] Self-registration listing failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid class ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving registrations',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /admin/registrations/:registrationId/approve - Create the student and place them in a section
+export const approveSelfRegistration = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-REGISTRATION] Approving self-registration', {
+        adminId: req.user._id,
+        registrationId: req.params.registrationId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const registration = await SelfRegistration.claimPending(req.params.registrationId, organizationId, {
+            status: 'approved',
+            reviewedBy: req.user._id,
+            reviewedAt: new Date()
+        });
+
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending registration not found in your organization'
+            });
+        }
+
+        let result;
+        try {
+            const organization = await Organization.findById(organizationId);
+            result = await createStudentFromRegistration(registration, organization);
+        } catch (error) {
+            result = { status: 'error', error };
+        }
+
+        // Put it back in the queue so the admin can fix the cause (e.g. add a section) and retry
+        if (result.status !== 'approved') {
+            await SelfRegistration.updateOne(
+                { _id: registration._id },
+                { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, user: null } }
+            );
+
+            if (result.error) throw result.error;
+
+            logger.warn('[ADMIN-REGISTRATION] Approval failed', {
+                registrationId: registration._id,
+                reason: result.status
+            });
+            return res.status(409).json({
+                success: false,
+                message: APPROVAL_FAILURES[result.status],
+                code: result.status
+            });
+        }
+
+        const { student, classDoc, section } = result;
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-REGISTRATION] Self-registration approved (${processingTime}ms)`, {
+            adminId: req.user._id,
+            registrationId: registration._id,
+            studentId: student._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: student.isVerified
+                ? 'Registration approved. The student can now log in.'
+                : 'Registration approved. The student has been emailed a verification code.',
+            student: {
+                _id: student._id,
+                name: student.name,
+                email: student.email,
+                rollNumber: student.studentDetails.rollNumber,
+                class: { _id: classDoc._id, name: classDoc.name, grade: classDoc.grade },
+                section: {
+                    _id: section._id,
+                    name: section.name,
+                    fullName: `${classDoc.grade}-${section.name}`
+                },
+                isVerified: student.isVerified
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-REGISTRATION] Self-registration approval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid registration ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error approving registration',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /admin/registrations/:registrationId/reject - Decline a self-registration
+export const rejectSelfRegistration = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-REGISTRATION] Rejecting self-registration', {
+        adminId: req.user._id,
+        registrationId: req.params.registrationId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+        const { reason } = req.body;
+
+        const registration = await SelfRegistration.claimPending(req.params.registrationId, organizationId, {
+            status: 'rejected',
+            reviewedBy: req.user._id,
+            reviewedAt: new Date(),
+            rejectionReason: reason || ''
+        });
+
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending registration not found in your organization'
+            });
+        }
+
+        // The rejected sign-up no longer counts against the code's max uses
+        if (registration.joinCode) {
+            await JoinCode.refundUse(registration.joinCode);
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-REGISTRATION] Self-registration rejected (${processingTime}ms)`, {
+            adminId: req.user._id,
+            registrationId: registration._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Registration rejected'
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-REGISTRATION] Self-registration rejection failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid registration ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error rejecting registration',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
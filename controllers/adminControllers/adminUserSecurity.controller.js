@@ -0,0 +1,355 @@
+// File: adminControllers/adminUserSecurity.controller.js
+
+import bcrypt from 'bcryptjs';
+import User from '../../models/user.model.js';
+import LoginEvent from '../../models/loginEvent.model.js';
+import logger from '../../utils/logger.js';
+import { generatePasswordForUser } from '../../utils/passwordPolicy.js';
+import { sendPasswordResetByAdminEmail } from '../../utils/emailService.js';
+
+// POST /admin/users/:userId/force-logout - Invalidate all tokens and sessions for a student, teacher or parent
+export const forceLogoutUser = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-SECURITY] Force logout requested', {
+        adminId: req.user._id,
+        targetUserId: req.params.userId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        // Admins can't sign each other out
+        const user = await User.findOne({
+            _id: req.params.userId,
+            organization: organizationId,
+            role: { $in: ['student', 'teacher', 'parent'] },
+            isDeleted: false
+        });
+
+        if (!user) {
+            logger.warn('[ADMIN-SECURITY] Force logout failed: Student, teacher or parent not found in organization', {
+                adminId: req.user._id,
+                targetUserId: req.params.userId
+            });
+            return res.status(404).json({
+                success: false,
+                message: 'Student, teacher or parent not found in your organization'
+            });
+        }
+
+        // Bumps token version and revokes every device session
+        await user.invalidateTokens();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-SECURITY] User force logged out successfully (${processingTime}ms)`, {
+            adminId: req.user._id,
+            targetUserId: user._id,
+            organizationId
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `${user.name} has been signed out of all devices`
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-SECURITY] Force logout failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during force logout',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /admin/users/locked - List currently locked students and teachers in organization
+export const getLockedAccounts = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-SECURITY] Listing locked accounts', { adminId: req.user._id });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const lockedUsers = await User.findLocked(organizationId)
+            .populate('section', 'name class')
+            .select('name email role lockUntil lockCount lastFailedLoginAt section')
+            .sort({ lockUntil: -1 });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-SECURITY] Locked accounts retrieved successfully (${processingTime}ms)`, {
+            adminId: req.user._id,
+            organizationId,
+            lockedCount: lockedUsers.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            lockedAccounts: lockedUsers.map(user => ({
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                section: user.section,
+                lockUntil: user.lockUntil,
+                lockCount: user.lockCount,
+                lastFailedLoginAt: user.lastFailedLoginAt
+            })),
+            totalLocked: lockedUsers.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-SECURITY] Locked accounts retrieval failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving locked accounts',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /admin/users/login-history - Sign-in attempts by users of the organization (optionally one user)
+export const getUserLoginHistory = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-SECURITY] Listing login history', { adminId: req.user._id });
+
+    try {
+        const { page = 1, limit = 20, userId, success, method } = req.query;
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const query = { organization: organizationId };
+        if (userId) query.user = userId;
+        if (method) query.method = method;
+        if (success === 'true' || success === 'false') query.success = success === 'true';
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [events, totalCount] = await Promise.all([
+            LoginEvent.findHistory(query, { page: pageNumber, limit: pageSize })
+                .populate('user', 'name email role'),
+            LoginEvent.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / pageSize);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-SECURITY] Login history retrieved successfully (${processingTime}ms)`, {
+            adminId: req.user._id,
+            organizationId,
+            count: events.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            loginHistory: events.map(event => ({
+                _id: event._id,
+                user: event.user,
+                identifier: event.identifier,
+                method: event.method,
+                success: event.success,
+                failureReason: event.failureReason,
+                ipAddress: event.ipAddress,
+                userAgent: event.userAgent,
+                isNewDevice: event.isNewDevice,
+                loginAt: event.createdAt
+            })),
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalCount,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1,
+                limit: pageSize
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-SECURITY] Login history retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving login history',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /admin/users/:userId/unlock - Unlock a student, teacher or parent account
+export const unlockUserAccount = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-SECURITY] Account unlock requested', {
+        adminId: req.user._id,
+        targetUserId: req.params.userId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const user = await User.findOne({
+            _id: req.params.userId,
+            organization: organizationId,
+            role: { $in: ['student', 'teacher', 'parent'] },
+            isDeleted: false
+        });
+
+        if (!user) {
+            logger.warn('[ADMIN-SECURITY] Unlock failed: Student, teacher or parent not found in organization', {
+                adminId: req.user._id,
+                targetUserId: req.params.userId
+            });
+            return res.status(404).json({
+                success: false,
+                message: 'Student, teacher or parent not found in your organization'
+            });
+        }
+
+        const wasLocked = user.isLocked;
+
+        user.resetLoginAttempts();
+        await user.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-SECURITY] Account unlocked successfully (${processingTime}ms)`, {
+            adminId: req.user._id,
+            targetUserId: user._id,
+            wasLocked
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: wasLocked
+                ? `${user.name}'s account has been unlocked`
+                : `${user.name}'s account was not locked; failed login attempts have been reset`,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-SECURITY] Account unlock failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error unlocking account',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /admin/users/:userId/reset-password - Give a student, teacher or parent a new temporary password
+// (emailed to them; only returned to the admin when it could not be emailed)
+export const resetUserPassword = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN-SECURITY] Password reset requested', {
+        adminId: req.user._id,
+        targetUserId: req.params.userId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const user = await User.findOne({
+            _id: req.params.userId,
+            organization: organizationId,
+            role: { $in: ['student', 'teacher', 'parent'] },
+            isDeleted: false
+        }).populate('organization', 'name');
+
+        if (!user) {
+            logger.warn('[ADMIN-SECURITY] Password reset failed: Student, teacher or parent not found in organization', {
+                adminId: req.user._id,
+                targetUserId: req.params.userId
+            });
+            return res.status(404).json({
+                success: false,
+                message: 'Student, teacher or parent not found in your organization'
+            });
+        }
+
+        const temporaryPassword = await generatePasswordForUser(user);
+
+        // Bumps token version (signs the user out everywhere) and forces a change on next login
+        user.setTemporaryPassword(await bcrypt.hash(temporaryPassword, 10));
+        user.resetLoginAttempts();
+        await user.save();
+
+        let emailSent = false;
+        if (user.email) {
+            emailSent = await sendPasswordResetByAdminEmail(
+                user.email,
+                user.name,
+                user.organization?.name,
+                temporaryPassword,
+                user.temporaryPasswordExpiresAt
+            );
+            if (!emailSent) {
+                logger.warn('[ADMIN-SECURITY] Failed to send temporary password email', { targetUserId: user._id });
+            }
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN-SECURITY] Password reset successfully (${processingTime}ms)`, {
+            adminId: req.user._id,
+            targetUserId: user._id,
+            emailSent
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: emailSent
+                ? `${user.name}'s password has been reset and emailed to them`
+                : `${user.name}'s password has been reset. Share the temporary password with them.`,
+            emailSent,
+            // Only returned when the user did not get it by email
+            ...(!emailSent && { temporaryPassword }),
+            expiresAt: user.temporaryPasswordExpiresAt
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN-SECURITY] Password reset failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error resetting password',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
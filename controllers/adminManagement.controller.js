@@ -1,10 +1,10 @@
 // File: controllers/adminManagement.controller.js
 
 import bcrypt from 'bcryptjs';
-import User from '../models/user.model.js';
+import User, { getTemporaryPasswordExpiry } from '../models/user.model.js';
 import Organization from '../models/organization.model.js';
 import logger from '../utils/logger.js';
-import { generateStrongPassword } from '../utils/generatePassword.js';
+import { generatePasswordForUser } from '../utils/passwordPolicy.js';
 import { sendEmail } from '../utils/emailService.js';
 
 // POST /admin/create-secondary-admin
@@ -65,8 +65,8 @@ export const createSecondaryAdmin = async (req, res) => {
             });
         }
 
-        // Generate strong password for admin
-        const generatedPassword = generateStrongPassword();
+        // Generate a password the organization's staff policy accepts
+        const generatedPassword = await generatePasswordForUser({ role: 'admin', organization });
         const hashedPassword = await bcrypt.hash(generatedPassword, 10);
 
         // Create secondary admin user
@@ -74,6 +74,8 @@ export const createSecondaryAdmin = async (req, res) => {
             name,
             email,
             password: hashedPassword,
+            mustChangePassword: true,
+            temporaryPasswordExpiresAt: getTemporaryPasswordExpiry(),
             role: 'admin',
             organization: primaryAdmin.organization._id,
             isVerified: true, // Pre-verified since primary admin created them
@@ -100,12 +102,7 @@ export const createSecondaryAdmin = async (req, res) => {
         };
 
         // Add secondary admin to organization using the organization method
-        await organization.addAdmin(
-            secondaryAdmin._id,
-            'secondary_admin',
-            finalPermissions,
-            primaryAdmin._id
-        );
+        await organization.addAdmin(secondaryAdmin._id, primaryAdmin._id, 'secondary_admin');
 
         // Update organization stats
         await organization.updateStats();
@@ -441,11 +438,14 @@ export const removeAdmin = async (req, res) => {
         await organization.removeAdmin(targetAdminId);
 
         // Update the user's role and organization references
-        await User.findByIdAndUpdate(targetAdminId, {
-            role: 'specialUser', // Convert to special user
-            organization: null,
-            managingOrganizations: []
-        });
+        // (saved through the document so their tokens and sessions are invalidated)
+        const targetAdmin = await User.findById(targetAdminId);
+        if (targetAdmin) {
+            targetAdmin.role = 'specialUser'; // Convert to special user
+            targetAdmin.organization = null;
+            targetAdmin.managingOrganizations = [];
+            await targetAdmin.save();
+        }
 
         const processingTime = Date.now() - startTime;
         logger.info(`[ADMIN] Admin removed successfully (${processingTime}ms)`, {
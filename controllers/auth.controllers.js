@@ -4,14 +4,18 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
 import Organization from '../models/organization.model.js';
-import generateToken from '../utils/generateToken.js';
+import LoginThrottle from '../models/loginThrottle.model.js';
+import { generateAuthTokens, generateChallengeToken, getDeviceInfo } from '../utils/generateToken.js';
 import logger from '../utils/logger.js';
 import { generateOTP, canRequestNewOTP, getOTPCooldownTime } from '../utils/otp.js';
+import { validateNewPassword, getPasswordSettingsForUser, isPasswordExpired } from '../utils/passwordPolicy.js';
+import { recordLoginAttempt } from '../utils/loginHistory.js';
 import {
     sendOTPEmail,
     sendPasswordResetOTP,
     sendWelcomeEmail,
-    sendPasswordChangedEmail
+    sendPasswordChangedEmail,
+    sendAccountLockedEmail
 } from '../utils/emailService.js';
 
 // POST /signup - Only for SuperAdmin and SpecialUser
@@ -81,6 +85,17 @@ export const registerUser = async (req, res) => {
             });
         }
 
+        // Accounts without an organization get the strong policy
+        const passwordCheck = await validateNewPassword({ role }, password);
+        if (!passwordCheck.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password does not meet the password policy',
+                policy: passwordCheck.settings.policy,
+                failedRules: passwordCheck.failedRules
+            });
+        }
+
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -215,8 +230,8 @@ export const verifyEmail = async (req, res) => {
         // Send welcome email
         await sendWelcomeEmail(user.email, user.name);
 
-        // Generate token after verification
-        const token = generateToken(user);
+        // Start a device session after verification
+        const { token, refreshToken, expiresIn } = await generateAuthTokens(user, req);
 
         // Calculate processing time
         const processingTime = Date.now() - startTime;
@@ -229,6 +244,8 @@ export const verifyEmail = async (req, res) => {
             success: true,
             message: 'Email verified successfully! Welcome to ObjectX!',
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 _id: user._id,
                 name: user.name,
@@ -251,6 +268,26 @@ export const verifyEmail = async (req, res) => {
     }
 };
 
+/**
+ * Find the account for a login attempt
+ * @param {Object} identifier - { email } or { organizationCode, rollNumber }
+ * @returns {Promise<Object|null>} User with organization and section populated
+ */
+const findLoginUser = async ({ email, organizationCode, rollNumber }) => {
+    if (email) {
+        return User.findOne({ email: email.toString().toLowerCase().trim() })
+            .populate('organization')
+            .populate('section');
+    }
+
+    const organization = await Organization.findByCode(organizationCode);
+    if (!organization) return null;
+
+    return User.findByRollNumber(organization._id, rollNumber)
+        .populate('organization')
+        .populate('section');
+};
+
 // POST /login - Updated for new structure
 export const loginUser = async (req, res) => {
     const startTime = Date.now();
@@ -258,14 +295,38 @@ export const loginUser = async (req, res) => {
 
     try {
         // Extract validated data from request body
-        const { email, password } = req.body;
+        const { email, organizationCode, rollNumber, password } = req.body;
+        const ipAddress = req.ip;
+        const identifier = email || `${organizationCode}/${rollNumber}`;
 
-        const user = await User.findOne({ email })
-            .populate('organization')
-            .populate('section');
+        // Students without an email sign in with organization code + roll number
+        if (!password || (!email && !(organizationCode && rollNumber))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and either email or organization code with roll number are required'
+            });
+        }
+
+        // Reject early if this IP is locked out from too many failures
+        const ipLock = await LoginThrottle.getLockStatus(ipAddress);
+        if (ipLock.locked) {
+            logger.warn('[AUTH] Login blocked: IP locked out', { ipAddress, lockUntil: ipLock.lockUntil });
+            await recordLoginAttempt(req, { method: 'password', success: false, failureReason: 'ip_locked', identifier });
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed login attempts from your network. Please try again after ${ipLock.lockUntil.toLocaleString()}`,
+                lockUntil: ipLock.lockUntil
+            });
+        }
+
+        const user = await findLoginUser({ email, organizationCode, rollNumber });
 
         if (!user) {
-            logger.warn('[AUTH] Login failed: User not found', { email });
+            await Promise.all([
+                LoginThrottle.registerFailure(ipAddress),
+                recordLoginAttempt(req, { method: 'password', success: false, failureReason: 'unknown_account', identifier })
+            ]);
+            logger.warn('[AUTH] Login failed: User not found', { email, organizationCode, rollNumber });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -275,6 +336,7 @@ export const loginUser = async (req, res) => {
         // Check if email is verified
         if (!user.isVerified) {
             logger.warn('[AUTH] Login failed: Email not verified', { userId: user._id });
+            await recordLoginAttempt(req, { user, method: 'password', success: false, failureReason: 'email_not_verified', identifier });
             return res.status(401).json({
                 success: false,
                 message: 'Please verify your email before logging in',
@@ -283,22 +345,120 @@ export const loginUser = async (req, res) => {
             });
         }
 
+        // Check if account is locked
+        if (user.isLocked) {
+            logger.warn('[AUTH] Login blocked: Account locked', {
+                userId: user._id,
+                lockUntil: user.lockUntil
+            });
+            await recordLoginAttempt(req, { user, method: 'password', success: false, failureReason: 'account_locked', identifier });
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked until ${user.lockUntil.toLocaleString()}`,
+                locked: true,
+                lockUntil: user.lockUntil
+            });
+        }
+
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            const [lockResult] = await Promise.all([
+                user.registerFailedLogin(),
+                LoginThrottle.registerFailure(ipAddress),
+                recordLoginAttempt(req, { user, method: 'password', success: false, failureReason: 'invalid_password', identifier })
+            ]);
+
+            if (lockResult.justLocked) {
+                logger.warn('[AUTH] Account locked after repeated failed logins', {
+                    userId: user._id,
+                    lockUntil: lockResult.lockUntil,
+                    lockCount: user.lockCount,
+                    ipAddress
+                });
+
+                const emailSent = await sendAccountLockedEmail(user.email, user.name, lockResult.lockUntil, ipAddress);
+                if (!emailSent) {
+                    logger.warn('[AUTH] Failed to send account locked email', { userId: user._id });
+                }
+
+                return res.status(423).json({
+                    success: false,
+                    message: `Too many failed login attempts. Account is locked until ${lockResult.lockUntil.toLocaleString()}`,
+                    locked: true,
+                    lockUntil: lockResult.lockUntil
+                });
+            }
+
             logger.warn('[AUTH] Login failed: Invalid password', {
                 userId: user._id,
-                email: user.email
+                email: user.email,
+                attemptsRemaining: lockResult.attemptsRemaining
             });
+            // Same reply as for unknown accounts, so it doesn't reveal which accounts exist
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        // Admin-generated passwords stop working if they were never used in time
+        if (user.isTemporaryPasswordExpired) {
+            logger.warn('[AUTH] Login failed: Temporary password expired', { userId: user._id });
+            await recordLoginAttempt(req, { user, method: 'password', success: false, failureReason: 'temporary_password_expired', identifier });
+            return res.status(401).json({
+                success: false,
+                message: 'Your temporary password has expired. Please ask your administrator to reset it.',
+                code: 'TEMPORARY_PASSWORD_EXPIRED'
+            });
+        }
+
+        // Clear the account's failed-login tracking (the IP's failures age out on their own)
+        user.resetLoginAttempts();
+
+        // Temporary password has now been used - it stays valid only for changing it
+        if (user.mustChangePassword) {
+            user.temporaryPasswordExpiresAt = null;
+        }
+
+        // Passwords older than the organization allows must be replaced before the app can be used
+        const passwordExpired = !user.mustChangePassword
+            && isPasswordExpired(user, await getPasswordSettingsForUser(user));
+        if (passwordExpired) {
+            user.mustChangePassword = true;
+            logger.info('[AUTH] Password has passed its maximum age', { userId: user._id });
+        }
+
+        // Password is correct - hold the session back until the second factor is verified
+        if (user.twoFactor?.enabled || user.isTwoFactorRequired()) {
+            await user.save();
+
+            const requiresSetup = !user.twoFactor?.enabled;
+            logger.info('[AUTH] Password verified, awaiting two-factor step', {
+                userId: user._id,
+                requiresSetup
+            });
+
+            return res.status(200).json(requiresSetup
+                ? {
+                    success: true,
+                    requiresTwoFactorSetup: true,
+                    message: 'Your organization requires two-factor authentication. Set it up to finish signing in.',
+                    challengeToken: generateChallengeToken(user, '2fa_setup')
+                }
+                : {
+                    success: true,
+                    requiresTwoFactor: true,
+                    message: 'Enter the code from your authenticator app to finish signing in',
+                    challengeToken: generateChallengeToken(user, '2fa_challenge')
+                });
+        }
+
         // Update last login
-        await user.updateLastLogin();
+        await user.updateLastLogin(getDeviceInfo(req).userAgent);
+        await recordLoginAttempt(req, { user, method: 'password', success: true, identifier });
 
-        const token = generateToken(user);
+        // Start a device session with short-lived access token + rotating refresh token
+        const { token, refreshToken, expiresIn } = await generateAuthTokens(user, req);
 
         // Calculate processing time
         const processingTime = Date.now() - startTime;
@@ -311,6 +471,8 @@ export const loginUser = async (req, res) => {
         return res.status(200).json({
             success: true,
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 _id: user._id,
                 name: user.name,
@@ -318,8 +480,10 @@ export const loginUser = async (req, res) => {
                 role: user.role,
                 organization: user.organization,
                 section: user.section,
-                isVerified: user.isVerified
+                isVerified: user.isVerified,
+                mustChangePassword: user.mustChangePassword
             },
+            ...(passwordExpired && { passwordExpired: true }),
         });
     } catch (error) {
         // Calculate processing time even for errors
@@ -507,12 +671,22 @@ export const resetPassword = async (req, res) => {
             });
         }
 
+        // OTP stays valid if the new password is rejected, so the user can pick another one
+        const passwordCheck = await validateNewPassword(user, newPassword);
+        if (!passwordCheck.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: "New password does not meet your organization's password policy",
+                policy: passwordCheck.settings.policy,
+                failedRules: passwordCheck.failedRules
+            });
+        }
+
         // Hash new password
         const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-        // Update password and clear OTP
-        user.password = hashedPassword;
-        user.lastPasswordReset = new Date();
+        // Update password and clear OTP (invalidates all outstanding tokens)
+        user.recordPasswordChange(hashedPassword, passwordCheck.settings.historyCount);
         user.clearOTP();
         await user.save();
 
@@ -551,7 +725,7 @@ export const getMe = async (req, res) => {
             .populate('organization')
             .populate('section')
             .populate('teachingSections')
-            .select('-password -otp');
+            .select('-password -otp -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -devicePin -passwordHistory');
 
         // Check if user exists
         if (!user) {
@@ -700,12 +874,21 @@ export const changePassword = async (req, res) => {
             });
         }
 
+        const passwordCheck = await validateNewPassword(user, newPassword);
+        if (!passwordCheck.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: "New password does not meet your organization's password policy",
+                policy: passwordCheck.settings.policy,
+                failedRules: passwordCheck.failedRules
+            });
+        }
+
         // Hash new password
         const hashedPassword = await bcrypt.hash(newPassword, 10);
 
         // Update password
-        user.password = hashedPassword;
-        user.lastPasswordReset = new Date();
+        user.recordPasswordChange(hashedPassword, passwordCheck.settings.historyCount);
         await user.save();
 
         // Send password changed confirmation email
@@ -4,6 +4,7 @@ import Class from '../models/class.model.js';
 import Section from '../models/section.model.js';
 import Organization from '../models/organization.model.js';
 import User from '../models/user.model.js';
+import { getSectionCapacityDenial } from '../utils/licenseHelper.js';
 import logger from '../utils/logger.js';
 
 // ==================== CLASS MANAGEMENT ====================
@@ -327,13 +328,20 @@ export const createSection = async (req, res) => {
             }
         }
 
+        // Section seats must stay within the licensed student seats
+        const sectionCapacity = maxStudents || organization.maxStudentsPerSection || 30;
+        const licenseDenial = await getSectionCapacityDenial(organization, sectionCapacity);
+        if (licenseDenial) {
+            return res.status(403).json(licenseDenial);
+        }
+
         // Create section
         const section = await Section.create({
             name: name.toUpperCase(),
             class: classId,
             organization: admin.organization._id,
             sectionTeacher: sectionTeacher || null,
-            maxStudents: maxStudents || organization.maxStudentsPerSection || 30,
+            maxStudents: sectionCapacity,
             academicYear: academicYear || `${new Date().getFullYear()}-${new Date().getFullYear() + 1}`,
             createdBy: admin._id
         });
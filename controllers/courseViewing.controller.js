@@ -5,6 +5,7 @@ import Class from '../models/class.model.js';
 import Section from '../models/section.model.js';
 import User from '../models/user.model.js';
 import Organization from '../models/organization.model.js';
+import { findClassCoursesPage } from '../utils/classCourseHelper.js';
 import logger from '../utils/logger.js';
 
 // ==================== ORGANIZATION COURSE VIEWING ====================
@@ -82,18 +83,21 @@ export const getOrganizationCourses = async (req, res) => {
             ];
         }
 
+        // Only courses the organization is entitled to
+        const courseQuery = admin.organization.restrictCourseQuery(filterQuery);
+
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
         const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
         // Get courses with pagination
         const [courses, totalCount] = await Promise.all([
-            Course.find(filterQuery)
+            Course.find(courseQuery)
                 .select('-topics') // Exclude detailed topics for list view
                 .sort(sortOptions)
                 .skip(skip)
                 .limit(parseInt(limit)),
-            Course.countDocuments(filterQuery)
+            Course.countDocuments(courseQuery)
         ]);
 
         // Calculate pagination info
@@ -218,6 +222,13 @@ export const getOrganizationCourseDetails = async (req, res) => {
             });
         }
 
+        if (!admin.organization.canAccessCourse(course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course is not included in your organization\'s content access'
+            });
+        }
+
         // Check if organization has classes for this course grade
         if (!availableGrades.includes(course.gradeLevel)) {
             return res.status(403).json({
@@ -277,7 +288,7 @@ export const getTeacherCourses = async (req, res) => {
                 path: 'teachingSections',
                 populate: {
                     path: 'class',
-                    select: 'name grade'
+                    select: 'name grade courses'
                 }
             });
 
@@ -295,12 +306,13 @@ export const getTeacherCourses = async (req, res) => {
             });
         }
 
-        // Get grades from teacher's sections
-        const teachingGrades = [...new Set(
+        // Get classes and grades from teacher's sections
+        const teachingClasses = [...new Map(
             teacher.teachingSections
                 .filter(section => section.class)
-                .map(section => section.class.grade)
-        )];
+                .map(section => [section.class._id.toString(), section.class])
+        ).values()];
+        const teachingGrades = [...new Set(teachingClasses.map(cls => cls.grade))];
 
         if (teachingGrades.length === 0) {
             return res.status(200).json({
@@ -347,15 +359,22 @@ export const getTeacherCourses = async (req, res) => {
             ];
         }
 
+        // Courses assigned to any of the teacher's classes (scheduled ones included, so lessons can be prepared)
+        // or their whole grade, limited to what the organization is entitled to
+        const classQueries = teachingClasses.map(cls =>
+            cls.restrictCourseQuery({ gradeLevel: cls.grade }, { includeScheduled: true })
+        );
+        const courseQuery = teacher.organization.restrictCourseQuery({ $and: [filterQuery, { $or: classQueries }] });
+
         // Get courses with pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
         const [courses, totalCount] = await Promise.all([
-            Course.find(filterQuery)
+            Course.find(courseQuery)
                 .select('-topics')
                 .sort({ gradeLevel: 1, subject: 1, chapterNumber: 1 })
                 .skip(skip)
                 .limit(parseInt(limit)),
-            Course.countDocuments(filterQuery)
+            Course.countDocuments(courseQuery)
         ]);
 
         const totalPages = Math.ceil(totalCount / parseInt(limit));
@@ -425,11 +444,12 @@ export const getTeacherCourseDetails = async (req, res) => {
 
     try {
         const teacher = await User.findById(req.user._id)
+            .populate('organization')
             .populate({
                 path: 'teachingSections',
                 populate: {
                     path: 'class',
-                    select: 'name grade'
+                    select: 'name grade courses'
                 }
             });
 
@@ -441,11 +461,12 @@ export const getTeacherCourseDetails = async (req, res) => {
         }
 
         const courseId = req.params.courseId;
-        const teachingGrades = [...new Set(
+        const teachingClasses = [...new Map(
             teacher.teachingSections
                 .filter(section => section.class)
-                .map(section => section.class.grade)
-        )];
+                .map(section => [section.class._id.toString(), section.class])
+        ).values()];
+        const teachingGrades = [...new Set(teachingClasses.map(cls => cls.grade))];
 
         // Find course
         const course = await Course.findById(courseId);
@@ -457,6 +478,13 @@ export const getTeacherCourseDetails = async (req, res) => {
             });
         }
 
+        if (!teacher.organization?.canAccessCourse(course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course is not included in your organization\'s content access'
+            });
+        }
+
         // Check if teacher teaches this grade
         if (!teachingGrades.includes(course.gradeLevel)) {
             return res.status(403).json({
@@ -465,6 +493,17 @@ export const getTeacherCourseDetails = async (req, res) => {
             });
         }
 
+        // Check the course is assigned to at least one of those classes
+        const assignedClasses = teachingClasses.filter(cls =>
+            cls.grade === course.gradeLevel && cls.isCourseAssigned(course._id)
+        );
+        if (assignedClasses.length === 0) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course is not assigned to any of your classes'
+            });
+        }
+
         const processingTime = Date.now() - startTime;
         logger.info(`[COURSE-VIEW] Teacher course details retrieved successfully (${processingTime}ms)`, {
             teacherId: req.user._id,
@@ -487,12 +526,14 @@ export const getTeacherCourseDetails = async (req, res) => {
                 stats: course.stats
             },
             relevantSections: teacher.teachingSections
-                .filter(section => section.class && section.class.grade === course.gradeLevel)
+                .filter(section => section.class && assignedClasses.some(cls => cls._id.equals(section.class._id)))
                 .map(section => ({
                     _id: section._id,
                     name: section.name,
                     fullName: `${section.class.grade}-${section.name}`,
-                    studentCount: section.students.length
+                    studentCount: section.students.length,
+                    startDate: section.class.getCourseAssignment(course._id)?.startDate || null,
+                    hiddenTopics: section.class.getCourseAssignment(course._id)?.hiddenTopics || []
                 }))
         });
 
@@ -522,7 +563,7 @@ export const getStudentCourses = async (req, res) => {
                 path: 'section',
                 populate: {
                     path: 'class',
-                    select: 'name grade'
+                    select: 'name grade courses'
                 }
             });
 
@@ -572,16 +613,18 @@ export const getStudentCourses = async (req, res) => {
             ];
         }
 
+        // Only courses assigned to the class (or its whole grade) that the organization is entitled to
+        const classDoc = student.section.class;
+        const courseQuery = student.organization.restrictCourseQuery(classDoc.restrictCourseQuery(filterQuery));
+
         // Get courses with pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
-        const [courses, totalCount] = await Promise.all([
-            Course.find(filterQuery)
-                .select('-topics') // Students see overview, detailed topics in separate endpoint
-                .sort({ subject: 1, chapterNumber: 1 })
-                .skip(skip)
-                .limit(parseInt(limit)),
-            Course.countDocuments(filterQuery)
-        ]);
+        const { courses, totalCount } = await findClassCoursesPage(classDoc, courseQuery, {
+            sort: { subject: 1, chapterNumber: 1 },
+            skip,
+            limit: parseInt(limit),
+            select: '-topics' // Students see overview, detailed topics in separate endpoint
+        });
 
         const totalPages = Math.ceil(totalCount / parseInt(limit));
 
@@ -655,11 +698,12 @@ export const getStudentCourseDetails = async (req, res) => {
 
     try {
         const student = await User.findById(req.user._id)
+            .populate('organization')
             .populate({
                 path: 'section',
                 populate: {
                     path: 'class',
-                    select: 'name grade'
+                    select: 'name grade courses'
                 }
             });
 
@@ -690,6 +734,13 @@ export const getStudentCourseDetails = async (req, res) => {
             });
         }
 
+        if (!student.organization?.canAccessCourse(course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course is not included in your organization\'s content access'
+            });
+        }
+
         // Check if course is for student's grade
         if (course.gradeLevel !== studentGrade) {
             return res.status(403).json({
@@ -698,6 +749,22 @@ export const getStudentCourseDetails = async (req, res) => {
             });
         }
 
+        const classDoc = student.section.class;
+        if (!classDoc.isCourseAssigned(course._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course is not assigned to your class'
+            });
+        }
+
+        if (!classDoc.isCourseStarted(course._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course has not started for your class yet',
+                startDate: classDoc.getCourseAssignment(course._id).startDate
+            });
+        }
+
         const processingTime = Date.now() - startTime;
         logger.info(`[COURSE-VIEW] Student course details retrieved successfully (${processingTime}ms)`, {
             studentId: req.user._id,
@@ -715,7 +782,7 @@ export const getStudentCourseDetails = async (req, res) => {
                 curriculum: course.curriculum,
                 description: course.description,
                 displayName: course.displayName,
-                topics: course.topics, // Students get full topics and activities
+                topics: classDoc.getVisibleTopics(course), // Students get full topics and activities, minus any hidden for the class
                 totalDuration: course.totalDuration,
                 stats: course.stats
             },
@@ -0,0 +1,367 @@
+// File: controllers/deviceAuth.controller.js
+
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
+import DeviceAuthorization from '../models/deviceAuthorization.model.js';
+import { generateAuthTokens, getDeviceInfo } from '../utils/generateToken.js';
+import { recordLoginAttempt } from '../utils/loginHistory.js';
+import logger from '../utils/logger.js';
+
+// Roles that can sign a shared headset in as themselves
+const DEVICE_LOGIN_ROLES = ['student', 'teacher'];
+
+/**
+ * Build the URLs shown on the device (typed URL and QR code target)
+ * @param {string} userCode - User code for this request
+ * @returns {Object} Verification URI and URI with the code pre-filled
+ */
+const getVerificationUris = (userCode) => {
+    const verificationUri = `${process.env.CLIENT_URL || 'http://localhost:3000'}/device`;
+
+    return {
+        verificationUri,
+        verificationUriComplete: `${verificationUri}?code=${encodeURIComponent(userCode)}`
+    };
+};
+
+/**
+ * Check the logged in user may decide on a device request
+ * @param {Object} user - Logged in user (organization populated)
+ * @param {Object} request - Device authorization request
+ * @returns {string|null} Reason the user can't, or null if allowed
+ */
+const getApprovalError = (user, request) => {
+    if (!DEVICE_LOGIN_ROLES.includes(user.role)) {
+        return 'Only students and teachers can sign in on shared devices';
+    }
+
+    if (!user.organization) {
+        return 'You must belong to an organization to sign in on shared devices';
+    }
+
+    if (request.organization && request.organization.toString() !== user.organization._id.toString()) {
+        return 'This device is registered to a different organization';
+    }
+
+    return null;
+};
+
+// POST /device/code - Device starts a login and gets a user code + QR URL
+export const requestDeviceCode = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[DEVICE-AUTH] Processing device code request');
+
+    try {
+        const { organizationCode } = req.body || {};
+
+        // Headsets provisioned for a school can only be approved by that school's users
+        let organizationId = null;
+        if (organizationCode) {
+            const organization = await Organization.findByCode(organizationCode);
+            if (!organization || !organization.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Organization not found'
+                });
+            }
+            organizationId = organization._id;
+        }
+
+        const { request, deviceCode } = await DeviceAuthorization.createRequest(getDeviceInfo(req), organizationId);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[DEVICE-AUTH] Device code issued (${processingTime}ms)`, {
+            requestId: request._id,
+            organizationId,
+            ipAddress: request.ipAddress
+        });
+
+        return res.status(200).json({
+            success: true,
+            deviceCode,
+            userCode: request.userCode,
+            ...getVerificationUris(request.userCode),
+            expiresIn: Math.round((request.expiresAt - Date.now()) / 1000),
+            interval: request.interval
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[DEVICE-AUTH] Device code request failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error starting device login',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /device/:userCode - Show the pending request on the approving phone/browser
+export const getDeviceRequest = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[DEVICE-AUTH] Looking up device request', { userId: req.user._id });
+
+    try {
+        const request = await DeviceAuthorization.findPendingByUserCode(req.params.userCode);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Code not found or has expired'
+            });
+        }
+
+        const approvalError = getApprovalError(req.user, request);
+        if (approvalError) {
+            return res.status(403).json({
+                success: false,
+                message: approvalError
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[DEVICE-AUTH] Device request retrieved (${processingTime}ms)`, {
+            userId: req.user._id,
+            requestId: request._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            request: {
+                userCode: request.userCode,
+                deviceName: request.deviceName,
+                userAgent: request.userAgent,
+                ipAddress: request.ipAddress,
+                createdAt: request.createdAt,
+                expiresAt: request.expiresAt
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[DEVICE-AUTH] Device request lookup failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving device request',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+/**
+ * Record the logged in user's approve/deny decision on a device request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} approved - Whether the user approved the device
+ * @returns {Promise<Object>} Express response
+ */
+const decideDeviceRequest = async (req, res, approved) => {
+    const startTime = Date.now();
+    const action = approved ? 'approve' : 'deny';
+    logger.info(`[DEVICE-AUTH] Processing device ${action}`, { userId: req.user._id });
+
+    try {
+        const { userCode } = req.body;
+
+        if (!userCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'User code is required'
+            });
+        }
+
+        const request = await DeviceAuthorization.findPendingByUserCode(userCode);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Code not found or has expired'
+            });
+        }
+
+        const approvalError = getApprovalError(req.user, request);
+        if (approvalError) {
+            logger.warn(`[DEVICE-AUTH] Device ${action} rejected`, {
+                userId: req.user._id,
+                requestId: request._id,
+                reason: approvalError
+            });
+            return res.status(403).json({
+                success: false,
+                message: approvalError
+            });
+        }
+
+        // Pin the request to the approver's organization
+        request.organization = req.user.organization._id;
+        await request.decide(req.user._id, approved);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[DEVICE-AUTH] Device request ${approved ? 'approved' : 'denied'} (${processingTime}ms)`, {
+            userId: req.user._id,
+            requestId: request._id,
+            organizationId: request.organization
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: approved
+                ? 'Device approved. It will sign in automatically in a few seconds.'
+                : 'Device sign-in request denied'
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[DEVICE-AUTH] Device ${action} failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: `Server error trying to ${action} device`,
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /device/approve - Sign the device in as the logged in user
+export const approveDeviceRequest = async (req, res) => {
+    return decideDeviceRequest(req, res, true);
+};
+
+// POST /device/deny - Reject a device sign-in request
+export const denyDeviceRequest = async (req, res) => {
+    return decideDeviceRequest(req, res, false);
+};
+
+// POST /device/token - Device polls until the request is approved, then receives tokens
+export const pollDeviceToken = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { deviceCode } = req.body;
+
+        if (!deviceCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Device code is required'
+            });
+        }
+
+        const request = await DeviceAuthorization.findByDeviceCode(deviceCode);
+
+        if (!request || request.status === 'consumed') {
+            return res.status(400).json({
+                success: false,
+                code: 'invalid_grant',
+                message: 'Invalid device code'
+            });
+        }
+
+        if (request.isExpired) {
+            return res.status(400).json({
+                success: false,
+                code: 'expired_token',
+                message: 'Device code has expired. Please start again.'
+            });
+        }
+
+        if (request.status === 'denied') {
+            return res.status(400).json({
+                success: false,
+                code: 'access_denied',
+                message: 'Sign-in was denied'
+            });
+        }
+
+        if (request.status === 'pending') {
+            const now = new Date();
+            const tooFast = request.lastPolledAt && (now - request.lastPolledAt) < request.interval * 1000;
+
+            request.lastPolledAt = now;
+            await request.save();
+
+            return res.status(400).json({
+                success: false,
+                code: tooFast ? 'slow_down' : 'authorization_pending',
+                message: tooFast ? 'Polling too frequently' : 'Waiting for approval',
+                interval: request.interval
+            });
+        }
+
+        // Approved - exchange exactly once
+        const consumed = await request.consume();
+        if (!consumed) {
+            return res.status(400).json({
+                success: false,
+                code: 'invalid_grant',
+                message: 'Invalid device code'
+            });
+        }
+
+        const user = await User.findById(request.user)
+            .populate('organization')
+            .populate('section');
+
+        // Re-check in case the account changed between approval and polling
+        if (!user || !user.isActive || user.isDeleted ||
+            user.organization?._id.toString() !== request.organization?.toString()) {
+            logger.warn('[DEVICE-AUTH] Token exchange rejected: Approving user no longer eligible', {
+                requestId: request._id,
+                userId: request.user
+            });
+            return res.status(400).json({
+                success: false,
+                code: 'access_denied',
+                message: 'Sign-in was denied'
+            });
+        }
+
+        await user.updateLastLogin(request.deviceName || request.userAgent);
+        // Record the device that asked for the code, not the phone that approved it
+        await recordLoginAttempt(req, {
+            user,
+            method: 'device_code',
+            success: true,
+            identifier: user.email,
+            userAgent: request.userAgent,
+            ipAddress: request.ipAddress
+        });
+
+        const { token, refreshToken, expiresIn } = await generateAuthTokens(user, req, {
+            deviceName: request.deviceName
+        });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[DEVICE-AUTH] Device signed in (${processingTime}ms)`, {
+            userId: user._id,
+            requestId: request._id,
+            organizationId: request.organization
+        });
+
+        return res.status(200).json({
+            success: true,
+            token,
+            refreshToken,
+            expiresIn,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                organization: user.organization,
+                section: user.section,
+                isVerified: user.isVerified
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[DEVICE-AUTH] Device token exchange failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during device sign-in',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
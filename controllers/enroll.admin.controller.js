@@ -1,14 +1,16 @@
 // File: controllers/enroll.admin.controller.js
 
 import bcrypt from 'bcryptjs';
-import User from '../models/user.model.js';
+import User, { getTemporaryPasswordExpiry } from '../models/user.model.js';
 import Organization from '../models/organization.model.js';
 import Class from '../models/class.model.js';
 import Section from '../models/section.model.js';
+import { getLicenseDenial, getSeatOverflowDenial } from '../utils/licenseHelper.js';
 import logger from '../utils/logger.js';
-import { generateSimplePassword, generateStrongPassword } from '../utils/generatePassword.js';
+import { generatePasswordForUser } from '../utils/passwordPolicy.js';
 import { sendEmail } from '../utils/emailService.js';
-import { findAvailableSection } from '../utils/sectionHelper.js';
+import { findAvailableSection, generateUniqueRollNumber } from '../utils/sectionHelper.js';
+import { createOrLinkParentAccount } from '../utils/parentHelper.js';
 
 // POST /admin/enroll-student
 export const enrollStudent = async (req, res) => {
@@ -23,7 +25,8 @@ export const enrollStudent = async (req, res) => {
             classId,
             rollNumber,
             parentContact,
-            address
+            address,
+            createParentAccount
         } = req.body;
 
         // Verify admin permissions
@@ -60,13 +63,37 @@ export const enrollStudent = async (req, res) => {
             });
         }
 
-        // Check if email already exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            logger.warn('[ADMIN] Student enrollment failed: Email already exists', { email });
+        // License must be active with a free student seat
+        const licenseDenial = await getLicenseDenial(organization, { role: 'student' });
+        if (licenseDenial) {
+            logger.warn('[ADMIN] Student enrollment blocked by license', {
+                organizationId: organization._id,
+                code: licenseDenial.code
+            });
+            return res.status(403).json(licenseDenial);
+        }
+
+        // Email is optional for students - they can sign in with organization code + roll number
+        if (email) {
+            const existingUser = await User.findOne({ email });
+            if (existingUser) {
+                logger.warn('[ADMIN] Student enrollment failed: Email already exists', { email });
+                return res.status(400).json({
+                    success: false,
+                    message: 'A user with this email already exists'
+                });
+            }
+        }
+
+        // Roll numbers must be unique within the organization
+        if (rollNumber && await User.isRollNumberTaken(organization._id, rollNumber)) {
+            logger.warn('[ADMIN] Student enrollment failed: Roll number already exists', {
+                rollNumber,
+                organizationId: organization._id
+            });
             return res.status(400).json({
                 success: false,
-                message: 'A user with this email already exists'
+                message: 'A student with this roll number already exists in your organization'
             });
         }
 
@@ -102,27 +129,44 @@ export const enrollStudent = async (req, res) => {
             });
         }
 
-        // Generate simple password for student
-        const generatedPassword = generateSimplePassword();
+        // Generate a password the organization's student policy accepts
+        const generatedPassword = await generatePasswordForUser({ role: 'student', organization });
         const hashedPassword = await bcrypt.hash(generatedPassword, 10);
 
+        const studentRollNumber = rollNumber
+            ? rollNumber.toString().trim()
+            : await generateUniqueRollNumber(organization._id, classDoc, availableSection);
+
         // Create student user
         const student = await User.create({
             name,
-            email,
+            email: email || undefined,
             password: hashedPassword,
+            mustChangePassword: true,
+            temporaryPasswordExpiresAt: getTemporaryPasswordExpiry(),
             role: 'student',
             organization: admin.organization._id,
             section: availableSection._id,
             isVerified: true, // Pre-verified since admin enrolled them
             studentDetails: {
-                rollNumber: rollNumber || `${classDoc.grade}${availableSection.name}${Date.now().toString().slice(-4)}`,
+                rollNumber: studentRollNumber,
                 admissionDate: new Date(),
                 parentContact: parentContact || {},
                 address: address || {}
             }
         });
 
+        // Another enrollment may have taken the last seat in the meantime
+        const seatDenial = await getSeatOverflowDenial(organization, 'student');
+        if (seatDenial) {
+            await User.deleteOne({ _id: student._id });
+            logger.warn('[ADMIN] Student enrollment blocked by license', {
+                organizationId: organization._id,
+                code: seatDenial.code
+            });
+            return res.status(403).json(seatDenial);
+        }
+
         // Add student to section
         await availableSection.addStudent(student._id);
 
@@ -133,22 +177,38 @@ export const enrollStudent = async (req, res) => {
         await organization.updateStats();
 
         // Send credentials email to student using existing email service
-        const emailSent = await sendEmail(
-            student.email,
-            'STUDENT_CREDENTIALS',
-            {
-                name: student.name,
-                organization: organization.name,
-                email: student.email,
-                password: generatedPassword,
-                rollNumber: student.studentDetails.rollNumber,
-                className: classDoc.name,
-                sectionName: availableSection.name
+        if (student.email) {
+            const emailSent = await sendEmail(
+                student.email,
+                'STUDENT_CREDENTIALS',
+                {
+                    name: student.name,
+                    organization: organization.name,
+                    email: student.email,
+                    password: generatedPassword,
+                    passwordExpiresAt: student.temporaryPasswordExpiresAt,
+                    rollNumber: student.studentDetails.rollNumber,
+                    className: classDoc.name,
+                    sectionName: availableSection.name
+                },
+                { organization }
+            );
+
+            if (!emailSent) {
+                logger.warn('[ADMIN] Failed to send credentials email', { studentId: student._id });
             }
-        );
+        }
 
-        if (!emailSent) {
-            logger.warn('[ADMIN] Failed to send credentials email', { studentId: student._id });
+        // Optionally give the parent a login (or link this student to their existing one)
+        // The student is already enrolled, so a failure here is reported instead of failing the request
+        let parentAccount = null;
+        if (createParentAccount) {
+            try {
+                parentAccount = await createOrLinkParentAccount(student, organization);
+            } catch (parentError) {
+                logger.error('[ADMIN] Parent account creation failed after enrollment:', parentError);
+                parentAccount = { status: 'failed', parent: null };
+            }
         }
 
         // Calculate processing time
@@ -158,13 +218,25 @@ export const enrollStudent = async (req, res) => {
             adminId: req.user._id,
             organizationId: organization._id,
             classId: classDoc._id,
-            sectionId: availableSection._id
+            sectionId: availableSection._id,
+            parentAccountStatus: parentAccount?.status
         });
 
         // Send successful response
         return res.status(201).json({
             success: true,
-            message: 'Student enrolled successfully! Login credentials have been sent to their email.',
+            message: student.email
+                ? 'Student enrolled successfully! Login credentials have been sent to their email.'
+                : 'Student enrolled successfully! Share these login credentials with the student.',
+            // No email to deliver them to - hand credentials back to the admin once
+            ...(!student.email && {
+                credentials: {
+                    organizationCode: organization.organizationCode,
+                    rollNumber: student.studentDetails.rollNumber,
+                    password: generatedPassword,
+                    expiresAt: student.temporaryPasswordExpiresAt
+                }
+            }),
             student: {
                 _id: student._id,
                 name: student.name,
@@ -184,7 +256,17 @@ export const enrollStudent = async (req, res) => {
                     _id: organization._id,
                     name: organization.name
                 }
-            }
+            },
+            ...(parentAccount && {
+                parentAccount: {
+                    status: parentAccount.status,
+                    _id: parentAccount.parent?._id,
+                    email: parentAccount.parent?.email,
+                    ...(parentAccount.status === 'failed' && {
+                        warning: 'The parent account could not be created. Retry with POST /admin/students/:studentId/parent-account.'
+                    })
+                }
+            })
         });
 
     } catch (error) {
@@ -272,6 +354,16 @@ export const enrollTeacher = async (req, res) => {
             });
         }
 
+        // License must be active with a free teacher seat
+        const licenseDenial = await getLicenseDenial(organization, { role: 'teacher' });
+        if (licenseDenial) {
+            logger.warn('[ADMIN] Teacher enrollment blocked by license', {
+                organizationId: organization._id,
+                code: licenseDenial.code
+            });
+            return res.status(403).json(licenseDenial);
+        }
+
         // Check if email already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -299,8 +391,8 @@ export const enrollTeacher = async (req, res) => {
             }
         }
 
-        // Generate strong password for teacher
-        const generatedPassword = generateStrongPassword();
+        // Generate a password the organization's staff policy accepts
+        const generatedPassword = await generatePasswordForUser({ role: 'teacher', organization });
         const hashedPassword = await bcrypt.hash(generatedPassword, 10);
 
         // Create teacher user
@@ -308,6 +400,8 @@ export const enrollTeacher = async (req, res) => {
             name,
             email,
             password: hashedPassword,
+            mustChangePassword: true,
+            temporaryPasswordExpiresAt: getTemporaryPasswordExpiry(),
             role: 'teacher',
             organization: admin.organization._id,
             isVerified: true, // Pre-verified since admin enrolled them
@@ -321,6 +415,17 @@ export const enrollTeacher = async (req, res) => {
             }
         });
 
+        // Another enrollment may have taken the last seat in the meantime
+        const seatDenial = await getSeatOverflowDenial(organization, 'teacher');
+        if (seatDenial) {
+            await User.deleteOne({ _id: teacher._id });
+            logger.warn('[ADMIN] Teacher enrollment blocked by license', {
+                organizationId: organization._id,
+                code: seatDenial.code
+            });
+            return res.status(403).json(seatDenial);
+        }
+
         // Update organization stats
         await organization.updateStats();
 
@@ -333,9 +438,11 @@ export const enrollTeacher = async (req, res) => {
                 organization: organization.name,
                 email: teacher.email,
                 password: generatedPassword,
+                passwordExpiresAt: teacher.temporaryPasswordExpiresAt,
                 employeeId: teacher.teacherDetails.employeeId,
                 department: department || 'To be assigned'
-            }
+            },
+            { organization }
         );
 
         if (!emailSent) {
@@ -400,4 +507,96 @@ export const enrollTeacher = async (req, res) => {
             error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
         });
     }
-};
\ No newline at end of file
+};
+// POST /admin/students/:studentId/parent-account - Create (or link) a parent login from the student's parentContact email
+export const createParentAccountForStudent = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ADMIN] Creating parent account for student', {
+        adminId: req.user._id,
+        studentId: req.params.studentId
+    });
+
+    try {
+        const organizationId = req.adminInfo?.organizationId || req.user.organization?._id;
+
+        const [student, organization] = await Promise.all([
+            User.findOne({
+                _id: req.params.studentId,
+                organization: organizationId,
+                role: 'student',
+                isDeleted: false
+            }),
+            Organization.findById(organizationId)
+        ]);
+
+        if (!student || !organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found in your organization'
+            });
+        }
+
+        const { status, parent } = await createOrLinkParentAccount(student, organization);
+
+        if (status === 'not_licensed') {
+            return res.status(403).json({
+                success: false,
+                code: 'FEATURE_NOT_LICENSED',
+                message: 'Parent accounts are not included in your organization\'s license',
+                feature: 'parent_accounts'
+            });
+        }
+
+        if (status === 'no_parent_email') {
+            return res.status(400).json({
+                success: false,
+                message: 'Add a parent email to the student\'s parent contact details first'
+            });
+        }
+
+        if (status === 'email_in_use') {
+            return res.status(409).json({
+                success: false,
+                message: 'The parent email is already used by another account'
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ADMIN] Parent account ${status} (${processingTime}ms)`, {
+            adminId: req.user._id,
+            studentId: student._id,
+            parentId: parent._id
+        });
+
+        return res.status(status === 'created' ? 201 : 200).json({
+            success: true,
+            message: status === 'created'
+                ? 'Parent account created! Login credentials have been sent to the parent\'s email.'
+                : 'Student linked to the existing parent account',
+            parentAccount: {
+                status,
+                _id: parent._id,
+                name: parent.name,
+                email: parent.email,
+                children: parent.children
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ADMIN] Parent account creation failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid student ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error creating parent account',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
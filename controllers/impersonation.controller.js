@@ -0,0 +1,254 @@
+// File: controllers/impersonation.controller.js
+
+import User from '../models/user.model.js';
+import Impersonation from '../models/impersonation.model.js';
+import { generateImpersonationToken, getDeviceInfo } from '../utils/generateToken.js';
+import logger from '../utils/logger.js';
+
+// Roles an organization admin may impersonate (superAdmins may impersonate anyone)
+const ADMIN_IMPERSONATABLE_ROLES = ['student', 'teacher'];
+
+// POST /impersonate/:userId - Act as another user to see what they see
+export const startImpersonation = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[IMPERSONATION] Impersonation requested', {
+        actorId: req.user._id,
+        targetUserId: req.params.userId
+    });
+
+    try {
+        const { reason } = req.body || {};
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to impersonate a user'
+            });
+        }
+
+        if (req.params.userId === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot impersonate yourself'
+            });
+        }
+
+        const query = { _id: req.params.userId, isDeleted: false };
+
+        // Organization admins are limited to students and teachers in their own organization
+        if (req.user.role !== 'superAdmin') {
+            query.organization = req.adminInfo?.organizationId || req.user.organization?._id;
+            query.role = { $in: ADMIN_IMPERSONATABLE_ROLES };
+        }
+
+        const target = await User.findOne(query).select('name email role organization section isActive tokenVersion');
+
+        if (!target) {
+            logger.warn('[IMPERSONATION] Impersonation failed: User not found or not allowed', {
+                actorId: req.user._id,
+                targetUserId: req.params.userId
+            });
+            return res.status(404).json({
+                success: false,
+                message: req.user.role === 'superAdmin'
+                    ? 'User not found'
+                    : 'Student or teacher not found in your organization'
+            });
+        }
+
+        if (!target.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot impersonate a deactivated user'
+            });
+        }
+
+        const { userAgent, ipAddress } = getDeviceInfo(req);
+        const impersonation = await Impersonation.start(req.user, target, { reason, ipAddress, userAgent });
+        const token = generateImpersonationToken(target, req.user, impersonation);
+
+        const processingTime = Date.now() - startTime;
+        logger.warn(`[IMPERSONATION] Impersonation started (${processingTime}ms)`, {
+            impersonationId: impersonation._id,
+            actorId: req.user._id,
+            actorRole: req.user.role,
+            targetUserId: target._id,
+            targetRole: target.role,
+            reason: impersonation.reason
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `You are now acting as ${target.name}`,
+            token,
+            expiresAt: impersonation.expiresAt,
+            impersonation: {
+                _id: impersonation._id,
+                actor: {
+                    _id: req.user._id,
+                    name: req.user.name,
+                    role: req.user.role
+                },
+                user: {
+                    _id: target._id,
+                    name: target.name,
+                    email: target.email,
+                    role: target.role,
+                    organization: target.organization,
+                    section: target.section
+                }
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[IMPERSONATION] Impersonation failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid user ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error starting impersonation',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /impersonate/stop - End the impersonation the token was issued for
+export const stopImpersonation = async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        if (!req.impersonation) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not impersonating anyone'
+            });
+        }
+
+        await req.impersonation.end();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[IMPERSONATION] Impersonation ended (${processingTime}ms)`, {
+            impersonationId: req.impersonation._id,
+            actorId: req.impersonator._id,
+            targetUserId: req.user._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `You are no longer acting as ${req.user.name}`
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[IMPERSONATION] Ending impersonation failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error ending impersonation',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /impersonations - Audit trail (superAdmins see everything, admins their organization)
+export const getImpersonations = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[IMPERSONATION] Listing impersonations', { userId: req.user._id });
+
+    try {
+        const { page = 1, limit = 20, actorId, targetUserId, organizationId, includeActions } = req.query;
+
+        const query = {};
+        if (req.user.role === 'superAdmin') {
+            if (organizationId) query.organization = organizationId;
+        } else {
+            query.organization = req.adminInfo?.organizationId || req.user.organization?._id;
+        }
+        if (actorId) query.actor = actorId;
+        if (targetUserId) query.targetUser = targetUserId;
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [impersonations, totalCount] = await Promise.all([
+            Impersonation.find(query)
+                .select(includeActions === 'true' ? '' : '-actions')
+                .populate('actor', 'name email role')
+                .populate('targetUser', 'name email role')
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize),
+            Impersonation.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / pageSize);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[IMPERSONATION] Impersonations retrieved (${processingTime}ms)`, {
+            userId: req.user._id,
+            count: impersonations.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            impersonations: impersonations.map(impersonation => ({
+                _id: impersonation._id,
+                actor: impersonation.actor,
+                actorRole: impersonation.actorRole,
+                targetUser: impersonation.targetUser,
+                targetRole: impersonation.targetRole,
+                organization: impersonation.organization,
+                reason: impersonation.reason,
+                ipAddress: impersonation.ipAddress,
+                userAgent: impersonation.userAgent,
+                startedAt: impersonation.createdAt,
+                expiresAt: impersonation.expiresAt,
+                endedAt: impersonation.endedAt,
+                isActive: impersonation.isActive,
+                actionCount: impersonation.actionCount,
+                ...(includeActions === 'true' && { actions: impersonation.actions })
+            })),
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalCount,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1,
+                limit: pageSize
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[IMPERSONATION] Impersonation listing failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ID in filter'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving impersonations',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
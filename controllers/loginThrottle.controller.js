@@ -0,0 +1,80 @@
+// File: controllers/loginThrottle.controller.js
+
+import LoginThrottle from '../models/loginThrottle.model.js';
+import logger from '../utils/logger.js';
+
+// GET /superadmin/ip-locks - IP addresses currently locked out after failed logins
+export const getLockedIPs = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[IP-LOCK] Listing locked IP addresses', { userId: req.user._id });
+
+    try {
+        const throttles = await LoginThrottle.findLocked().sort({ lockUntil: -1 });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[IP-LOCK] Locked IP addresses retrieved (${processingTime}ms)`, {
+            userId: req.user._id,
+            lockedCount: throttles.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            lockedIPs: throttles.map(throttle => ({
+                ipAddress: throttle.ipAddress,
+                lockUntil: throttle.lockUntil,
+                lockCount: throttle.lockCount,
+                lastFailedAt: throttle.lastFailedAt
+            })),
+            totalLocked: throttles.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[IP-LOCK] Locked IP address listing failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving locked IP addresses',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /superadmin/ip-locks/:ipAddress - Let a locked-out network sign in again
+export const unlockIP = async (req, res) => {
+    const startTime = Date.now();
+    const { ipAddress } = req.params;
+    logger.info('[IP-LOCK] Unlocking IP address', { userId: req.user._id, ipAddress });
+
+    try {
+        const throttle = await LoginThrottle.unlock(ipAddress);
+
+        if (!throttle) {
+            return res.status(404).json({
+                success: false,
+                message: 'This IP address is not locked'
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.warn(`[IP-LOCK] IP address unlocked (${processingTime}ms)`, {
+            userId: req.user._id,
+            ipAddress
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `${ipAddress} can sign in again`
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[IP-LOCK] IP address unlock failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error unlocking IP address',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
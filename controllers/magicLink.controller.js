@@ -0,0 +1,205 @@
+// File: controllers/magicLink.controller.js
+
+import User from '../models/user.model.js';
+import LoginThrottle from '../models/loginThrottle.model.js';
+import { generateAuthTokens, getDeviceInfo } from '../utils/generateToken.js';
+import { generateMagicLinkToken, hashOTP, canRequestNewOTP, getOTPCooldownTime } from '../utils/otp.js';
+import { sendMagicLinkEmail } from '../utils/emailService.js';
+import { recordLoginAttempt } from '../utils/loginHistory.js';
+import logger from '../utils/logger.js';
+
+const GENERIC_REQUEST_MESSAGE = 'If this account can sign in with a link, a sign-in link has been sent to your email.';
+
+// POST /magic-link - Email a single-use sign-in link
+export const requestMagicLink = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[MAGIC-LINK] Processing sign-in link request');
+
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase().trim(), isDeleted: false })
+            .populate('organization');
+
+        // Don't reveal whether the account exists or is eligible
+        if (!user || !user.isActive || !user.canUseMagicLink()) {
+            logger.warn('[MAGIC-LINK] Request ignored: User not found or not eligible', { email });
+            return res.status(200).json({
+                success: true,
+                message: GENERIC_REQUEST_MESSAGE
+            });
+        }
+
+        if (!canRequestNewOTP(user.magicLink?.lastSentAt)) {
+            const cooldownTime = getOTPCooldownTime(user.magicLink.lastSentAt);
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${cooldownTime} seconds before requesting a new sign-in link`,
+                cooldownTime
+            });
+        }
+
+        const token = generateMagicLinkToken();
+        user.setMagicLink(token);
+        await user.save();
+
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+        const loginUrl = `${clientUrl}/magic-link?token=${token}`;
+        const expiryMinutes = Math.round((user.magicLink.expiresAt - user.magicLink.lastSentAt) / 60000);
+
+        const emailSent = await sendMagicLinkEmail(user.email, user.name, loginUrl, expiryMinutes);
+        if (!emailSent) {
+            logger.error('[MAGIC-LINK] Failed to send sign-in link email', { userId: user._id });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[MAGIC-LINK] Sign-in link sent (${processingTime}ms)`, { userId: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: GENERIC_REQUEST_MESSAGE
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[MAGIC-LINK] Sign-in link request failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error sending sign-in link',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /magic-link/verify - Redeem a sign-in link for a normal session
+export const redeemMagicLink = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[MAGIC-LINK] Processing sign-in link redemption');
+
+    try {
+        const { token } = req.body;
+        const ipAddress = req.ip;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sign-in token is required'
+            });
+        }
+
+        const ipLock = await LoginThrottle.getLockStatus(ipAddress);
+        if (ipLock.locked) {
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed login attempts from your network. Please try again after ${ipLock.lockUntil.toLocaleString()}`,
+                lockUntil: ipLock.lockUntil
+            });
+        }
+
+        // Consume atomically so the same link can't be redeemed twice
+        const hashedToken = hashOTP(token.toString());
+        const consumed = await User.findOneAndUpdate(
+            {
+                'magicLink.hashedToken': hashedToken,
+                'magicLink.expiresAt': { $gt: new Date() }
+            },
+            { $set: { 'magicLink.hashedToken': null, 'magicLink.expiresAt': null } }
+        );
+
+        if (!consumed) {
+            await LoginThrottle.registerFailure(ipAddress);
+            logger.warn('[MAGIC-LINK] Redemption failed: Invalid, used or expired link', { ipAddress });
+            return res.status(401).json({
+                success: false,
+                message: 'This sign-in link is invalid or has expired. Please request a new one.'
+            });
+        }
+
+        const user = await User.findById(consumed._id)
+            .populate('organization')
+            .populate('section');
+
+        // Organization may have switched the method off after the link was sent
+        if (!user || !user.isActive || user.isDeleted || !user.canUseMagicLink()) {
+            logger.warn('[MAGIC-LINK] Redemption rejected: User no longer eligible', { userId: consumed._id });
+            await recordLoginAttempt(req, {
+                user: consumed,
+                method: 'magic_link',
+                success: false,
+                failureReason: 'not_eligible',
+                identifier: consumed.email
+            });
+            return res.status(403).json({
+                success: false,
+                message: 'Sign-in links are not available for this account'
+            });
+        }
+
+        if (user.isLocked) {
+            await recordLoginAttempt(req, {
+                user,
+                method: 'magic_link',
+                success: false,
+                failureReason: 'account_locked',
+                identifier: user.email
+            });
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked until ${user.lockUntil.toLocaleString()}`,
+                locked: true,
+                lockUntil: user.lockUntil
+            });
+        }
+
+        // Following the link proves ownership of the mailbox
+        if (!user.isVerified) {
+            user.isVerified = true;
+        }
+
+        user.resetLoginAttempts();
+        await user.updateLastLogin(getDeviceInfo(req).userAgent);
+        await recordLoginAttempt(req, { user, method: 'magic_link', success: true, identifier: user.email });
+
+        const { token: accessToken, refreshToken, expiresIn } = await generateAuthTokens(user, req);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[MAGIC-LINK] User signed in with link (${processingTime}ms)`, {
+            userId: user._id,
+            role: user.role
+        });
+
+        return res.status(200).json({
+            success: true,
+            token: accessToken,
+            refreshToken,
+            expiresIn,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                organization: user.organization,
+                section: user.section,
+                isVerified: user.isVerified
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[MAGIC-LINK] Sign-in link redemption failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during sign-in',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -1,11 +1,24 @@
 // File: controllers/organization.controller.js
 
 import bcrypt from 'bcryptjs';
-import User from '../models/user.model.js';
-import Organization from '../models/organization.model.js';
+import User, { getTemporaryPasswordExpiry } from '../models/user.model.js';
+import Organization, { normalizeSubject, LICENSE_FEATURES, LICENSE_PLANS } from '../models/organization.model.js';
+import LicenseChange from '../models/licenseChange.model.js';
+import OrganizationSettingsVersion from '../models/organizationSettingsVersion.model.js';
+import OrganizationExport from '../models/organizationExport.model.js';
+import { COURSE_SUBJECTS } from '../models/course.model.js';
 import logger from '../utils/logger.js';
-import { generateStrongPassword } from '../utils/generatePassword.js';
+import { generatePasswordForUser } from '../utils/passwordPolicy.js';
 import { sendEmail } from '../utils/emailService.js';
+import { invalidateAllowedOrigins } from '../utils/allowedOrigins.js';
+import {
+    cascadeOrganizationDelete,
+    restoreOrganizationCascade,
+    getOrganizationPurgeCounts,
+    purgeOrganization,
+    getPurgeableAt,
+    getPurgeRetentionDays
+} from '../utils/organizationDeletionHelper.js';
 
 // POST /organizations - Create new organization (SuperAdmin only)
 export const createOrganization = async (req, res) => {
@@ -25,7 +38,11 @@ export const createOrganization = async (req, res) => {
             contentAccess,
             apiAccess,
             studentEnrollment,
-            maxStudentsPerSection
+            security,
+            maxStudentsPerSection,
+            allowSelfRegistration,
+            requireEmailVerification,
+            license
         } = req.body;
 
         // Verify user is SuperAdmin
@@ -60,7 +77,7 @@ export const createOrganization = async (req, res) => {
         }
 
         // Create organization
-        const organization = await Organization.create({
+        const organization = new Organization({
             name,
             brandName,
             organizationCode: organizationCode || undefined, // Let pre-save middleware generate if not provided
@@ -86,9 +103,23 @@ export const createOrganization = async (req, res) => {
                 autoGenerateCredentials: studentEnrollment?.autoGenerateCredentials ?? true,
                 passwordPolicy: studentEnrollment?.passwordPolicy || 'medium',
                 sendWelcomeEmail: studentEnrollment?.sendWelcomeEmail ?? true,
-                requireEmailVerification: studentEnrollment?.requireEmailVerification ?? false
+                requireEmailVerification: studentEnrollment?.requireEmailVerification ?? false,
+                autoApproveSelfRegistration: studentEnrollment?.autoApproveSelfRegistration ?? false
+            },
+            security: {
+                requireTwoFactorForAdmins: security?.requireTwoFactorForAdmins ?? false,
+                allowMagicLinkLogin: security?.allowMagicLinkLogin ?? false,
+                staffPasswordPolicy: security?.staffPasswordPolicy || 'medium',
+                passwordHistoryCount: security?.passwordHistoryCount ?? 0,
+                maxPasswordAgeDays: {
+                    student: security?.maxPasswordAgeDays?.student ?? 0,
+                    teacher: security?.maxPasswordAgeDays?.teacher ?? 0,
+                    admin: security?.maxPasswordAgeDays?.admin ?? 0
+                }
             },
             maxStudentsPerSection: maxStudentsPerSection || 30,
+            allowSelfRegistration: allowSelfRegistration ?? false,
+            requireEmailVerification: requireEmailVerification ?? true,
             createdBy: req.user._id,
             admins: [], // Will be empty initially
             stats: {
@@ -99,6 +130,25 @@ export const createOrganization = async (req, res) => {
             }
         });
 
+        // Without a license in the body the organization gets the unrestricted default
+        if (license) {
+            const licenseErrors = applyLicenseInput(organization, license);
+            if (licenseErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid license',
+                    errors: licenseErrors
+                });
+            }
+        }
+
+        await organization.save();
+        invalidateAllowedOrigins();
+        await LicenseChange.record(organization, 'created', {
+            note: license?.note,
+            changedBy: req.user._id
+        });
+
         // Calculate processing time
         const processingTime = Date.now() - startTime;
         logger.info(`[ORG] Organization created successfully (${processingTime}ms)`, {
@@ -123,7 +173,12 @@ export const createOrganization = async (req, res) => {
                 contentAccess: organization.contentAccess,
                 apiAccess: organization.apiAccess,
                 studentEnrollment: organization.studentEnrollment,
+                security: organization.security,
+                sso: organization.getSsoSummary(),
+                license: organization.getLicenseSummary(),
                 maxStudentsPerSection: organization.maxStudentsPerSection,
+                allowSelfRegistration: organization.allowSelfRegistration,
+                requireEmailVerification: organization.requireEmailVerification,
                 admins: organization.admins,
                 stats: organization.stats,
                 isActive: organization.isActive,
@@ -192,11 +247,13 @@ export const getAllOrganizations = async (req, res) => {
             sortOrder = 'desc',
             search,
             isActive,
-            brandName
+            brandName,
+            groupId,
+            deleted
         } = req.query;
 
-        // Build filter query
-        const filterQuery = { isDeleted: false };
+        // Build filter query (deleted=true lists deleted organizations that can be restored or purged)
+        const filterQuery = { isDeleted: deleted === 'true' };
 
         if (search) {
             filterQuery.$or = [
@@ -214,6 +271,11 @@ export const getAllOrganizations = async (req, res) => {
             filterQuery.brandName = { $regex: brandName, $options: 'i' };
         }
 
+        // Branches of one group
+        if (groupId) {
+            filterQuery.parentOrganization = groupId;
+        }
+
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
         const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
@@ -223,6 +285,7 @@ export const getAllOrganizations = async (req, res) => {
             Organization.find(filterQuery)
                 .populate('createdBy', 'name email')
                 .populate('admins.user', 'name email')
+                .populate('parentOrganization', 'name brandName')
                 .sort(sortOptions)
                 .skip(skip)
                 .limit(parseInt(limit)),
@@ -249,11 +312,13 @@ export const getAllOrganizations = async (req, res) => {
                 name: org.name,
                 brandName: org.brandName,
                 organizationCode: org.organizationCode,
+                parentOrganization: org.parentOrganization,
                 emails: org.emails,
                 phones: org.phones,
                 websites: org.websites,
                 address: org.address,
                 isActive: org.isActive,
+                deletedAt: org.deletedAt,
                 stats: org.stats,
                 adminCount: org.admins.length,
                 admins: org.admins.map(admin => ({
@@ -349,7 +414,12 @@ export const getOrganizationById = async (req, res) => {
                 contentAccess: organization.contentAccess,
                 apiAccess: organization.apiAccess,
                 studentEnrollment: organization.studentEnrollment,
+                security: organization.security,
+                sso: organization.getSsoSummary(),
+                license: organization.getLicenseSummary(),
                 maxStudentsPerSection: organization.maxStudentsPerSection,
+                allowSelfRegistration: organization.allowSelfRegistration,
+                requireEmailVerification: organization.requireEmailVerification,
                 isActive: organization.isActive,
                 stats: organization.stats,
                 admins: organization.admins.map(admin => ({
@@ -423,7 +493,11 @@ export const updateOrganization = async (req, res) => {
             contentAccess,
             apiAccess,
             studentEnrollment,
+            security,
+            sso,
             maxStudentsPerSection,
+            allowSelfRegistration,
+            requireEmailVerification,
             isActive
         } = req.body;
 
@@ -438,6 +512,8 @@ export const updateOrganization = async (req, res) => {
             }
         }
 
+        const previousSettings = organization.getSettingsSnapshot();
+
         // Update organization fields
         if (name) organization.name = name;
         if (brandName) organization.brandName = brandName;
@@ -448,21 +524,32 @@ export const updateOrganization = async (req, res) => {
         if (contentAccess) organization.contentAccess = { ...organization.contentAccess, ...contentAccess };
         if (apiAccess) organization.apiAccess = { ...organization.apiAccess, ...apiAccess };
         if (studentEnrollment) organization.studentEnrollment = { ...organization.studentEnrollment, ...studentEnrollment };
+        if (security) organization.security = { ...organization.security, ...security };
+        if (sso) organization.setSsoConfig(sso);
         if (maxStudentsPerSection !== undefined) organization.maxStudentsPerSection = maxStudentsPerSection;
+        if (allowSelfRegistration !== undefined) organization.allowSelfRegistration = allowSelfRegistration;
+        if (requireEmailVerification !== undefined) organization.requireEmailVerification = requireEmailVerification;
         if (isActive !== undefined) organization.isActive = isActive;
 
         // Save updated organization
         await organization.save();
+        invalidateAllowedOrigins();
+        const settingsVersion = await OrganizationSettingsVersion.record(organization, previousSettings, {
+            changedBy: req.user._id,
+            source: 'superadmin_update'
+        });
 
         const processingTime = Date.now() - startTime;
         logger.info(`[ORG] Organization updated successfully (${processingTime}ms)`, {
             organizationId,
-            superAdminId: req.user._id
+            superAdminId: req.user._id,
+            settingsVersion: settingsVersion?.version
         });
 
         return res.status(200).json({
             success: true,
             message: 'Organization updated successfully',
+            settingsVersion: settingsVersion?.version || null,
             organization: {
                 _id: organization._id,
                 name: organization.name,
@@ -475,7 +562,11 @@ export const updateOrganization = async (req, res) => {
                 contentAccess: organization.contentAccess,
                 apiAccess: organization.apiAccess,
                 studentEnrollment: organization.studentEnrollment,
+                security: organization.security,
+                sso: organization.getSsoSummary(),
                 maxStudentsPerSection: organization.maxStudentsPerSection,
+                allowSelfRegistration: organization.allowSelfRegistration,
+                requireEmailVerification: organization.requireEmailVerification,
                 isActive: organization.isActive,
                 stats: organization.stats,
                 updatedAt: organization.updatedAt
@@ -504,77 +595,948 @@ export const updateOrganization = async (req, res) => {
     }
 };
 
-// DELETE /organizations/:id - Delete organization (SuperAdmin only)
-export const deleteOrganization = async (req, res) => {
+// PUT /organizations/:id/parent - Make an organization a branch of a group, or standalone again (SuperAdmin only)
+export const setParentOrganization = async (req, res) => {
     const startTime = Date.now();
-    logger.info('[ORG] Starting organization deletion process', {
+    logger.info('[ORG] Setting parent organization', {
         superAdminId: req.user._id,
-        organizationId: req.params.id
+        organizationId: req.params.id,
+        parentOrganizationId: req.body.parentOrganizationId
     });
 
     try {
-        const organizationId = req.params.id;
+        const { parentOrganizationId } = req.body;
 
-        // Verify user is SuperAdmin
-        if (req.user.role !== 'superAdmin') {
-            logger.warn('[ORG] Unauthorized organization deletion attempt', { userId: req.user._id, role: req.user.role });
-            return res.status(403).json({
+        if (parentOrganizationId === undefined) {
+            return res.status(400).json({
                 success: false,
-                message: 'Only SuperAdmins can delete organizations'
+                message: 'parentOrganizationId is required (null makes the organization standalone)'
             });
         }
 
-        // Find organization
-        const organization = await Organization.findById(organizationId);
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: false });
         if (!organization) {
-            logger.warn('[ORG] Organization deletion failed: Organization not found', { organizationId });
             return res.status(404).json({
                 success: false,
                 message: 'Organization not found'
             });
         }
 
-        // Check if organization has users (prevent deletion if has users)
-        const userCount = await User.countDocuments({
-            organization: organizationId,
-            isDeleted: false
+        let group = null;
+        if (parentOrganizationId) {
+            if (parentOrganizationId.toString() === organization._id.toString()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An organization cannot be its own group'
+                });
+            }
+
+            group = await Organization.findOne({ _id: parentOrganizationId, isDeleted: false });
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Group organization not found'
+                });
+            }
+
+            // Groups are one level deep
+            if (group.parentOrganization) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${group.name} is itself a branch and cannot have branches`
+                });
+            }
+
+            if (await Organization.exists({ parentOrganization: organization._id, isDeleted: false })) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${organization.name} has branches of its own and cannot become a branch`
+                });
+            }
+        }
+
+        const previousGroupId = organization.parentOrganization;
+        const previousSettings = organization.getSettingsSnapshot();
+        organization.parentOrganization = group?._id || null;
+
+        // A new branch takes on the settings its group shares
+        if (group) organization.applySharedSettings(group);
+
+        await organization.save();
+        await OrganizationSettingsVersion.record(organization, previousSettings, {
+            changedBy: req.user._id,
+            source: 'group_membership'
         });
 
-        if (userCount > 0) {
-            logger.warn('[ORG] Organization deletion failed: Has active users', {
-                organizationId,
-                userCount
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] Parent organization set (${processingTime}ms)`, {
+            superAdminId: req.user._id,
+            organizationId: organization._id,
+            previousGroupId,
+            groupId: group?._id || null
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: group
+                ? `${organization.name} is now a branch of ${group.name}`
+                : `${organization.name} is now a standalone organization`,
+            organization: {
+                _id: organization._id,
+                name: organization.name,
+                parentOrganization: group ? {
+                    _id: group._id,
+                    name: group.name,
+                    brandName: group.brandName
+                } : null,
+                inheritedSettings: group?.sharedSettings || []
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] Setting parent organization failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error setting parent organization',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// Grades an organization can be entitled to
+const CONTENT_GRADES = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'];
+
+/**
+ * Shape an organization's entitlements for responses
+ * @param {Object} organization - Organization document
+ * @returns {Object} Stored entitlements plus the subjects and grades that can be granted
+ */
+const formatContentAccess = (organization) => ({
+    allowedSubjects: organization.contentAccess?.allowedSubjects || [],
+    allowedGrades: organization.contentAccess?.allowedGrades || [],
+    availableSubjects: COURSE_SUBJECTS,
+    availableGrades: CONTENT_GRADES
+});
+
+// GET /organizations/:id/content-access - Subjects and grades an organization is entitled to (SuperAdmin only)
+export const getContentAccess = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ORG] Retrieving organization content access', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id
+    });
+
+    try {
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: false })
+            .select('name brandName contentAccess');
+
+        if (!organization) {
+            logger.warn('[ORG] Content access retrieval failed: Organization not found', { organizationId: req.params.id });
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] Content access retrieved successfully (${processingTime}ms)`, {
+            organizationId: organization._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            organization: {
+                _id: organization._id,
+                name: organization.name,
+                brandName: organization.brandName
+            },
+            contentAccess: formatContentAccess(organization)
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] Content access retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving content access',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// PUT /organizations/:id/content-access - Replace an organization's subject and grade entitlements (SuperAdmin only)
+export const updateContentAccess = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ORG] Starting content access update', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id
+    });
+
+    try {
+        const { allowedSubjects, allowedGrades } = req.body;
+
+        if (allowedSubjects === undefined && allowedGrades === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'allowedSubjects or allowedGrades is required'
+            });
+        }
+
+        if ((allowedSubjects !== undefined && !Array.isArray(allowedSubjects)) ||
+            (allowedGrades !== undefined && !Array.isArray(allowedGrades))) {
+            return res.status(400).json({
+                success: false,
+                message: 'allowedSubjects and allowedGrades must be arrays'
             });
+        }
+
+        // Accept either subject spelling, store the Course one
+        const subjects = allowedSubjects && [...new Set(allowedSubjects.map(normalizeSubject))];
+        const invalidSubjects = (subjects || []).filter(subject => subject !== 'all' && !COURSE_SUBJECTS.includes(subject));
+
+        const grades = allowedGrades && [...new Set(allowedGrades.map(grade => String(grade).trim()))];
+        const invalidGrades = (grades || []).filter(grade => grade !== 'all' && !CONTENT_GRADES.includes(grade));
+
+        if (invalidSubjects.length > 0 || invalidGrades.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: `Cannot delete organization with ${userCount} active users. Please remove all users first.`,
-                userCount
+                message: 'Invalid subjects or grades',
+                invalidSubjects,
+                invalidGrades,
+                availableSubjects: COURSE_SUBJECTS,
+                availableGrades: CONTENT_GRADES
             });
         }
 
-        // Soft delete organization
-        organization.isDeleted = true;
-        organization.isActive = false;
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: false });
+        if (!organization) {
+            logger.warn('[ORG] Content access update failed: Organization not found', { organizationId: req.params.id });
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const previous = {
+            allowedSubjects: [...(organization.contentAccess?.allowedSubjects || [])],
+            allowedGrades: [...(organization.contentAccess?.allowedGrades || [])]
+        };
+        const previousSettings = organization.getSettingsSnapshot();
+
+        if (subjects) organization.set('contentAccess.allowedSubjects', subjects);
+        if (grades) organization.set('contentAccess.allowedGrades', grades);
+
         await organization.save();
+        await OrganizationSettingsVersion.record(organization, previousSettings, {
+            changedBy: req.user._id,
+            source: 'content_access'
+        });
 
         const processingTime = Date.now() - startTime;
-        logger.info(`[ORG] Organization deleted successfully (${processingTime}ms)`, {
-            organizationId,
-            superAdminId: req.user._id
+        logger.info(`[ORG] Content access updated successfully (${processingTime}ms)`, {
+            organizationId: organization._id,
+            superAdminId: req.user._id,
+            previous,
+            allowedSubjects: organization.contentAccess.allowedSubjects,
+            allowedGrades: organization.contentAccess.allowedGrades
         });
 
         return res.status(200).json({
             success: true,
-            message: 'Organization deleted successfully'
+            message: 'Content access updated successfully',
+            contentAccess: formatContentAccess(organization)
         });
 
     } catch (error) {
         const processingTime = Date.now() - startTime;
-        logger.error(`[ORG] Organization deletion failed (${processingTime}ms):`, error);
+        logger.error(`[ORG] Content access update failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
 
         return res.status(500).json({
             success: false,
-            message: 'Server error deleting organization',
+            message: 'Server error updating content access',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+/**
+ * Validate license fields from a request body and set them on the organization
+ * A new plan brings its seats and features unless they are given explicitly
+ * @param {Object} organization - Organization document
+ * @param {Object} input - plan, maxStudents, maxTeachers, features, startsAt, endsAt, graceDays
+ * @returns {string[]} Validation errors (nothing is set when there are any)
+ */
+const applyLicenseInput = (organization, input) => {
+    const errors = [];
+    const changes = {};
+
+    if (input.plan !== undefined) {
+        if (!LICENSE_PLANS[input.plan]) {
+            errors.push(`Plan must be one of: ${Object.keys(LICENSE_PLANS).join(', ')}`);
+        } else {
+            const planDefaults = LICENSE_PLANS[input.plan];
+            changes.plan = input.plan;
+            changes.maxStudents = planDefaults.maxStudents;
+            changes.maxTeachers = planDefaults.maxTeachers;
+            changes.features = [...planDefaults.features];
+        }
+    }
+
+    for (const field of ['maxStudents', 'maxTeachers']) {
+        if (input[field] === undefined) continue;
+
+        if (input[field] === null) {
+            changes[field] = null;
+        } else if (!Number.isInteger(input[field]) || input[field] < 0) {
+            errors.push(`${field} must be a non-negative whole number or null for unlimited`);
+        } else {
+            changes[field] = input[field];
+        }
+    }
+
+    if (input.features !== undefined) {
+        const invalidFeatures = Array.isArray(input.features)
+            ? input.features.filter(feature => !LICENSE_FEATURES.includes(feature))
+            : [];
+
+        if (!Array.isArray(input.features) || invalidFeatures.length > 0) {
+            errors.push(`Features must be an array of: ${LICENSE_FEATURES.join(', ')}`);
+        } else {
+            changes.features = [...new Set(input.features)];
+        }
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+        if (input[field] === undefined) continue;
+
+        if (input[field] === null && field === 'endsAt') {
+            changes.endsAt = null;
+            continue;
+        }
+
+        const date = new Date(input[field]);
+        if (input[field] === null || isNaN(date.getTime())) {
+            errors.push(`${field} must be a valid date`);
+        } else {
+            changes[field] = date;
+        }
+    }
+
+    if (input.graceDays !== undefined) {
+        if (!Number.isInteger(input.graceDays) || input.graceDays < 0 || input.graceDays > 90) {
+            errors.push('graceDays must be a whole number between 0 and 90');
+        } else {
+            changes.graceDays = input.graceDays;
+        }
+    }
+
+    const startsAt = changes.startsAt || organization.license?.startsAt;
+    const endsAt = changes.endsAt === undefined ? organization.license?.endsAt : changes.endsAt;
+    if (startsAt && endsAt && endsAt <= startsAt) {
+        errors.push('License end date must be after its start date');
+    }
+
+    if (errors.length === 0) {
+        for (const [field, value] of Object.entries(changes)) {
+            organization.set(`license.${field}`, value);
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Count the seats an organization is using
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} students and teachers in use
+ */
+const getLicenseUsage = async (organization) => {
+    const [students, teachers] = await Promise.all([
+        User.countDocuments({ organization: organization._id, role: 'student', isDeleted: false }),
+        User.countDocuments({ organization: organization._id, role: 'teacher', isDeleted: false })
+    ]);
+
+    return { students, teachers };
+};
+
+// GET /organizations/:id/license - License, seat usage and license history (SuperAdmin only)
+export const getLicense = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ORG] Retrieving organization license', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id
+    });
+
+    try {
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: false })
+            .select('name brandName license');
+
+        if (!organization) {
+            logger.warn('[ORG] License retrieval failed: Organization not found', { organizationId: req.params.id });
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const [usage, history] = await Promise.all([
+            getLicenseUsage(organization),
+            LicenseChange.findForOrganization(organization._id)
+        ]);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] License retrieved successfully (${processingTime}ms)`, {
+            organizationId: organization._id,
+            status: organization.getLicenseStatus()
+        });
+
+        return res.status(200).json({
+            success: true,
+            organization: {
+                _id: organization._id,
+                name: organization.name,
+                brandName: organization.brandName
+            },
+            license: organization.getLicenseSummary(),
+            usage,
+            history,
+            availablePlans: LICENSE_PLANS,
+            availableFeatures: LICENSE_FEATURES
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] License retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving license',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// PUT /organizations/:id/license - Change an organization's plan, seats, features or dates (SuperAdmin only)
+export const updateLicense = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ORG] Starting license update', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id
+    });
+
+    try {
+        const { note, ...input } = req.body;
+
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: false });
+        if (!organization) {
+            logger.warn('[ORG] License update failed: Organization not found', { organizationId: req.params.id });
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const previous = organization.getLicenseSummary();
+        const errors = applyLicenseInput(organization, input);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid license',
+                errors
+            });
+        }
+
+        if (!organization.isModified('license')) {
+            return res.status(400).json({
+                success: false,
+                message: 'No license changes provided'
+            });
+        }
+
+        await organization.save();
+        await LicenseChange.record(organization, 'modified', {
+            previous,
+            note,
+            changedBy: req.user._id
+        });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] License updated successfully (${processingTime}ms)`, {
+            organizationId: organization._id,
+            superAdminId: req.user._id,
+            previousPlan: previous.plan,
+            plan: organization.license.plan,
+            status: organization.getLicenseStatus()
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'License updated successfully',
+            license: organization.getLicenseSummary(),
+            previous
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] License update failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error updating license',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /organizations/:id/license/renew - Extend an organization's license (SuperAdmin only)
+export const renewLicense = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ORG] Starting license renewal', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id
+    });
+
+    try {
+        const { months, endsAt, plan, note } = req.body;
+
+        if ((months === undefined) === (endsAt === undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide either months or endsAt'
+            });
+        }
+
+        if (months !== undefined && (!Number.isInteger(months) || months < 1 || months > 60)) {
+            return res.status(400).json({
+                success: false,
+                message: 'months must be a whole number between 1 and 60'
+            });
+        }
+
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: false });
+        if (!organization) {
+            logger.warn('[ORG] License renewal failed: Organization not found', { organizationId: req.params.id });
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        if (months !== undefined && !organization.license?.endsAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'This license does not expire, so it cannot be extended by months'
+            });
+        }
+
+        const previous = organization.getLicenseSummary();
+
+        // Renewing early extends from the current end date, renewing late extends from today
+        let newEndsAt = endsAt;
+        if (months !== undefined) {
+            const now = new Date();
+            newEndsAt = new Date(Math.max(organization.license.endsAt.getTime(), now.getTime()));
+            newEndsAt.setMonth(newEndsAt.getMonth() + months);
+        }
+
+        // A lapsed license starts again today
+        const input = { endsAt: newEndsAt, plan };
+        if (['expired', 'grace'].includes(previous.status)) {
+            input.startsAt = new Date();
+        }
+
+        const errors = applyLicenseInput(organization, input);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid license renewal',
+                errors
+            });
+        }
+
+        if (organization.license.endsAt && organization.license.endsAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A renewed license must end in the future'
+            });
+        }
+
+        await organization.save();
+        await LicenseChange.record(organization, 'renewed', {
+            previous,
+            note,
+            changedBy: req.user._id
+        });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] License renewed successfully (${processingTime}ms)`, {
+            organizationId: organization._id,
+            superAdminId: req.user._id,
+            previousEndsAt: previous.endsAt,
+            endsAt: organization.license.endsAt
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'License renewed successfully',
+            license: organization.getLicenseSummary(),
+            previous
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] License renewal failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error renewing license',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /organizations/:id - Delete organization with its users, classes, sections and API keys (SuperAdmin only)
+export const deleteOrganization = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ORG] Starting organization deletion process', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id
+    });
+
+    try {
+        const organizationId = req.params.id;
+
+        // Verify user is SuperAdmin
+        if (req.user.role !== 'superAdmin') {
+            logger.warn('[ORG] Unauthorized organization deletion attempt', { userId: req.user._id, role: req.user.role });
+            return res.status(403).json({
+                success: false,
+                message: 'Only SuperAdmins can delete organizations'
+            });
+        }
+
+        // Find organization
+        const organization = await Organization.findOne({ _id: organizationId, isDeleted: false });
+        if (!organization) {
+            logger.warn('[ORG] Organization deletion failed: Organization not found', { organizationId });
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        // Branches would be left pointing at a deleted group
+        const branchCount = await Organization.countDocuments({ parentOrganization: organization._id, isDeleted: false });
+        if (branchCount > 0) {
+            logger.warn('[ORG] Organization deletion failed: Group has branches', {
+                organizationId,
+                branchCount
+            });
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete a group with ${branchCount} branches. Delete or detach its branches first.`,
+                branchCount
+            });
+        }
+
+        const deleted = await cascadeOrganizationDelete(organization, req.user._id);
+        invalidateAllowedOrigins();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] Organization deleted successfully (${processingTime}ms)`, {
+            organizationId,
+            superAdminId: req.user._id,
+            deleted
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Organization deleted successfully',
+            deleted,
+            deletedAt: organization.deletedAt,
+            purgeableAt: getPurgeableAt(organization)
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] Organization deletion failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error deleting organization',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /organizations/:id/restore - Restore a deleted organization and what its deletion removed (SuperAdmin only)
+export const restoreOrganization = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[ORG] Starting organization restore', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id
+    });
+
+    try {
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: true });
+        if (!organization) {
+            logger.warn('[ORG] Organization restore failed: Deleted organization not found', { organizationId: req.params.id });
+            return res.status(404).json({
+                success: false,
+                message: 'Deleted organization not found'
+            });
+        }
+
+        // A branch whose group was deleted meanwhile comes back standalone
+        let detachedFromGroup = false;
+        if (organization.parentOrganization) {
+            const groupExists = await Organization.exists({ _id: organization.parentOrganization, isDeleted: false });
+            if (!groupExists) {
+                organization.parentOrganization = null;
+                await organization.save();
+                detachedFromGroup = true;
+            }
+        }
+
+        const restored = await restoreOrganizationCascade(organization);
+        invalidateAllowedOrigins();
+
+        const refreshed = await Organization.findById(organization._id);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] Organization restored successfully (${processingTime}ms)`, {
+            organizationId: organization._id,
+            superAdminId: req.user._id,
+            restored,
+            detachedFromGroup
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Organization restored successfully',
+            restored,
+            detachedFromGroup,
+            organization: {
+                _id: refreshed._id,
+                name: refreshed.name,
+                brandName: refreshed.brandName,
+                isActive: refreshed.isActive,
+                stats: refreshed.stats
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] Organization restore failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error restoring organization',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /organizations/:id/purge - Permanently remove a deleted organization after the retention period (SuperAdmin only)
+// ?dryRun=true only reports what would be removed
+export const purgeDeletedOrganization = async (req, res) => {
+    const startTime = Date.now();
+    const dryRun = req.query.dryRun === 'true';
+    logger.info('[ORG] Starting organization purge', {
+        superAdminId: req.user._id,
+        organizationId: req.params.id,
+        dryRun
+    });
+
+    try {
+        const organization = await Organization.findOne({ _id: req.params.id, isDeleted: true });
+        if (!organization) {
+            logger.warn('[ORG] Organization purge failed: Deleted organization not found', { organizationId: req.params.id });
+            return res.status(404).json({
+                success: false,
+                message: 'Only deleted organizations can be purged'
+            });
+        }
+
+        const purgeableAt = getPurgeableAt(organization);
+        const retentionElapsed = purgeableAt <= new Date();
+
+        if (dryRun) {
+            const counts = await getOrganizationPurgeCounts(organization);
+
+            const processingTime = Date.now() - startTime;
+            logger.info(`[ORG] Organization purge preview generated (${processingTime}ms)`, {
+                organizationId: organization._id,
+                counts
+            });
+
+            return res.status(200).json({
+                success: true,
+                dryRun: true,
+                organization: {
+                    _id: organization._id,
+                    name: organization.name,
+                    deletedAt: organization.deletedAt
+                },
+                counts,
+                retentionDays: getPurgeRetentionDays(),
+                purgeableAt,
+                canPurge: retentionElapsed
+            });
+        }
+
+        if (!retentionElapsed) {
+            logger.warn('[ORG] Organization purge blocked: Retention period not over', {
+                organizationId: organization._id,
+                purgeableAt
+            });
+            return res.status(400).json({
+                success: false,
+                message: `Deleted organizations are kept for ${getPurgeRetentionDays()} days before they can be purged`,
+                purgeableAt
+            });
+        }
+
+        // An export still being built would write its archive after the purge
+        if (await OrganizationExport.findInProgress(organization._id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'An export of this organization is still being generated. Try again once it has finished.'
+            });
+        }
+
+        // Branches still pointing at a purged group become standalone
+        await Organization.updateMany(
+            { parentOrganization: organization._id },
+            { $set: { parentOrganization: null } }
+        );
+
+        const purged = await purgeOrganization(organization);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[ORG] Organization purged successfully (${processingTime}ms)`, {
+            organizationId: organization._id,
+            name: organization.name,
+            superAdminId: req.user._id,
+            purged
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Organization permanently deleted',
+            purged
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[ORG] Organization purge failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error purging organization',
             error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
         });
     }
@@ -621,8 +1583,8 @@ export const addAdminToOrganization = async (req, res) => {
             });
         }
 
-        // Generate strong password for admin
-        const generatedPassword = generateStrongPassword();
+        // Generate a password the organization's staff policy accepts
+        const generatedPassword = await generatePasswordForUser({ role: 'admin', organization });
         const hashedPassword = await bcrypt.hash(generatedPassword, 10);
 
         // Create admin user
@@ -630,6 +1592,8 @@ export const addAdminToOrganization = async (req, res) => {
             name,
             email,
             password: hashedPassword,
+            mustChangePassword: true,
+            temporaryPasswordExpiresAt: getTemporaryPasswordExpiry(),
             role: 'admin',
             organization: organizationId,
             isVerified: true, // Pre-verified since SuperAdmin created them
@@ -651,6 +1615,7 @@ export const addAdminToOrganization = async (req, res) => {
                 organization: organization.name,
                 email: admin.email,
                 password: generatedPassword,
+                passwordExpiresAt: admin.temporaryPasswordExpiresAt,
                 adminRole: 'admin'
             }
         );
@@ -0,0 +1,277 @@
+// File: controllers/organizationExport.controller.js
+
+import fs from 'fs';
+import Organization from '../models/organization.model.js';
+import OrganizationExport from '../models/organizationExport.model.js';
+import { scheduleOrganizationExport } from '../utils/organizationExportHelper.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Organization the export routes act on
+ * SuperAdmins name it in the URL, admins export their own organization
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Organization ID
+ */
+const getExportOrganizationId = (req) => {
+    if (req.user.role === 'superAdmin') {
+        return req.params.id;
+    }
+
+    return req.adminInfo?.organizationId || req.user.organization?._id;
+};
+
+// POST /organizations/:id/exports (SuperAdmin) and POST /admin/exports (admin) - Start building an export archive
+export const requestOrganizationExport = async (req, res) => {
+    const startTime = Date.now();
+    const organizationId = getExportOrganizationId(req);
+    logger.info('[EXPORT] Export requested', { userId: req.user._id, organizationId });
+
+    try {
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization ID is required'
+            });
+        }
+
+        // Deleted organizations can still be exported by superAdmins before they are purged
+        const organization = await Organization.findOne({
+            _id: organizationId,
+            ...(req.user.role !== 'superAdmin' && { isDeleted: false })
+        }).select('name');
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const inProgress = await OrganizationExport.findInProgress(organization._id);
+        if (inProgress) {
+            return res.status(409).json({
+                success: false,
+                message: 'An export is already being generated for this organization',
+                export: inProgress.getSummary()
+            });
+        }
+
+        const exportJob = await OrganizationExport.create({
+            organization: organization._id,
+            requestedBy: req.user._id
+        });
+
+        scheduleOrganizationExport(exportJob);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[EXPORT] Export queued (${processingTime}ms)`, {
+            exportId: exportJob._id,
+            organizationId: organization._id,
+            userId: req.user._id
+        });
+
+        return res.status(202).json({
+            success: true,
+            message: 'Export started. Poll its status until it is completed, then download it.',
+            export: exportJob.getSummary()
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[EXPORT] Export request failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error starting export',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /organizations/:id/exports (SuperAdmin) and GET /admin/exports (admin) - Recent exports of an organization
+export const getOrganizationExports = async (req, res) => {
+    const startTime = Date.now();
+    const organizationId = getExportOrganizationId(req);
+
+    try {
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization ID is required'
+            });
+        }
+
+        const exports = await OrganizationExport.findForOrganization(organizationId);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[EXPORT] Exports retrieved successfully (${processingTime}ms)`, {
+            organizationId,
+            exportCount: exports.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            exports: exports.map(exportJob => exportJob.getSummary())
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[EXPORT] Export list retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving exports',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET .../exports/:exportId - Poll an export's status
+export const getOrganizationExportStatus = async (req, res) => {
+    const startTime = Date.now();
+    const organizationId = getExportOrganizationId(req);
+
+    try {
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization ID is required'
+            });
+        }
+
+        const exportJob = await OrganizationExport.findOne({
+            _id: req.params.exportId,
+            organization: organizationId
+        }).populate('requestedBy', 'name email');
+
+        if (!exportJob) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export not found'
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.debug(`[EXPORT] Export status retrieved (${processingTime}ms)`, {
+            exportId: exportJob._id,
+            status: exportJob.status
+        });
+
+        return res.status(200).json({
+            success: true,
+            export: exportJob.getSummary()
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[EXPORT] Export status retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid export ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving export status',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET .../exports/:exportId/download - Download a completed export archive (.tar.gz)
+export const downloadOrganizationExport = async (req, res) => {
+    const startTime = Date.now();
+    const organizationId = getExportOrganizationId(req);
+    logger.info('[EXPORT] Export download requested', {
+        userId: req.user._id,
+        exportId: req.params.exportId
+    });
+
+    try {
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization ID is required'
+            });
+        }
+
+        const exportJob = await OrganizationExport.findOne({
+            _id: req.params.exportId,
+            organization: organizationId
+        }).select('+filePath');
+
+        if (!exportJob) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export not found'
+            });
+        }
+
+        if (exportJob.status !== 'completed') {
+            return res.status(exportJob.status === 'expired' ? 410 : 409).json({
+                success: false,
+                message: exportJob.status === 'expired'
+                    ? 'This export has expired. Request a new one.'
+                    : 'This export is not ready for download',
+                export: exportJob.getSummary()
+            });
+        }
+
+        if (!exportJob.isDownloadable || !fs.existsSync(exportJob.filePath)) {
+            return res.status(410).json({
+                success: false,
+                message: 'This export is no longer available. Request a new one.'
+            });
+        }
+
+        res.set('X-Content-SHA256', exportJob.checksum);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[EXPORT] Export download started (${processingTime}ms)`, {
+            exportId: exportJob._id,
+            organizationId: exportJob.organization,
+            userId: req.user._id,
+            size: exportJob.size
+        });
+
+        return res.download(exportJob.filePath, exportJob.fileName, (error) => {
+            if (error) {
+                logger.error('[EXPORT] Export download failed:', error);
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[EXPORT] Export download failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid export ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error downloading export',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
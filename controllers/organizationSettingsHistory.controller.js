@@ -0,0 +1,317 @@
+// File: controllers/organizationSettingsHistory.controller.js
+
+import Organization, { VERSIONED_SETTINGS, ADMIN_EDITABLE_SETTINGS } from '../models/organization.model.js';
+import OrganizationSettingsVersion from '../models/organizationSettingsVersion.model.js';
+import logger from '../utils/logger.js';
+import { invalidateAllowedOrigins } from '../utils/allowedOrigins.js';
+
+/**
+ * Organization the settings history routes act on
+ * SuperAdmins name it in the URL, admins see their own organization
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Organization ID
+ */
+const getHistoryOrganizationId = (req) => {
+    if (req.user.role === 'superAdmin') {
+        return req.params.id;
+    }
+
+    return req.adminInfo?.organizationId || req.user.organization?._id;
+};
+
+/**
+ * Settings the signed-in user may roll back
+ * Admins are limited to the settings they can edit, minus any their group manages
+ * @param {Object} req - Express request object
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} settings that can be rolled back and the group managing the rest (if any)
+ */
+const getRollbackSettings = async (req, organization) => {
+    if (req.user.role === 'superAdmin') {
+        return { settings: VERSIONED_SETTINGS, group: null };
+    }
+
+    if (!organization.parentOrganization) {
+        return { settings: ADMIN_EDITABLE_SETTINGS, group: null };
+    }
+
+    const group = await Organization.findById(organization.parentOrganization).select('name sharedSettings');
+    const sharedSettings = group?.sharedSettings || [];
+
+    return {
+        settings: ADMIN_EDITABLE_SETTINGS.filter(setting => !sharedSettings.includes(setting)),
+        group
+    };
+};
+
+// GET /admin/organization/settings/history (admin) and GET /organizations/:id/settings/history (SuperAdmin) - Settings versions, newest first
+export const getSettingsHistory = async (req, res) => {
+    const startTime = Date.now();
+    const organizationId = getHistoryOrganizationId(req);
+    logger.info('[SETTINGS-HISTORY] Listing settings history', { userId: req.user._id, organizationId });
+
+    try {
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization ID is required'
+            });
+        }
+
+        const { page = 1, limit = 20 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [versions, totalCount] = await Promise.all([
+            OrganizationSettingsVersion.findForOrganization(organizationId, {
+                skip: (pageNumber - 1) * pageSize,
+                limit: pageSize
+            }),
+            OrganizationSettingsVersion.countDocuments({ organization: organizationId })
+        ]);
+
+        const totalPages = Math.ceil(totalCount / pageSize);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SETTINGS-HISTORY] Settings history retrieved successfully (${processingTime}ms)`, {
+            organizationId,
+            versionCount: versions.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            versions,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalCount,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1,
+                limit: pageSize
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SETTINGS-HISTORY] Settings history retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving settings history',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET .../settings/history/:version - One version with the full settings it left in place
+export const getSettingsVersion = async (req, res) => {
+    const startTime = Date.now();
+    const organizationId = getHistoryOrganizationId(req);
+
+    try {
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization ID is required'
+            });
+        }
+
+        const versionNumber = parseInt(req.params.version);
+        if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Version must be a positive whole number'
+            });
+        }
+
+        const version = await OrganizationSettingsVersion.findVersion(organizationId, versionNumber);
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Settings version not found'
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SETTINGS-HISTORY] Settings version retrieved successfully (${processingTime}ms)`, {
+            organizationId,
+            version: version.version
+        });
+
+        return res.status(200).json({
+            success: true,
+            version
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SETTINGS-HISTORY] Settings version retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving settings version',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST .../settings/history/:version/rollback - Put the settings back as they were at a version (recorded as a new version)
+export const rollbackSettings = async (req, res) => {
+    const startTime = Date.now();
+    const organizationId = getHistoryOrganizationId(req);
+    logger.info('[SETTINGS-HISTORY] Starting settings rollback', {
+        userId: req.user._id,
+        organizationId,
+        version: req.params.version
+    });
+
+    try {
+        if (!organizationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Organization ID is required'
+            });
+        }
+
+        const versionNumber = parseInt(req.params.version);
+        if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Version must be a positive whole number'
+            });
+        }
+
+        const organization = await Organization.findOne({ _id: organizationId, isDeleted: false });
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                message: 'Organization not found'
+            });
+        }
+
+        const target = await OrganizationSettingsVersion.findVersion(organization._id, versionNumber);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Settings version not found'
+            });
+        }
+
+        const { settings, group } = await getRollbackSettings(req, organization);
+        const previousSettings = organization.getSettingsSnapshot();
+
+        // Settings added after the version was recorded are left as they are
+        const restorable = VERSIONED_SETTINGS.filter(setting =>
+            target.snapshot[setting] !== undefined &&
+            JSON.stringify(target.snapshot[setting]) !== JSON.stringify(previousSettings[setting])
+        );
+        const skippedSettings = restorable.filter(setting => !settings.includes(setting));
+        const rolledBackSettings = restorable.filter(setting => settings.includes(setting));
+
+        if (rolledBackSettings.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: skippedSettings.length > 0
+                    ? 'The settings that differ from this version cannot be rolled back by you'
+                    : 'Current settings already match this version',
+                skippedSettings
+            });
+        }
+
+        if (rolledBackSettings.includes('name')) {
+            const nameTaken = await Organization.exists({
+                name: target.snapshot.name,
+                _id: { $ne: organization._id }
+            });
+            if (nameTaken) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot roll back the name: another organization is now called ${target.snapshot.name}`
+                });
+            }
+        }
+
+        for (const setting of rolledBackSettings) {
+            // The SSO client secret is never versioned, so the current one is kept
+            if (setting === 'sso') {
+                organization.setSsoConfig(target.snapshot.sso);
+            } else {
+                organization.set(setting, target.snapshot[setting]);
+            }
+        }
+
+        await organization.save();
+        invalidateAllowedOrigins();
+        const settingsVersion = await OrganizationSettingsVersion.record(organization, previousSettings, {
+            changedBy: req.user._id,
+            source: 'rollback',
+            rolledBackTo: target.version
+        });
+
+        // Branches must keep the settings their group shares
+        const updatedBranches = organization.sharedSettings.some(setting => rolledBackSettings.includes(setting))
+            ? await organization.pushSharedSettings(req.user._id)
+            : 0;
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SETTINGS-HISTORY] Settings rolled back successfully (${processingTime}ms)`, {
+            organizationId: organization._id,
+            userId: req.user._id,
+            rolledBackTo: target.version,
+            newVersion: settingsVersion?.version,
+            rolledBackSettings,
+            skippedSettings,
+            updatedBranches
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Settings rolled back to version ${target.version}`,
+            version: settingsVersion,
+            rolledBackSettings,
+            skippedSettings,
+            updatedBranches,
+            ...(group && skippedSettings.length > 0 && { managedBy: { _id: group._id, name: group.name } })
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SETTINGS-HISTORY] Settings rollback failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid organization ID'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error rolling back settings',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
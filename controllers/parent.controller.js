@@ -0,0 +1,337 @@
+// File: controllers/parent.controller.js
+
+import Course from '../models/course.model.js';
+import Class from '../models/class.model.js';
+import User from '../models/user.model.js';
+import { findClassCoursesPage } from '../utils/classCourseHelper.js';
+import logger from '../utils/logger.js';
+
+// Section with its class and section teacher, as parents see it
+const SECTION_POPULATE = {
+    path: 'section',
+    select: 'name class sectionTeacher academicYear maxStudents students',
+    populate: [
+        {
+            path: 'class',
+            select: 'name grade academicYear'
+        },
+        {
+            path: 'sectionTeacher',
+            select: 'name email teacherDetails.subjects'
+        }
+    ]
+};
+
+/**
+ * Load one of the signed-in parent's children (404 for anyone else's)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Student with section, class and teacher populated
+ */
+const findLinkedChild = async (req) => {
+    const parent = await User.findById(req.user._id).select('role children');
+    if (!parent || !parent.isParentOf(req.params.studentId)) {
+        return null;
+    }
+
+    return User.findOne({
+        _id: req.params.studentId,
+        organization: req.user.organization?._id || req.user.organization,
+        role: 'student',
+        isDeleted: false
+    })
+        .populate(SECTION_POPULATE)
+        .populate('organization', 'name brandName contentAccess');
+};
+
+/**
+ * Shape a student's section for parent responses
+ * @param {Object} section - Populated section
+ * @returns {Object|null} Section summary
+ */
+const formatSection = (section) => {
+    if (!section || !section.class) return null;
+
+    return {
+        _id: section._id,
+        name: section.name,
+        fullName: `${section.class.grade}-${section.name}`,
+        class: section.class,
+        teacher: section.sectionTeacher,
+        academicYear: section.academicYear || section.class.academicYear
+    };
+};
+
+// GET /parent/children - Every student linked to the parent account
+export const getChildren = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[PARENT] Listing children', { parentId: req.user._id });
+
+    try {
+        const parent = await User.findById(req.user._id)
+            .select('children')
+            .populate({
+                path: 'children',
+                match: { isDeleted: false },
+                select: 'name email avatar isActive studentDetails.rollNumber studentDetails.admissionDate section',
+                populate: SECTION_POPULATE
+            });
+
+        const children = (parent?.children || []).map(child => ({
+            _id: child._id,
+            name: child.name,
+            email: child.email,
+            avatar: child.avatar,
+            isActive: child.isActive,
+            rollNumber: child.studentDetails?.rollNumber,
+            admissionDate: child.studentDetails?.admissionDate,
+            section: formatSection(child.section)
+        }));
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[PARENT] Children retrieved successfully (${processingTime}ms)`, {
+            parentId: req.user._id,
+            childCount: children.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            children,
+            totalChildren: children.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[PARENT] Children retrieval failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving children',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /parent/children/:studentId/dashboard - A child's section, teacher and course overview
+export const getChildDashboard = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[PARENT] Getting child dashboard', {
+        parentId: req.user._id,
+        studentId: req.params.studentId
+    });
+
+    try {
+        const child = await findLinkedChild(req);
+        if (!child) {
+            return res.status(404).json({
+                success: false,
+                message: 'Child not found on your account'
+            });
+        }
+
+        if (!child.section || !child.section.class) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your child is not enrolled in a section yet'
+            });
+        }
+
+        const grade = child.section.class.grade;
+        // Parents see the courses their child sees
+        const classDoc = await Class.findById(child.section.class._id).select('courses');
+        const courseQuery = child.organization.restrictCourseQuery(
+            classDoc.restrictCourseQuery({ gradeLevel: grade, isActive: true, isDeleted: false })
+        );
+
+        const [totalCourses, subjectDistribution, recentCourses] = await Promise.all([
+            Course.countDocuments(courseQuery),
+            Course.aggregate([
+                { $match: courseQuery },
+                {
+                    $group: {
+                        _id: '$subject',
+                        count: { $sum: 1 },
+                        totalActivities: { $sum: '$stats.totalActivities' }
+                    }
+                },
+                { $sort: { count: -1 } }
+            ]),
+            Course.find(courseQuery)
+                .select('title subject chapterNumber displayName createdAt')
+                .sort({ createdAt: -1 })
+                .limit(5)
+        ]);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[PARENT] Child dashboard retrieved successfully (${processingTime}ms)`, {
+            parentId: req.user._id,
+            studentId: child._id,
+            grade
+        });
+
+        return res.status(200).json({
+            success: true,
+            student: {
+                _id: child._id,
+                name: child.name,
+                email: child.email,
+                rollNumber: child.studentDetails?.rollNumber,
+                admissionDate: child.studentDetails?.admissionDate,
+                isActive: child.isActive,
+                lastLogin: child.lastLogin,
+                organization: {
+                    _id: child.organization._id,
+                    name: child.organization.name,
+                    brandName: child.organization.brandName
+                }
+            },
+            academic: {
+                class: child.section.class,
+                section: formatSection(child.section),
+                teacher: child.section.sectionTeacher
+            },
+            stats: {
+                grade,
+                classmatesCount: Math.max(child.section.students.length - 1, 0),
+                sectionCapacity: child.section.maxStudents
+            },
+            courses: {
+                totalCourses,
+                totalSubjects: subjectDistribution.length,
+                subjectDistribution: subjectDistribution.map(item => ({
+                    subject: item._id,
+                    courseCount: item.count,
+                    totalActivities: item.totalActivities
+                })),
+                recentCourses: recentCourses.map(course => ({
+                    _id: course._id,
+                    title: course.title,
+                    subject: course.subject,
+                    chapterNumber: course.chapterNumber,
+                    displayName: course.displayName,
+                    createdAt: course.createdAt
+                }))
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[PARENT] Child dashboard retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid student ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving child dashboard',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /parent/children/:studentId/courses - Courses assigned to a child's grade
+export const getChildCourses = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[PARENT] Getting child courses', {
+        parentId: req.user._id,
+        studentId: req.params.studentId
+    });
+
+    try {
+        const child = await findLinkedChild(req);
+        if (!child) {
+            return res.status(404).json({
+                success: false,
+                message: 'Child not found on your account'
+            });
+        }
+
+        if (!child.section || !child.section.class) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your child is not enrolled in a section yet'
+            });
+        }
+
+        const { page = 1, limit = 12, subject } = req.query;
+        const grade = child.section.class.grade;
+
+        const filterQuery = { gradeLevel: grade, isActive: true, isDeleted: false };
+        if (subject) {
+            filterQuery.subject = subject;
+        }
+
+        // Parents see the courses their child sees
+        const classDoc = await Class.findById(child.section.class._id).select('courses');
+        const courseQuery = child.organization.restrictCourseQuery(classDoc.restrictCourseQuery(filterQuery));
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 12, 1), 100);
+
+        const { courses, totalCount } = await findClassCoursesPage(classDoc, courseQuery, {
+            sort: { subject: 1, chapterNumber: 1 },
+            skip: (pageNumber - 1) * pageSize,
+            limit: pageSize
+        });
+
+        const totalPages = Math.ceil(totalCount / pageSize);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[PARENT] Child courses retrieved successfully (${processingTime}ms)`, {
+            parentId: req.user._id,
+            studentId: child._id,
+            grade,
+            courseCount: courses.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            courses: courses.map(course => ({
+                _id: course._id,
+                title: course.title,
+                subject: course.subject,
+                chapterNumber: course.chapterNumber,
+                curriculum: course.curriculum,
+                description: course.description,
+                displayName: course.displayName,
+                totalTopics: course.stats.totalTopics,
+                totalActivities: course.stats.totalActivities,
+                averageDuration: course.stats.averageDuration
+            })),
+            studentInfo: {
+                _id: child._id,
+                name: child.name,
+                grade,
+                section: formatSection(child.section)
+            },
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalCount,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1,
+                limit: pageSize
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[PARENT] Child courses retrieval failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid student ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving child courses',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -0,0 +1,184 @@
+// File: controllers/sectionDevice.controller.js
+
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import { generateSectionDeviceToken, getSectionDeviceTokenExpiry } from '../utils/generateToken.js';
+import { recordLoginAttempt } from '../utils/loginHistory.js';
+import logger from '../utils/logger.js';
+
+// GET /section-device/students - Students the headset can be handed to
+export const getSectionDeviceStudents = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SECTION-DEVICE] Listing section students', { deviceId: req.sectionDevice._id });
+
+    try {
+        const students = await User.find({
+            _id: { $in: req.deviceSection.students },
+            section: req.deviceSection._id,
+            role: 'student',
+            isActive: true,
+            isDeleted: false
+        })
+            .select('name avatar studentDetails.rollNumber devicePin')
+            .sort({ name: 1 });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SECTION-DEVICE] Section students retrieved (${processingTime}ms)`, {
+            deviceId: req.sectionDevice._id,
+            studentCount: students.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            device: {
+                _id: req.sectionDevice._id,
+                name: req.sectionDevice.name
+            },
+            section: {
+                _id: req.deviceSection._id,
+                name: req.deviceSection.name
+            },
+            students: students.map(student => ({
+                _id: student._id,
+                name: student.name,
+                avatar: student.avatar,
+                rollNumber: student.studentDetails?.rollNumber,
+                hasPin: !!student.devicePin
+            }))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SECTION-DEVICE] Section student listing failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving students',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /section-device/login - Student picks themselves and enters their PIN
+export const loginStudentOnDevice = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SECTION-DEVICE] Processing student sign-in', { deviceId: req.sectionDevice._id });
+
+    try {
+        const { studentId, pin } = req.body;
+
+        if (!studentId || !pin) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student and PIN are required'
+            });
+        }
+
+        const student = await User.findOne({
+            _id: studentId,
+            section: req.deviceSection._id,
+            role: 'student',
+            isDeleted: false
+        });
+
+        if (!student || !student.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found in this section'
+            });
+        }
+
+        if (!student.devicePin) {
+            return res.status(400).json({
+                success: false,
+                message: 'No PIN has been set for you yet. Please ask your teacher or admin.'
+            });
+        }
+
+        if (student.isDevicePinLocked) {
+            return res.status(423).json({
+                success: false,
+                message: `Too many wrong PINs. Try again after ${student.devicePinLockUntil.toLocaleString()}`,
+                locked: true,
+                lockUntil: student.devicePinLockUntil
+            });
+        }
+
+        const isMatch = await bcrypt.compare(pin.toString(), student.devicePin);
+        if (!isMatch) {
+            const [lockResult] = await Promise.all([
+                student.registerFailedDevicePin(),
+                recordLoginAttempt(req, {
+                    user: student,
+                    method: 'section_device',
+                    success: false,
+                    failureReason: 'invalid_pin',
+                    identifier: req.sectionDevice.name
+                })
+            ]);
+
+            logger.warn('[SECTION-DEVICE] Student sign-in failed: Wrong PIN', {
+                deviceId: req.sectionDevice._id,
+                studentId: student._id,
+                justLocked: lockResult.justLocked
+            });
+
+            return res.status(lockResult.justLocked ? 423 : 401).json({
+                success: false,
+                message: lockResult.justLocked
+                    ? `Too many wrong PINs. Try again after ${lockResult.lockUntil.toLocaleString()}`
+                    : 'Wrong PIN',
+                ...(lockResult.justLocked
+                    ? { locked: true, lockUntil: lockResult.lockUntil }
+                    : { attemptsRemaining: lockResult.attemptsRemaining })
+            });
+        }
+
+        student.resetDevicePinAttempts();
+        await student.updateLastLogin(`Section device: ${req.sectionDevice.name}`);
+        await recordLoginAttempt(req, {
+            user: student,
+            method: 'section_device',
+            success: true,
+            identifier: req.sectionDevice.name
+        });
+        await req.sectionDevice.touch(req.ip, student._id);
+
+        const token = generateSectionDeviceToken(student, req.sectionDevice);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SECTION-DEVICE] Student signed in on device (${processingTime}ms)`, {
+            deviceId: req.sectionDevice._id,
+            studentId: student._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            token,
+            expiresIn: getSectionDeviceTokenExpiry(),
+            user: {
+                _id: student._id,
+                name: student.name,
+                role: student.role,
+                section: req.deviceSection._id
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SECTION-DEVICE] Student sign-in failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid student ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during sign-in',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
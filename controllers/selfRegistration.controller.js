@@ -0,0 +1,247 @@
+// File: controllers/selfRegistration.controller.js
+
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
+import JoinCode from '../models/joinCode.model.js';
+import SelfRegistration from '../models/selfRegistration.model.js';
+import { validateNewPassword } from '../utils/passwordPolicy.js';
+import { createStudentFromRegistration } from '../utils/registrationHelper.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Find a usable join code and its organization (only while the organization allows self-registration)
+ * @param {string} code - Code as typed by the student
+ * @returns {Promise<Object|null>} joinCode and organization, or null
+ */
+const findJoinableCode = async (code) => {
+    const joinCode = await JoinCode.findUsable(code);
+    if (!joinCode) return null;
+
+    const organization = await Organization.findOne({ _id: joinCode.organization, isDeleted: false });
+    if (!organization || !organization.isActive || !organization.allowSelfRegistration ||
+        !organization.hasLicenseFeature('self_registration') || !organization.isLicenseWritable()) {
+        return null;
+    }
+
+    return { joinCode, organization };
+};
+
+// GET /join/:code - What a join code signs the student up for
+export const getJoinCodeDetails = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SELF-REGISTRATION] Looking up join code');
+
+    try {
+        const joinable = await findJoinableCode(req.params.code);
+        if (!joinable) {
+            return res.status(404).json({
+                success: false,
+                message: 'This join code is invalid or has expired'
+            });
+        }
+
+        const { joinCode, organization } = joinable;
+        await joinCode.populate([
+            { path: 'class', select: 'name grade' },
+            { path: 'section', select: 'name' }
+        ]);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SELF-REGISTRATION] Join code found (${processingTime}ms)`, { joinCodeId: joinCode._id });
+
+        return res.status(200).json({
+            success: true,
+            joinCode: {
+                code: joinCode.code,
+                organization: {
+                    name: organization.name,
+                    brandName: organization.brandName
+                },
+                class: joinCode.class,
+                section: joinCode.section,
+                requiresApproval: !organization.studentEnrollment?.autoApproveSelfRegistration,
+                expiresAt: joinCode.expiresAt
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SELF-REGISTRATION] Join code lookup failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error looking up join code',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /signup/join - Student signs up with a join code (queued for approval or approved automatically)
+export const registerWithJoinCode = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SELF-REGISTRATION] Starting join code registration');
+
+    try {
+        const { code, name, email, password } = req.body;
+
+        if (!code || !name || !email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Join code, name, email and password are required'
+            });
+        }
+
+        const normalizedEmail = email.toString().toLowerCase().trim();
+
+        const joinable = await findJoinableCode(code);
+        if (!joinable) {
+            logger.warn('[SELF-REGISTRATION] Registration failed: Invalid or expired join code');
+            return res.status(404).json({
+                success: false,
+                message: 'This join code is invalid or has expired'
+            });
+        }
+
+        const { joinCode, organization } = joinable;
+
+        const [existingUser, pendingRegistration] = await Promise.all([
+            User.exists({ email: normalizedEmail }),
+            SelfRegistration.exists({ email: normalizedEmail, status: 'pending' })
+        ]);
+
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+
+        if (pendingRegistration) {
+            return res.status(400).json({
+                success: false,
+                message: 'A registration with this email is already waiting for approval'
+            });
+        }
+
+        const passwordCheck = await validateNewPassword({ role: 'student', organization }, password);
+        if (!passwordCheck.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password does not meet the password policy',
+                policy: passwordCheck.settings.policy,
+                failedRules: passwordCheck.failedRules
+            });
+        }
+
+        // Count the use before creating anything so max uses holds under concurrent sign-ups
+        const usedCode = await joinCode.consumeUse();
+        if (!usedCode) {
+            return res.status(410).json({
+                success: false,
+                message: 'This join code has reached its limit or has expired'
+            });
+        }
+
+        let registration = await SelfRegistration.create({
+            organization: organization._id,
+            joinCode: joinCode._id,
+            class: joinCode.class,
+            section: joinCode.section,
+            name,
+            email: normalizedEmail,
+            password: await bcrypt.hash(password, 10),
+            ipAddress: req.ip
+        });
+
+        let result = null;
+        if (organization.studentEnrollment?.autoApproveSelfRegistration) {
+            registration = await SelfRegistration.claimPending(registration._id, organization._id, {
+                status: 'approved',
+                reviewedAt: new Date()
+            });
+            result = await createStudentFromRegistration(registration, organization)
+                .catch(error => {
+                    logger.error('[SELF-REGISTRATION] Automatic approval errored:', error);
+                    return { status: 'error' };
+                });
+
+            // e.g. the class is full - leave it for an admin to place
+            if (result.status !== 'approved') {
+                logger.warn('[SELF-REGISTRATION] Automatic approval failed, queued for admin', {
+                    registrationId: registration._id,
+                    reason: result.status
+                });
+                await SelfRegistration.updateOne(
+                    { _id: registration._id },
+                    { $set: { status: 'pending', reviewedAt: null, user: null } }
+                );
+            }
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SELF-REGISTRATION] Registration received (${processingTime}ms)`, {
+            registrationId: registration._id,
+            organizationId: organization._id,
+            joinCodeId: joinCode._id,
+            status: result?.status === 'approved' ? 'approved' : 'pending'
+        });
+
+        if (result?.status === 'approved') {
+            const { student, classDoc, section } = result;
+
+            return res.status(201).json({
+                success: true,
+                message: student.isVerified
+                    ? 'Registration successful! You can now log in.'
+                    : 'Registration successful! Please check your email for verification code.',
+                status: 'approved',
+                requiresEmailVerification: !student.isVerified,
+                email: student.email,
+                user: {
+                    _id: student._id,
+                    name: student.name,
+                    email: student.email,
+                    role: student.role,
+                    rollNumber: student.studentDetails.rollNumber,
+                    class: { _id: classDoc._id, name: classDoc.name, grade: classDoc.grade },
+                    section: { _id: section._id, name: section.name },
+                    isVerified: student.isVerified
+                }
+            });
+        }
+
+        return res.status(202).json({
+            success: true,
+            message: 'Registration received! Your school will review it and email you once it is approved.',
+            status: 'pending',
+            email: registration.email
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SELF-REGISTRATION] Registration failed (${processingTime}ms):`, error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A registration with this email already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const validationErrors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: validationErrors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during registration',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -0,0 +1,365 @@
+// File: controllers/session.controller.js
+
+import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import LoginEvent from '../models/loginEvent.model.js';
+import generateToken, { getDeviceInfo, getAccessTokenExpiry } from '../utils/generateToken.js';
+import logger from '../utils/logger.js';
+
+// POST /refresh - Exchange a refresh token for a new access + refresh token pair
+export const refreshAccessToken = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SESSION] Processing token refresh');
+
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const { session, isReused } = await Session.findByRefreshToken(refreshToken);
+
+        if (!session) {
+            logger.warn('[SESSION] Token refresh failed: Unknown refresh token', { ip: req.ip });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid refresh token. Please login again.'
+            });
+        }
+
+        // A rotated token was presented again - the whole session family is compromised
+        if (isReused) {
+            if (!session.isRevoked) {
+                await session.revoke('token_reuse');
+            }
+
+            logger.warn('[SESSION] Refresh token reuse detected, session revoked', {
+                sessionId: session._id,
+                userId: session.user,
+                ip: req.ip
+            });
+
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token has already been used. This session has been revoked for your security. Please login again.',
+                sessionRevoked: true
+            });
+        }
+
+        if (!session.isValid) {
+            logger.warn('[SESSION] Token refresh failed: Session revoked or expired', {
+                sessionId: session._id,
+                isRevoked: session.isRevoked
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or was revoked. Please login again.',
+                sessionRevoked: session.isRevoked
+            });
+        }
+
+        const user = await User.findById(session.user);
+        if (!user || !user.isActive || user.isDeleted) {
+            await session.revoke('user_revoked');
+
+            logger.warn('[SESSION] Token refresh failed: User unavailable', {
+                sessionId: session._id,
+                userId: session.user
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Your account is no longer active'
+            });
+        }
+
+        // Rotate atomically - if another request won the race this token counts as reused
+        const rotated = await session.rotateRefreshToken(refreshToken, getDeviceInfo(req));
+        if (!rotated) {
+            await session.revoke('token_reuse');
+
+            logger.warn('[SESSION] Concurrent refresh token reuse detected, session revoked', {
+                sessionId: session._id,
+                userId: user._id
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token has already been used. This session has been revoked for your security. Please login again.',
+                sessionRevoked: true
+            });
+        }
+
+        const token = generateToken(user, rotated.session._id);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SESSION] Token refreshed successfully (${processingTime}ms)`, {
+            userId: user._id,
+            sessionId: rotated.session._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            token,
+            refreshToken: rotated.refreshToken,
+            expiresIn: getAccessTokenExpiry()
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SESSION] Token refresh failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /logout - Revoke the current session (or every session with allDevices)
+export const logoutUser = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SESSION] Processing logout', { userId: req.user._id });
+
+    try {
+        const { allDevices = false } = req.body || {};
+
+        if (allDevices) {
+            const result = await Session.revokeAllForUser(req.user._id, 'logout');
+
+            const processingTime = Date.now() - startTime;
+            logger.info(`[SESSION] User logged out from all devices (${processingTime}ms)`, {
+                userId: req.user._id,
+                revokedSessions: result.modifiedCount
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Logged out from all devices',
+                revokedSessions: result.modifiedCount
+            });
+        }
+
+        if (req.authSession && !req.authSession.isRevoked) {
+            await req.authSession.revoke('logout');
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SESSION] User logged out (${processingTime}ms)`, {
+            userId: req.user._id,
+            sessionId: req.authSession?._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SESSION] Logout failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during logout',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /sessions - List active sessions for the current user
+export const getSessions = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SESSION] Listing user sessions', { userId: req.user._id });
+
+    try {
+        const sessions = await Session.findActiveByUser(req.user._id);
+        const currentSessionId = req.authSession?._id?.toString();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SESSION] Sessions retrieved successfully (${processingTime}ms)`, {
+            userId: req.user._id,
+            sessionCount: sessions.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            sessions: sessions.map(session => ({
+                _id: session._id,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                createdAt: session.createdAt,
+                isCurrent: session._id.toString() === currentSessionId
+            })),
+            totalSessions: sessions.length
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SESSION] Session list retrieval failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving sessions',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /sessions/:sessionId - Revoke one of the current user's sessions
+export const revokeSession = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SESSION] Revoking session', {
+        userId: req.user._id,
+        sessionId: req.params.sessionId
+    });
+
+    try {
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            user: req.user._id
+        });
+
+        if (!session) {
+            logger.warn('[SESSION] Session revoke failed: Session not found', {
+                userId: req.user._id,
+                sessionId: req.params.sessionId
+            });
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (!session.isRevoked) {
+            await session.revoke('user_revoked');
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SESSION] Session revoked successfully (${processingTime}ms)`, {
+            userId: req.user._id,
+            sessionId: session._id
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SESSION] Session revoke failed (${processingTime}ms):`, error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid session ID'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error revoking session',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// DELETE /sessions - Revoke every session except the current one
+export const revokeOtherSessions = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SESSION] Revoking other sessions', { userId: req.user._id });
+
+    try {
+        const result = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession?._id);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SESSION] Other sessions revoked successfully (${processingTime}ms)`, {
+            userId: req.user._id,
+            revokedSessions: result.modifiedCount
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: 'All other sessions have been revoked',
+            revokedSessions: result.modifiedCount
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SESSION] Revoking other sessions failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error revoking sessions',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /login-history - Recent sign-in attempts on the current user's account
+export const getLoginHistory = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SESSION] Listing login history', { userId: req.user._id });
+
+    try {
+        const { page = 1, limit = 20, success } = req.query;
+
+        const query = { user: req.user._id };
+        if (success === 'true' || success === 'false') query.success = success === 'true';
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [events, totalCount] = await Promise.all([
+            LoginEvent.findHistory(query, { page: pageNumber, limit: pageSize }),
+            LoginEvent.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / pageSize);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SESSION] Login history retrieved (${processingTime}ms)`, {
+            userId: req.user._id,
+            count: events.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            loginHistory: events.map(event => ({
+                _id: event._id,
+                method: event.method,
+                success: event.success,
+                failureReason: event.failureReason,
+                ipAddress: event.ipAddress,
+                userAgent: event.userAgent,
+                isNewDevice: event.isNewDevice,
+                loginAt: event.createdAt
+            })),
+            pagination: {
+                currentPage: pageNumber,
+                totalPages,
+                totalCount,
+                hasNextPage: pageNumber < totalPages,
+                hasPrevPage: pageNumber > 1,
+                limit: pageSize
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SESSION] Login history retrieval failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving login history',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -0,0 +1,89 @@
+// File: controllers/signingKey.controller.js
+
+import SigningKey from '../models/signingKey.model.js';
+import { getJwks, rotateSigningKeys } from '../utils/keyring.js';
+import logger from '../utils/logger.js';
+
+// GET /.well-known/jwks.json - Public keys for verifying our access tokens
+export const getJwksDocument = (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(getJwks());
+};
+
+// GET /superadmin/signing-keys - Key lifecycle overview (no private material)
+export const getSigningKeys = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[KEYRING] Listing signing keys', { userId: req.user._id });
+
+    try {
+        const keys = await SigningKey.find().sort({ createdAt: -1 });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[KEYRING] Signing keys retrieved (${processingTime}ms)`, {
+            userId: req.user._id,
+            keyCount: keys.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            keys: keys.map(key => ({
+                kid: key.kid,
+                algorithm: key.algorithm,
+                status: key.status,
+                createdAt: key.createdAt,
+                activatedAt: key.activatedAt,
+                retiredAt: key.retiredAt,
+                expiresAt: key.expiresAt
+            }))
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[KEYRING] Signing key listing failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error retrieving signing keys',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /superadmin/signing-keys/rotate - Rotate now (e.g. after a suspected key leak)
+export const rotateKeys = async (req, res) => {
+    const startTime = Date.now();
+    logger.warn('[KEYRING] Manual signing key rotation requested', { userId: req.user._id });
+
+    try {
+        const activeKid = await rotateSigningKeys();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[KEYRING] Manual signing key rotation finished (${processingTime}ms)`, {
+            userId: req.user._id,
+            activeKid
+        });
+
+        if (!activeKid) {
+            return res.status(409).json({
+                success: false,
+                message: 'Keys are already being rotated. Please try again shortly.'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Signing keys rotated. Tokens signed with the previous key stay valid until they expire.',
+            activeKid
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[KEYRING] Manual signing key rotation failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error rotating signing keys',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
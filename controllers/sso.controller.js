@@ -0,0 +1,401 @@
+// File: controllers/sso.controller.js
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
+import Class from '../models/class.model.js';
+import SsoLogin from '../models/ssoLogin.model.js';
+import { generateAuthTokens, generateChallengeToken, getDeviceInfo } from '../utils/generateToken.js';
+import { findBestSectionForPlacement, generateUniqueRollNumber } from '../utils/sectionHelper.js';
+import {
+    OidcError,
+    discoverProvider,
+    createAuthorizationParams,
+    buildAuthorizationUrl,
+    exchangeAuthorizationCode,
+    verifyIdToken
+} from '../utils/oidc.js';
+import { recordLoginAttempt } from '../utils/loginHistory.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Callback URL registered with every organization's identity provider
+ * @param {Object} req - Express request object
+ * @returns {string} Redirect URI
+ */
+const getRedirectUri = (req) => {
+    return process.env.OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/v1/auth/sso/callback`;
+};
+
+/**
+ * Send the browser back to the app with either a login code or an error code
+ * @param {Object} res - Express response object
+ * @param {Object} params - Query parameters for the app
+ */
+const redirectToClient = (res, params) => {
+    const url = new URL('/sso/callback', process.env.CLIENT_URL || 'http://localhost:3000');
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value);
+    }
+    return res.redirect(url.toString());
+};
+
+/**
+ * Create a student or teacher on first sign-in (when the organization allows it)
+ * @param {Object} organization - Organization document
+ * @param {Object} claims - Verified ID token claims
+ * @param {string} email - Normalized email
+ * @returns {Promise<Object>} Created user
+ */
+const createSsoUser = async (organization, claims, email) => {
+    // Another sign-in may have taken the last seat between the seat check and User.create
+    const confirmSeat = async (user) => {
+        if ((await organization.confirmSeat(user.role)).allowed) return;
+
+        await User.deleteOne({ _id: user._id });
+        throw new OidcError(`No ${user.role} seats left on the organization's license`, 'seat_limit_reached');
+    };
+
+    const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0];
+
+    // Nobody knows this password - the account signs in through SSO (or a later admin reset)
+    const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    const baseFields = {
+        name,
+        email,
+        password: hashedPassword,
+        organization: organization._id,
+        avatar: claims.picture || '',
+        isVerified: true
+    };
+
+    if (organization.sso.defaultRole === 'teacher') {
+        const teacher = await User.create({
+            ...baseFields,
+            role: 'teacher',
+            teacherDetails: {
+                employeeId: `EMP${Date.now().toString().slice(-6)}`,
+                joiningDate: new Date()
+            }
+        });
+        await confirmSeat(teacher);
+
+        await organization.updateStats();
+        return teacher;
+    }
+
+    const classDoc = await Class.findOne({ _id: organization.sso.defaultClass, organization: organization._id });
+    const section = classDoc && await findBestSectionForPlacement(classDoc._id);
+    if (!section) {
+        throw new OidcError('No section with free seats in the SSO default class', 'no_section_available');
+    }
+
+    const student = await User.create({
+        ...baseFields,
+        role: 'student',
+        section: section._id,
+        studentDetails: {
+            rollNumber: await generateUniqueRollNumber(organization._id, classDoc, section),
+            admissionDate: new Date()
+        }
+    });
+    await confirmSeat(student);
+
+    await section.addStudent(student._id);
+    await classDoc.updateStudentCount();
+    await organization.updateStats();
+
+    return student;
+};
+
+/**
+ * Match the provider's user to an account in the organization by email
+ * @param {Object} organization - Organization document
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} User and whether it was just created
+ */
+const findOrCreateSsoUser = async (organization, claims) => {
+    const email = claims.email?.toLowerCase().trim();
+    if (!email) {
+        throw new OidcError('Identity provider did not share an email address', 'email_missing');
+    }
+
+    // Accounts are matched (and created) by email, so the provider must vouch for it
+    if (claims.email_verified !== true && claims.email_verified !== 'true') {
+        throw new OidcError('Email address is not verified at the identity provider', 'email_not_verified');
+    }
+
+    const domain = email.split('@')[1];
+    if (!organization.sso.allowedDomains.includes(domain)) {
+        throw new OidcError(`Email domain ${domain} is not allowed for this organization`, 'domain_not_allowed');
+    }
+
+    const user = await User.findOne({ email, isDeleted: false });
+
+    if (user) {
+        if (user.organization?.toString() !== organization._id.toString()) {
+            throw new OidcError('Email belongs to an account outside this organization', 'account_conflict');
+        }
+        if (!user.isActive) {
+            throw new OidcError('Account is deactivated', 'account_disabled');
+        }
+        return { user, created: false };
+    }
+
+    if (!organization.sso.autoCreateUsers) {
+        throw new OidcError('No account exists for this email', 'account_not_found');
+    }
+
+    // New accounts need a free seat on an active license
+    if (!organization.isLicenseWritable()) {
+        throw new OidcError('Organization license is not active', 'license_inactive');
+    }
+    const seats = await organization.checkSeatLimit(organization.sso.defaultRole);
+    if (!seats.allowed) {
+        throw new OidcError(`No ${organization.sso.defaultRole} seats left on the organization's license`, 'seat_limit_reached');
+    }
+
+    return { user: await createSsoUser(organization, claims, email), created: true };
+};
+
+// GET /sso/:organizationCode/login - Send the browser to the organization's identity provider
+export const startSsoLogin = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SSO] Starting single sign-on', { organizationCode: req.params.organizationCode });
+
+    try {
+        const organization = await Organization.findByCode(req.params.organizationCode);
+
+        if (!organization || !organization.isActive || !organization.sso?.enabled || !organization.hasLicenseFeature('sso')) {
+            return res.status(404).json({
+                success: false,
+                message: 'Single sign-on is not available for this organization'
+            });
+        }
+
+        const metadata = await discoverProvider(organization.sso.issuer);
+        const { state, nonce, codeVerifier, codeChallenge } = createAuthorizationParams();
+
+        await SsoLogin.create({
+            stateHash: SsoLogin.hashValue(state),
+            organization: organization._id,
+            nonce,
+            codeVerifier,
+            expiresAt: new Date(Date.now() + SsoLogin.getLifetime())
+        });
+
+        const authorizationUrl = buildAuthorizationUrl(metadata, organization.sso, {
+            redirectUri: getRedirectUri(req),
+            state,
+            nonce,
+            codeChallenge,
+            loginHint: req.query.loginHint
+        });
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SSO] Redirecting to identity provider (${processingTime}ms)`, {
+            organizationId: organization._id,
+            issuer: organization.sso.issuer
+        });
+
+        return res.redirect(authorizationUrl);
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SSO] Starting single sign-on failed (${processingTime}ms):`, error);
+
+        if (error instanceof OidcError) {
+            return res.status(502).json({
+                success: false,
+                message: 'Could not reach your organization\'s identity provider',
+                code: error.code
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error starting single sign-on',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// GET /sso/callback - Provider sends the browser back here with an authorization code
+export const handleSsoCallback = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SSO] Processing identity provider callback');
+
+    let ssoLogin = null;
+
+    try {
+        const { code, state, error: providerError } = req.query;
+
+        if (!state) {
+            return redirectToClient(res, { error: 'invalid_request' });
+        }
+
+        ssoLogin = await SsoLogin.claimByState(state);
+        if (!ssoLogin) {
+            logger.warn('[SSO] Callback with unknown, used or expired state');
+            return redirectToClient(res, { error: 'expired' });
+        }
+
+        if (providerError || !code) {
+            throw new OidcError(`Identity provider returned an error: ${providerError || 'no code'}`, 'access_denied');
+        }
+
+        const organization = await Organization.findOne({ _id: ssoLogin.organization, isDeleted: false })
+            .select('+sso.clientSecret');
+        if (!organization || !organization.isActive || !organization.sso?.enabled || !organization.hasLicenseFeature('sso')) {
+            throw new OidcError('Single sign-on was disabled for this organization', 'sso_disabled');
+        }
+
+        const metadata = await discoverProvider(organization.sso.issuer);
+        const tokens = await exchangeAuthorizationCode(metadata, organization.sso, {
+            code,
+            codeVerifier: ssoLogin.codeVerifier,
+            redirectUri: getRedirectUri(req)
+        });
+        const claims = await verifyIdToken(tokens.id_token, metadata, organization.sso, ssoLogin.nonce);
+
+        const { user, created } = await findOrCreateSsoUser(organization, claims);
+        const loginCode = await ssoLogin.complete(user._id);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SSO] User identified by identity provider (${processingTime}ms)`, {
+            organizationId: organization._id,
+            userId: user._id,
+            created
+        });
+
+        return redirectToClient(res, { code: loginCode });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+
+        if (ssoLogin) {
+            await ssoLogin.fail().catch(() => { });
+        }
+
+        if (error instanceof OidcError) {
+            logger.warn(`[SSO] Single sign-on rejected (${processingTime}ms)`, {
+                code: error.code,
+                reason: error.message,
+                organizationId: ssoLogin?.organization
+            });
+            return redirectToClient(res, { error: error.code });
+        }
+
+        logger.error(`[SSO] Identity provider callback failed (${processingTime}ms):`, error);
+        return redirectToClient(res, { error: 'server_error' });
+    }
+};
+
+// POST /sso/token - App exchanges the one-time login code for a session
+export const exchangeSsoLoginCode = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[SSO] Exchanging login code');
+
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Login code is required'
+            });
+        }
+
+        const ssoLogin = await SsoLogin.consumeLoginCode(code);
+        if (!ssoLogin) {
+            return res.status(401).json({
+                success: false,
+                message: 'This sign-in has expired or was already used. Please sign in again.'
+            });
+        }
+
+        const user = await User.findById(ssoLogin.user).populate('organization');
+        if (!user || !user.isActive || user.isDeleted) {
+            return res.status(401).json({
+                success: false,
+                message: 'Your account is not available'
+            });
+        }
+
+        // A lockout after failed logins applies to every way of signing in
+        if (user.isLocked) {
+            logger.warn('[SSO] Sign-in blocked: Account locked', { userId: user._id, lockUntil: user.lockUntil });
+            await recordLoginAttempt(req, {
+                user,
+                method: 'sso',
+                success: false,
+                failureReason: 'account_locked',
+                identifier: user.email
+            });
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked until ${user.lockUntil.toLocaleString()}`,
+                locked: true,
+                lockUntil: user.lockUntil
+            });
+        }
+
+        // The provider proved who the user is - our own second factor still applies
+        if (user.twoFactor?.enabled || user.isTwoFactorRequired()) {
+            const requiresSetup = !user.twoFactor?.enabled;
+
+            return res.status(200).json(requiresSetup
+                ? {
+                    success: true,
+                    requiresTwoFactorSetup: true,
+                    message: 'Your organization requires two-factor authentication. Set it up to finish signing in.',
+                    challengeToken: generateChallengeToken(user, '2fa_setup')
+                }
+                : {
+                    success: true,
+                    requiresTwoFactor: true,
+                    message: 'Enter the code from your authenticator app to finish signing in',
+                    challengeToken: generateChallengeToken(user, '2fa_challenge')
+                });
+        }
+
+        await user.updateLastLogin(`SSO: ${getDeviceInfo(req).userAgent}`);
+        await recordLoginAttempt(req, { user, method: 'sso', success: true, identifier: user.email });
+        const { token, refreshToken, expiresIn } = await generateAuthTokens(user, req);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[SSO] User signed in with single sign-on (${processingTime}ms)`, {
+            userId: user._id,
+            role: user.role
+        });
+
+        return res.status(200).json({
+            success: true,
+            token,
+            refreshToken,
+            expiresIn,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                organization: user.organization,
+                section: user.section,
+                isVerified: user.isVerified,
+                mustChangePassword: user.mustChangePassword
+            }
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SSO] Login code exchange failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during single sign-on',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
@@ -2,6 +2,7 @@
 
 import Course from '../models/course.model.js';
 import User from '../models/user.model.js';
+import { findClassCoursesPage } from '../utils/classCourseHelper.js';
 import logger from '../utils/logger.js';
 
 // ==================== STUDENT COURSE ACCESS CONTROLLERS ====================
@@ -18,10 +19,10 @@ export const getStudentCourses = async (req, res) => {
                 path: 'section',
                 populate: {
                     path: 'class',
-                    select: 'name grade academicYear'
+                    select: 'name grade academicYear courses'
                 }
             })
-            .populate('organization', 'name brandName');
+            .populate('organization', 'name brandName contentAccess');
 
         // Verify student role and section enrollment
         if (!student || student.role !== 'student') {
@@ -47,7 +48,7 @@ export const getStudentCourses = async (req, res) => {
             subject,
             curriculum = 'NCERT',
             search,
-            sortBy = 'subject',
+            sortBy,
             sortOrder = 'asc'
         } = req.query;
 
@@ -73,19 +74,22 @@ export const getStudentCourses = async (req, res) => {
             ];
         }
 
+        // Only courses assigned to the class (or its whole grade) that the organization is entitled to
+        const classDoc = student.section.class;
+        const courseQuery = student.organization.restrictCourseQuery(classDoc.restrictCourseQuery(filterQuery));
+
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
-        const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
-
-        // Get courses with pagination
-        const [courses, totalCount] = await Promise.all([
-            Course.find(filterQuery)
-                .select('-topics') // Exclude detailed topics for list view
-                .sort(sortOptions)
-                .skip(skip)
-                .limit(parseInt(limit)),
-            Course.countDocuments(filterQuery)
-        ]);
+        const sortOptions = { [sortBy || 'subject']: sortOrder === 'desc' ? -1 : 1 };
+
+        // Get courses with pagination (class teaching order unless a sort is asked for)
+        const { courses, totalCount } = await findClassCoursesPage(classDoc, courseQuery, {
+            sort: sortOptions,
+            skip,
+            limit: parseInt(limit),
+            select: '-topics', // Exclude detailed topics for list view
+            inClassOrder: !sortBy
+        });
 
         // Calculate pagination info
         const totalPages = Math.ceil(totalCount / parseInt(limit));
@@ -110,10 +114,12 @@ export const getStudentCourses = async (req, res) => {
             });
         });
 
-        // Sort courses within each subject by chapter number
-        Object.keys(coursesBySubject).forEach(subject => {
-            coursesBySubject[subject].sort((a, b) => a.chapterNumber - b.chapterNumber);
-        });
+        // Sort courses within each subject by chapter number (assigned courses keep the class order)
+        if (classDoc.courses.length === 0 || sortBy) {
+            Object.keys(coursesBySubject).forEach(subject => {
+                coursesBySubject[subject].sort((a, b) => a.chapterNumber - b.chapterNumber);
+            });
+        }
 
         const processingTime = Date.now() - startTime;
         logger.info(`[STUDENT-COURSE] Student courses retrieved successfully (${processingTime}ms)`, {
@@ -146,7 +152,11 @@ export const getStudentCourses = async (req, res) => {
                 section: student.section.name,
                 fullSection: `${student.section.class.grade}-${student.section.name}`,
                 grade: studentGrade,
-                organization: student.organization
+                organization: {
+                    _id: student.organization._id,
+                    name: student.organization.name,
+                    brandName: student.organization.brandName
+                }
             },
             pagination: {
                 currentPage: parseInt(page),
@@ -190,11 +200,12 @@ export const getStudentCourseDetails = async (req, res) => {
 
     try {
         const student = await User.findById(req.user._id)
+            .populate('organization', 'contentAccess')
             .populate({
                 path: 'section',
                 populate: {
                     path: 'class',
-                    select: 'name grade'
+                    select: 'name grade courses'
                 }
             });
 
@@ -225,6 +236,13 @@ export const getStudentCourseDetails = async (req, res) => {
             });
         }
 
+        if (!student.organization?.canAccessCourse(course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course is not included in your organization\'s content access'
+            });
+        }
+
         // Check if course is for student's grade
         if (course.gradeLevel !== studentGrade) {
             logger.warn('[STUDENT-COURSE] Student attempted to access course for different grade', {
@@ -240,6 +258,22 @@ export const getStudentCourseDetails = async (req, res) => {
             });
         }
 
+        const classDoc = student.section.class;
+        if (!classDoc.isCourseAssigned(course._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course is not assigned to your class'
+            });
+        }
+
+        if (!classDoc.isCourseStarted(course._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This course has not started for your class yet',
+                startDate: classDoc.getCourseAssignment(course._id).startDate
+            });
+        }
+
         // Get learning progress (you can implement this later with a Progress model)
         const learningProgress = {
             completedTopics: 0,
@@ -269,7 +303,7 @@ export const getStudentCourseDetails = async (req, res) => {
                 curriculum: course.curriculum,
                 description: course.description,
                 displayName: course.displayName,
-                topics: course.topics, // Full topics with activities for learning
+                topics: classDoc.getVisibleTopics(course), // Full topics with activities, minus any hidden for the class
                 totalDuration: course.totalDuration,
                 stats: course.stats,
                 createdAt: course.createdAt,
@@ -304,11 +338,12 @@ export const getAvailableSubjects = async (req, res) => {
 
     try {
         const student = await User.findById(req.user._id)
+            .populate('organization', 'contentAccess')
             .populate({
                 path: 'section',
                 populate: {
                     path: 'class',
-                    select: 'grade'
+                    select: 'grade courses'
                 }
             });
 
@@ -328,21 +363,24 @@ export const getAvailableSubjects = async (req, res) => {
 
         const studentGrade = student.section.class.grade;
 
+        // Only courses assigned to the class (or its whole grade) that the organization is entitled to
+        const courseQuery = student.organization.restrictCourseQuery(
+            student.section.class.restrictCourseQuery({
+                gradeLevel: studentGrade,
+                isActive: true,
+                isDeleted: false
+            })
+        );
+
         // Get all unique subjects available for student's grade
-        const subjects = await Course.distinct('subject', {
-            gradeLevel: studentGrade,
-            isActive: true,
-            isDeleted: false
-        });
+        const subjects = await Course.distinct('subject', courseQuery);
 
         // Get course count for each subject
         const subjectStats = await Promise.all(
             subjects.map(async (subject) => {
                 const courseCount = await Course.countDocuments({
-                    gradeLevel: studentGrade,
-                    subject: subject,
-                    isActive: true,
-                    isDeleted: false
+                    ...courseQuery,
+                    subject: subject
                 });
 
                 return {
@@ -390,11 +428,12 @@ export const searchStudentCourses = async (req, res) => {
 
     try {
         const student = await User.findById(req.user._id)
+            .populate('organization', 'contentAccess')
             .populate({
                 path: 'section',
                 populate: {
                     path: 'class',
-                    select: 'grade'
+                    select: 'grade courses'
                 }
             });
 
@@ -462,8 +501,10 @@ export const searchStudentCourses = async (req, res) => {
             }
         }
 
-        // Execute search
-        const courses = await Course.find(filterQuery)
+        // Execute search (only courses assigned to the class that the organization is entitled to)
+        const courses = await Course.find(
+            student.organization.restrictCourseQuery(student.section.class.restrictCourseQuery(filterQuery))
+        )
             .select('title subject chapterNumber curriculum description displayName stats createdAt')
             .sort({ createdAt: -1 })
             .limit(parseInt(limit));
@@ -513,11 +554,12 @@ export const getStudentCourseSummary = async (req, res) => {
 
     try {
         const student = await User.findById(req.user._id)
+            .populate('organization', 'contentAccess')
             .populate({
                 path: 'section',
                 populate: {
                     path: 'class',
-                    select: 'name grade'
+                    select: 'name grade courses'
                 }
             });
 
@@ -537,6 +579,15 @@ export const getStudentCourseSummary = async (req, res) => {
 
         const studentGrade = student.section.class.grade;
 
+        // Only courses assigned to the class (or its whole grade) that the organization is entitled to
+        const courseQuery = student.organization.restrictCourseQuery(
+            student.section.class.restrictCourseQuery({
+                gradeLevel: studentGrade,
+                isActive: true,
+                isDeleted: false
+            })
+        );
+
         // Get course statistics for student's grade
         const [
             totalCourses,
@@ -544,32 +595,14 @@ export const getStudentCourseSummary = async (req, res) => {
             recentCourses,
             subjectDistribution
         ] = await Promise.all([
-            Course.countDocuments({
-                gradeLevel: studentGrade,
-                isActive: true,
-                isDeleted: false
-            }),
-            Course.distinct('subject', {
-                gradeLevel: studentGrade,
-                isActive: true,
-                isDeleted: false
-            }).then(subjects => subjects.length),
-            Course.find({
-                gradeLevel: studentGrade,
-                isActive: true,
-                isDeleted: false
-            })
+            Course.countDocuments(courseQuery),
+            Course.distinct('subject', courseQuery).then(subjects => subjects.length),
+            Course.find(courseQuery)
                 .select('title subject chapterNumber displayName createdAt')
                 .sort({ createdAt: -1 })
                 .limit(5),
             Course.aggregate([
-                {
-                    $match: {
-                        gradeLevel: studentGrade,
-                        isActive: true,
-                        isDeleted: false
-                    }
-                },
+                { $match: courseQuery },
                 {
                     $group: {
                         _id: '$subject',
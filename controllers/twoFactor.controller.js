@@ -0,0 +1,560 @@
+// File: controllers/twoFactor.controller.js
+
+import bcrypt from 'bcryptjs';
+import User from '../models/user.model.js';
+import logger from '../utils/logger.js';
+import {
+    generateAuthTokens,
+    verifyChallengeToken,
+    getDeviceInfo
+} from '../utils/generateToken.js';
+import {
+    generateTOTPSecret,
+    verifyTOTP,
+    buildOtpauthURI,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} from '../utils/totp.js';
+import { sendAccountLockedEmail } from '../utils/emailService.js';
+import { recordLoginAttempt } from '../utils/loginHistory.js';
+
+/**
+ * Start TOTP enrollment by generating a pending secret
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+ */
+const beginEnrollment = async (user) => {
+    const secret = generateTOTPSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthURI(secret, user.email, process.env.TOTP_ISSUER || 'ObjectX')
+    };
+};
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * @param {Object} user - User document
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Array<string>|null>} Plain recovery codes, or null if the code is wrong
+ */
+const confirmEnrollment = async (user, code) => {
+    const step = verifyTOTP(user.twoFactor.pendingSecret, code);
+    if (step === null) return null;
+
+    const { plainCodes, hashedCodes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = hashedCodes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return plainCodes;
+};
+
+/**
+ * Check a TOTP code (with replay protection) or a one-time recovery code
+ * @param {Object} user - User document with two-factor enabled
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Object} Verification result and method used
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const used = user.useRecoveryCode(hashRecoveryCode(recoveryCode));
+        return { success: used, method: 'recovery_code' };
+    }
+
+    const step = verifyTOTP(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep)) {
+        return { success: false, method: 'totp' };
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    return { success: true, method: 'totp' };
+};
+
+/**
+ * Load the user a challenge token was issued for
+ * @param {string} challengeToken - Challenge token from the login step
+ * @param {string} purpose - Expected token purpose
+ * @returns {Promise<Object|null>} User document or null if no longer valid
+ */
+const findChallengeUser = async (challengeToken, purpose) => {
+    const decoded = await verifyChallengeToken(challengeToken, purpose);
+
+    const user = await User.findById(decoded._id)
+        .populate('organization')
+        .populate('section');
+
+    if (!user || !user.isActive || user.isDeleted) return null;
+    if ((decoded.tv ?? 0) !== (user.tokenVersion ?? 0)) return null;
+
+    return user;
+};
+
+/**
+ * Finish a login: record it and start a device session
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Login response body
+ */
+const completeLogin = async (user, req) => {
+    await user.updateLastLogin(getDeviceInfo(req).userAgent);
+    await recordLoginAttempt(req, { user, method: 'two_factor', success: true, identifier: user.email });
+    const { token, refreshToken, expiresIn } = await generateAuthTokens(user, req);
+
+    return {
+        success: true,
+        token,
+        refreshToken,
+        expiresIn,
+        user: {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            organization: user.organization,
+            section: user.section,
+            isVerified: user.isVerified,
+            mustChangePassword: user.mustChangePassword
+        }
+    };
+};
+
+/**
+ * Map challenge token errors to a response
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown while verifying the challenge
+ * @returns {Object|null} Response if handled, null otherwise
+ */
+const handleChallengeError = (res, error) => {
+    if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({
+            success: false,
+            message: 'Verification step has expired. Please login again.',
+            expired: true
+        });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid verification token. Please login again.'
+        });
+    }
+
+    return null;
+};
+
+// POST /2fa/setup - Start two-factor enrollment for the logged in user
+export const setupTwoFactor = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[2FA] Starting two-factor enrollment', { userId: req.user._id });
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user.canUseTwoFactor()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is available for admins and superAdmins only'
+            });
+        }
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const { secret, otpauthUri } = await beginEnrollment(user);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[2FA] Enrollment started (${processingTime}ms)`, { userId: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code to enable two-factor authentication',
+            secret,
+            otpauthUri
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[2FA] Enrollment start failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error starting two-factor enrollment',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /2fa/enable - Confirm enrollment with a TOTP code
+export const enableTwoFactor = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[2FA] Confirming two-factor enrollment', { userId: req.user._id });
+
+    try {
+        const { code } = req.body;
+        const user = await User.findById(req.user._id);
+
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'No two-factor enrollment in progress. Please start setup first.'
+            });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, code);
+        if (!recoveryCodes) {
+            logger.warn('[2FA] Enrollment confirmation failed: Invalid code', { userId: user._id });
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[2FA] Two-factor enabled (${processingTime}ms)`, { userId: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[2FA] Enrollment confirmation failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error enabling two-factor authentication',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /2fa/disable - Turn off two-factor (requires password and a current code)
+export const disableTwoFactor = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[2FA] Disabling two-factor authentication', { userId: req.user._id });
+
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await User.findById(req.user._id).populate('organization');
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (user.isTwoFactorRequired()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your organization requires two-factor authentication for admins'
+            });
+        }
+
+        const isMatch = password && await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        const verification = verifySecondFactor(user, { code, recoveryCode });
+        if (!verification.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        user.twoFactor = {
+            enabled: false,
+            secret: null,
+            pendingSecret: null,
+            recoveryCodes: [],
+            lastUsedStep: null,
+            enabledAt: null
+        };
+        await user.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[2FA] Two-factor disabled (${processingTime}ms)`, { userId: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[2FA] Disabling two-factor failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error disabling two-factor authentication',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /2fa/recovery-codes - Replace all recovery codes (requires a current code)
+export const regenerateRecoveryCodes = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[2FA] Regenerating recovery codes', { userId: req.user._id });
+
+    try {
+        const { code } = req.body;
+        const user = await User.findById(req.user._id);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const verification = verifySecondFactor(user, { code });
+        if (!verification.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const { plainCodes, hashedCodes } = generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = hashedCodes;
+        await user.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[2FA] Recovery codes regenerated (${processingTime}ms)`, { userId: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated. Previous codes no longer work.',
+            recoveryCodes: plainCodes
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[2FA] Recovery code regeneration failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error regenerating recovery codes',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /login/2fa - Second login step: exchange challenge token + code for a full session
+export const verifyTwoFactorLogin = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[2FA] Processing two-factor login step');
+
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Challenge token and verification code are required'
+            });
+        }
+
+        const user = await findChallengeUser(challengeToken, '2fa_challenge');
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Verification step is no longer valid. Please login again.'
+            });
+        }
+
+        if (user.isLocked) {
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked until ${user.lockUntil.toLocaleString()}`,
+                locked: true,
+                lockUntil: user.lockUntil
+            });
+        }
+
+        const verification = verifySecondFactor(user, { code, recoveryCode });
+        if (!verification.success) {
+            const [lockResult] = await Promise.all([
+                user.registerFailedLogin(),
+                recordLoginAttempt(req, {
+                    user,
+                    method: 'two_factor',
+                    success: false,
+                    failureReason: 'invalid_two_factor_code',
+                    identifier: user.email
+                })
+            ]);
+
+            if (lockResult.justLocked) {
+                logger.warn('[2FA] Account locked after repeated failed two-factor codes', {
+                    userId: user._id,
+                    lockUntil: lockResult.lockUntil
+                });
+                await sendAccountLockedEmail(user.email, user.name, lockResult.lockUntil, req.ip);
+
+                return res.status(423).json({
+                    success: false,
+                    message: `Too many failed attempts. Account is locked until ${lockResult.lockUntil.toLocaleString()}`,
+                    locked: true,
+                    lockUntil: lockResult.lockUntil
+                });
+            }
+
+            logger.warn('[2FA] Two-factor login failed: Invalid code', {
+                userId: user._id,
+                method: verification.method
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code',
+                attemptsRemaining: lockResult.attemptsRemaining
+            });
+        }
+
+        user.resetLoginAttempts();
+        const response = await completeLogin(user, req);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[2FA] Two-factor login completed (${processingTime}ms)`, {
+            userId: user._id,
+            method: verification.method,
+            recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+        });
+
+        if (verification.method === 'recovery_code') {
+            response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+        }
+
+        return res.status(200).json(response);
+
+    } catch (error) {
+        const handled = handleChallengeError(res, error);
+        if (handled) return handled;
+
+        const processingTime = Date.now() - startTime;
+        logger.error(`[2FA] Two-factor login failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during two-factor verification',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /login/2fa/setup - Mandatory enrollment during login (org requires 2FA)
+export const setupTwoFactorDuringLogin = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[2FA] Starting mandatory two-factor enrollment');
+
+    try {
+        const { challengeToken } = req.body;
+
+        const user = challengeToken && await findChallengeUser(challengeToken, '2fa_setup');
+        if (!user || user.twoFactor.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Verification step is no longer valid. Please login again.'
+            });
+        }
+
+        const { secret, otpauthUri } = await beginEnrollment(user);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[2FA] Mandatory enrollment started (${processingTime}ms)`, { userId: user._id });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code to finish signing in',
+            secret,
+            otpauthUri
+        });
+
+    } catch (error) {
+        const handled = handleChallengeError(res, error);
+        if (handled) return handled;
+
+        const processingTime = Date.now() - startTime;
+        logger.error(`[2FA] Mandatory enrollment start failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error starting two-factor enrollment',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+// POST /login/2fa/enable - Confirm mandatory enrollment and finish login
+export const enableTwoFactorDuringLogin = async (req, res) => {
+    const startTime = Date.now();
+    logger.info('[2FA] Confirming mandatory two-factor enrollment');
+
+    try {
+        const { challengeToken, code } = req.body;
+
+        const user = challengeToken && await findChallengeUser(challengeToken, '2fa_setup');
+        if (!user || user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+            return res.status(401).json({
+                success: false,
+                message: 'Verification step is no longer valid. Please login again.'
+            });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const response = await completeLogin(user, req);
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[2FA] Mandatory enrollment completed, user logged in (${processingTime}ms)`, {
+            userId: user._id
+        });
+
+        return res.status(200).json({
+            ...response,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        const handled = handleChallengeError(res, error);
+        if (handled) return handled;
+
+        const processingTime = Date.now() - startTime;
+        logger.error(`[2FA] Mandatory enrollment confirmation failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error enabling two-factor authentication',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
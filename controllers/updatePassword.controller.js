@@ -3,7 +3,9 @@
 import bcrypt from 'bcryptjs';
 import User from '../models/user.model.js';
 import logger from '../utils/logger.js';
+import { generateAuthTokens } from '../utils/generateToken.js';
 import { sendPasswordChangedEmail } from '../utils/emailService.js';
+import { validateNewPassword } from '../utils/passwordPolicy.js';
 
 // PUT /update-password - Update user password
 export const updatePassword = async (req, res) => {
@@ -50,18 +52,33 @@ export const updatePassword = async (req, res) => {
             });
         }
 
+        // Apply the organization's password policy and reuse rules
+        const passwordCheck = await validateNewPassword(user, newPassword);
+        if (!passwordCheck.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: "New password does not meet your organization's password policy",
+                policy: passwordCheck.settings.policy,
+                failedRules: passwordCheck.failedRules
+            });
+        }
+
         // Hash new password
         const hashedNewPassword = await bcrypt.hash(newPassword, 10);
 
-        // Update password
-        user.password = hashedNewPassword;
-        user.lastPasswordReset = new Date();
+        // Update password (bumps token version and revokes every existing session)
+        user.recordPasswordChange(hashedNewPassword, passwordCheck.settings.historyCount);
         await user.save();
 
-        // Send password changed confirmation email
-        const emailSent = await sendPasswordChangedEmail(user.email, user.name);
-        if (!emailSent) {
-            logger.warn('[PASSWORD] Failed to send password changed email', { userId: user._id });
+        // Keep the current device signed in with a fresh session
+        const { token, refreshToken, expiresIn } = await generateAuthTokens(user, req);
+
+        // Send password changed confirmation email (students may have no email)
+        if (user.email) {
+            const emailSent = await sendPasswordChangedEmail(user.email, user.name);
+            if (!emailSent) {
+                logger.warn('[PASSWORD] Failed to send password changed email', { userId: user._id });
+            }
         }
 
         const processingTime = Date.now() - startTime;
@@ -71,7 +88,10 @@ export const updatePassword = async (req, res) => {
 
         return res.status(200).json({
             success: true,
-            message: 'Password updated successfully'
+            message: 'Password updated successfully. You have been signed out of all other devices.',
+            token,
+            refreshToken,
+            expiresIn
         });
 
     } catch (error) {
@@ -9,7 +9,15 @@ import courseRouter from './routes/course.routes.js';
 import courseViewingRouter from './routes/courseViewing.routes.js';
 import teacherRouter from './routes/teacher.routes.js';
 import studentRouter from './routes/student.routes.js';
-import cors from 'cors'
+import parentRouter from './routes/parent.routes.js';
+import sectionDeviceRouter from './routes/sectionDevice.routes.js';
+import signingKeyRouter from './routes/signingKey.routes.js';
+import loginThrottleRouter from './routes/loginThrottle.routes.js';
+import { getJwksDocument } from './controllers/signingKey.controller.js';
+import { initializeKeyring } from './utils/keyring.js';
+import { getLongestTokenLifetimeMs } from './utils/generateToken.js';
+import OrganizationExport from './models/organizationExport.model.js';
+import { dynamicCors } from './middleware/cors.middleware.js';
 import User from './models/user.model.js';
 import Organization from './models/organization.model.js';
 import Class from './models/class.model.js';
@@ -23,7 +31,16 @@ dotenv.config();
 
 // Initialize Express app
 const app = express();
-app.use(cors());
+
+// Behind a proxy (e.g. Railway) req.ip is the proxy's address unless the proxy is trusted
+// TRUST_PROXY: hop count (1), true, or addresses/subnets as Express accepts them
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Dashboards, plus origins each organization allows for API access
+app.use(dynamicCors);
 const PORT = process.env.PORT || 3000;
 
 // Middleware
@@ -56,7 +73,14 @@ app.use('/api/v1/organizations', organizationRouter);
 app.use('/api/v1/admin', adminRouter);
 app.use('/api/v1/teacher', teacherRouter);
 app.use('/api/v1/student', studentRouter);
+app.use('/api/v1/parent', parentRouter);
+app.use('/api/v1/section-device', sectionDeviceRouter);
 app.use('/api/v1/superadmin/courses', courseRouter);
+app.use('/api/v1/superadmin/signing-keys', signingKeyRouter);
+app.use('/api/v1/superadmin/ip-locks', loginThrottleRouter);
+
+// Public keys for verifying access tokens (LMS partners)
+app.get('/.well-known/jwks.json', getJwksDocument);
 app.use('/api/v1/courses', courseViewingRouter);
 
 app.get('/', (req, res) => {
@@ -94,6 +118,12 @@ const bootstrap = async () => {
         // Connect to database
         await connectDB();
 
+        // Load token signing keys (creates them on first start)
+        await initializeKeyring({ longestTokenLifetimeMs: getLongestTokenLifetimeMs() });
+
+        // Export jobs run in this process, so any left queued or running were cut off
+        await OrganizationExport.failInterrupted();
+
         // Start the server
         app.listen(PORT, () => {
             const bootTime = (Date.now() - startTime) / 1000;
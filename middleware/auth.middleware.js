@@ -1,8 +1,72 @@
 // File: middleware/auth.middleware.js
 
-import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import SectionDevice from '../models/sectionDevice.model.js';
+import Impersonation from '../models/impersonation.model.js';
 import logger from '../utils/logger.js';
+import { verifyRequestToken } from '../utils/keyring.js';
+
+/**
+ * Find the device session a token was issued for, if it is still usable
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Object|null>} Session document or null if revoked/expired/missing
+ */
+const findActiveSession = async (decoded) => {
+    // Challenge tokens (unfinished logins) never carry a session
+    if (decoded.purpose || !decoded.sid) return null;
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isValid) return null;
+    if (session.user.toString() !== decoded._id.toString()) return null;
+
+    return session;
+};
+
+/**
+ * Find the section device a kiosk token was issued for, if it is still usable
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Object|null>} Section device or null if revoked/missing
+ */
+const findActiveSectionDevice = async (decoded) => {
+    if (decoded.purpose || !decoded.device) return null;
+
+    const device = await SectionDevice.findById(decoded.device);
+    if (!device || device.isRevoked) return null;
+
+    return device;
+};
+
+/**
+ * Find the impersonation an impersonation token was issued for, with the acting user
+ * Ends with the impersonation itself or as soon as the acting user loses access
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Object|null>} Impersonation and acting user, or null if no longer usable
+ */
+const findActiveImpersonation = async (decoded) => {
+    if (decoded.purpose || !decoded.imp) return null;
+
+    const impersonation = await Impersonation.findById(decoded.imp);
+    if (!impersonation || !impersonation.isActive) return null;
+    if (impersonation.targetUser.toString() !== decoded._id.toString()) return null;
+    if (impersonation.actor.toString() !== decoded.act?.toString()) return null;
+
+    const actor = await User.findById(decoded.act).select('name email role organization isActive isDeleted tokenVersion');
+    if (!actor || !actor.isActive || actor.isDeleted) return null;
+    if ((decoded.atv ?? 0) !== (actor.tokenVersion ?? 0)) return null;
+
+    return { impersonation, actor };
+};
+
+/**
+ * Check the token was issued for the user's current token version
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Object} user - User document
+ * @returns {boolean} True if token has not been invalidated
+ */
+const isTokenVersionCurrent = (decoded, user) => {
+    return (decoded.tv ?? 0) === (user.tokenVersion ?? 0);
+};
 
 /**
  * Protect middleware - Verify JWT token and authenticate user
@@ -37,14 +101,33 @@ export const protect = async (req, res, next) => {
 
         try {
             // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = await verifyRequestToken(req, token);
+
+            // Check the device session has not been revoked (logout, revoke, refresh token reuse)
+            // Kiosk tokens are bound to a section device, impersonation tokens to an impersonation record
+            const session = decoded.device || decoded.imp ? null : await findActiveSession(decoded);
+            const sectionDevice = decoded.device ? await findActiveSectionDevice(decoded) : null;
+            const impersonated = decoded.imp ? await findActiveImpersonation(decoded) : null;
+            if (!session && !sectionDevice && !impersonated) {
+                logger.warn('[AUTH] Token from revoked or unknown session', {
+                    userId: decoded._id,
+                    sessionId: decoded.sid,
+                    path: req.path
+                });
+
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your session has ended. Please login again.',
+                    sessionRevoked: true
+                });
+            }
 
             // Find user by ID from token
             const user = await User.findById(decoded._id)
                 .populate('organization')
                 .populate('section')
                 .populate('teachingSections')
-                .select('-password -otp');
+                .select('-password -otp -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -devicePin -passwordHistory');
 
             // Check if user exists
             if (!user) {
@@ -85,6 +168,21 @@ export const protect = async (req, res, next) => {
                 });
             }
 
+            // Check token was issued after the last password change, role change or force logout
+            if (!isTokenVersionCurrent(decoded, user)) {
+                logger.warn('[AUTH] Invalidated token used', {
+                    userId: user._id,
+                    tokenVersion: decoded.tv,
+                    currentVersion: user.tokenVersion
+                });
+
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your credentials have changed. Please login again.',
+                    tokenRevoked: true
+                });
+            }
+
             // Check if user is verified (except for SuperAdmin)
             if (!user.isVerified && user.role !== 'superAdmin') {
                 logger.warn('[AUTH] Unverified user attempted access', {
@@ -100,13 +198,63 @@ export const protect = async (req, res, next) => {
                 });
             }
 
-            // Attach user to request object
+            // Admin-generated password must be replaced before anything else
+            // (PIN sign-ins on section devices and impersonators, who cannot change it, excepted)
+            if (user.mustChangePassword && !sectionDevice && !impersonated && !req.allowPasswordChangeRequired) {
+                logger.warn('[AUTH] Access blocked: Password change required', {
+                    userId: user._id,
+                    path: req.path
+                });
+
+                return res.status(403).json({
+                    success: false,
+                    message: 'You must change your password before continuing',
+                    code: 'PASSWORD_CHANGE_REQUIRED',
+                    mustChangePassword: true
+                });
+            }
+
+            // Kiosk tokens only reach routes that opted in, for students still in the device's section
+            if (sectionDevice) {
+                if (!req.allowSectionDevice) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Classroom devices can only access student courses'
+                    });
+                }
+
+                if (user.section?._id?.toString() !== sectionDevice.section.toString()) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'You are no longer in this device\'s section',
+                        sessionRevoked: true
+                    });
+                }
+            }
+
+            // Record every request made while acting as someone else
+            if (impersonated) {
+                const { impersonation } = impersonated;
+                res.on('finish', () => {
+                    impersonation.recordAction(req.method, req.originalUrl, res.statusCode).catch(error => {
+                        logger.error('[AUTH] Failed to record impersonated request:', error);
+                    });
+                });
+            }
+
+            // Attach user and device session to request object
+            // While impersonating, req.user is the impersonated user and req.impersonator the acting one
             req.user = user;
+            req.authSession = session;
+            req.sectionDevice = sectionDevice;
+            req.impersonator = impersonated?.actor || null;
+            req.impersonation = impersonated?.impersonation || null;
 
             const processingTime = Date.now() - startTime;
             logger.debug(`[AUTH] User authenticated successfully (${processingTime}ms)`, {
                 userId: user._id,
                 role: user.role,
+                impersonatorId: req.impersonator?._id,
                 path: req.path
             });
 
@@ -174,6 +322,43 @@ export const protect = async (req, res, next) => {
     }
 };
 
+/**
+ * Let users who still have to change their admin-generated password through protect on this route
+ * Must run before protect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const allowPasswordChangeRequired = (req, res, next) => {
+    req.allowPasswordChangeRequired = true;
+    next();
+};
+
+/**
+ * Block password, two-factor, session and other security changes while impersonating
+ * Must run after protect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const blockImpersonation = (req, res, next) => {
+    if (req.impersonator) {
+        logger.warn('[AUTH] Security change blocked during impersonation', {
+            impersonatorId: req.impersonator._id,
+            userId: req.user._id,
+            path: req.path
+        });
+
+        return res.status(403).json({
+            success: false,
+            message: 'This action is not available while impersonating a user',
+            code: 'IMPERSONATION_RESTRICTED'
+        });
+    }
+
+    next();
+};
+
 /**
  * Optional protect middleware - Similar to protect but doesn't fail if no token
  * Used for routes that work for both authenticated and unauthenticated users
@@ -197,17 +382,21 @@ export const optionalProtect = async (req, res, next) => {
 
         try {
             // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = await verifyRequestToken(req, token);
+
+            // Ignore tokens from revoked sessions
+            const session = await findActiveSession(decoded);
 
             // Find user by ID from token
-            const user = await User.findById(decoded._id)
+            const user = session && await User.findById(decoded._id)
                 .populate('organization')
                 .populate('section')
-                .select('-password -otp');
+                .select('-password -otp -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -devicePin -passwordHistory');
 
             // If user exists and is active, attach to request
-            if (user && user.isActive && !user.isDeleted) {
+            if (user && user.isActive && !user.isDeleted && isTokenVersionCurrent(decoded, user)) {
                 req.user = user;
+                req.authSession = session;
             }
 
         } catch (jwtError) {
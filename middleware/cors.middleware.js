@@ -0,0 +1,85 @@
+// File: middleware/cors.middleware.js
+
+import cors from 'cors';
+import APIKey from '../models/apikey.model.js';
+import User from '../models/user.model.js';
+import { verifyRequestToken } from '../utils/keyring.js';
+import { isDashboardOrigin, isOriginAllowed } from '../utils/allowedOrigins.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Organization that owns a cross-origin request: the API key's (X-API-Key header)
+ * or the signed-in user's (Bearer token)
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Organization ID, or null if the request carries no usable credentials
+ */
+const getRequestOrganizationId = async (req) => {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+        const key = await APIKey.verifyAPIKey(apiKey).select('organization');
+        return key?.organization || null;
+    }
+
+    const authorization = req.get('Authorization');
+    if (authorization?.startsWith('Bearer')) {
+        try {
+            const decoded = await verifyRequestToken(req, authorization.split(' ')[1]);
+            if (decoded.org !== undefined) return decoded.org;
+
+            // Tokens issued before they carried the organization
+            const user = await User.findById(decoded._id).select('organization');
+            return user?.organization || null;
+        } catch {
+            return null;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Decide CORS for one request
+ * Our dashboards are always allowed. Any other origin must be in the owning organization's
+ * apiAccess.allowedDomains with apiAccess.isEnabled. Preflights carry no credentials, so they only
+ * need some organization to allow the origin; other requests without a usable key or token
+ * (e.g. login and signup) are for our dashboards only
+ * @param {Object} req - Express request object
+ * @returns {Promise<boolean>} Whether to send CORS headers for the request's origin
+ */
+const isRequestOriginAllowed = async (req) => {
+    const origin = req.get('Origin');
+
+    // Same-origin and server-to-server requests are not subject to CORS
+    if (!origin || isDashboardOrigin(origin)) return true;
+
+    if (req.method === 'OPTIONS') {
+        return isOriginAllowed(origin);
+    }
+
+    const organizationId = await getRequestOrganizationId(req);
+    return organizationId ? isOriginAllowed(origin, organizationId) : false;
+};
+
+/**
+ * CORS middleware with per-request, per-organization origins
+ * Disallowed origins get no CORS headers, so browsers block the response
+ * @returns {Function} Express middleware function
+ */
+export const dynamicCors = cors((req, callback) => {
+    isRequestOriginAllowed(req)
+        .then(allowed => {
+            if (!allowed) {
+                logger.warn('[CORS] Origin not allowed', {
+                    origin: req.get('Origin'),
+                    path: req.originalUrl,
+                    method: req.method
+                });
+            }
+
+            callback(null, { origin: allowed });
+        })
+        .catch(error => {
+            logger.error('[CORS] Origin check failed:', error);
+            callback(null, { origin: false });
+        });
+});
@@ -0,0 +1,72 @@
+// File: middleware/license.middleware.js
+
+import logger from '../utils/logger.js';
+
+// Requests that only read data
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Make an organization read-only once its license has expired (or before it starts)
+ * Must run after protect so req.user.organization is populated
+ * @returns {Function} Express middleware function
+ */
+export const requireWritableLicense = (req, res, next) => {
+    const organization = req.user?.organization;
+
+    if (READ_METHODS.includes(req.method) || req.user?.role === 'superAdmin' || !organization?.isLicenseWritable) {
+        return next();
+    }
+
+    if (!organization.isLicenseWritable()) {
+        logger.warn('[LICENSE] Write blocked: License not active', {
+            userId: req.user._id,
+            organizationId: organization._id,
+            status: organization.getLicenseStatus(),
+            path: req.originalUrl,
+            method: req.method
+        });
+
+        return res.status(403).json({
+            success: false,
+            code: 'LICENSE_INACTIVE',
+            message: 'Your organization\'s license is not active. Access is read-only until it is renewed.',
+            license: organization.getLicenseSummary()
+        });
+    }
+
+    next();
+};
+
+/**
+ * Require a license feature for a route
+ * Must run after protect so req.user.organization is populated
+ * @param {string} feature - One of LICENSE_FEATURES
+ * @returns {Function} Express middleware function
+ */
+export const requireLicenseFeature = (feature) => {
+    return (req, res, next) => {
+        const organization = req.user?.organization;
+
+        if (req.user?.role === 'superAdmin' || !organization?.hasLicenseFeature) {
+            return next();
+        }
+
+        if (!organization.hasLicenseFeature(feature)) {
+            logger.warn('[LICENSE] Feature not licensed', {
+                userId: req.user._id,
+                organizationId: organization._id,
+                feature,
+                path: req.originalUrl
+            });
+
+            return res.status(403).json({
+                success: false,
+                code: 'FEATURE_NOT_LICENSED',
+                message: 'This feature is not included in your organization\'s license',
+                feature
+            });
+        }
+
+        next();
+    };
+};
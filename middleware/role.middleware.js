@@ -12,6 +12,7 @@ const ROLE_HIERARCHY = {
     teacher: 2,
     admin: 3,
     superAdmin: 4,
+    parent: 1, // Read-only access to their children
     specialUser: 1 // Same level as student
 };
 
@@ -377,7 +378,7 @@ export const requirePrimaryAdmin = async (req, res, next) => {
         }
 
         const organization = await Organization.findById(req.user.organization._id);
-        const adminRecord = organization.admins.find(a => a.user.toString() === req.user._id.toString());
+        const adminRecord = organization?.admins.find(a => a.user.toString() === req.user._id.toString());
 
         if (!adminRecord || adminRecord.role !== 'primary_admin') {
             return res.status(403).json({
@@ -0,0 +1,99 @@
+// File: middleware/sectionDevice.middleware.js
+
+import logger from '../utils/logger.js';
+import SectionDevice from '../models/sectionDevice.model.js';
+import Section from '../models/section.model.js';
+import Organization from '../models/organization.model.js';
+
+/**
+ * Authenticate a shared classroom headset by its device key (X-Device-Key header)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const protectSectionDevice = async (req, res, next) => {
+    const startTime = Date.now();
+
+    try {
+        const deviceKey = req.get('X-Device-Key');
+
+        if (!deviceKey) {
+            logger.warn('[SECTION-DEVICE] Access denied: No device key provided', {
+                path: req.path,
+                ip: req.ip
+            });
+
+            return res.status(401).json({
+                success: false,
+                message: 'Access denied. No device key provided.'
+            });
+        }
+
+        const device = await SectionDevice.findByKey(deviceKey);
+        if (!device) {
+            logger.warn('[SECTION-DEVICE] Access denied: Unknown or revoked device key', {
+                path: req.path,
+                ip: req.ip
+            });
+
+            return res.status(401).json({
+                success: false,
+                message: 'This device has been revoked or is not registered',
+                deviceRevoked: true
+            });
+        }
+
+        const section = await Section.findOne({ _id: device.section, isDeleted: false, isActive: true });
+        if (!section) {
+            return res.status(403).json({
+                success: false,
+                message: 'The section this device belongs to is no longer active'
+            });
+        }
+
+        const organization = await Organization.findById(section.organization);
+        if (organization && !organization.hasLicenseFeature('section_devices')) {
+            return res.status(403).json({
+                success: false,
+                code: 'FEATURE_NOT_LICENSED',
+                message: 'Section devices are not included in your organization\'s license',
+                feature: 'section_devices'
+            });
+        }
+
+        await device.touch(req.ip);
+
+        req.sectionDevice = device;
+        req.deviceSection = section;
+
+        const processingTime = Date.now() - startTime;
+        logger.debug(`[SECTION-DEVICE] Device authenticated (${processingTime}ms)`, {
+            deviceId: device._id,
+            sectionId: section._id
+        });
+
+        next();
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[SECTION-DEVICE] Device authentication failed (${processingTime}ms):`, error);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during device authentication',
+            error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message
+        });
+    }
+};
+
+/**
+ * Let student tokens issued on a section device through protect on this route
+ * Must run before protect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const allowSectionDevice = (req, res, next) => {
+    req.allowSectionDevice = true;
+    next();
+};
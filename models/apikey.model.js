@@ -59,6 +59,18 @@ const apiKeySchema = new mongoose.Schema(
             default: false,
         },
 
+        // Set when deleting the organization cascaded here, so restoring it brings back only what it deleted
+        organizationDeletion: {
+            deletedAt: {
+                type: Date,
+                default: null,
+            },
+            wasActive: {
+                type: Boolean,
+                default: null,
+            },
+        },
+
         // Expiry settings
         expiresAt: {
             type: Date,
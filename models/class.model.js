@@ -32,11 +32,38 @@ const classSchema = new mongoose.Schema(
             },
         ],
 
-        // Courses/subjects taught in this class
+        // Courses assigned to this class, in teaching order
+        // While empty, the class sees every course of its grade
         courses: [
             {
-                type: mongoose.Schema.Types.ObjectId,
-                ref: 'Course',
+                course: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Course',
+                    required: [true, 'Course reference is required'],
+                },
+                order: {
+                    type: Number,
+                    default: 0,
+                },
+                // Students only see the course from this date (teachers see it straight away)
+                startDate: {
+                    type: Date,
+                    default: null,
+                },
+                // Topics (_id) students of this class do not see
+                hiddenTopics: [
+                    {
+                        type: mongoose.Schema.Types.ObjectId,
+                    },
+                ],
+                assignedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                assignedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
             },
         ],
 
@@ -52,6 +79,18 @@ const classSchema = new mongoose.Schema(
             default: false,
         },
 
+        // Set when deleting the organization cascaded here, so restoring it brings back only what it deleted
+        organizationDeletion: {
+            deletedAt: {
+                type: Date,
+                default: null,
+            },
+            wasActive: {
+                type: Boolean,
+                default: null,
+            },
+        },
+
         // Academic year (optional)
         academicYear: {
             type: String,
@@ -112,6 +151,7 @@ const classSchema = new mongoose.Schema(
             { isActive: 1 },
             { isDeleted: 1 },
             { name: 1, organization: 1 }, // Unique class names within organization
+            { 'courses.course': 1 },
         ]
     }
 );
@@ -192,6 +232,52 @@ classSchema.methods.canUserAccess = function (userId, userRole) {
     return false;
 };
 
+// Method to find a course's assignment in this class
+classSchema.methods.getCourseAssignment = function (courseId) {
+    return this.courses.find(assignment =>
+        (assignment.course?._id || assignment.course).toString() === courseId.toString()
+    ) || null;
+};
+
+// Method to check if a course is assigned to the class (every course of the grade is, until something is assigned)
+classSchema.methods.isCourseAssigned = function (courseId) {
+    return this.courses.length === 0 || Boolean(this.getCourseAssignment(courseId));
+};
+
+// Method to check if an assigned course has reached its start date
+classSchema.methods.isCourseStarted = function (courseId, now = new Date()) {
+    const startDate = this.getCourseAssignment(courseId)?.startDate;
+    return !startDate || startDate <= now;
+};
+
+// Method to limit a course query to the class's assigned courses (grade-wide when nothing is assigned)
+classSchema.methods.restrictCourseQuery = function (query, { includeScheduled = false } = {}) {
+    if (this.courses.length === 0) return query;
+
+    const now = new Date();
+    const courseIds = this.courses
+        .filter(assignment => includeScheduled || !assignment.startDate || assignment.startDate <= now)
+        .map(assignment => assignment.course?._id || assignment.course);
+
+    return { $and: [query, { _id: { $in: courseIds } }] };
+};
+
+// Method to sort courses into the class's teaching order (grade-wide classes keep the given order)
+classSchema.methods.sortByCourseOrder = function (courses) {
+    if (this.courses.length === 0) return courses;
+
+    const orderOf = (course) => this.getCourseAssignment(course._id)?.order ?? Number.MAX_SAFE_INTEGER;
+    return [...courses].sort((a, b) => orderOf(a) - orderOf(b));
+};
+
+// Method to get the topics of a course that students of this class see
+classSchema.methods.getVisibleTopics = function (course) {
+    const hiddenTopics = new Set(
+        (this.getCourseAssignment(course._id)?.hiddenTopics || []).map(topicId => topicId.toString())
+    );
+    return course.topics.filter(topic => !hiddenTopics.has(topic._id.toString()));
+};
+
 // Static method to find classes by organization
 classSchema.statics.findByOrganization = function (organizationId) {
     return this.find({
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Subjects a course can belong to (also what organizations are entitled to in contentAccess)
+export const COURSE_SUBJECTS = ['Mathematics', 'Science', 'Physics', 'Chemistry', 'Biology', 'English', 'Hindi', 'History', 'Geography', 'Computer Science', 'Social Science'];
+
 const courseSchema = new mongoose.Schema(
     {
         // Basic Course Information
@@ -13,7 +16,7 @@ const courseSchema = new mongoose.Schema(
             type: String,
             required: [true, 'Subject is required'],
             trim: true,
-            enum: ['Mathematics', 'Science', 'Physics', 'Chemistry', 'Biology', 'English', 'Hindi', 'History', 'Geography', 'Computer Science', 'Social Science'],
+            enum: COURSE_SUBJECTS,
         },
 
         gradeLevel: {
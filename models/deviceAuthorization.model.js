@@ -0,0 +1,184 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Unambiguous characters for user codes typed on a phone (no vowels or look-alikes)
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+const USER_CODE_LENGTH = 8;
+
+// Pending device login (OAuth 2.0 device authorization grant) for headsets and other input-constrained devices
+const deviceAuthorizationSchema = new mongoose.Schema(
+    {
+        // Secret the device polls with (hashed for security)
+        deviceCodeHash: {
+            type: String,
+            required: [true, 'Device code is required'],
+            unique: true,
+        },
+
+        // Short code the user enters or scans on their phone/browser
+        userCode: {
+            type: String,
+            required: [true, 'User code is required'],
+            unique: true,
+            uppercase: true,
+        },
+
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'denied', 'consumed'],
+            default: 'pending',
+        },
+
+        // Organization the device is registered to (optional) - only its users may approve
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+
+        // User who approved or denied the request
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        // Device information (from the requesting device)
+        deviceName: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+
+        userAgent: {
+            type: String,
+            default: '',
+        },
+
+        ipAddress: {
+            type: String,
+            default: '',
+        },
+
+        // Minimum seconds between polls
+        interval: {
+            type: Number,
+            default: 5,
+        },
+
+        lastPolledAt: {
+            type: Date,
+            default: null,
+        },
+
+        decidedAt: {
+            type: Date,
+            default: null,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { deviceCodeHash: 1 },
+            { userCode: 1 },
+            { status: 1 },
+        ]
+    }
+);
+
+// Index for expired request cleanup
+deviceAuthorizationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if request is expired
+deviceAuthorizationSchema.virtual('isExpired').get(function () {
+    return new Date() > this.expiresAt;
+});
+
+// Static method to get device code lifetime in milliseconds
+deviceAuthorizationSchema.statics.getLifetime = function () {
+    const minutes = parseInt(process.env.DEVICE_CODE_EXPIRY_MINUTES) || 10;
+    return minutes * 60 * 1000;
+};
+
+// Static method to hash a device code
+deviceAuthorizationSchema.statics.hashDeviceCode = function (deviceCode) {
+    return crypto.createHash('sha256').update(deviceCode).digest('hex');
+};
+
+// Static method to normalize a user code as typed (case, spaces and dashes ignored)
+deviceAuthorizationSchema.statics.normalizeUserCode = function (userCode) {
+    const cleaned = userCode.toString().toUpperCase().replace(/[^A-Z]/g, '');
+    return `${cleaned.slice(0, 4)}-${cleaned.slice(4)}`;
+};
+
+// Static method to generate a user code (XXXX-XXXX)
+deviceAuthorizationSchema.statics.generateUserCode = function () {
+    let code = '';
+    for (let i = 0; i < USER_CODE_LENGTH; i++) {
+        code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+// Static method to start a new device authorization request
+deviceAuthorizationSchema.statics.createRequest = async function (deviceInfo = {}, organizationId = null) {
+    const deviceCode = 'oxd_' + crypto.randomBytes(32).toString('hex');
+
+    // Retry on the rare user code collision
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const request = await this.create({
+                deviceCodeHash: this.hashDeviceCode(deviceCode),
+                userCode: this.generateUserCode(),
+                organization: organizationId,
+                deviceName: deviceInfo.deviceName || '',
+                userAgent: deviceInfo.userAgent || '',
+                ipAddress: deviceInfo.ipAddress || '',
+                expiresAt: new Date(Date.now() + this.getLifetime())
+            });
+
+            return { request, deviceCode };
+        } catch (error) {
+            if (error.code !== 11000 || attempt === 4) throw error;
+        }
+    }
+};
+
+// Static method to find a pending, unexpired request by user code
+deviceAuthorizationSchema.statics.findPendingByUserCode = function (userCode) {
+    return this.findOne({
+        userCode: this.normalizeUserCode(userCode),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Static method to find a request by the device's secret code
+deviceAuthorizationSchema.statics.findByDeviceCode = function (deviceCode) {
+    return this.findOne({ deviceCodeHash: this.hashDeviceCode(deviceCode) });
+};
+
+// Method to record the user's decision
+deviceAuthorizationSchema.methods.decide = function (userId, approved) {
+    this.status = approved ? 'approved' : 'denied';
+    this.user = userId;
+    this.decidedAt = new Date();
+    return this.save();
+};
+
+// Method to mark an approved request as exchanged for tokens (atomic, so it can only happen once)
+deviceAuthorizationSchema.methods.consume = function () {
+    return this.constructor.findOneAndUpdate(
+        { _id: this._id, status: 'approved' },
+        { $set: { status: 'consumed' } },
+        { new: true }
+    );
+};
+
+const DeviceAuthorization = mongoose.model('DeviceAuthorization', deviceAuthorizationSchema);
+export default DeviceAuthorization;
@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+
+// Requests remembered per impersonation (oldest are dropped first)
+const MAX_RECORDED_ACTIONS = 500;
+
+// Audit record of a superAdmin or admin acting as another user
+const impersonationSchema = new mongoose.Schema(
+    {
+        // Who is acting
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Acting user is required'],
+        },
+
+        actorRole: {
+            type: String,
+            required: true,
+        },
+
+        // Who they are acting as
+        targetUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Impersonated user is required'],
+        },
+
+        targetRole: {
+            type: String,
+            required: true,
+        },
+
+        // Organization of the impersonated user (null for users without one)
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+
+        // Why (e.g. support ticket reference)
+        reason: {
+            type: String,
+            required: [true, 'A reason for impersonation is required'],
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters'],
+        },
+
+        ipAddress: {
+            type: String,
+            default: '',
+        },
+
+        userAgent: {
+            type: String,
+            default: '',
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        endedAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Every request made with the impersonation token
+        actions: [
+            {
+                method: String,
+                path: String,
+                statusCode: Number,
+                at: {
+                    type: Date,
+                    default: Date.now,
+                },
+                _id: false,
+            },
+        ],
+
+        actionCount: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { actor: 1 },
+            { targetUser: 1 },
+            { organization: 1 },
+            { createdAt: -1 },
+        ]
+    }
+);
+
+// Virtual to check if the impersonation token can still be used
+impersonationSchema.virtual('isActive').get(function () {
+    return !this.endedAt && new Date() < this.expiresAt;
+});
+
+// Static method to get impersonation lifetime in milliseconds
+impersonationSchema.statics.getLifetime = function () {
+    const minutes = parseInt(process.env.IMPERSONATION_EXPIRY_MINUTES) || 30;
+    return minutes * 60 * 1000;
+};
+
+// Static method to start an impersonation
+impersonationSchema.statics.start = function (actor, target, { reason, ipAddress, userAgent } = {}) {
+    return this.create({
+        actor: actor._id,
+        actorRole: actor.role,
+        targetUser: target._id,
+        targetRole: target.role,
+        organization: target.organization?._id || target.organization || null,
+        reason,
+        ipAddress: ipAddress || '',
+        userAgent: userAgent || '',
+        expiresAt: new Date(Date.now() + this.getLifetime())
+    });
+};
+
+// Method to record a request made while impersonating
+impersonationSchema.methods.recordAction = function (method, path, statusCode) {
+    return this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $push: {
+                actions: {
+                    $each: [{ method, path, statusCode, at: new Date() }],
+                    $slice: -MAX_RECORDED_ACTIONS
+                }
+            },
+            $inc: { actionCount: 1 }
+        }
+    );
+};
+
+// Method to end the impersonation early
+impersonationSchema.methods.end = function () {
+    this.endedAt = new Date();
+    return this.save();
+};
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+export default Impersonation;
@@ -0,0 +1,170 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Unambiguous characters for codes read off a board or a letter home (no vowels or look-alikes)
+const JOIN_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+// Code students sign up with to join an organization's class or section
+const joinCodeSchema = new mongoose.Schema(
+    {
+        // Stored as XXXX-XXXX
+        code: {
+            type: String,
+            required: [true, 'Code is required'],
+            unique: true,
+        },
+
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization is required'],
+        },
+
+        class: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Class',
+            required: [true, 'Class is required'],
+        },
+
+        // Set for a section code; otherwise students are placed in the class's best section
+        section: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Section',
+            default: null,
+        },
+
+        // Shown to the admin only (e.g. "Parents evening flyer")
+        label: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+
+        // Null for unlimited
+        maxUses: {
+            type: Number,
+            min: [1, 'Max uses must be at least 1'],
+            default: null,
+        },
+
+        useCount: {
+            type: Number,
+            default: 0,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry is required'],
+        },
+
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+
+        // Set when deleting the organization cascaded here, so restoring it brings back only what it deleted
+        organizationDeletion: {
+            deletedAt: {
+                type: Date,
+                default: null,
+            },
+            wasActive: {
+                type: Boolean,
+                default: null,
+            },
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { code: 1 },
+            { organization: 1, createdAt: -1 },
+        ]
+    }
+);
+
+// Virtual to check if the code can still be used
+joinCodeSchema.virtual('isUsable').get(function () {
+    return this.isActive &&
+        this.expiresAt > new Date() &&
+        (this.maxUses === null || this.useCount < this.maxUses);
+});
+
+// Static method to normalize a code as typed (case, spaces and dashes ignored)
+joinCodeSchema.statics.normalizeCode = function (code) {
+    const cleaned = code.toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return `${cleaned.slice(0, 4)}-${cleaned.slice(4)}`;
+};
+
+// Static method to generate a code (XXXX-XXXX)
+joinCodeSchema.statics.generateCode = function () {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+// Static method to create a join code (retries on the rare code collision)
+joinCodeSchema.statics.createCode = async function (fields) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            return await this.create({ ...fields, code: this.generateCode() });
+        } catch (error) {
+            if (error.code !== 11000 || attempt === 4) throw error;
+        }
+    }
+};
+
+// Static method to find a code that can still be used
+joinCodeSchema.statics.findUsable = async function (code) {
+    const joinCode = await this.findOne({ code: this.normalizeCode(code), isActive: true });
+    return joinCode?.isUsable ? joinCode : null;
+};
+
+// Method to use the code once (atomic, so max uses can't be exceeded by concurrent sign-ups)
+joinCodeSchema.methods.consumeUse = function () {
+    return this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            isActive: true,
+            expiresAt: { $gt: new Date() },
+            $or: [
+                { maxUses: null },
+                { $expr: { $lt: ['$useCount', '$maxUses'] } }
+            ]
+        },
+        { $inc: { useCount: 1 } },
+        { new: true }
+    );
+};
+
+// Static method to give back a use (e.g. when the registration it was used for is rejected)
+joinCodeSchema.statics.refundUse = function (joinCodeId) {
+    return this.updateOne(
+        { _id: joinCodeId, useCount: { $gt: 0 } },
+        { $inc: { useCount: -1 } }
+    );
+};
+
+// Method to revoke the code
+joinCodeSchema.methods.revoke = function () {
+    this.isActive = false;
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+const JoinCode = mongoose.model('JoinCode', joinCodeSchema);
+export default JoinCode;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+// One change to an organization's license (kept as the license history)
+const licenseChangeSchema = new mongoose.Schema(
+    {
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization reference is required'],
+        },
+
+        action: {
+            type: String,
+            enum: ['created', 'modified', 'renewed'],
+            required: [true, 'Action is required'],
+        },
+
+        // License before and after the change (see Organization.getLicenseSummary)
+        previous: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        license: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+
+        // Why the license changed (contract number, invoice, ...)
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Note cannot exceed 500 characters'],
+            default: '',
+        },
+
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { organization: 1, createdAt: -1 },
+        ]
+    }
+);
+
+licenseChangeSchema.index({ organization: 1, createdAt: -1 });
+
+// Static method to record a license change
+licenseChangeSchema.statics.record = function (organization, action, { previous = null, note = '', changedBy }) {
+    return this.create({
+        organization: organization._id,
+        action,
+        previous,
+        license: organization.getLicenseSummary(),
+        note,
+        changedBy
+    });
+};
+
+// Static method to get an organization's license history, newest first
+licenseChangeSchema.statics.findForOrganization = function (organizationId, limit = 50) {
+    return this.find({ organization: organizationId })
+        .populate('changedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+const LicenseChange = mongoose.model('LicenseChange', licenseChangeSchema);
+export default LicenseChange;
@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+
+// First match wins - Edge, Opera and Samsung Internet also claim to be Chrome and Safari
+const BROWSER_PATTERNS = [
+    ['edge', /edg(e|a|ios)?\//],
+    ['opera', /opr\/|opera/],
+    ['samsung', /samsungbrowser/],
+    ['firefox', /firefox|fxios/],
+    ['chrome', /chrome|crios|chromium/],
+    ['safari', /safari/]
+];
+
+// Android and Chrome OS user agents also mention Linux
+const OS_PATTERNS = [
+    ['windows', /windows/],
+    ['android', /android/],
+    ['ios', /iphone|ipad|ipod/],
+    ['chromeos', /cros/],
+    ['macos', /mac os x|macintosh/],
+    ['linux', /linux/]
+];
+
+/**
+ * Describe a device by browser family, OS and device type, leaving out versions
+ * so browser and OS updates don't make a known device look new
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. chrome/windows/desktop
+ */
+const describeDevice = (userAgent) => {
+    const ua = userAgent.trim().toLowerCase();
+    const findName = (patterns) => patterns.find(([, pattern]) => pattern.test(ua))?.[0];
+
+    // Apps and scripts: their product name without the version
+    const browser = findName(BROWSER_PATTERNS) || ua.split(/[/\s]/)[0] || 'unknown';
+    const os = findName(OS_PATTERNS) || 'other';
+    const type = /ipad|tablet/.test(ua) || (/android/.test(ua) && !/mobile/.test(ua))
+        ? 'tablet'
+        : /mobi|iphone|ipod/.test(ua) ? 'mobile' : 'desktop';
+
+    return `${browser}/${os}/${type}`;
+};
+
+// One sign-in attempt (successful or not) for login history and security alerts
+const loginEventSchema = new mongoose.Schema(
+    {
+        // Null when the account could not be identified
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        // Reference to organization for admin queries
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+
+        // What the user typed to identify themselves (email or organization code + roll number)
+        identifier: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+
+        method: {
+            type: String,
+            enum: ['password', 'two_factor', 'magic_link', 'device_code', 'section_device', 'sso'],
+            required: true,
+        },
+
+        success: {
+            type: Boolean,
+            required: true,
+        },
+
+        // Why it failed (e.g. invalid_password, account_locked)
+        failureReason: {
+            type: String,
+            default: null,
+        },
+
+        ipAddress: {
+            type: String,
+            default: '',
+        },
+
+        userAgent: {
+            type: String,
+            default: '',
+        },
+
+        // Browser family, OS and device type - "have we seen this device before?"
+        // (events recorded before this hold a hash of the full user agent instead)
+        deviceFingerprint: {
+            type: String,
+            default: '',
+        },
+
+        isNewDevice: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Removed automatically after the retention period
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { user: 1, createdAt: -1 },
+            { organization: 1, createdAt: -1 },
+            { user: 1, deviceFingerprint: 1, success: 1 },
+        ]
+    }
+);
+
+// Index for expired event cleanup
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get how long login history is kept (milliseconds)
+loginEventSchema.statics.getRetention = function () {
+    const days = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 180;
+    return days * 24 * 60 * 60 * 1000;
+};
+
+// Static method to fingerprint a device from its user agent
+loginEventSchema.statics.fingerprintDevice = function (userAgent = '') {
+    return describeDevice(userAgent);
+};
+
+// Static method to check whether a user has signed in successfully from a device before
+// Returns null for a user with no sign-ins to compare against (including only old full user agent hashes)
+loginEventSchema.statics.isKnownDevice = async function (userId, deviceFingerprint) {
+    const [hasHistory, seenDevice] = await Promise.all([
+        this.exists({ user: userId, success: true, deviceFingerprint: /\// }),
+        this.exists({ user: userId, success: true, deviceFingerprint })
+    ]);
+
+    if (!hasHistory) return null;
+    return !!seenDevice;
+};
+
+// Static method to get login history for a user or organization
+loginEventSchema.statics.findHistory = function (filter, { page = 1, limit = 20 } = {}) {
+    return this.find(filter)
+        .select('-deviceFingerprint -expiresAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+};
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+export default LoginEvent;
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+
+/**
+ * Get IP lockout policy (env overridable)
+ * A whole school can sign in from one address (NAT), so the limit is far above a single user's typos
+ * @returns {Object} Max failures within the window before lock, window, base and max lock in minutes,
+ *                   and hours after a lock ends before the next one starts from the base again
+ */
+const getIPLockoutPolicy = () => ({
+    maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 100,
+    windowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+    baseLockMinutes: parseInt(process.env.LOGIN_IP_LOCK_BASE_MINUTES) || 15,
+    maxLockMinutes: parseInt(process.env.LOGIN_IP_LOCK_MAX_MINUTES) || 24 * 60,
+    lockResetHours: parseInt(process.env.LOGIN_IP_LOCK_RESET_HOURS) || 24
+});
+
+// Failed-login tracking per client IP (across all accounts)
+const loginThrottleSchema = new mongoose.Schema(
+    {
+        ipAddress: {
+            type: String,
+            required: [true, 'IP address is required'],
+            unique: true,
+            trim: true,
+        },
+
+        // Failures within the current window (successful logins don't clear them - they age out)
+        failedAttempts: {
+            type: Number,
+            default: 0,
+        },
+
+        // Recent lockouts - each one doubles the next lock window
+        lockCount: {
+            type: Number,
+            default: 0,
+        },
+
+        lockUntil: {
+            type: Date,
+            default: null,
+        },
+
+        lastFailedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { ipAddress: 1 },
+            { lockUntil: 1 },
+        ]
+    }
+);
+
+// Forget IPs that have been quiet for a week
+loginThrottleSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual to check if IP is currently locked
+loginThrottleSchema.virtual('isLocked').get(function () {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Static method to get lock state for an IP
+loginThrottleSchema.statics.getLockStatus = async function (ipAddress) {
+    const throttle = await this.findOne({ ipAddress });
+    if (!throttle || !throttle.isLocked) {
+        return { locked: false };
+    }
+    return { locked: true, lockUntil: throttle.lockUntil };
+};
+
+// Static method to record a failed login from an IP (one atomic update, so concurrent failures all count)
+loginThrottleSchema.statics.registerFailure = async function (ipAddress) {
+    const { maxAttempts, windowMinutes, baseLockMinutes, maxLockMinutes, lockResetHours } = getIPLockoutPolicy();
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+    const lockResetBefore = new Date(now.getTime() - lockResetHours * 60 * 60 * 1000);
+    const lockUntil = { $ifNull: ['$lockUntil', null] };
+
+    const throttle = await this.findOneAndUpdate(
+        { ipAddress },
+        [
+            {
+                $set: {
+                    // Failures from before the window have aged out
+                    failedAttempts: {
+                        $cond: [
+                            { $gt: [{ $ifNull: ['$lastFailedAt', null] }, windowStart] },
+                            { $add: [{ $ifNull: ['$failedAttempts', 0] }, 1] },
+                            1
+                        ]
+                    },
+                    // A lock that ended long ago no longer lengthens the next one
+                    lockCount: {
+                        $cond: [
+                            { $and: [{ $ne: [lockUntil, null] }, { $lt: [lockUntil, lockResetBefore] }] },
+                            0,
+                            { $ifNull: ['$lockCount', 0] }
+                        ]
+                    },
+                    lockUntil,
+                    lastFailedAt: now
+                }
+            },
+            {
+                $set: {
+                    lockUntil: {
+                        $cond: [
+                            { $gte: ['$failedAttempts', maxAttempts] },
+                            {
+                                $add: [now, {
+                                    $multiply: [
+                                        { $min: [{ $multiply: [baseLockMinutes, { $pow: [2, '$lockCount'] }] }, maxLockMinutes] },
+                                        60 * 1000
+                                    ]
+                                }]
+                            },
+                            '$lockUntil'
+                        ]
+                    },
+                    lockCount: {
+                        $cond: [{ $gte: ['$failedAttempts', maxAttempts] }, { $add: ['$lockCount', 1] }, '$lockCount']
+                    },
+                    failedAttempts: {
+                        $cond: [{ $gte: ['$failedAttempts', maxAttempts] }, 0, '$failedAttempts']
+                    }
+                }
+            }
+        ],
+        { upsert: true, new: true }
+    );
+
+    // Failures only go back to 0 when this failure locked the IP
+    if (throttle.failedAttempts === 0) {
+        return { justLocked: true, lockUntil: throttle.lockUntil };
+    }
+
+    return { justLocked: false };
+};
+
+// Static method to find IPs currently locked out
+loginThrottleSchema.statics.findLocked = function () {
+    return this.find({ lockUntil: { $gt: new Date() } });
+};
+
+// Static method to lift an IP lock (also forgets its failures and earlier locks)
+loginThrottleSchema.statics.unlock = function (ipAddress) {
+    return this.findOneAndUpdate(
+        { ipAddress, lockUntil: { $gt: new Date() } },
+        { $set: { lockUntil: null, failedAttempts: 0, lockCount: 0 } },
+        { new: true }
+    );
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+export default LoginThrottle;
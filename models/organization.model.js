@@ -1,4 +1,49 @@
 import mongoose from "mongoose";
+import { COURSE_SUBJECTS } from "./course.model.js";
+import { isSecureProviderUrl } from "../utils/oidc.js";
+
+/**
+ * Map a subject to the Course spelling (older organizations stored lowercase snake_case, e.g. computer_science)
+ * @param {string} subject - Subject as stored or sent
+ * @returns {string} Course subject, 'all', or the input unchanged if it matches neither
+ */
+export const normalizeSubject = (subject) => {
+    if (typeof subject !== 'string') return subject;
+
+    const key = subject.trim().toLowerCase().replace(/[_\s]+/g, ' ');
+    if (key === 'all') return 'all';
+
+    return COURSE_SUBJECTS.find(courseSubject => courseSubject.toLowerCase() === key) || subject;
+};
+
+// Settings a group can share with its branches (a branch cannot change the ones its group shares)
+export const SHARED_SETTINGS = ['security', 'studentEnrollment', 'maxStudentsPerSection', 'allowSelfRegistration', 'requireEmailVerification', 'emailBranding'];
+
+// Settings kept in the organization's settings history (see OrganizationSettingsVersion)
+export const VERSIONED_SETTINGS = ['name', 'brandName', 'emails', 'phones', 'websites', 'address', 'contentAccess', 'apiAccess',
+    'studentEnrollment', 'security', 'sso', 'maxStudentsPerSection', 'allowSelfRegistration', 'requireEmailVerification',
+    'emailBranding', 'isActive'];
+
+// Settings organization admins can edit themselves (the rest are superAdmin-only)
+export const ADMIN_EDITABLE_SETTINGS = ['emails', 'phones', 'websites', 'address', 'studentEnrollment', 'security', 'sso',
+    'maxStudentsPerSection', 'allowSelfRegistration', 'requireEmailVerification', 'emailBranding'];
+
+// Features a license can include
+export const LICENSE_FEATURES = ['sso', 'magic_link', 'self_registration', 'section_devices', 'parent_accounts', 'multi_branch'];
+
+// License plan tiers with the seats and features a plan starts with (null = unlimited)
+export const LICENSE_PLANS = {
+    trial: { maxStudents: 50, maxTeachers: 5, features: [] },
+    basic: { maxStudents: 300, maxTeachers: 20, features: ['parent_accounts'] },
+    standard: { maxStudents: 1000, maxTeachers: 60, features: ['parent_accounts', 'self_registration', 'magic_link', 'section_devices'] },
+    premium: { maxStudents: 3000, maxTeachers: 200, features: LICENSE_FEATURES },
+    enterprise: { maxStudents: null, maxTeachers: null, features: LICENSE_FEATURES },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Email branding colors (#rrggbb, or empty for the default)
+const HEX_COLOR = /^(#[0-9a-fA-F]{6})?$/;
 
 const organizationSchema = new mongoose.Schema(
     {
@@ -16,6 +61,22 @@ const organizationSchema = new mongoose.Schema(
             trim: true,
         },
 
+        // Group this organization is a branch (campus) of, null for standalone organizations and groups
+        // Branches keep their own classes, sections and admins
+        parentOrganization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+
+        // Settings a group pushes down to its branches (see SHARED_SETTINGS)
+        sharedSettings: [
+            {
+                type: String,
+                enum: SHARED_SETTINGS,
+            },
+        ],
+
         // Organization code for easy identification (like "DPS001", "DAV002")
         organizationCode: {
             type: String,
@@ -118,7 +179,18 @@ const organizationSchema = new mongoose.Schema(
             default: false,
         },
 
-        // SIMPLIFIED: Just list of admin users (no roles, no permissions)
+        // When and by whom the organization was deleted (hard purge is allowed after the retention period)
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        // Admin users (no permissions); admins added before roles existed are primary
         admins: [
             {
                 user: {
@@ -126,6 +198,12 @@ const organizationSchema = new mongoose.Schema(
                     ref: 'User',
                     required: true,
                 },
+                // Primary admins can also export organization data and manage other admins
+                role: {
+                    type: String,
+                    enum: ['primary_admin', 'secondary_admin'],
+                    default: 'primary_admin',
+                },
                 addedBy: {
                     type: mongoose.Schema.Types.ObjectId,
                     ref: 'User',
@@ -138,11 +216,12 @@ const organizationSchema = new mongoose.Schema(
         ],
 
         // Content access permissions
+        // Content entitlements - which courses the organization's users can see (empty = no restriction)
         contentAccess: {
             allowedSubjects: [
                 {
                     type: String,
-                    enum: ['mathematics', 'science', 'physics', 'chemistry', 'biology', 'english', 'history', 'geography', 'computer_science', 'all'],
+                    enum: [...COURSE_SUBJECTS, 'all'],
                     default: 'all',
                 },
             ],
@@ -169,6 +248,91 @@ const organizationSchema = new mongoose.Schema(
             ],
         },
 
+        // Security policies
+        security: {
+            requireTwoFactorForAdmins: {
+                type: Boolean,
+                default: false,
+            },
+            // Let students sign in with an emailed single-use link
+            allowMagicLinkLogin: {
+                type: Boolean,
+                default: false,
+            },
+            // Password policy for teachers and admins (students use studentEnrollment.passwordPolicy)
+            staffPasswordPolicy: {
+                type: String,
+                enum: ['simple', 'medium', 'strong'],
+                default: 'medium',
+            },
+            // Number of recent passwords that cannot be reused (0 = off)
+            passwordHistoryCount: {
+                type: Number,
+                default: 0,
+                min: [0, 'Password history count cannot be negative'],
+                max: [24, 'Password history count cannot exceed 24'],
+            },
+            // Days before a password must be changed, per role (0 = never expires)
+            // Enforced at password sign-in only; SSO, magic-link and section device sign-ins skip it
+            maxPasswordAgeDays: {
+                student: { type: Number, default: 0, min: 0 },
+                teacher: { type: Number, default: 0, min: 0 },
+                admin: { type: Number, default: 0, min: 0 },
+            },
+        },
+
+        // Single sign-on through the organization's OpenID Connect provider (Google Workspace, Azure AD, ...)
+        sso: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            issuer: {
+                type: String,
+                trim: true,
+                default: '',
+            },
+            clientId: {
+                type: String,
+                trim: true,
+                default: '',
+            },
+            clientSecret: {
+                type: String,
+                default: '',
+                select: false, // Never returned unless explicitly selected
+            },
+            tokenEndpointAuthMethod: {
+                type: String,
+                enum: ['client_secret_basic', 'client_secret_post'],
+                default: 'client_secret_basic',
+            },
+            // Only accounts with these email domains may sign in
+            allowedDomains: [
+                {
+                    type: String,
+                    lowercase: true,
+                    trim: true,
+                },
+            ],
+            // Create accounts on first sign-in for unknown emails
+            autoCreateUsers: {
+                type: Boolean,
+                default: false,
+            },
+            defaultRole: {
+                type: String,
+                enum: ['teacher', 'student'],
+                default: 'teacher',
+            },
+            // Class new students are placed in when created on first sign-in
+            defaultClass: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Class',
+                default: null,
+            },
+        },
+
         // Who created this organization (superAdmin)
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
@@ -195,6 +359,11 @@ const organizationSchema = new mongoose.Schema(
                 type: Boolean,
                 default: false, // Since admin enrolls, verification might not be needed
             },
+            // Students who sign up with a join code skip the admin approval queue
+            autoApproveSelfRegistration: {
+                type: Boolean,
+                default: false,
+            },
         },
         maxStudentsPerSection: {
             type: Number,
@@ -202,15 +371,110 @@ const organizationSchema = new mongoose.Schema(
             min: 1,
             max: 50,
         },
+        // Students may sign up with a join code (see JoinCode)
         allowSelfRegistration: {
             type: Boolean,
             default: false,
         },
+        // Self-registered students must verify their email before logging in
         requireEmailVerification: {
             type: Boolean,
             default: true,
         },
 
+        // License sold to the organization (defaults keep organizations created before licensing unrestricted)
+        // Changes are recorded in LicenseChange
+        license: {
+            plan: {
+                type: String,
+                enum: Object.keys(LICENSE_PLANS),
+                default: 'enterprise',
+            },
+            maxStudents: {
+                type: Number,
+                default: null, // Unlimited
+                min: [0, 'Max students cannot be negative'],
+            },
+            maxTeachers: {
+                type: Number,
+                default: null, // Unlimited
+                min: [0, 'Max teachers cannot be negative'],
+            },
+            features: {
+                type: [{ type: String, enum: LICENSE_FEATURES }],
+                default: () => [...LICENSE_FEATURES],
+            },
+            startsAt: {
+                type: Date,
+                default: Date.now,
+            },
+            // No end date = does not expire
+            endsAt: {
+                type: Date,
+                default: null,
+            },
+            // Days of full access after endsAt before the organization turns read-only
+            graceDays: {
+                type: Number,
+                default: 14,
+                min: [0, 'Grace period cannot be negative'],
+                max: [90, 'Grace period cannot exceed 90 days'],
+            },
+        },
+
+        // Look of the emails sent to this organization's users (empty fields fall back to ObjectX defaults)
+        emailBranding: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            logoUrl: {
+                type: String,
+                trim: true,
+                default: '',
+                maxlength: [500, 'Logo URL cannot exceed 500 characters'],
+                match: [/^(https:\/\/\S+)?$/, 'Logo URL must be an https URL'],
+            },
+            primaryColor: {
+                type: String,
+                trim: true,
+                default: '',
+                match: [HEX_COLOR, 'Primary color must be a hex color like #1e2a78'],
+            },
+            secondaryColor: {
+                type: String,
+                trim: true,
+                default: '',
+                match: [HEX_COLOR, 'Secondary color must be a hex color like #6b46c1'],
+            },
+            accentColor: {
+                type: String,
+                trim: true,
+                default: '',
+                match: [HEX_COLOR, 'Accent color must be a hex color like #fbbf24'],
+            },
+            // Name shown in the From header
+            senderName: {
+                type: String,
+                trim: true,
+                default: '',
+                maxlength: [60, 'Sender name cannot exceed 60 characters'],
+            },
+            footerText: {
+                type: String,
+                trim: true,
+                default: '',
+                maxlength: [300, 'Footer text cannot exceed 300 characters'],
+            },
+            supportEmail: {
+                type: String,
+                trim: true,
+                lowercase: true,
+                default: '',
+                match: [/^(\S+@\S+\.\S+)?$/, 'Please provide a valid support email address'],
+            },
+        },
+
         // Usage statistics (for analytics)
         stats: {
             totalStudents: {
@@ -241,12 +505,18 @@ organizationSchema.index({ name: 1 });
 organizationSchema.index({ organizationCode: 1 });
 organizationSchema.index({ 'emails.email': 1 });
 organizationSchema.index({ brandName: 1 });
+organizationSchema.index({ parentOrganization: 1 });
 organizationSchema.index({ isActive: 1 });
 organizationSchema.index({ isDeleted: 1 });
 
 // Ensure unique organization code
 organizationSchema.index({ organizationCode: 1 }, { unique: true });
 
+// Virtual to check if the organization is a branch of a group
+organizationSchema.virtual('isBranch').get(function () {
+    return Boolean(this.parentOrganization);
+});
+
 // Virtual to get full address
 organizationSchema.virtual('fullAddress').get(function () {
     const addr = this.address;
@@ -264,8 +534,38 @@ organizationSchema.pre('save', function (next) {
     next();
 });
 
-// SIMPLIFIED: Add admin to organization (no roles, no permissions)
-organizationSchema.methods.addAdmin = function (userId, addedBy = null) {
+// Pre-validate middleware to make sure enabled SSO is usable and limited to the school's domains
+organizationSchema.pre('validate', function (next) {
+    // The client secret is sent to the issuer's token endpoint
+    if (this.isModified('sso.issuer') && this.sso.issuer && !isSecureProviderUrl(this.sso.issuer)) {
+        this.invalidate('sso.issuer', 'SSO issuer must be an https:// URL');
+    }
+
+    if (this.sso?.enabled) {
+        if (!this.sso.issuer || !this.sso.clientId) {
+            this.invalidate('sso', 'SSO issuer and client ID are required to enable single sign-on');
+        }
+        if (!this.sso.allowedDomains?.length) {
+            this.invalidate('sso.allowedDomains', 'At least one allowed email domain is required to enable single sign-on');
+        }
+        if (this.sso.autoCreateUsers && this.sso.defaultRole === 'student' && !this.sso.defaultClass) {
+            this.invalidate('sso.defaultClass', 'A default class is required to create student accounts on first sign-in');
+        }
+    }
+    next();
+});
+
+// Pre-validate middleware to store subjects with the Course spelling (migrates older snake_case values)
+organizationSchema.pre('validate', function (next) {
+    const allowedSubjects = this.contentAccess?.allowedSubjects;
+    if (allowedSubjects?.some(subject => normalizeSubject(subject) !== subject)) {
+        this.contentAccess.allowedSubjects = allowedSubjects.map(normalizeSubject);
+    }
+    next();
+});
+
+// SIMPLIFIED: Add admin to organization (no permissions)
+organizationSchema.methods.addAdmin = function (userId, addedBy = null, role = 'primary_admin') {
     // Check if user is already an admin
     const existingAdmin = this.admins.find(admin => admin.user.toString() === userId.toString());
     if (existingAdmin) {
@@ -274,6 +574,7 @@ organizationSchema.methods.addAdmin = function (userId, addedBy = null) {
 
     this.admins.push({
         user: userId,
+        role,
         addedBy,
     });
 
@@ -319,11 +620,206 @@ organizationSchema.methods.updateStats = async function () {
     return this.save();
 };
 
+// Method to update SSO settings field by field (keeps the stored client secret unless a new one is given)
+organizationSchema.methods.setSsoConfig = function (sso) {
+    const fields = ['enabled', 'issuer', 'clientId', 'clientSecret', 'tokenEndpointAuthMethod',
+        'allowedDomains', 'autoCreateUsers', 'defaultRole', 'defaultClass'];
+
+    for (const field of fields) {
+        if (sso[field] === undefined) continue;
+
+        let value = sso[field];
+        if (field === 'allowedDomains') {
+            value = [].concat(value).map(domain => domain.toString().replace(/^@/, ''));
+        }
+        if (field === 'issuer') {
+            value = value.toString().replace(/\/+$/, '');
+        }
+
+        this.set(`sso.${field}`, value);
+    }
+
+    return this;
+};
+
+// Method to get SSO settings safe to return to clients
+organizationSchema.methods.getSsoSummary = function () {
+    return {
+        enabled: this.sso?.enabled || false,
+        issuer: this.sso?.issuer || '',
+        clientId: this.sso?.clientId || '',
+        tokenEndpointAuthMethod: this.sso?.tokenEndpointAuthMethod,
+        allowedDomains: this.sso?.allowedDomains || [],
+        autoCreateUsers: this.sso?.autoCreateUsers || false,
+        defaultRole: this.sso?.defaultRole,
+        defaultClass: this.sso?.defaultClass || null
+    };
+};
+
+// Method to get the versioned settings as plain values (SSO without its client secret)
+organizationSchema.methods.getSettingsSnapshot = function () {
+    const values = this.toObject({ depopulate: true });
+    const snapshot = {};
+
+    for (const setting of VERSIONED_SETTINGS) {
+        snapshot[setting] = setting === 'sso' ? this.getSsoSummary() : (values[setting] ?? null);
+    }
+
+    // Round-trip through JSON so ids and dates compare as they are stored in the history
+    // (subdocument _ids are dropped, they change whenever a list is replaced)
+    return JSON.parse(JSON.stringify(snapshot, (key, value) => (key === '_id' ? undefined : value)));
+};
+
+// Method to get the subjects and grades the organization is entitled to (null = all)
+organizationSchema.methods.getContentAccess = function () {
+    const subjects = (this.contentAccess?.allowedSubjects || []).map(normalizeSubject);
+    const grades = (this.contentAccess?.allowedGrades || []).map(grade => parseInt(grade));
+
+    return {
+        subjects: subjects.length === 0 || subjects.includes('all') ? null : subjects,
+        grades: grades.length === 0 || grades.some(isNaN) ? null : grades
+    };
+};
+
+// Method to limit a course query to the organization's entitlements
+organizationSchema.methods.restrictCourseQuery = function (query) {
+    const { subjects, grades } = this.getContentAccess();
+
+    const restrictions = [];
+    if (subjects) restrictions.push({ subject: { $in: subjects } });
+    if (grades) restrictions.push({ gradeLevel: { $in: grades } });
+
+    return restrictions.length > 0 ? { $and: [query, ...restrictions] } : query;
+};
+
+// Method to check if a course is within the organization's entitlements
+organizationSchema.methods.canAccessCourse = function (course) {
+    const { subjects, grades } = this.getContentAccess();
+
+    return (!subjects || subjects.includes(course.subject)) &&
+        (!grades || grades.includes(course.gradeLevel));
+};
+
+// Method to get where the license is in its lifecycle: not_started, active, grace or expired
+organizationSchema.methods.getLicenseStatus = function (now = new Date()) {
+    const { startsAt, endsAt, graceDays } = this.license || {};
+
+    if (startsAt && startsAt > now) return 'not_started';
+    if (!endsAt || endsAt >= now) return 'active';
+
+    return endsAt.getTime() + (graceDays || 0) * DAY_MS >= now.getTime() ? 'grace' : 'expired';
+};
+
+// Method to check if the license allows changes (the organization is read-only otherwise)
+organizationSchema.methods.isLicenseWritable = function () {
+    return ['active', 'grace'].includes(this.getLicenseStatus());
+};
+
+// Method to check if the license includes a feature
+organizationSchema.methods.hasLicenseFeature = function (feature) {
+    return (this.license?.features || []).includes(feature);
+};
+
+// Method to check if the license has room for more students or teachers
+organizationSchema.methods.checkSeatLimit = async function (role, additional = 1) {
+    const limit = role === 'teacher' ? this.license?.maxTeachers : this.license?.maxStudents;
+    if (limit === null || limit === undefined) {
+        return { allowed: true, limit: null, used: null };
+    }
+
+    const User = mongoose.model('User');
+    const used = await User.countDocuments({ organization: this._id, role, isDeleted: false });
+
+    return { allowed: used + additional <= limit, limit, used };
+};
+
+// Method to check a seat just taken (user created or moved in) kept the organization within its license
+// Concurrent requests can all pass checkSeatLimit before any of them saves, so callers undo their change when this fails
+organizationSchema.methods.confirmSeat = function (role) {
+    return this.checkSeatLimit(role, 0);
+};
+
+// Method to get the license as returned to clients
+organizationSchema.methods.getLicenseSummary = function () {
+    const endsAt = this.license?.endsAt || null;
+
+    return {
+        plan: this.license?.plan,
+        maxStudents: this.license?.maxStudents ?? null,
+        maxTeachers: this.license?.maxTeachers ?? null,
+        features: this.license?.features || [],
+        startsAt: this.license?.startsAt,
+        endsAt,
+        graceDays: this.license?.graceDays,
+        graceEndsAt: endsAt ? new Date(endsAt.getTime() + (this.license.graceDays || 0) * DAY_MS) : null,
+        status: this.getLicenseStatus(),
+        isReadOnly: !this.isLicenseWritable()
+    };
+};
+
+// Method to get the branding emails to this organization's users are rendered with (null = ObjectX defaults)
+organizationSchema.methods.getEmailBranding = function () {
+    const branding = this.emailBranding;
+    if (!branding?.enabled) return null;
+
+    return {
+        name: this.brandName || this.name,
+        logoUrl: branding.logoUrl || null,
+        primaryColor: branding.primaryColor || null,
+        secondaryColor: branding.secondaryColor || null,
+        accentColor: branding.accentColor || null,
+        senderName: branding.senderName || null,
+        footerText: branding.footerText || null,
+        supportEmail: branding.supportEmail || null
+    };
+};
+
+// Method to copy the settings a group shares onto this branch
+organizationSchema.methods.applySharedSettings = function (group) {
+    const groupSettings = group.toObject();
+
+    for (const setting of group.sharedSettings || []) {
+        this.set(setting, groupSettings[setting]);
+    }
+
+    return this;
+};
+
+// Method to push this group's shared settings to every branch (recorded in each branch's settings history)
+organizationSchema.methods.pushSharedSettings = async function (changedBy = null) {
+    const OrganizationSettingsVersion = mongoose.model('OrganizationSettingsVersion');
+    const branches = await this.constructor.findBranches(this._id);
+
+    for (const branch of branches) {
+        const previousSettings = branch.getSettingsSnapshot();
+        await branch.applySharedSettings(this).save();
+        await OrganizationSettingsVersion.record(branch, previousSettings, { changedBy, source: 'shared_settings' });
+    }
+
+    return branches.length;
+};
+
+// Static method to find the branches of a group
+organizationSchema.statics.findBranches = function (groupId) {
+    return this.find({
+        parentOrganization: groupId,
+        isDeleted: false
+    });
+};
+
 // Static method to find organizations by brand
 organizationSchema.statics.findByBrand = function (brandName) {
     return this.find({ brandName: new RegExp(brandName, 'i') });
 };
 
+// Static method to find an organization by its code (case insensitive)
+organizationSchema.statics.findByCode = function (organizationCode) {
+    return this.findOne({
+        organizationCode: organizationCode.toString().toUpperCase().trim(),
+        isDeleted: false
+    });
+};
+
 // Static method to find active organizations
 organizationSchema.statics.findActive = function () {
     return this.find({
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+
+// Data export of one organization, built in the background and downloaded as a .tar.gz archive
+const organizationExportSchema = new mongoose.Schema(
+    {
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization reference is required'],
+        },
+
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        // queued -> running -> completed (or failed); completed archives expire after a while
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+            default: 'queued',
+        },
+
+        // Records exported per collection
+        counts: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        fileName: {
+            type: String,
+            default: null,
+        },
+        filePath: {
+            type: String,
+            default: null,
+            select: false, // Server path, never returned to clients
+        },
+        size: {
+            type: Number,
+            default: null,
+        },
+
+        // SHA-256 of the archive so the receiving school can verify the download
+        checksum: {
+            type: String,
+            default: null,
+        },
+
+        error: {
+            type: String,
+            default: null,
+        },
+
+        startedAt: {
+            type: Date,
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { organization: 1, createdAt: -1 },
+            { status: 1, expiresAt: 1 },
+        ]
+    }
+);
+
+organizationExportSchema.index({ organization: 1, createdAt: -1 });
+organizationExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual to check if the archive can be downloaded
+organizationExportSchema.virtual('isDownloadable').get(function () {
+    return this.status === 'completed' && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to find an export still being built for an organization
+organizationExportSchema.statics.findInProgress = function (organizationId) {
+    return this.findOne({
+        organization: organizationId,
+        status: { $in: ['queued', 'running'] }
+    });
+};
+
+// Static method to get an organization's exports, newest first
+organizationExportSchema.statics.findForOrganization = function (organizationId, limit = 20) {
+    return this.find({ organization: organizationId })
+        .populate('requestedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+// Static method to fail exports a restart interrupted (jobs run in the server process)
+organizationExportSchema.statics.failInterrupted = function () {
+    return this.updateMany(
+        { status: { $in: ['queued', 'running'] } },
+        { $set: { status: 'failed', error: 'Interrupted by a server restart', completedAt: new Date() } }
+    );
+};
+
+// Method to get the export as returned to clients
+organizationExportSchema.methods.getSummary = function () {
+    return {
+        _id: this._id,
+        organization: this.organization,
+        requestedBy: this.requestedBy,
+        status: this.status,
+        counts: this.counts,
+        fileName: this.fileName,
+        size: this.size,
+        checksum: this.checksum ? { algorithm: 'sha256', value: this.checksum } : null,
+        error: this.error,
+        isDownloadable: this.isDownloadable,
+        createdAt: this.createdAt,
+        startedAt: this.startedAt,
+        completedAt: this.completedAt,
+        expiresAt: this.expiresAt
+    };
+};
+
+const OrganizationExport = mongoose.model('OrganizationExport', organizationExportSchema);
+export default OrganizationExport;
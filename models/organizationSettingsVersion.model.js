@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+
+/**
+ * List the leaf values that differ between two settings snapshots
+ * Arrays are compared whole, so a changed list is one entry
+ * @param {*} before - Previous value
+ * @param {*} after - New value
+ * @param {string} path - Dotted path of the values
+ * @returns {Array<Object>} Changes as { path, from, to }
+ */
+const diffSettings = (before, after, path = '') => {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject(before) && isObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap(key => diffSettings(before[key], after[key], path ? `${path}.${key}` : key));
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return [];
+    }
+
+    return [{ path, from: before ?? null, to: after ?? null }];
+};
+
+// One version of an organization's settings (see Organization.getSettingsSnapshot)
+const organizationSettingsVersionSchema = new mongoose.Schema(
+    {
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization reference is required'],
+        },
+
+        // 1, 2, 3... per organization
+        version: {
+            type: Number,
+            required: true,
+        },
+
+        // Where the change came from; baseline is the state before the first recorded change,
+        // shared_settings a group's settings update (on the group and each branch it was pushed to)
+        // and group_membership the settings a branch took on when it joined a group
+        source: {
+            type: String,
+            enum: ['baseline', 'admin_settings', 'superadmin_update', 'content_access', 'rollback',
+                'shared_settings', 'group_membership'],
+            required: true,
+        },
+
+        changes: [
+            {
+                _id: false,
+                path: { type: String, required: true },
+                from: { type: mongoose.Schema.Types.Mixed, default: null },
+                to: { type: mongoose.Schema.Types.Mixed, default: null },
+            },
+        ],
+
+        // Every versioned setting after this change, used for rollbacks
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+
+        // Version a rollback went back to
+        rolledBackTo: {
+            type: Number,
+            default: null,
+        },
+
+        // Null for the baseline
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { organization: 1, version: -1 },
+        ]
+    }
+);
+
+organizationSettingsVersionSchema.index({ organization: 1, version: -1 }, { unique: true });
+
+// Static method to record a settings change as a new version (returns null when nothing changed)
+organizationSettingsVersionSchema.statics.record = async function (organization, before, { changedBy, source, rolledBackTo = null }) {
+    const after = organization.getSettingsSnapshot();
+    const changes = diffSettings(before, after);
+    if (changes.length === 0) return null;
+
+    // Two admins saving at once can race for the same version number
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            const latest = await this.findOne({ organization: organization._id }).sort({ version: -1 }).select('version');
+            let version = (latest?.version || 0) + 1;
+
+            // Keep the settings from before the first change so they can be rolled back to
+            if (!latest) {
+                await this.create({
+                    organization: organization._id,
+                    version,
+                    source: 'baseline',
+                    snapshot: before
+                });
+                version += 1;
+            }
+
+            return await this.create({
+                organization: organization._id,
+                version,
+                source,
+                changes,
+                snapshot: after,
+                rolledBackTo,
+                changedBy
+            });
+        } catch (error) {
+            if (error.code !== 11000 || attempt === 2) throw error;
+        }
+    }
+};
+
+// Static method to get one page of an organization's settings history, newest first
+organizationSettingsVersionSchema.statics.findForOrganization = function (organizationId, { skip = 0, limit = 20 } = {}) {
+    return this.find({ organization: organizationId })
+        .select('-snapshot')
+        .populate('changedBy', 'name email role')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit);
+};
+
+// Static method to get one version of an organization's settings
+organizationSettingsVersionSchema.statics.findVersion = function (organizationId, version) {
+    return this.findOne({ organization: organizationId, version })
+        .populate('changedBy', 'name email role');
+};
+
+const OrganizationSettingsVersion = mongoose.model('OrganizationSettingsVersion', organizationSettingsVersionSchema);
+export default OrganizationSettingsVersion;
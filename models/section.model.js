@@ -62,6 +62,18 @@ const sectionSchema = new mongoose.Schema(
             default: false,
         },
 
+        // Set when deleting the organization cascaded here, so restoring it brings back only what it deleted
+        organizationDeletion: {
+            deletedAt: {
+                type: Date,
+                default: null,
+            },
+            wasActive: {
+                type: Boolean,
+                default: null,
+            },
+        },
+
         // Academic year
         academicYear: {
             type: String,
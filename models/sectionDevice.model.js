@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Only write last-seen at most this often (every request hits it)
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// Shared classroom headset bound to one section (kiosk mode)
+const sectionDeviceSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Device name is required'],
+            trim: true,
+        },
+
+        // Section whose students can use this device
+        section: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Section',
+            required: [true, 'Section is required'],
+        },
+
+        // Reference to organization for easier querying
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization is required'],
+        },
+
+        // Admin who issued the device credential
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Created by user is required'],
+        },
+
+        // Device credential (hashed for security)
+        hashedKey: {
+            type: String,
+            required: [true, 'Device key is required'],
+            unique: true,
+        },
+
+        // Prefix for easy identification (first 8 chars of key)
+        keyPrefix: {
+            type: String,
+            required: [true, 'Key prefix is required'],
+        },
+
+        // Revocation
+        isRevoked: {
+            type: Boolean,
+            default: false,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        // Activity tracking
+        lastSeenAt: {
+            type: Date,
+            default: null,
+        },
+
+        lastSeenIp: {
+            type: String,
+            default: '',
+        },
+
+        lastStudent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { hashedKey: 1 },
+            { section: 1 },
+            { organization: 1 },
+            { isRevoked: 1 },
+        ]
+    }
+);
+
+// Static method to hash a device key
+sectionDeviceSchema.statics.hashKey = function (plainKey) {
+    return crypto.createHash('sha256').update(plainKey).digest('hex');
+};
+
+// Static method to generate device key
+sectionDeviceSchema.statics.generateDeviceKey = function () {
+    const key = 'oxk_' + crypto.randomBytes(32).toString('hex');
+
+    return {
+        plainKey: key,
+        hashedKey: this.hashKey(key),
+        keyPrefix: key.substring(0, 8)
+    };
+};
+
+// Static method to find an unrevoked device by its key
+sectionDeviceSchema.statics.findByKey = function (plainKey) {
+    return this.findOne({
+        hashedKey: this.hashKey(plainKey),
+        isRevoked: false
+    });
+};
+
+// Static method to find devices in an organization (optionally one section)
+sectionDeviceSchema.statics.findByOrganization = function (organizationId, sectionId = null) {
+    const query = { organization: organizationId };
+    if (sectionId) {
+        query.section = sectionId;
+    }
+    return this.find(query);
+};
+
+// Method to record device activity (throttled)
+sectionDeviceSchema.methods.touch = function (ipAddress = '', studentId = null) {
+    const isRecent = this.lastSeenAt && (Date.now() - this.lastSeenAt.getTime()) < LAST_SEEN_THROTTLE_MS;
+    if (isRecent && !studentId) {
+        return Promise.resolve(this);
+    }
+
+    const update = { lastSeenAt: new Date(), lastSeenIp: ipAddress };
+    if (studentId) {
+        update.lastStudent = studentId;
+    }
+
+    this.set(update);
+    return this.constructor.updateOne({ _id: this._id }, { $set: update });
+};
+
+// Method to revoke device credential
+sectionDeviceSchema.methods.revoke = function (userId) {
+    this.isRevoked = true;
+    this.revokedAt = new Date();
+    this.revokedBy = userId;
+    return this.save();
+};
+
+const SectionDevice = mongoose.model('SectionDevice', sectionDeviceSchema);
+export default SectionDevice;
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// A student's sign-up with a join code, waiting for (or decided by) an admin
+const selfRegistrationSchema = new mongoose.Schema(
+    {
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization is required'],
+        },
+
+        joinCode: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'JoinCode',
+            required: true,
+        },
+
+        // Copied from the join code - the code may be revoked before review
+        class: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Class',
+            required: true,
+        },
+
+        section: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Section',
+            default: null,
+        },
+
+        name: {
+            type: String,
+            required: [true, 'Name is required'],
+            trim: true,
+        },
+
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+        },
+
+        // Hashed at sign-up; moved onto the student account on approval
+        password: {
+            type: String,
+            required: true,
+            select: false,
+        },
+
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected'],
+            default: 'pending',
+        },
+
+        // Student account created on approval
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        // Null when approved automatically
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+
+        rejectionReason: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+
+        ipAddress: {
+            type: String,
+            default: '',
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { organization: 1, status: 1, createdAt: -1 },
+            { email: 1, status: 1 },
+        ]
+    }
+);
+
+// One open registration per email
+selfRegistrationSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+// Static method to claim a pending registration for review (atomic, so it is decided once)
+selfRegistrationSchema.statics.claimPending = function (registrationId, organizationId, update) {
+    return this.findOneAndUpdate(
+        { _id: registrationId, organization: organizationId, status: 'pending' },
+        { $set: update },
+        { new: true }
+    ).select('+password');
+};
+
+const SelfRegistration = mongoose.model('SelfRegistration', selfRegistrationSchema);
+export default SelfRegistration;
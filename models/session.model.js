@@ -0,0 +1,278 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// How many rotated refresh token hashes to remember for reuse detection
+// Only tokens issued before refresh tokens carried a generation need this (see parseRefreshToken)
+const MAX_PREVIOUS_TOKENS = 20;
+
+// Refresh tokens: oxr_<session ID>.<generation>.<HMAC of both under the session's token secret>
+const REFRESH_TOKEN_PATTERN = /^oxr_([a-f0-9]{24})\.(\d+)\.([a-f0-9]{64})$/;
+
+const sessionSchema = new mongoose.Schema(
+    {
+        // User this session belongs to
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User is required'],
+        },
+
+        // Current refresh token (hashed for security)
+        refreshTokenHash: {
+            type: String,
+            required: [true, 'Refresh token is required'],
+            unique: true,
+        },
+
+        // Key the session's refresh tokens are signed with, so every generation it issued can be recognized
+        tokenSecret: {
+            type: String,
+            select: false,
+        },
+
+        // Refresh tokens already rotated out of this session before it had a token secret (reuse detection)
+        previousTokenHashes: [
+            {
+                type: String,
+            },
+        ],
+
+        // Device information
+        deviceName: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+
+        userAgent: {
+            type: String,
+            default: '',
+        },
+
+        ipAddress: {
+            type: String,
+            default: '',
+        },
+
+        // Session activity
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        // Generation of the current refresh token (older generations are reused tokens)
+        rotationCount: {
+            type: Number,
+            default: 0,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        // Revocation
+        isRevoked: {
+            type: Boolean,
+            default: false,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'user_revoked', 'token_reuse', 'credentials_changed', 'organization_deleted', null],
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { user: 1 },
+            { refreshTokenHash: 1 },
+            { isRevoked: 1 },
+        ]
+    }
+);
+
+// Index for expired session cleanup
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ previousTokenHashes: 1 });
+
+// Virtual to check if session is expired
+sessionSchema.virtual('isExpired').get(function () {
+    return new Date() > this.expiresAt;
+});
+
+// Virtual to check if session can still be used
+sessionSchema.virtual('isValid').get(function () {
+    return !this.isRevoked && !this.isExpired;
+});
+
+// Static method to get refresh token lifetime in milliseconds
+sessionSchema.statics.getRefreshTokenLifetime = function () {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30;
+    return days * 24 * 60 * 60 * 1000;
+};
+
+// Static method to hash a refresh token
+sessionSchema.statics.hashToken = function (plainToken) {
+    return crypto.createHash('sha256').update(plainToken).digest('hex');
+};
+
+// Static method to generate a secret to sign a session's refresh tokens with
+sessionSchema.statics.generateTokenSecret = function () {
+    return crypto.randomBytes(32).toString('hex');
+};
+
+// Static method to generate the refresh token for one generation of a session
+sessionSchema.statics.generateRefreshToken = function (sessionId, tokenSecret, generation) {
+    const signature = crypto.createHmac('sha256', tokenSecret).update(`${sessionId}.${generation}`).digest('hex');
+    const token = `oxr_${sessionId}.${generation}.${signature}`;
+
+    return {
+        plainToken: token,
+        hashedToken: this.hashToken(token)
+    };
+};
+
+// Static method to read the session ID and generation from a refresh token (null for tokens without them)
+sessionSchema.statics.parseRefreshToken = function (plainToken) {
+    const match = REFRESH_TOKEN_PATTERN.exec(plainToken || '');
+    return match ? { sessionId: match[1], generation: parseInt(match[2]) } : null;
+};
+
+// Static method to start a new session for a user
+sessionSchema.statics.createForUser = async function (userId, deviceInfo = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokenSecret = this.generateTokenSecret();
+    const { plainToken, hashedToken } = this.generateRefreshToken(sessionId, tokenSecret, 0);
+
+    const session = await this.create({
+        _id: sessionId,
+        user: userId,
+        refreshTokenHash: hashedToken,
+        tokenSecret,
+        deviceName: deviceInfo.deviceName || '',
+        userAgent: deviceInfo.userAgent || '',
+        ipAddress: deviceInfo.ipAddress || '',
+        expiresAt: new Date(Date.now() + this.getRefreshTokenLifetime())
+    });
+
+    return { session, refreshToken: plainToken };
+};
+
+// Static method to find the session a refresh token was ever issued for
+sessionSchema.statics.findByRefreshToken = async function (plainToken) {
+    const hashedToken = this.hashToken(plainToken);
+
+    const session = await this.findOne({ refreshTokenHash: hashedToken }).select('+tokenSecret');
+    if (session) {
+        return { session, isReused: false };
+    }
+
+    // Any earlier generation signed by the session is a rotated token, however many rotations ago
+    const parsed = this.parseRefreshToken(plainToken);
+    if (parsed) {
+        const family = await this.findById(parsed.sessionId).select('+tokenSecret');
+        const isIssuedToken = family?.tokenSecret && parsed.generation < family.rotationCount &&
+            this.generateRefreshToken(family._id, family.tokenSecret, parsed.generation).hashedToken === hashedToken;
+
+        return isIssuedToken ? { session: family, isReused: true } : { session: null, isReused: false };
+    }
+
+    const rotatedSession = await this.findOne({ previousTokenHashes: hashedToken });
+    if (rotatedSession) {
+        return { session: rotatedSession, isReused: true };
+    }
+
+    return { session: null, isReused: false };
+};
+
+// Method to rotate the refresh token (atomic, so a token can only be rotated once)
+sessionSchema.methods.rotateRefreshToken = async function (currentPlainToken, deviceInfo = {}) {
+    const Session = this.constructor;
+    const currentHash = Session.hashToken(currentPlainToken);
+
+    // Sessions started before token secrets get one now; their older tokens stay in previousTokenHashes
+    const tokenSecret = this.tokenSecret || Session.generateTokenSecret();
+    const { plainToken, hashedToken } = Session.generateRefreshToken(this._id, tokenSecret, this.rotationCount + 1);
+
+    const updated = await Session.findOneAndUpdate(
+        {
+            _id: this._id,
+            refreshTokenHash: currentHash,
+            rotationCount: this.rotationCount,
+            isRevoked: false
+        },
+        {
+            $set: {
+                refreshTokenHash: hashedToken,
+                tokenSecret,
+                lastUsedAt: new Date(),
+                ipAddress: deviceInfo.ipAddress || this.ipAddress,
+                userAgent: deviceInfo.userAgent || this.userAgent
+            },
+            $inc: { rotationCount: 1 },
+            ...(!Session.parseRefreshToken(currentPlainToken) && {
+                $push: {
+                    previousTokenHashes: {
+                        $each: [currentHash],
+                        $slice: -MAX_PREVIOUS_TOKENS
+                    }
+                }
+            })
+        },
+        { new: true }
+    );
+
+    // Another request rotated this token first - treat as reuse
+    if (!updated) {
+        return null;
+    }
+
+    return { session: updated, refreshToken: plainToken };
+};
+
+// Method to revoke session
+sessionSchema.methods.revoke = function (reason = 'logout') {
+    this.isRevoked = true;
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+// Static method to find active sessions for a user
+sessionSchema.statics.findActiveByUser = function (userId) {
+    return this.find({
+        user: userId,
+        isRevoked: false,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all sessions for a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason = 'user_revoked', exceptSessionId = null) {
+    const query = {
+        user: userId,
+        isRevoked: false
+    };
+
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    return this.updateMany(query, {
+        $set: {
+            isRevoked: true,
+            revokedAt: new Date(),
+            revokedReason: reason
+        }
+    });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
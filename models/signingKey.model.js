@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Asymmetric key used to sign access tokens, published at /.well-known/jwks.json
+// Lifecycle: next (published, not yet signing) -> active (signing) -> retired (verify only until expiresAt)
+const signingKeySchema = new mongoose.Schema(
+    {
+        // Key ID sent in the JWT header
+        kid: {
+            type: String,
+            required: [true, 'Key ID is required'],
+            unique: true,
+        },
+
+        algorithm: {
+            type: String,
+            enum: ['RS256', 'ES256'],
+            required: true,
+        },
+
+        status: {
+            type: String,
+            enum: ['next', 'active', 'retired'],
+            required: true,
+        },
+
+        // PKCS#8 PEM, encrypted with the keyring secret
+        privateKey: {
+            type: String,
+            required: true,
+            select: false,
+        },
+
+        // Public key as a JWK (with kid, alg and use)
+        publicJwk: {
+            type: Object,
+            required: true,
+        },
+
+        // True while next or active - backs the one-key-per-state index
+        isCurrent: {
+            type: Boolean,
+            default: true,
+        },
+
+        activatedAt: {
+            type: Date,
+            default: null,
+        },
+
+        retiredAt: {
+            type: Date,
+            default: null,
+        },
+
+        // Retired keys stop verifying (and are removed) after this
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { kid: 1 },
+        ]
+    }
+);
+
+// Only one key may sign at a time and only one may wait to take over (protects concurrent instances)
+signingKeySchema.index({ status: 1 }, { unique: true, partialFilterExpression: { isCurrent: true } });
+
+// Index for retired key cleanup
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get the passphrase private keys are encrypted with
+signingKeySchema.statics.getKeyringSecret = function () {
+    const secret = process.env.JWT_KEYRING_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('JWT_KEYRING_SECRET (or JWT_SECRET) is required to protect signing keys');
+    }
+    return secret;
+};
+
+// Static method to generate a new key pair in the given state
+signingKeySchema.statics.generate = function (status, algorithm = 'ES256') {
+    const { privateKey, publicKey } = algorithm === 'RS256'
+        ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+        : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    const kid = crypto.randomBytes(12).toString('base64url');
+    const now = new Date();
+
+    return this.create({
+        kid,
+        algorithm,
+        status,
+        privateKey: privateKey.export({
+            type: 'pkcs8',
+            format: 'pem',
+            cipher: 'aes-256-cbc',
+            passphrase: this.getKeyringSecret()
+        }),
+        publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' },
+        activatedAt: status === 'active' ? now : null
+    });
+};
+
+// Static method to find keys that can still verify tokens (with private keys)
+signingKeySchema.statics.findUsable = function () {
+    return this.find({
+        $or: [
+            { status: { $in: ['next', 'active'] } },
+            { status: 'retired', expiresAt: { $gt: new Date() } }
+        ]
+    }).select('+privateKey');
+};
+
+// Method to decrypt the private key
+signingKeySchema.methods.getPrivateKey = function () {
+    return crypto.createPrivateKey({
+        key: this.privateKey,
+        format: 'pem',
+        passphrase: this.constructor.getKeyringSecret()
+    });
+};
+
+// Method to get the public key
+signingKeySchema.methods.getPublicKey = function () {
+    return crypto.createPublicKey({ key: this.publicJwk, format: 'jwk' });
+};
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+export default SigningKey;
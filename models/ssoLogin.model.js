@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// A single-sign-on attempt from redirect to provider until the app exchanges its login code
+const ssoLoginSchema = new mongoose.Schema(
+    {
+        // State sent to the provider (hashed for security)
+        stateHash: {
+            type: String,
+            required: [true, 'State is required'],
+            unique: true,
+        },
+
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: [true, 'Organization is required'],
+        },
+
+        // Must come back inside the ID token
+        nonce: {
+            type: String,
+            required: true,
+        },
+
+        // PKCE verifier for the authorization code exchange
+        codeVerifier: {
+            type: String,
+            required: true,
+        },
+
+        status: {
+            type: String,
+            enum: ['pending', 'authenticating', 'authenticated', 'consumed', 'failed'],
+            default: 'pending',
+        },
+
+        // Set once the provider has identified the user
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        // One-time code handed to the app to collect tokens (hashed for security)
+        loginCodeHash: {
+            type: String,
+            default: null,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        indexes: [
+            { stateHash: 1 },
+            { loginCodeHash: 1 },
+        ]
+    }
+);
+
+// Index for expired attempt cleanup
+ssoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a state or login code
+ssoLoginSchema.statics.hashValue = function (plainValue) {
+    return crypto.createHash('sha256').update(plainValue).digest('hex');
+};
+
+// Static method to get how long the user has to finish signing in at the provider (milliseconds)
+ssoLoginSchema.statics.getLifetime = function () {
+    const minutes = parseInt(process.env.SSO_LOGIN_EXPIRY_MINUTES) || 10;
+    return minutes * 60 * 1000;
+};
+
+// Static method to claim a pending attempt by its state (atomic, so a callback is processed once)
+ssoLoginSchema.statics.claimByState = function (plainState) {
+    return this.findOneAndUpdate(
+        {
+            stateHash: this.hashValue(plainState),
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { status: 'authenticating' } },
+        { new: true }
+    );
+};
+
+// Static method to consume a login code (atomic, single use)
+ssoLoginSchema.statics.consumeLoginCode = function (plainCode) {
+    return this.findOneAndUpdate(
+        {
+            loginCodeHash: this.hashValue(plainCode),
+            status: 'authenticated',
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { status: 'consumed', loginCodeHash: null } },
+        { new: true }
+    );
+};
+
+// Method to record the signed-in user and issue the one-time login code
+ssoLoginSchema.methods.complete = async function (userId) {
+    const loginCode = crypto.randomBytes(32).toString('hex');
+    const minutes = parseInt(process.env.SSO_LOGIN_CODE_EXPIRY_MINUTES) || 2;
+
+    this.user = userId;
+    this.loginCodeHash = this.constructor.hashValue(loginCode);
+    this.status = 'authenticated';
+    this.expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    await this.save();
+
+    return loginCode;
+};
+
+// Method to mark the attempt as failed
+ssoLoginSchema.methods.fail = function () {
+    this.status = 'failed';
+    return this.save();
+};
+
+const SsoLogin = mongoose.model('SsoLogin', ssoLoginSchema);
+export default SsoLogin;
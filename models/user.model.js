@@ -2,6 +2,75 @@ import mongoose from 'mongoose';
 import crypto from 'crypto';
 import { hashOTP } from '../utils/otp.js';
 
+/**
+ * Get account lockout policy (env overridable)
+ * @returns {Object} Max attempts before lock, base and max lock window in minutes
+ */
+export const getLockoutPolicy = () => ({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    baseLockMinutes: parseInt(process.env.LOGIN_LOCK_BASE_MINUTES) || 15,
+    maxLockMinutes: parseInt(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60
+});
+
+/**
+ * Get when a newly generated password stops working if unused (env overridable)
+ * @returns {Date} Expiry time
+ */
+export const getTemporaryPasswordExpiry = () => {
+    const days = parseInt(process.env.TEMP_PASSWORD_EXPIRY_DAYS) || 7;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Count a failed attempt and lock with exponential backoff once the limit is reached
+ * One atomic update, so parallel wrong guesses cannot overwrite each other's count
+ * @param {Object} user - User document (updated in memory with the stored values)
+ * @param {Object} fields - Names of the attempts, lockUntil and lockCount fields
+ * @param {Object} extraSet - Other fields to set with the attempt
+ * @returns {Promise<Object>} justLocked, lockUntil and attemptsRemaining
+ */
+const registerFailedAttempt = async (user, fields, extraSet = {}) => {
+    const { maxAttempts, baseLockMinutes, maxLockMinutes } = getLockoutPolicy();
+    const now = new Date();
+
+    const attempts = `$${fields.attempts}`;
+    const lockCount = { $ifNull: [`$${fields.lockCount}`, 0] };
+    const reachedLimit = { $gte: [attempts, maxAttempts] };
+    const lockMinutes = { $min: [{ $multiply: [baseLockMinutes, { $pow: [2, lockCount] }] }, maxLockMinutes] };
+
+    const updated = await user.constructor.findOneAndUpdate(
+        { _id: user._id },
+        [
+            { $set: { [fields.attempts]: { $add: [{ $ifNull: [attempts, 0] }, 1] }, ...extraSet } },
+            {
+                $set: {
+                    [fields.lockUntil]: { $cond: [reachedLimit, { $add: [now, { $multiply: [lockMinutes, 60 * 1000] }] }, `$${fields.lockUntil}`] },
+                    [fields.lockCount]: { $cond: [reachedLimit, { $add: [lockCount, 1] }, lockCount] },
+                    [fields.attempts]: { $cond: [reachedLimit, 0, attempts] }
+                }
+            }
+        ],
+        { new: true, projection: [...Object.values(fields), ...Object.keys(extraSet)].join(' ') }
+    );
+
+    if (!updated) {
+        return { justLocked: false, lockUntil: user[fields.lockUntil], attemptsRemaining: 0 };
+    }
+
+    for (const field of [...Object.values(fields), ...Object.keys(extraSet)]) {
+        user[field] = updated[field];
+    }
+
+    // The counter only goes back to 0 when this failure locked
+    const justLocked = updated[fields.attempts] === 0;
+
+    return {
+        justLocked,
+        lockUntil: updated[fields.lockUntil],
+        attemptsRemaining: justLocked ? 0 : maxAttempts - updated[fields.attempts]
+    };
+};
+
 const userSchema = new mongoose.Schema(
     {
         name: {
@@ -10,10 +79,17 @@ const userSchema = new mongoose.Schema(
             trim: true,
         },
 
+        // Optional for students - they can sign in with organization code + roll number
         email: {
             type: String,
-            required: [true, 'Email is required'],
+            required: [
+                function () {
+                    return this.role !== 'student';
+                },
+                'Email is required',
+            ],
             unique: true,
+            sparse: true, // Allows multiple students without an email
             lowercase: true,
             trim: true,
         },
@@ -23,9 +99,30 @@ const userSchema = new mongoose.Schema(
             required: [true, 'Password is required'],
         },
 
+        // Short PIN a student uses to pick themselves on a shared section device (hashed)
+        devicePin: {
+            type: String,
+            default: null,
+        },
+
+        // Wrong-PIN tracking, kept apart from the account lockout so a shared device
+        // can only lock a student out of the device, not out of their other logins
+        devicePinAttempts: {
+            type: Number,
+            default: 0,
+        },
+        devicePinLockUntil: {
+            type: Date,
+            default: null,
+        },
+        devicePinLockCount: {
+            type: Number,
+            default: 0,
+        },
+
         role: {
             type: String,
-            enum: ['superAdmin', 'admin', 'teacher', 'student', 'specialUser'],
+            enum: ['superAdmin', 'admin', 'teacher', 'student', 'parent', 'specialUser'],
             required: true,
             default: 'student',
         },
@@ -50,7 +147,7 @@ const userSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Organization',
             required: function () {
-                return ['student', 'teacher', 'admin'].includes(this.role);
+                return ['student', 'teacher', 'admin', 'parent'].includes(this.role);
             },
         },
 
@@ -71,6 +168,14 @@ const userSchema = new mongoose.Schema(
             },
         ],
 
+        // For parents - their children (siblings may be in different sections)
+        children: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        ],
+
         // For admins - reference to organizations they manage
         managingOrganizations: [
             {
@@ -91,6 +196,18 @@ const userSchema = new mongoose.Schema(
             default: false,
         },
 
+        // Set when deleting the organization cascaded here, so restoring it brings back only what it deleted
+        organizationDeletion: {
+            deletedAt: {
+                type: Date,
+                default: null,
+            },
+            wasActive: {
+                type: Boolean,
+                default: null,
+            },
+        },
+
         // OTP-related fields
         otp: {
             hashedOTP: {
@@ -117,6 +234,22 @@ const userSchema = new mongoose.Schema(
             }
         },
 
+        // Passwordless login link (students)
+        magicLink: {
+            hashedToken: {
+                type: String,
+                default: null,
+            },
+            expiresAt: {
+                type: Date,
+                default: null,
+            },
+            lastSentAt: {
+                type: Date,
+                default: null,
+            },
+        },
+
         // Password reset fields
         passwordResetAttempts: {
             type: Number,
@@ -128,6 +261,25 @@ const userSchema = new mongoose.Schema(
             default: null,
         },
 
+        // Previous password hashes (most recent last) - blocks reuse when the organization enables history
+        passwordHistory: [
+            {
+                type: String,
+            },
+        ],
+
+        // Set when the password was generated or reset by an admin - must be replaced before using the app
+        mustChangePassword: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Generated password stops working if it is not used by this time
+        temporaryPasswordExpiresAt: {
+            type: Date,
+            default: null,
+        },
+
         // Account security
         loginAttempts: {
             type: Number,
@@ -139,6 +291,55 @@ const userSchema = new mongoose.Schema(
             default: null,
         },
 
+        // Consecutive lockouts - each one doubles the next lock window
+        lockCount: {
+            type: Number,
+            default: 0,
+        },
+
+        lastFailedLoginAt: {
+            type: Date,
+            default: null,
+        },
+
+        // TOTP two-factor authentication (admins and superAdmins)
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            secret: {
+                type: String,
+                default: null,
+            },
+            // Secret awaiting confirmation during enrollment
+            pendingSecret: {
+                type: String,
+                default: null,
+            },
+            // Hashed one-time recovery codes
+            recoveryCodes: [
+                {
+                    type: String,
+                },
+            ],
+            // Last accepted TOTP time step (prevents code replay)
+            lastUsedStep: {
+                type: Number,
+                default: null,
+            },
+            enabledAt: {
+                type: Date,
+                default: null,
+            },
+        },
+
+        // Embedded in every JWT - bumping it invalidates all outstanding tokens
+        tokenVersion: {
+            type: Number,
+            default: 0,
+        },
+
         // User preferences
         preferences: {
             language: {
@@ -269,10 +470,24 @@ const userSchema = new mongoose.Schema(
             { isDeleted: 1 },
             { 'studentDetails.rollNumber': 1 },
             { 'teacherDetails.employeeId': 1 },
+            { children: 1 },
+            { 'magicLink.hashedToken': 1 },
         ]
     }
 );
 
+// Roll numbers are unique within an organization (ignoring soft-deleted students)
+userSchema.index(
+    { organization: 1, 'studentDetails.rollNumber': 1 },
+    {
+        unique: true,
+        partialFilterExpression: {
+            'studentDetails.rollNumber': { $type: 'string' },
+            isDeleted: false,
+        },
+    }
+);
+
 // Index for OTP expiry cleanup
 userSchema.index({ 'otp.otpExpiry': 1 }, { expireAfterSeconds: 0 });
 
@@ -281,6 +496,7 @@ userSchema.virtual('displayName').get(function () {
     const rolePrefix = {
         'student': 'Student',
         'teacher': 'Teacher',
+        'parent': 'Parent',
         'admin': 'Admin',
         'superAdmin': 'Super Admin',
         'specialUser': 'User'
@@ -364,6 +580,25 @@ userSchema.methods.clearOTP = function () {
     return this;
 };
 
+// Method to set a single-use magic login link token
+userSchema.methods.setMagicLink = function (plainToken) {
+    const lifetimeMinutes = parseInt(process.env.MAGIC_LINK_EXPIRY_MINUTES) || 15;
+
+    this.magicLink = {
+        hashedToken: hashOTP(plainToken),
+        expiresAt: new Date(Date.now() + lifetimeMinutes * 60 * 1000),
+        lastSentAt: new Date()
+    };
+
+    return this;
+};
+
+// Method to check if magic login is allowed for this user by organization policy
+userSchema.methods.canUseMagicLink = function () {
+    return this.role === 'student' && !!this.organization?.security?.allowMagicLinkLogin &&
+        !!this.organization.hasLicenseFeature?.('magic_link');
+};
+
 // Method to check if user can request new OTP (rate limiting)
 userSchema.methods.canRequestNewOTP = function () {
     if (!this.otp.lastOTPSent) return true;
@@ -408,6 +643,123 @@ userSchema.methods.removeTeachingSection = function (sectionId) {
     return this.save();
 };
 
+// Method to link a child to a parent account
+userSchema.methods.addChild = function (studentId) {
+    if (this.role !== 'parent') {
+        throw new Error('Only parents can have children linked');
+    }
+
+    if (!this.isParentOf(studentId)) {
+        this.children.push(studentId);
+    }
+    return this.save();
+};
+
+// Method to check if a student is linked to this parent
+userSchema.methods.isParentOf = function (studentId) {
+    return this.role === 'parent' && this.children.some(id => id.toString() === studentId.toString());
+};
+
+// Virtual to check if account is currently locked
+userSchema.virtual('isLocked').get(function () {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Method to record a failed login and lock the account with exponential backoff
+userSchema.methods.registerFailedLogin = function () {
+    return registerFailedAttempt(
+        this,
+        { attempts: 'loginAttempts', lockUntil: 'lockUntil', lockCount: 'lockCount' },
+        { lastFailedLoginAt: new Date() }
+    );
+};
+
+// Virtual to check if section device PIN sign-in is currently locked
+userSchema.virtual('isDevicePinLocked').get(function () {
+    return !!(this.devicePinLockUntil && this.devicePinLockUntil > Date.now());
+});
+
+// Method to record a wrong section device PIN (locks the PIN only)
+userSchema.methods.registerFailedDevicePin = function () {
+    return registerFailedAttempt(this, {
+        attempts: 'devicePinAttempts',
+        lockUntil: 'devicePinLockUntil',
+        lockCount: 'devicePinLockCount'
+    });
+};
+
+// Method to reset wrong-PIN tracking after a correct PIN or a new PIN
+userSchema.methods.resetDevicePinAttempts = function () {
+    this.devicePinAttempts = 0;
+    this.devicePinLockUntil = null;
+    this.devicePinLockCount = 0;
+    return this;
+};
+
+// Method to reset login attempts after a successful login or admin unlock
+userSchema.methods.resetLoginAttempts = function (resetLockCount = true) {
+    this.loginAttempts = 0;
+    this.lockUntil = null;
+    if (resetLockCount) {
+        this.lockCount = 0;
+    }
+    return this;
+};
+
+// Method to check if user is allowed to enroll in two-factor authentication
+userSchema.methods.canUseTwoFactor = function () {
+    return ['admin', 'superAdmin'].includes(this.role);
+};
+
+// Method to check if organization policy requires two-factor for this user
+userSchema.methods.isTwoFactorRequired = function () {
+    return this.role === 'admin' && !!this.organization?.security?.requireTwoFactorForAdmins;
+};
+
+// Method to consume a one-time recovery code
+userSchema.methods.useRecoveryCode = function (hashedCode) {
+    const index = this.twoFactor.recoveryCodes.indexOf(hashedCode);
+    if (index === -1) return false;
+
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+};
+
+// Method to invalidate all outstanding tokens (force logout everywhere)
+userSchema.methods.invalidateTokens = function () {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    return this.save();
+};
+
+// Method to set a password the user chose, keeping the previous one in history
+userSchema.methods.recordPasswordChange = function (hashedPassword, historyCount = 0) {
+    const keepPrevious = Math.max(historyCount - 1, 0);
+
+    if (keepPrevious > 0 && this.password) {
+        this.passwordHistory = [...(this.passwordHistory || []), this.password].slice(-keepPrevious);
+    } else {
+        this.passwordHistory = [];
+    }
+
+    this.password = hashedPassword;
+    this.lastPasswordReset = new Date();
+    return this;
+};
+
+// Method to set an admin-generated password the user must replace on first login
+userSchema.methods.setTemporaryPassword = function (hashedPassword) {
+    this.password = hashedPassword;
+    this.mustChangePassword = true;
+    this.temporaryPasswordExpiresAt = getTemporaryPasswordExpiry();
+    this.$locals.temporaryPassword = true;
+    return this;
+};
+
+// Virtual to check if an unused generated password has expired
+userSchema.virtual('isTemporaryPasswordExpired').get(function () {
+    return !!(this.mustChangePassword && this.temporaryPasswordExpiresAt && this.temporaryPasswordExpiresAt < Date.now());
+});
+
 // Method to update last login
 userSchema.methods.updateLastLogin = function (deviceInfo = '') {
     this.lastLogin = new Date();
@@ -436,6 +788,42 @@ userSchema.pre('save', function (next) {
     next();
 });
 
+// Pre-save middleware to clear the forced password change once the user picks their own password
+userSchema.pre('save', function (next) {
+    if (!this.isNew && this.isModified('password') && !this.$locals.temporaryPassword) {
+        this.mustChangePassword = false;
+        this.temporaryPasswordExpiresAt = null;
+    }
+    this.$locals.temporaryPassword = false;
+    next();
+});
+
+// Pre-save middleware to invalidate outstanding tokens on security-relevant changes
+userSchema.pre('save', function (next) {
+    if (this.isNew) return next();
+
+    const credentialsChanged = this.isModified('password') || this.isModified('role') || this.isModified('organization');
+    const deactivated = this.isModified('isActive') && !this.isActive;
+    const deleted = this.isModified('isDeleted') && this.isDeleted;
+
+    if ((credentialsChanged || deactivated || deleted) && !this.isModified('tokenVersion')) {
+        this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
+
+    // Remember for post-save so device sessions get revoked too
+    this.$locals.tokensInvalidated = this.isModified('tokenVersion');
+    next();
+});
+
+// Post-save middleware to revoke device sessions after tokens were invalidated
+userSchema.post('save', async function (doc) {
+    if (doc.$locals.tokensInvalidated) {
+        doc.$locals.tokensInvalidated = false;
+        const Session = mongoose.model('Session');
+        await Session.revokeAllForUser(doc._id, 'credentials_changed');
+    }
+});
+
 // Pre-save middleware to validate section assignment for students
 userSchema.pre('save', async function (next) {
     if (this.role === 'student' && this.isModified('section') && this.section) {
@@ -492,6 +880,39 @@ userSchema.statics.findBySection = function (sectionId) {
     });
 };
 
+// Static method to find currently locked users in an organization
+userSchema.statics.findLocked = function (organizationId, roles = ['student', 'teacher', 'parent']) {
+    return this.find({
+        organization: organizationId,
+        role: { $in: roles },
+        isDeleted: false,
+        lockUntil: { $gt: new Date() }
+    });
+};
+
+// Static method to find a student by roll number within an organization
+userSchema.statics.findByRollNumber = function (organizationId, rollNumber) {
+    return this.findOne({
+        organization: organizationId,
+        role: 'student',
+        'studentDetails.rollNumber': rollNumber.toString().trim(),
+        isDeleted: false
+    });
+};
+
+// Static method to check if a roll number is already used in an organization
+userSchema.statics.isRollNumberTaken = async function (organizationId, rollNumber, excludeUserId = null) {
+    const query = {
+        organization: organizationId,
+        'studentDetails.rollNumber': rollNumber.toString().trim(),
+        isDeleted: false
+    };
+    if (excludeUserId) {
+        query._id = { $ne: excludeUserId };
+    }
+    return !!(await this.exists(query));
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function () {
     return this.find({
@@ -500,12 +921,20 @@ userSchema.statics.findActive = function () {
     });
 };
 
-// Static method to soft delete user
-userSchema.statics.softDelete = function (id) {
-    return this.findByIdAndUpdate(id, {
+// Static method to soft delete user (also invalidates outstanding tokens)
+userSchema.statics.softDelete = async function (id) {
+    const user = await this.findByIdAndUpdate(id, {
         isDeleted: true,
-        isActive: false
+        isActive: false,
+        $inc: { tokenVersion: 1 }
     });
+
+    if (user) {
+        const Session = mongoose.model('Session');
+        await Session.revokeAllForUser(user._id, 'credentials_changed');
+    }
+
+    return user;
 };
 
 // Static method to restore deleted user
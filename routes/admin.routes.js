@@ -1,17 +1,34 @@
 // File: routes/admin.routes.js
 
 import express from 'express';
-import { protect } from '../middleware/auth.middleware.js';
-import { authorizeRoles } from '../middleware/role.middleware.js';
+import { protect, blockImpersonation } from '../middleware/auth.middleware.js';
+import { authorizeRoles, requirePrimaryAdmin } from '../middleware/role.middleware.js';
 import { requireAdmin } from '../middleware/adminPermissions.middleware.js';
+import { requireWritableLicense, requireLicenseFeature } from '../middleware/license.middleware.js';
 import User from '../models/user.model.js';
 import Organization from '../models/organization.model.js';
 import logger from '../utils/logger.js';
 
+// Import organization export controllers
+import {
+    requestOrganizationExport,
+    getOrganizationExports,
+    getOrganizationExportStatus,
+    downloadOrganizationExport
+} from '../controllers/organizationExport.controller.js';
+
+// Import organization settings history controllers
+import {
+    getSettingsHistory,
+    getSettingsVersion,
+    rollbackSettings
+} from '../controllers/organizationSettingsHistory.controller.js';
+
 // Import enrollment controllers
 import {
     enrollStudent,
-    enrollTeacher
+    enrollTeacher,
+    createParentAccountForStudent
 } from '../controllers/enroll.admin.controller.js';
 
 // Import class and section management controllers
@@ -33,9 +50,51 @@ import {
     getOrganizationAnalytics,
     getOrganizationDetails,
     getOrganizationUsers,
-    updateOrganizationSettings
+    updateOrganizationSettings,
+    previewEmailBranding
 } from '../controllers/adminControllers/adminOrganization.controller.js';
 
+import {
+    forceLogoutUser,
+    getLockedAccounts,
+    getUserLoginHistory,
+    unlockUserAccount,
+    resetUserPassword
+} from '../controllers/adminControllers/adminUserSecurity.controller.js';
+
+import {
+    createSectionDevice,
+    getSectionDevices,
+    revokeSectionDevice,
+    setStudentDevicePin
+} from '../controllers/adminControllers/adminSectionDevice.controller.js';
+
+import {
+    createJoinCode,
+    getJoinCodes,
+    revokeJoinCode,
+    getSelfRegistrations,
+    approveSelfRegistration,
+    rejectSelfRegistration
+} from '../controllers/adminControllers/adminSelfRegistration.controller.js';
+
+import {
+    getClassCourses,
+    assignClassCourses,
+    updateClassCourse,
+    reorderClassCourses,
+    unassignClassCourse,
+    unassignClassSubject
+} from '../controllers/adminControllers/adminClassCourse.controller.js';
+
+import {
+    getGroupBranches,
+    getGroupAnalytics,
+    getGroupSharedSettings,
+    updateGroupSharedSettings,
+    moveTeacherToBranch
+} from '../controllers/adminControllers/adminGroup.controller.js';
+
 // Import course viewing controllers for admin
 import {
     getOrganizationCourses,
@@ -49,6 +108,24 @@ adminRouter.use(protect);
 adminRouter.use(authorizeRoles(['admin']));
 adminRouter.use(requireAdmin); // SIMPLIFIED: Just check if admin of organization
 
+// ==================== DATA EXPORT ====================
+// Before the license check: a school whose license ended can still take its data
+// Archives hold every user's personal data, so only primary admins can reach them
+
+// Start building an archive of the organization's data
+adminRouter.post('/exports', blockImpersonation, requirePrimaryAdmin, requestOrganizationExport);
+
+// Recent exports
+adminRouter.get('/exports', requirePrimaryAdmin, getOrganizationExports);
+
+// Poll an export until it is completed
+adminRouter.get('/exports/:exportId', requirePrimaryAdmin, getOrganizationExportStatus);
+
+// Download a completed archive
+adminRouter.get('/exports/:exportId/download', blockImpersonation, requirePrimaryAdmin, downloadOrganizationExport);
+
+adminRouter.use(requireWritableLicense); // Expired licenses are read-only
+
 // ==================== CLASS AND SECTION MANAGEMENT ====================
 
 // Create class
@@ -71,6 +148,27 @@ adminRouter.post('/enroll-student', enrollStudent);
 // Teacher enrollment/onboarding  
 adminRouter.post('/enroll-teacher', enrollTeacher);
 
+// Parent login from an already enrolled student's parentContact email (links siblings to one account)
+adminRouter.post('/students/:studentId/parent-account', requireLicenseFeature('parent_accounts'), createParentAccountForStudent);
+
+// ==================== SELF-REGISTRATION (JOIN CODES) ====================
+
+// Create a join code for a class (best section is picked) or a specific section
+adminRouter.post('/join-codes', requireLicenseFeature('self_registration'), createJoinCode);
+
+// List join codes (?includeInactive=true for revoked ones)
+adminRouter.get('/join-codes', getJoinCodes);
+
+// Revoke a join code
+adminRouter.delete('/join-codes/:joinCodeId', revokeJoinCode);
+
+// Approval queue (?status=pending|approved|rejected|all)
+adminRouter.get('/registrations', getSelfRegistrations);
+
+// Approve (creates the student) or reject a self-registration
+adminRouter.post('/registrations/:registrationId/approve', approveSelfRegistration);
+adminRouter.post('/registrations/:registrationId/reject', rejectSelfRegistration);
+
 // ==================== SECTION MANAGEMENT ROUTES ====================
 
 // Assign teacher to section
@@ -99,8 +197,87 @@ adminRouter.get('/organization/analytics', getOrganizationAnalytics);
 // Get all users in organization with filtering and pagination
 adminRouter.get('/organization/users', getOrganizationUsers);
 
-// Update organization settings (contact info, enrollment settings, etc.)
-adminRouter.put('/organization/settings', updateOrganizationSettings);
+// Update organization settings (contact info, enrollment settings, email branding, etc.)
+adminRouter.put('/organization/settings', blockImpersonation, updateOrganizationSettings);
+
+// Preview an email with the organization's branding (?template=STUDENT_CREDENTIALS)
+adminRouter.get('/organization/email-branding/preview', previewEmailBranding);
+
+// Settings history: who changed what and when, newest first
+adminRouter.get('/organization/settings/history', getSettingsHistory);
+
+// One settings version with the full settings it left in place
+adminRouter.get('/organization/settings/history/:version', getSettingsVersion);
+
+// Roll settings back to a version (settings managed by the group are skipped)
+adminRouter.post('/organization/settings/history/:version/rollback', blockImpersonation, rollbackSettings);
+
+// ==================== GROUP (MULTI-BRANCH) MANAGEMENT ====================
+// For admins of an organization with branches
+
+// Branches of the group
+adminRouter.get('/group/branches', requireLicenseFeature('multi_branch'), getGroupBranches);
+
+// Enrollment and capacity rolled up across branches
+adminRouter.get('/group/analytics', requireLicenseFeature('multi_branch'), getGroupAnalytics);
+
+// Settings branches inherit from the group
+adminRouter.get('/group/shared-settings', requireLicenseFeature('multi_branch'), getGroupSharedSettings);
+adminRouter.put('/group/shared-settings', blockImpersonation, requireLicenseFeature('multi_branch'), updateGroupSharedSettings);
+
+// Move a teacher to another branch (they are taken off their current sections)
+adminRouter.post('/group/teachers/:teacherId/move', blockImpersonation, requireLicenseFeature('multi_branch'), moveTeacherToBranch);
+
+// ==================== USER SECURITY ====================
+// Security changes are not available to a superAdmin impersonating an admin
+
+// List students and teachers currently locked out after failed logins
+adminRouter.get('/users/locked', getLockedAccounts);
+
+// Sign-in attempts by organization users (?userId= for one user)
+adminRouter.get('/users/login-history', getUserLoginHistory);
+
+// Unlock a student, teacher or parent account
+adminRouter.post('/users/:userId/unlock', blockImpersonation, unlockUserAccount);
+
+// Sign a student, teacher or parent out of every device (invalidates all outstanding tokens)
+adminRouter.post('/users/:userId/force-logout', blockImpersonation, forceLogoutUser);
+
+// Reset a student, teacher or parent password to a temporary one they must change on next login
+adminRouter.post('/users/:userId/reset-password', blockImpersonation, resetUserPassword);
+
+// ==================== SECTION DEVICES (KIOSK MODE) ====================
+
+// Issue a credential for a shared headset bound to one section
+adminRouter.post('/section-devices', blockImpersonation, requireLicenseFeature('section_devices'), createSectionDevice);
+
+// List section devices with last-seen activity
+adminRouter.get('/section-devices', getSectionDevices);
+
+// Revoke a section device
+adminRouter.delete('/section-devices/:deviceId', blockImpersonation, revokeSectionDevice);
+
+// Set or generate the PIN a student uses on section devices
+adminRouter.post('/students/:studentId/device-pin', blockImpersonation, setStudentDevicePin);
+
+// ==================== CLASS COURSE ASSIGNMENT ====================
+// A class with no assigned courses sees every course of its grade
+
+// Courses assigned to a class, in teaching order
+adminRouter.get('/classes/:classId/courses', getClassCourses);
+
+// Assign courses (courseIds) or every course of a subject, optionally from a start date
+adminRouter.post('/classes/:classId/courses', assignClassCourses);
+
+// Reorder a class's courses
+adminRouter.put('/classes/:classId/courses/order', reorderClassCourses);
+
+// Change one course's order, start date or hidden topics for the class
+adminRouter.patch('/classes/:classId/courses/:courseId', updateClassCourse);
+
+// Unassign a course, or every course of a subject
+adminRouter.delete('/classes/:classId/courses/:courseId', unassignClassCourse);
+adminRouter.delete('/classes/:classId/subjects/:subject', unassignClassSubject);
 
 // ==================== COURSE VIEWING FOR ADMINS ====================
 
@@ -11,7 +11,41 @@ import {
     resetPassword
 } from '../controllers/auth.controllers.js';
 import { updatePassword } from '../controllers/updatePassword.controller.js';
-import { protect } from '../middleware/auth.middleware.js';
+import {
+    refreshAccessToken,
+    logoutUser,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getLoginHistory
+} from '../controllers/session.controller.js';
+import {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin,
+    setupTwoFactorDuringLogin,
+    enableTwoFactorDuringLogin
+} from '../controllers/twoFactor.controller.js';
+import { requestMagicLink, redeemMagicLink } from '../controllers/magicLink.controller.js';
+import { getJoinCodeDetails, registerWithJoinCode } from '../controllers/selfRegistration.controller.js';
+import { startSsoLogin, handleSsoCallback, exchangeSsoLoginCode } from '../controllers/sso.controller.js';
+import {
+    requestDeviceCode,
+    pollDeviceToken,
+    getDeviceRequest,
+    approveDeviceRequest,
+    denyDeviceRequest
+} from '../controllers/deviceAuth.controller.js';
+import {
+    startImpersonation,
+    stopImpersonation,
+    getImpersonations
+} from '../controllers/impersonation.controller.js';
+import { protect, allowPasswordChangeRequired, blockImpersonation } from '../middleware/auth.middleware.js';
+import { authorizeRoles } from '../middleware/role.middleware.js';
+import { requireAdmin } from '../middleware/adminPermissions.middleware.js';
 
 const authRouter = express.Router();
 
@@ -20,9 +54,34 @@ authRouter.post('/signup', registerUser);
 authRouter.post('/verify-email', verifyEmail);
 authRouter.post('/resend-otp', resendOTP);
 
+// Public routes - Student self-registration with an organization join code
+authRouter.get('/join/:code', getJoinCodeDetails);
+authRouter.post('/signup/join', registerWithJoinCode);
+
 // Public routes - Login
 authRouter.post('/login', loginUser);
 
+// Public routes - Two-factor login step (challenge token from /login)
+authRouter.post('/login/2fa', verifyTwoFactorLogin);
+authRouter.post('/login/2fa/setup', setupTwoFactorDuringLogin);
+authRouter.post('/login/2fa/enable', enableTwoFactorDuringLogin);
+
+// Public routes - Passwordless sign-in link (students, when enabled by organization)
+authRouter.post('/magic-link', requestMagicLink);
+authRouter.post('/magic-link/verify', redeemMagicLink);
+
+// Public routes - Single sign-on with the organization's OpenID Connect provider
+authRouter.get('/sso/callback', handleSsoCallback);
+authRouter.post('/sso/token', exchangeSsoLoginCode);
+authRouter.get('/sso/:organizationCode/login', startSsoLogin);
+
+// Public routes - Device authorization grant (headset shows a code, polls for tokens)
+authRouter.post('/device/code', requestDeviceCode);
+authRouter.post('/device/token', pollDeviceToken);
+
+// Public routes - Token refresh (rotates the refresh token)
+authRouter.post('/refresh', refreshAccessToken);
+
 // Public routes - Password Reset
 authRouter.post('/forgot-password', forgotPassword);
 authRouter.post('/reset-password', resetPassword);
@@ -32,7 +91,31 @@ authRouter.post('/reset-password', resetPassword);
 // authRouter.put('/me', updateProfile);
 // authRouter.put('/password', changePassword);
 
-// update password
-authRouter.put('/update-password', protect, updatePassword);
+// update password (the only route open while an admin-generated password must be changed)
+authRouter.put('/update-password', allowPasswordChangeRequired, protect, blockImpersonation, updatePassword);
+
+// Protected routes - Device sessions
+authRouter.post('/logout', protect, blockImpersonation, logoutUser);
+authRouter.get('/sessions', protect, blockImpersonation, getSessions);
+authRouter.delete('/sessions', protect, blockImpersonation, revokeOtherSessions);
+authRouter.delete('/sessions/:sessionId', protect, blockImpersonation, revokeSession);
+authRouter.get('/login-history', protect, blockImpersonation, getLoginHistory);
+
+// Protected routes - Two-factor authentication
+authRouter.post('/2fa/setup', protect, blockImpersonation, setupTwoFactor);
+authRouter.post('/2fa/enable', protect, blockImpersonation, enableTwoFactor);
+authRouter.post('/2fa/disable', protect, blockImpersonation, disableTwoFactor);
+authRouter.post('/2fa/recovery-codes', protect, blockImpersonation, regenerateRecoveryCodes);
+
+// Protected routes - Approve a device sign-in from a logged in phone/browser
+authRouter.get('/device/:userCode', protect, getDeviceRequest);
+authRouter.post('/device/approve', protect, blockImpersonation, approveDeviceRequest);
+authRouter.post('/device/deny', protect, blockImpersonation, denyDeviceRequest);
+
+// Protected routes - Impersonation (superAdmins: anyone, admins: their students and teachers)
+// Impersonation tokens cannot change passwords, two-factor settings, sessions or approve devices
+authRouter.post('/impersonate/stop', protect, stopImpersonation);
+authRouter.post('/impersonate/:userId', protect, blockImpersonation, authorizeRoles(['superAdmin', 'admin']), requireAdmin, startImpersonation);
+authRouter.get('/impersonations', protect, blockImpersonation, authorizeRoles(['superAdmin', 'admin']), requireAdmin, getImpersonations);
 
 export default authRouter;
\ No newline at end of file
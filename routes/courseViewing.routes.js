@@ -4,6 +4,7 @@ import express from 'express';
 import { protect } from '../middleware/auth.middleware.js';
 import { authorizeRoles } from '../middleware/role.middleware.js';
 import { requireAdmin } from '../middleware/adminPermissions.middleware.js';
+import { allowSectionDevice } from '../middleware/sectionDevice.middleware.js';
 import {
     // Organization/Admin course viewing
     getOrganizationCourses,
@@ -20,6 +21,9 @@ import {
 
 const courseViewingRouter = express.Router();
 
+// Section devices (kiosk mode) may only reach student course routes
+courseViewingRouter.use('/student/courses', allowSectionDevice);
+
 // Apply auth middleware to all routes
 courseViewingRouter.use(protect);
 
@@ -0,0 +1,21 @@
+// File: routes/loginThrottle.routes.js
+
+import express from 'express';
+import { protect, blockImpersonation } from '../middleware/auth.middleware.js';
+import { authorizeRoles } from '../middleware/role.middleware.js';
+import { getLockedIPs, unlockIP } from '../controllers/loginThrottle.controller.js';
+
+const loginThrottleRouter = express.Router();
+
+// Apply auth middleware to all IP lock routes
+loginThrottleRouter.use(protect);
+loginThrottleRouter.use(blockImpersonation);
+loginThrottleRouter.use(authorizeRoles(['superAdmin'])); // IP locks apply across organizations
+
+// GET /superadmin/ip-locks - List IP addresses locked out after failed logins
+loginThrottleRouter.get('/', getLockedIPs);
+
+// DELETE /superadmin/ip-locks/:ipAddress - Lift an IP lock (URL-encode IPv6 addresses)
+loginThrottleRouter.delete('/:ipAddress', unlockIP);
+
+export default loginThrottleRouter;
@@ -9,8 +9,27 @@ import {
     getOrganizationById,
     updateOrganization,
     deleteOrganization,
-    addAdminToOrganization
+    restoreOrganization,
+    purgeDeletedOrganization,
+    addAdminToOrganization,
+    getContentAccess,
+    updateContentAccess,
+    setParentOrganization,
+    getLicense,
+    updateLicense,
+    renewLicense
 } from '../controllers/organization.controller.js';
+import {
+    requestOrganizationExport,
+    getOrganizationExports,
+    getOrganizationExportStatus,
+    downloadOrganizationExport
+} from '../controllers/organizationExport.controller.js';
+import {
+    getSettingsHistory,
+    getSettingsVersion,
+    rollbackSettings
+} from '../controllers/organizationSettingsHistory.controller.js';
 
 const organizationRouter = express.Router();
 
@@ -43,12 +62,24 @@ organizationRouter.put('/:id',
     updateOrganization
 );
 
-// Delete organization (SuperAdmin only)
+// Delete organization with its users, classes, sections and API keys (SuperAdmin only)
 organizationRouter.delete('/:id',
     authorizeRoles(['superAdmin']),
     deleteOrganization
 );
 
+// Restore a deleted organization and everything its deletion removed (SuperAdmin only)
+organizationRouter.post('/:id/restore',
+    authorizeRoles(['superAdmin']),
+    restoreOrganization
+);
+
+// Permanently remove a deleted organization after the retention period, ?dryRun=true to preview (SuperAdmin only)
+organizationRouter.delete('/:id/purge',
+    authorizeRoles(['superAdmin']),
+    purgeDeletedOrganization
+);
+
 // ==================== ORGANIZATION ADMIN MANAGEMENT ====================
 
 // Add primary admin to organization (SuperAdmin only)
@@ -57,4 +88,92 @@ organizationRouter.post('/:id/add-primary-admin',
     addAdminToOrganization
 );
 
+// ==================== ORGANIZATION GROUPS (BRANCHES) ====================
+
+// Make an organization a branch of a group, or standalone with null (SuperAdmin only)
+organizationRouter.put('/:id/parent',
+    authorizeRoles(['superAdmin']),
+    setParentOrganization
+);
+
+// ==================== ORGANIZATION DATA EXPORT ====================
+
+// Start building an archive of the organization's data (SuperAdmin only)
+organizationRouter.post('/:id/exports',
+    authorizeRoles(['superAdmin']),
+    requestOrganizationExport
+);
+
+// Recent exports (SuperAdmin only)
+organizationRouter.get('/:id/exports',
+    authorizeRoles(['superAdmin']),
+    getOrganizationExports
+);
+
+// Poll an export until it is completed (SuperAdmin only)
+organizationRouter.get('/:id/exports/:exportId',
+    authorizeRoles(['superAdmin']),
+    getOrganizationExportStatus
+);
+
+// Download a completed archive (SuperAdmin only)
+organizationRouter.get('/:id/exports/:exportId/download',
+    authorizeRoles(['superAdmin']),
+    downloadOrganizationExport
+);
+
+// ==================== ORGANIZATION SETTINGS HISTORY ====================
+
+// Settings history, newest first (SuperAdmin only)
+organizationRouter.get('/:id/settings/history',
+    authorizeRoles(['superAdmin']),
+    getSettingsHistory
+);
+
+// One settings version with its full snapshot (SuperAdmin only)
+organizationRouter.get('/:id/settings/history/:version',
+    authorizeRoles(['superAdmin']),
+    getSettingsVersion
+);
+
+// Roll settings back to a version (SuperAdmin only)
+organizationRouter.post('/:id/settings/history/:version/rollback',
+    authorizeRoles(['superAdmin']),
+    rollbackSettings
+);
+
+// ==================== ORGANIZATION LICENSE ====================
+
+// Get license, seat usage and license history (SuperAdmin only)
+organizationRouter.get('/:id/license',
+    authorizeRoles(['superAdmin']),
+    getLicense
+);
+
+// Change plan, seats, features or dates (SuperAdmin only)
+organizationRouter.put('/:id/license',
+    authorizeRoles(['superAdmin']),
+    updateLicense
+);
+
+// Extend the license by months or to a new end date (SuperAdmin only)
+organizationRouter.post('/:id/license/renew',
+    authorizeRoles(['superAdmin']),
+    renewLicense
+);
+
+// ==================== ORGANIZATION CONTENT ACCESS ====================
+
+// Get subjects and grades the organization is entitled to (SuperAdmin only)
+organizationRouter.get('/:id/content-access',
+    authorizeRoles(['superAdmin']),
+    getContentAccess
+);
+
+// Replace the organization's subject and grade entitlements (SuperAdmin only)
+organizationRouter.put('/:id/content-access',
+    authorizeRoles(['superAdmin']),
+    updateContentAccess
+);
+
 export default organizationRouter;
\ No newline at end of file
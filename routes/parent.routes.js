@@ -0,0 +1,27 @@
+// File: routes/parent.routes.js
+
+import express from 'express';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorizeRoles } from '../middleware/role.middleware.js';
+import {
+    getChildren,
+    getChildDashboard,
+    getChildCourses
+} from '../controllers/parent.controller.js';
+
+const parentRouter = express.Router();
+
+// Read-only access for parents to the students linked to their account
+parentRouter.use(protect);
+parentRouter.use(authorizeRoles(['parent']));
+
+// List linked children with their section and section teacher
+parentRouter.get('/children', getChildren);
+
+// A child's section, teacher, stats and course overview
+parentRouter.get('/children/:studentId/dashboard', getChildDashboard);
+
+// Courses assigned to a child's grade
+parentRouter.get('/children/:studentId/courses', getChildCourses);
+
+export default parentRouter;
@@ -0,0 +1,21 @@
+// File: routes/sectionDevice.routes.js
+
+import express from 'express';
+import { protectSectionDevice } from '../middleware/sectionDevice.middleware.js';
+import {
+    getSectionDeviceStudents,
+    loginStudentOnDevice
+} from '../controllers/sectionDevice.controller.js';
+
+const sectionDeviceRouter = express.Router();
+
+// Every request is authenticated with the device key (X-Device-Key header)
+sectionDeviceRouter.use(protectSectionDevice);
+
+// List students in the device's section
+sectionDeviceRouter.get('/students', getSectionDeviceStudents);
+
+// Student selects themselves and enters their PIN - returns a student token limited to course routes
+sectionDeviceRouter.post('/login', loginStudentOnDevice);
+
+export default sectionDeviceRouter;
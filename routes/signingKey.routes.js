@@ -0,0 +1,21 @@
+// File: routes/signingKey.routes.js
+
+import express from 'express';
+import { protect, blockImpersonation } from '../middleware/auth.middleware.js';
+import { authorizeRoles } from '../middleware/role.middleware.js';
+import { getSigningKeys, rotateKeys } from '../controllers/signingKey.controller.js';
+
+const signingKeyRouter = express.Router();
+
+// Apply auth middleware to all signing key routes
+signingKeyRouter.use(protect);
+signingKeyRouter.use(blockImpersonation);
+signingKeyRouter.use(authorizeRoles(['superAdmin'])); // Only SuperAdmin can manage signing keys
+
+// GET /superadmin/signing-keys - List keys and their lifecycle state
+signingKeyRouter.get('/', getSigningKeys);
+
+// POST /superadmin/signing-keys/rotate - Retire the signing key and promote the published next key
+signingKeyRouter.post('/rotate', rotateKeys);
+
+export default signingKeyRouter;
@@ -3,6 +3,7 @@
 import express from 'express';
 import { protect } from '../middleware/auth.middleware.js';
 import { authorizeRoles } from '../middleware/role.middleware.js';
+import { allowSectionDevice } from '../middleware/sectionDevice.middleware.js';
 
 // Import existing student controllers
 import User from '../models/user.model.js';
@@ -19,6 +20,9 @@ import {
 
 const studentRouter = express.Router();
 
+// Section devices (kiosk mode) may only reach course routes
+studentRouter.use(['/courses', '/dashboard/course-summary'], allowSectionDevice);
+
 // Apply auth middleware to all student routes
 studentRouter.use(protect);
 studentRouter.use(authorizeRoles(['student']));
@@ -0,0 +1,164 @@
+// File: scripts/mockOidcProvider.js
+//
+// Minimal OpenID Connect provider for trying organization single sign-on locally.
+// It signs in whoever you type in - never run it anywhere but your own machine.
+//
+//   npm run sso:mock-provider
+//
+// Then set the organization's SSO settings (PUT /api/v1/admin/organization/settings) to
+//   issuer: http://localhost:4000, clientId: objectx-local, clientSecret: objectx-local-secret,
+//   allowedDomains: [<your test email domain>], enabled: true
+// and open GET /api/v1/auth/sso/<organizationCode>/login in a browser.
+//
+// Environment (all optional):
+//   MOCK_OIDC_PORT (4000), MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET,
+//   MOCK_OIDC_EMAIL_VERIFIED ('false' to test unverified emails)
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'objectx-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'objectx-local-secret';
+const CODE_LIFETIME_MS = 60 * 1000;
+
+// Fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes waiting to be exchanged: code -> sign-in request
+const pendingCodes = new Map();
+
+/**
+ * Escape text for the sign-in page
+ * @param {string} value - Text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Read client credentials from Basic auth or the form body
+ * @param {Object} req - Express request object
+ * @returns {Object} clientId and clientSecret
+ */
+const getClientCredentials = (req) => {
+    const authorization = req.get('Authorization');
+    if (authorization?.startsWith('Basic ')) {
+        const [clientId, clientSecret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+        return { clientId: decodeURIComponent(clientId), clientSecret: decodeURIComponent(clientSecret || '') };
+    }
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Shows a one-field sign-in form, or signs in straight away when an email is given
+app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint, email } = req.query;
+
+    if (client_id !== CLIENT_ID || !redirect_uri || !state) {
+        return res.status(400).send('Unknown client_id or missing redirect_uri/state');
+    }
+    if (code_challenge_method !== 'S256' || !code_challenge) {
+        return res.status(400).send('PKCE with S256 is required');
+    }
+
+    const signInEmail = email || login_hint;
+    if (!signInEmail) {
+        const hiddenFields = Object.entries(req.query)
+            .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+            .join('');
+
+        return res.send(`<!DOCTYPE html><html><body style="font-family: sans-serif; margin: 40px;">
+            <h2>Mock identity provider</h2>
+            <form method="get" action="/authorize">${hiddenFields}
+                <label>Email <input name="email" type="email" required autofocus></label>
+                <label>Name <input name="name"></label>
+                <button type="submit">Sign in</button>
+            </form></body></html>`);
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    pendingCodes.set(code, {
+        email: signInEmail.toLowerCase().trim(),
+        name: req.query.name || signInEmail.split('@')[0],
+        redirectUri: redirect_uri,
+        nonce,
+        codeChallenge: code_challenge,
+        expiresAt: Date.now() + CODE_LIFETIME_MS
+    });
+
+    const redirect = new URL(redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', state);
+    console.log(`[MOCK-OIDC] Signed in ${signInEmail}, redirecting to ${redirect_uri}`);
+    res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+    const { clientId, clientSecret } = getClientCredentials(req);
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client', error_description: 'Wrong client ID or secret' });
+    }
+
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    const signIn = pendingCodes.get(code);
+    pendingCodes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !signIn || signIn.expiresAt < Date.now()) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown, used or expired code' });
+    }
+    if (redirect_uri !== signIn.redirectUri) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+    if (challenge !== signIn.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+        {
+            sub: crypto.createHash('sha256').update(signIn.email).digest('hex').slice(0, 24),
+            email: signIn.email,
+            email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+            name: signIn.name,
+            nonce: signIn.nonce
+        },
+        privateKey,
+        { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    res.json({
+        access_token: crypto.randomBytes(24).toString('base64url'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`[MOCK-OIDC] Mock identity provider running at ${ISSUER}`);
+    console.log(`[MOCK-OIDC] Client ID: ${CLIENT_ID}  Client secret: ${CLIENT_SECRET}`);
+});
@@ -0,0 +1,134 @@
+// File: utils/allowedOrigins.js
+
+import Organization from '../models/organization.model.js';
+import logger from './logger.js';
+
+// Other instances pick up apiAccess changes within this long (this instance is invalidated on save)
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cache = { entries: new Map(), loadedAt: 0 };
+let loading = null;
+
+/**
+ * Normalize an origin for comparison (scheme://host[:port], lower case, no trailing slash)
+ * @param {string} origin - Origin or URL
+ * @returns {string|null} Normalized origin, or null if it is not a valid URL
+ */
+const normalizeOrigin = (origin) => {
+    try {
+        return new URL(origin).origin.toLowerCase();
+    } catch {
+        return null;
+    }
+};
+
+// Read lazily - dotenv is loaded after module imports are evaluated
+const getDashboardOrigins = () => {
+    const origins = [
+        process.env.CLIENT_URL || 'http://localhost:3000',
+        ...(process.env.DASHBOARD_ORIGINS || '').split(',')
+    ];
+
+    return new Set(origins.map(origin => origin.trim()).filter(Boolean).map(normalizeOrigin).filter(Boolean));
+};
+
+/**
+ * Turn an allowedDomains entry into a matcher
+ * Accepts a full origin (https://lms.school.edu), a host (lms.school.edu, with optional port)
+ * or a wildcard for subdomains (*.school.edu)
+ * @param {string} domain - allowedDomains entry
+ * @returns {Function|null} (origin URL) => boolean, or null for an unusable entry
+ */
+const toOriginMatcher = (domain) => {
+    const value = domain.trim().toLowerCase().replace(/\/+$/, '');
+    if (!value) return null;
+
+    if (value.includes('://')) {
+        const origin = normalizeOrigin(value);
+        return origin ? url => url.origin === origin : null;
+    }
+
+    if (value.startsWith('*.')) {
+        const suffix = value.slice(1);
+        return url => url.hostname.endsWith(suffix);
+    }
+
+    return url => url.host === value || url.hostname === value;
+};
+
+/**
+ * Load the origins of every organization with API access enabled
+ */
+const loadAllowedOrigins = async () => {
+    const organizations = await Organization.find({
+        isDeleted: false,
+        isActive: true,
+        'apiAccess.isEnabled': true,
+        'apiAccess.allowedDomains.0': { $exists: true }
+    }).select('apiAccess.allowedDomains').lean();
+
+    const entries = new Map();
+    for (const organization of organizations) {
+        const matchers = organization.apiAccess.allowedDomains.map(toOriginMatcher).filter(Boolean);
+        if (matchers.length > 0) {
+            entries.set(organization._id.toString(), matchers);
+        }
+    }
+
+    cache = { entries, loadedAt: Date.now() };
+    logger.debug('[CORS] Allowed origins loaded', { organizationCount: entries.size });
+};
+
+/**
+ * Origins per organization, reloaded when stale or invalidated
+ * @returns {Promise<Map>} organization ID -> origin matchers
+ */
+const getAllowedOrigins = async () => {
+    if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+        // Concurrent requests share one reload
+        loading = loading || loadAllowedOrigins().finally(() => {
+            loading = null;
+        });
+        await loading;
+    }
+
+    return cache.entries;
+};
+
+/**
+ * Drop the cached origins so the next request reloads them
+ * Call after anything that changes an organization's apiAccess, isActive or isDeleted
+ */
+export const invalidateAllowedOrigins = () => {
+    cache.loadedAt = 0;
+};
+
+/**
+ * Check if an origin is one of our own dashboards (CLIENT_URL and DASHBOARD_ORIGINS)
+ * @param {string} origin - Request Origin header
+ * @returns {boolean}
+ */
+export const isDashboardOrigin = (origin) => getDashboardOrigins().has(normalizeOrigin(origin));
+
+/**
+ * Check if an organization with API access enabled allows an origin
+ * @param {string} origin - Request Origin header
+ * @param {string} [organizationId] - Owning organization; omitted, any organization will do
+ * @returns {Promise<boolean>}
+ */
+export const isOriginAllowed = async (origin, organizationId) => {
+    const normalized = normalizeOrigin(origin);
+    if (!normalized) return false;
+
+    const url = new URL(normalized);
+    const entries = await getAllowedOrigins();
+
+    if (organizationId) {
+        return entries.get(organizationId.toString())?.some(matches => matches(url)) || false;
+    }
+
+    for (const matchers of entries.values()) {
+        if (matchers.some(matches => matches(url))) return true;
+    }
+    return false;
+};
@@ -0,0 +1,42 @@
+// File: utils/classCourseHelper.js
+
+import Course from '../models/course.model.js';
+
+/**
+ * Find one page of the courses a class sees
+ * Classes with assigned courses get them in teaching order, grade-wide classes use the given sort
+ * @param {Object} classDoc - Class document
+ * @param {Object} courseQuery - Course query already limited with classDoc.restrictCourseQuery
+ * @param {Object} options - sort, skip, limit, select, and inClassOrder (false keeps the given sort)
+ * @returns {Promise<Object>} courses and totalCount
+ */
+export const findClassCoursesPage = async (classDoc, courseQuery, {
+    sort,
+    skip,
+    limit,
+    select = '-topics',
+    inClassOrder = true
+}) => {
+    if (classDoc.courses.length === 0 || !inClassOrder) {
+        const [courses, totalCount] = await Promise.all([
+            Course.find(courseQuery)
+                .select(select)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            Course.countDocuments(courseQuery)
+        ]);
+
+        return { courses, totalCount };
+    }
+
+    // Only the class's assigned courses can match, so ordering them here stays small
+    const courses = classDoc.sortByCourseOrder(
+        await Course.find(courseQuery).select(select).sort(sort)
+    );
+
+    return {
+        courses: courses.slice(skip, skip + limit),
+        totalCount: courses.length
+    };
+};
@@ -1,7 +1,9 @@
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import logger from './logger.js';
-import { EMAIL_TEMPLATES } from './emailTemplates.js';
+import { EMAIL_TEMPLATES, DEFAULT_BRANDING } from './emailTemplates.js';
+import User from '../models/user.model.js';
+import Organization from '../models/organization.model.js';
 
 dotenv.config();
 
@@ -30,14 +32,36 @@ const initializeEmailService = () => {
     }
 };
 
+/**
+ * Find the branding of the organization an email is sent on behalf of
+ * @param {string} to - Recipient email address
+ * @param {Object|string} organization - Organization document or ID (defaults to the recipient's organization)
+ * @returns {Promise<Object|null>} Organization branding, null for the ObjectX defaults
+ */
+const getEmailBranding = async (to, organization) => {
+    let source = organization;
+
+    if (!source) {
+        const recipient = await User.findOne({ email: to.toLowerCase(), isDeleted: false }).select('organization');
+        source = recipient?.organization;
+    }
+
+    if (source && typeof source.getEmailBranding !== 'function') {
+        source = await Organization.findById(source).select('name brandName emailBranding');
+    }
+
+    return source ? source.getEmailBranding() : null;
+};
+
 /**
  * Send email using template
  * @param {string} to - Recipient email address
  * @param {string} templateType - Email template type from EmailType
  * @param {object} templateData - Data to populate the template
+ * @param {Object} options - organization to brand the email for (defaults to the recipient's organization)
  * @returns {Promise<boolean>} Success status
  */
-export const sendEmail = async (to, templateType, templateData) => {
+export const sendEmail = async (to, templateType, templateData, { organization } = {}) => {
     const startTime = Date.now();
 
     try {
@@ -50,16 +74,20 @@ export const sendEmail = async (to, templateType, templateData) => {
             throw new Error('Email transporter not initialized');
         }
 
-        // Get email template
-        const template = EMAIL_TEMPLATES(templateData, templateType);
+        // Render with the organization's branding when it has one
+        const branding = await getEmailBranding(to, organization);
+        const template = EMAIL_TEMPLATES({ ...templateData, branding }, templateType);
 
         if (!template) {
             throw new Error(`Email template not found for type: ${templateType}`);
         }
 
+        // Quotes and line breaks would break the From header
+        const senderName = (branding?.senderName || DEFAULT_BRANDING.senderName).replace(/["\r\n]/g, '');
+
         // Email options (using your working format)
         const mailOptions = {
-            from: `"ObjectX Innovatech" <${process.env.MAIL_USER || process.env.EMAIL_USER}>`,
+            from: `"${senderName}" <${process.env.MAIL_USER || process.env.EMAIL_USER}>`,
             to: to,
             subject: template.subject,
             text: template.subject, // Fallback text
@@ -74,6 +102,7 @@ export const sendEmail = async (to, templateType, templateData) => {
         logger.info(`[EMAIL] Email sent successfully (${processingTime}ms)`, {
             templateType,
             recipient: to,
+            branded: Boolean(branding),
             messageId: info.messageId
         });
 
@@ -136,5 +165,66 @@ export const sendPasswordChangedEmail = async (email, name) => {
     return await sendEmail(email, 'PASSWORD_CHANGED', { name });
 };
 
+/**
+ * Send account locked security alert
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Date} lockUntil - When the lock expires
+ * @param {string} ipAddress - IP the failed attempts came from (optional)
+ * @returns {Promise<boolean>} Success status
+ */
+export const sendAccountLockedEmail = async (email, name, lockUntil, ipAddress = null) => {
+    return await sendEmail(email, 'ACCOUNT_LOCKED', { name, lockUntil, ipAddress });
+};
+
+/**
+ * Send passwordless sign-in link
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {string} loginUrl - Single-use sign-in URL
+ * @param {number} expiryMinutes - Minutes until the link expires
+ * @returns {Promise<boolean>} Success status
+ */
+export const sendMagicLinkEmail = async (email, name, loginUrl, expiryMinutes) => {
+    return await sendEmail(email, 'MAGIC_LINK', { name, loginUrl, expiryMinutes });
+};
+
+/**
+ * Send temporary password after an admin reset
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {string} organization - Organization name
+ * @param {string} password - Temporary password
+ * @param {Date} passwordExpiresAt - When the temporary password stops working if unused
+ * @returns {Promise<boolean>} Success status
+ */
+export const sendPasswordResetByAdminEmail = async (email, name, organization, password, passwordExpiresAt) => {
+    return await sendEmail(email, 'PASSWORD_RESET_BY_ADMIN', { name, organization, password, passwordExpiresAt });
+};
+
+/**
+ * Send security alert for a sign-in from a device not seen before
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} details - loginAt, ipAddress, userAgent and method
+ * @returns {Promise<boolean>} Success status
+ */
+export const sendNewDeviceLoginEmail = async (email, name, { loginAt, ipAddress, userAgent, method }) => {
+    // User agent comes straight from the request - keep it from injecting markup
+    const safeUserAgent = (userAgent || '').slice(0, 200).replace(/[<>&"']/g, '');
+    return await sendEmail(email, 'NEW_DEVICE_LOGIN', { name, loginAt, ipAddress, userAgent: safeUserAgent, method });
+};
+
+/**
+ * Send login credentials for a parent account created by an admin
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object} details - organization, childName, password and passwordExpiresAt
+ * @returns {Promise<boolean>} Success status
+ */
+export const sendParentCredentialsEmail = async (email, name, { organization, childName, password, passwordExpiresAt }) => {
+    return await sendEmail(email, 'PARENT_CREDENTIALS', { name, email, organization, childName, password, passwordExpiresAt });
+};
+
 // Initialize email service when module is imported
 initializeEmailService();
\ No newline at end of file
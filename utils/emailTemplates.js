@@ -8,42 +8,114 @@ export const EmailType = {
     PASSWORD_CHANGED: 'PASSWORD_CHANGED',
     STUDENT_CREDENTIALS: 'STUDENT_CREDENTIALS',
     TEACHER_CREDENTIALS: 'TEACHER_CREDENTIALS',
-    ADMIN_CREDENTIALS: 'ADMIN_CREDENTIALS'
+    ADMIN_CREDENTIALS: 'ADMIN_CREDENTIALS',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    MAGIC_LINK: 'MAGIC_LINK',
+    PASSWORD_RESET_BY_ADMIN: 'PASSWORD_RESET_BY_ADMIN',
+    NEW_DEVICE_LOGIN: 'NEW_DEVICE_LOGIN',
+    PARENT_CREDENTIALS: 'PARENT_CREDENTIALS'
 };
 
-// Email templates with ObjectX branding
+// ObjectX look used for every email unless the recipient's organization has its own branding
+export const DEFAULT_BRANDING = {
+    name: 'ObjectX Innovatech',
+    logoUrl: null,
+    primaryColor: '#1e2a78',
+    secondaryColor: '#6b46c1',
+    accentColor: '#fbbf24',
+    senderName: 'ObjectX Innovatech',
+    footerText: null,
+    supportEmail: 'support@objectx.in'
+};
+
+/**
+ * Escape organization-provided text for HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Fill in an organization's branding with the ObjectX defaults
+ * @param {Object|null} branding - Organization.getEmailBranding() result
+ * @returns {Object} Complete branding, text escaped for HTML
+ */
+export const resolveBranding = (branding) => {
+    const brand = { ...DEFAULT_BRANDING, isCustom: Boolean(branding) };
+
+    for (const [field, value] of Object.entries(branding || {})) {
+        if (value) brand[field] = value;
+    }
+
+    // Email subjects are plain text, so they need the name before escaping
+    brand.plainName = brand.name;
+
+    for (const field of ['name', 'logoUrl', 'footerText', 'supportEmail']) {
+        if (brand[field]) brand[field] = escapeHtml(brand[field]);
+    }
+
+    return brand;
+};
+
+// Email templates with ObjectX branding (payload.branding swaps in an organization's logo, colors and footer)
 export const EMAIL_TEMPLATES = (payload, key) => {
+    const brand = resolveBranding(payload.branding);
+
+    // Organization logo, or its name, in place of the ObjectX wordmark
+    const logo = (product) => {
+        if (brand.logoUrl) {
+            return `<img src="${brand.logoUrl}" alt="${brand.name}" style="max-height: 60px; max-width: 240px;">`;
+        }
+
+        return brand.isCustom ? brand.name : `Object<span class="logo-accent">X</span> ${product}`;
+    };
+
+    // Name in subjects and titles - the organization's when it has its own branding
+    const shortName = brand.isCustom ? brand.name : 'ObjectX';
+    const subjectName = brand.plainName;
+    const subjectShortName = brand.isCustom ? brand.plainName : 'ObjectX';
+
+    // Organization footer for emails whose footer only has the support address
+    const footerNote = brand.footerText
+        ? `<div class="footer-text" style="margin-top: 15px; font-size: 12px;">${brand.footerText}</div>`
+        : '';
+
     const values = {
         [EmailType.VERIFY_OTP]: {
-            subject: 'Verify Your Email - ObjectX Innovatech',
+            subject: `Verify Your Email - ${subjectName}`,
             html: `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Verify Your Email - ObjectX Innovatech</title>
+    <title>Verify Your Email - ${brand.name}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); margin: 0; padding: 20px; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
         .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); padding: 30px 20px; text-align: center; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
         .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-        .logo-accent { color: #fbbf24; }
+        .logo-accent { color: ${brand.accentColor}; }
         .tagline { color: #e5e7eb; font-size: 14px; }
         .content { padding: 40px 30px; }
-        .greeting { font-size: 24px; color: #1e2a78; margin-bottom: 20px; font-weight: 600; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
         .message { color: #4b5563; line-height: 1.6; margin-bottom: 30px; font-size: 16px; }
-        .otp-container { background: linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%); border-radius: 12px; padding: 25px; text-align: center; margin: 30px 0; border: 2px dashed #6b46c1; }
-        .otp-label { color: #6b46c1; font-size: 14px; font-weight: 600; margin-bottom: 10px; text-transform: uppercase; letter-spacing: 1px; }
-        .otp-code { font-size: 36px; font-weight: bold; color: #1e2a78; letter-spacing: 8px; font-family: 'Courier New', monospace; margin: 10px 0; }
+        .otp-container { background: linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%); border-radius: 12px; padding: 25px; text-align: center; margin: 30px 0; border: 2px dashed ${brand.secondaryColor}; }
+        .otp-label { color: ${brand.secondaryColor}; font-size: 14px; font-weight: 600; margin-bottom: 10px; text-transform: uppercase; letter-spacing: 1px; }
+        .otp-code { font-size: 36px; font-weight: bold; color: ${brand.primaryColor}; letter-spacing: 8px; font-family: 'Courier New', monospace; margin: 10px 0; }
         .otp-note { color: #6b7280; font-size: 12px; margin-top: 10px; }
         .warning { background: #fef3cd; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 0 8px 8px 0; }
         .warning-text { color: #92400e; font-size: 14px; }
         .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
         .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
-        .support-link { color: #6b46c1; text-decoration: none; font-weight: 600; }
-        .support-link:hover { color: #1e2a78; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
+        .support-link:hover { color: ${brand.primaryColor}; }
         .tech-elements { position: relative; }
         .tech-circle { position: absolute; width: 60px; height: 60px; border: 2px solid #e5e7eb; border-radius: 50%; opacity: 0.1; }
         .tech-circle-1 { top: -30px; right: -30px; }
@@ -58,7 +130,7 @@ export const EMAIL_TEMPLATES = (payload, key) => {
                 <div class="tech-circle tech-circle-2"></div>
             </div>
             <div class="logo">
-                Object<span class="logo-accent">X</span> Innovatech
+                ${logo('Innovatech')}
             </div>
             <div class="tagline">The Future of Virtual Reality</div>
         </div>
@@ -99,11 +171,11 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         <div class="footer">
             <div class="footer-text">
                 Need help? Our support team is here for you!<br>
-                Contact us at <a href="mailto:support@objectx.in" class="support-link">support@objectx.in</a>
+                Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
             </div>
             <div class="footer-text" style="margin-top: 15px; font-size: 12px;">
-                <strong>ObjectX Innovatech</strong><br>
-                Innovating Tomorrow's Virtual Experiences
+                <strong>${brand.name}</strong><br>
+                ${brand.footerText || 'Innovating Tomorrow\'s Virtual Experiences'}
             </div>
         </div>
     </div>
@@ -112,24 +184,24 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         },
 
         [EmailType.RESET_PASSWORD_OTP]: {
-            subject: 'Reset Your Password - ObjectX Innovatech',
+            subject: `Reset Your Password - ${subjectName}`,
             html: `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Reset Your Password - ObjectX Innovatech</title>
+    <title>Reset Your Password - ${brand.name}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); margin: 0; padding: 20px; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
         .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); padding: 30px 20px; text-align: center; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
         .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-        .logo-accent { color: #fbbf24; }
+        .logo-accent { color: ${brand.accentColor}; }
         .tagline { color: #e5e7eb; font-size: 14px; }
         .content { padding: 40px 30px; }
-        .greeting { font-size: 24px; color: #1e2a78; margin-bottom: 20px; font-weight: 600; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
         .message { color: #4b5563; line-height: 1.6; margin-bottom: 30px; font-size: 16px; }
         .otp-container { background: linear-gradient(135deg, #fef3cd 0%, #fed7aa 100%); border-radius: 12px; padding: 25px; text-align: center; margin: 30px 0; border: 2px solid #f59e0b; }
         .otp-label { color: #92400e; font-size: 14px; font-weight: 600; margin-bottom: 10px; text-transform: uppercase; letter-spacing: 1px; }
@@ -139,8 +211,8 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         .warning-text { color: #dc2626; font-size: 14px; }
         .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
         .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
-        .support-link { color: #6b46c1; text-decoration: none; font-weight: 600; }
-        .support-link:hover { color: #1e2a78; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
+        .support-link:hover { color: ${brand.primaryColor}; }
         .security-icon { font-size: 48px; margin-bottom: 15px; }
     </style>
 </head>
@@ -148,7 +220,7 @@ export const EMAIL_TEMPLATES = (payload, key) => {
     <div class="container">
         <div class="header">
             <div class="logo">
-                Object<span class="logo-accent">X</span> Innovatech
+                ${logo('Innovatech')}
             </div>
             <div class="tagline">The Future of Virtual Reality</div>
         </div>
@@ -191,11 +263,11 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         <div class="footer">
             <div class="footer-text">
                 Need help? Our support team is here for you!<br>
-                Contact us at <a href="mailto:support@objectx.in" class="support-link">support@objectx.in</a>
+                Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
             </div>
             <div class="footer-text" style="margin-top: 15px; font-size: 12px;">
-                <strong>ObjectX Innovatech</strong><br>
-                Innovating Tomorrow's Virtual Experiences
+                <strong>${brand.name}</strong><br>
+                ${brand.footerText || 'Innovating Tomorrow\'s Virtual Experiences'}
             </div>
         </div>
     </div>
@@ -204,41 +276,41 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         },
 
         [EmailType.WELCOME]: {
-            subject: 'Welcome to ObjectX Innovatech - Your VR Journey Begins!',
+            subject: `Welcome to ${subjectName} - Your VR Journey Begins!`,
             html: `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Welcome to ObjectX Innovatech</title>
+    <title>Welcome to ${brand.name}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); margin: 0; padding: 20px; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
         .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); padding: 30px 20px; text-align: center; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
         .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-        .logo-accent { color: #fbbf24; }
+        .logo-accent { color: ${brand.accentColor}; }
         .tagline { color: #e5e7eb; font-size: 14px; }
         .content { padding: 40px 30px; }
-        .greeting { font-size: 24px; color: #1e2a78; margin-bottom: 20px; font-weight: 600; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
         .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
         .feature-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin: 30px 0; }
         .feature-item { background: #f8fafc; padding: 20px; border-radius: 10px; text-align: center; border: 1px solid #e2e8f0; }
         .feature-icon { font-size: 32px; margin-bottom: 10px; }
-        .feature-title { color: #1e2a78; font-weight: 600; margin-bottom: 8px; }
+        .feature-title { color: ${brand.primaryColor}; font-weight: 600; margin-bottom: 8px; }
         .feature-desc { color: #64748b; font-size: 14px; }
-        .cta-button { display: inline-block; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); color: white; padding: 15px 30px; border-radius: 8px; text-decoration: none; font-weight: 600; margin: 20px 0; }
+        .cta-button { display: inline-block; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); color: white; padding: 15px 30px; border-radius: 8px; text-decoration: none; font-weight: 600; margin: 20px 0; }
         .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
         .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
-        .support-link { color: #6b46c1; text-decoration: none; font-weight: 600; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
             <div class="logo">
-                Object<span class="logo-accent">X</span> Innovatech
+                ${logo('Innovatech')}
             </div>
             <div class="tagline">The Future of Virtual Reality</div>
         </div>
@@ -289,11 +361,11 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         <div class="footer">
             <div class="footer-text">
                 Need help getting started?<br>
-                Contact us at <a href="mailto:support@objectx.in" class="support-link">support@objectx.in</a>
+                Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
             </div>
             <div class="footer-text" style="margin-top: 15px; font-size: 12px;">
-                <strong>ObjectX Innovatech</strong><br>
-                Innovating Tomorrow's Virtual Experiences
+                <strong>${brand.name}</strong><br>
+                ${brand.footerText || 'Innovating Tomorrow\'s Virtual Experiences'}
             </div>
         </div>
     </div>
@@ -302,21 +374,21 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         },
 
         [EmailType.PASSWORD_CHANGED]: {
-            subject: 'Password Successfully Changed - ObjectX Innovatech',
+            subject: `Password Successfully Changed - ${subjectName}`,
             html: `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Password Changed - ObjectX Innovatech</title>
+    <title>Password Changed - ${brand.name}</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); margin: 0; padding: 20px; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
         .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); padding: 30px 20px; text-align: center; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
         .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-        .logo-accent { color: #fbbf24; }
+        .logo-accent { color: ${brand.accentColor}; }
         .content { padding: 40px 30px; }
         .success-icon { text-align: center; font-size: 64px; margin-bottom: 20px; }
         .greeting { font-size: 24px; color: #059669; margin-bottom: 20px; font-weight: 600; text-align: center; }
@@ -325,14 +397,14 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         .info-text { color: #065f46; font-size: 14px; }
         .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
         .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
-        .support-link { color: #6b46c1; text-decoration: none; font-weight: 600; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
             <div class="logo">
-                Object<span class="logo-accent">X</span> Innovatech
+                ${logo('Innovatech')}
             </div>
         </div>
         
@@ -355,14 +427,15 @@ export const EMAIL_TEMPLATES = (payload, key) => {
             </div>
             
             <div class="message">
-                If you didn't make this change, please contact our support team immediately at support@objectx.in.
+                If you didn't make this change, please contact our support team immediately at ${brand.supportEmail}.
             </div>
         </div>
         
         <div class="footer">
             <div class="footer-text">
-                Need help? Contact us at <a href="mailto:support@objectx.in" class="support-link">support@objectx.in</a>
+                Need help? Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
             </div>
+            ${footerNote}
         </div>
     </div>
 </body>
@@ -370,42 +443,42 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         },
 
         [EmailType.STUDENT_CREDENTIALS]: {
-            subject: 'Welcome to ${payload.organization} - Your ObjectX Account Details',
+            subject: `Welcome to ${payload.organization} - Your ${subjectShortName} Account Details`,
             html: `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Welcome to ${payload.organization} - ObjectX Platform</title>
+    <title>Welcome to ${payload.organization} - ${shortName} Platform</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); margin: 0; padding: 20px; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
         .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); padding: 30px 20px; text-align: center; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
         .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-        .logo-accent { color: #fbbf24; }
+        .logo-accent { color: ${brand.accentColor}; }
         .org-name { color: #e5e7eb; font-size: 16px; margin-top: 10px; }
         .content { padding: 40px 30px; }
-        .greeting { font-size: 24px; color: #1e2a78; margin-bottom: 20px; font-weight: 600; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
         .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
-        .credentials-box { background: linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%); border-radius: 12px; padding: 25px; margin: 30px 0; border: 2px solid #6b46c1; }
+        .credentials-box { background: linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%); border-radius: 12px; padding: 25px; margin: 30px 0; border: 2px solid ${brand.secondaryColor}; }
         .credential-item { margin: 12px 0; display: flex; align-items: center; }
-        .credential-label { color: #6b46c1; font-weight: 600; display: inline-block; width: 100px; }
-        .credential-value { color: #1e2a78; font-family: 'Courier New', monospace; font-weight: bold; background: #ffffff; padding: 8px 12px; border-radius: 6px; border: 1px solid #d1d5db; flex: 1; margin-left: 10px; }
-        .credential-title { color: #6b46c1; font-weight: bold; margin-bottom: 15px; text-align: center; font-size: 18px; }
+        .credential-label { color: ${brand.secondaryColor}; font-weight: 600; display: inline-block; width: 100px; }
+        .credential-value { color: ${brand.primaryColor}; font-family: 'Courier New', monospace; font-weight: bold; background: #ffffff; padding: 8px 12px; border-radius: 6px; border: 1px solid #d1d5db; flex: 1; margin-left: 10px; }
+        .credential-title { color: ${brand.secondaryColor}; font-weight: bold; margin-bottom: 15px; text-align: center; font-size: 18px; }
         .warning { background: #fef3cd; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 0 8px 8px 0; }
         .warning-text { color: #92400e; font-size: 14px; }
         .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
         .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
-        .support-link { color: #6b46c1; text-decoration: none; font-weight: 600; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
             <div class="logo">
-                Object<span class="logo-accent">X</span> Platform
+                ${logo('Platform')}
             </div>
             <div class="org-name">${payload.organization}</div>
         </div>
@@ -441,7 +514,7 @@ export const EMAIL_TEMPLATES = (payload, key) => {
             
             <div class="warning">
                 <div class="warning-text">
-                    <strong>Important:</strong> Please change your password after your first login. Keep your credentials secure and do not share them with anyone.
+                    <strong>Important:</strong> You will be asked to change your password when you first log in.${payload.passwordExpiresAt ? ` This temporary password expires on <strong>${new Date(payload.passwordExpiresAt).toLocaleDateString()}</strong> if it is not used.` : ''} Keep your credentials secure and do not share them with anyone.
                 </div>
             </div>
 
@@ -459,7 +532,7 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         <div class="footer">
             <div class="footer-text">
                 Questions? Contact your school administrator or our support team.<br>
-                <strong>${payload.organization}</strong> - Powered by ObjectX Innovatech
+                <strong>${payload.organization}</strong> - ${brand.footerText || 'Powered by ObjectX Innovatech'}
             </div>
         </div>
     </div>
@@ -468,24 +541,24 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         },
 
         [EmailType.TEACHER_CREDENTIALS]: {
-            subject: 'Welcome to ${payload.organization} - Your ObjectX Teacher Account',
+            subject: `Welcome to ${payload.organization} - Your ${subjectShortName} Teacher Account`,
             html: `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Welcome to ${payload.organization} - ObjectX Platform</title>
+    <title>Welcome to ${payload.organization} - ${shortName} Platform</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); margin: 0; padding: 20px; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
         .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); padding: 30px 20px; text-align: center; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
         .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-        .logo-accent { color: #fbbf24; }
+        .logo-accent { color: ${brand.accentColor}; }
         .org-name { color: #e5e7eb; font-size: 16px; margin-top: 10px; }
         .content { padding: 40px 30px; }
-        .greeting { font-size: 24px; color: #1e2a78; margin-bottom: 20px; font-weight: 600; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
         .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
         .credentials-box { background: linear-gradient(135deg, #f0fdf4 0%, #dcfce7 100%); border-radius: 12px; padding: 25px; margin: 30px 0; border: 2px solid #16a34a; }
         .credential-item { margin: 12px 0; display: flex; align-items: center; }
@@ -496,14 +569,14 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         .info-text { color: #1e40af; font-size: 14px; }
         .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
         .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
-        .support-link { color: #6b46c1; text-decoration: none; font-weight: 600; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
             <div class="logo">
-                Object<span class="logo-accent">X</span> Platform
+                ${logo('Platform')}
             </div>
             <div class="org-name">${payload.organization}</div>
         </div>
@@ -537,6 +610,10 @@ export const EMAIL_TEMPLATES = (payload, key) => {
                 </div>
             </div>
             
+            <div class="message">
+                You will be asked to choose a new password when you first log in.${payload.passwordExpiresAt ? ` This temporary password expires on <strong>${new Date(payload.passwordExpiresAt).toLocaleDateString()}</strong> if it is not used.` : ''}
+            </div>
+
             <div class="info-box">
                 <div class="info-text">
                     <strong>Teacher Features:</strong> You can manage student progress, access teaching resources, create virtual classrooms, and utilize AR/VR content for enhanced learning experiences.
@@ -558,7 +635,7 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         <div class="footer">
             <div class="footer-text">
                 Need assistance? Contact your school administrator or our support team.<br>
-                <strong>${payload.organization}</strong> - Powered by ObjectX Innovatech
+                <strong>${payload.organization}</strong> - ${brand.footerText || 'Powered by ObjectX Innovatech'}
             </div>
         </div>
     </div>
@@ -567,24 +644,24 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         },
 
         [EmailType.ADMIN_CREDENTIALS]: {
-            subject: 'Welcome to ObjectX - Your Admin Account for ${payload.organization}',
+            subject: `Welcome to ${subjectShortName} - Your Admin Account for ${payload.organization}`,
             html: `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Welcome to ObjectX - Admin Account</title>
+    <title>Welcome to ${shortName} - Admin Account</title>
     <style>
         * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); margin: 0; padding: 20px; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
         .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1e2a78 0%, #6b46c1 100%); padding: 30px 20px; text-align: center; }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
         .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
-        .logo-accent { color: #fbbf24; }
+        .logo-accent { color: ${brand.accentColor}; }
         .org-name { color: #e5e7eb; font-size: 16px; margin-top: 10px; }
         .content { padding: 40px 30px; }
-        .greeting { font-size: 24px; color: #1e2a78; margin-bottom: 20px; font-weight: 600; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
         .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
         .credentials-box { background: linear-gradient(135deg, #fef7ff 0%, #fae8ff 100%); border-radius: 12px; padding: 25px; margin: 30px 0; border: 2px solid #a855f7; }
         .credential-item { margin: 12px 0; display: flex; align-items: center; }
@@ -593,19 +670,19 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         .credential-title { color: #a855f7; font-weight: bold; margin-bottom: 15px; text-align: center; font-size: 18px; }
         .role-badge { background: #a855f7; color: white; padding: 4px 12px; border-radius: 20px; font-size: 12px; font-weight: 600; margin-left: 10px; }
         .admin-info { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 20px; margin: 20px 0; }
-        .admin-info h4 { color: #1e2a78; margin-bottom: 10px; }
+        .admin-info h4 { color: ${brand.primaryColor}; margin-bottom: 10px; }
         .permission-list { margin: 0; padding-left: 20px; }
         .permission-list li { color: #4b5563; margin: 5px 0; }
         .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
         .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
-        .support-link { color: #6b46c1; text-decoration: none; font-weight: 600; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
             <div class="logo">
-                Object<span class="logo-accent">X</span> Innovatech
+                ${logo('Innovatech')}
             </div>
             <div class="org-name">${payload.organization}</div>
         </div>
@@ -636,6 +713,10 @@ export const EMAIL_TEMPLATES = (payload, key) => {
                 </div>
             </div>
             
+            <div class="message">
+                You will be asked to choose a new password when you first log in.${payload.passwordExpiresAt ? ` This temporary password expires on <strong>${new Date(payload.passwordExpiresAt).toLocaleDateString()}</strong> if it is not used.` : ''}
+            </div>
+
             <div class="admin-info">
                 <h4>Your Administrative Permissions:</h4>
                 <ul class="permission-list">
@@ -665,8 +746,366 @@ export const EMAIL_TEMPLATES = (payload, key) => {
         <div class="footer">
             <div class="footer-text">
                 Questions about your admin privileges? Contact our support team.<br>
-                <a href="mailto:support@objectx.in" class="support-link">support@objectx.in</a><br>
-                <strong>ObjectX Innovatech</strong> - Innovating Tomorrow's Virtual Experiences
+                <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a><br>
+                <strong>${brand.name}</strong> - ${brand.footerText || 'Innovating Tomorrow\'s Virtual Experiences'}
+            </div>
+        </div>
+    </div>
+</body>
+</html>`
+        },
+
+        [EmailType.ACCOUNT_LOCKED]: {
+            subject: `Security Alert: Account Temporarily Locked - ${subjectName}`,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Account Locked - ${brand.name}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
+        .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+        .logo-accent { color: ${brand.accentColor}; }
+        .content { padding: 40px 30px; }
+        .alert-icon { text-align: center; font-size: 64px; margin-bottom: 20px; }
+        .greeting { font-size: 24px; color: #dc2626; margin-bottom: 20px; font-weight: 600; text-align: center; }
+        .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
+        .warning { background: #fef3cd; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 0 8px 8px 0; }
+        .warning-text { color: #92400e; font-size: 14px; }
+        .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
+        .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">
+                ${logo('Innovatech')}
+            </div>
+        </div>
+
+        <div class="content">
+            <div class="alert-icon">🔒</div>
+
+            <div class="greeting">
+                Account Temporarily Locked
+            </div>
+
+            <div class="message">
+                Hello ${payload.name},<br><br>
+                We detected several failed login attempts on your ObjectX account${payload.ipAddress ? ` from IP address <strong>${payload.ipAddress}</strong>` : ''}. To protect your account, sign-in has been locked until <strong>${new Date(payload.lockUntil).toLocaleString()}</strong>.
+            </div>
+
+            <div class="warning">
+                <div class="warning-text">
+                    <strong>Wasn't you?</strong> Someone may be trying to guess your password. Once the lock expires, consider changing your password. Your school administrator can also unlock your account early.
+                </div>
+            </div>
+        </div>
+
+        <div class="footer">
+            <div class="footer-text">
+                Need help? Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
+            </div>
+            ${footerNote}
+        </div>
+    </div>
+</body>
+</html>`
+        },
+
+        [EmailType.MAGIC_LINK]: {
+            subject: `Your Sign-in Link - ${subjectName}`,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Sign In - ${brand.name}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
+        .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+        .logo-accent { color: ${brand.accentColor}; }
+        .content { padding: 40px 30px; text-align: center; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
+        .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
+        .cta-button { display: inline-block; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); color: white; padding: 15px 30px; border-radius: 8px; text-decoration: none; font-weight: 600; margin: 20px 0; }
+        .warning { background: #fef3cd; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 0 8px 8px 0; text-align: left; }
+        .warning-text { color: #92400e; font-size: 14px; }
+        .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
+        .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">
+                ${logo('Innovatech')}
+            </div>
+        </div>
+
+        <div class="content">
+            <div class="greeting">
+                Hello ${payload.name}!
+            </div>
+
+            <div class="message">
+                Tap the button below to sign in to your ObjectX account. No password needed!
+            </div>
+
+            <a href="${payload.loginUrl}" class="cta-button">
+                Sign In to ObjectX
+            </a>
+
+            <div class="warning">
+                <div class="warning-text">
+                    <strong>Note:</strong> This link works only once and expires in ${payload.expiryMinutes} minutes. If you didn't ask to sign in, you can safely ignore this email.
+                </div>
+            </div>
+        </div>
+
+        <div class="footer">
+            <div class="footer-text">
+                Need help? Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
+            </div>
+            ${footerNote}
+        </div>
+    </div>
+</body>
+</html>`
+        },
+
+        [EmailType.PASSWORD_RESET_BY_ADMIN]: {
+            subject: `Your Password Has Been Reset - ${subjectName}`,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Password Reset - ${brand.name}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
+        .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+        .logo-accent { color: ${brand.accentColor}; }
+        .content { padding: 40px 30px; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
+        .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
+        .otp-container { background: linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%); border-radius: 12px; padding: 25px; text-align: center; margin: 30px 0; border: 2px dashed ${brand.secondaryColor}; }
+        .otp-label { color: ${brand.secondaryColor}; font-size: 14px; font-weight: 600; margin-bottom: 10px; text-transform: uppercase; letter-spacing: 1px; }
+        .otp-code { font-size: 24px; font-weight: bold; color: ${brand.primaryColor}; letter-spacing: 2px; font-family: 'Courier New', monospace; margin: 10px 0; }
+        .warning { background: #fef3cd; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 0 8px 8px 0; }
+        .warning-text { color: #92400e; font-size: 14px; }
+        .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
+        .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">
+                ${logo('Innovatech')}
+            </div>
+        </div>
+
+        <div class="content">
+            <div class="greeting">
+                Hello ${payload.name},
+            </div>
+
+            <div class="message">
+                Your administrator at <strong>${payload.organization}</strong> has reset your ObjectX password. Use the temporary password below to log in - you will be asked to choose a new one straight away.
+            </div>
+
+            <div class="otp-container">
+                <div class="otp-label">Temporary Password</div>
+                <div class="otp-code">${payload.password}</div>
+            </div>
+
+            <div class="warning">
+                <div class="warning-text">
+                    <strong>Note:</strong> This temporary password expires on <strong>${new Date(payload.passwordExpiresAt).toLocaleDateString()}</strong> if it is not used. You have been signed out of all devices.
+                </div>
+            </div>
+        </div>
+
+        <div class="footer">
+            <div class="footer-text">
+                Need help? Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
+            </div>
+            ${footerNote}
+        </div>
+    </div>
+</body>
+</html>`
+        },
+
+        [EmailType.NEW_DEVICE_LOGIN]: {
+            subject: `Security Alert: New Sign-in to Your Account - ${subjectName}`,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>New Sign-in - ${brand.name}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
+        .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+        .logo-accent { color: ${brand.accentColor}; }
+        .content { padding: 40px 30px; }
+        .alert-icon { text-align: center; font-size: 64px; margin-bottom: 20px; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; text-align: center; }
+        .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
+        .details { background: #f3f4f6; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .detail-row { color: #374151; font-size: 14px; margin: 6px 0; word-break: break-word; }
+        .detail-label { color: ${brand.secondaryColor}; font-weight: 600; }
+        .warning { background: #fef3cd; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 0 8px 8px 0; }
+        .warning-text { color: #92400e; font-size: 14px; }
+        .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
+        .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
+        .support-link { color: ${brand.secondaryColor}; text-decoration: none; font-weight: 600; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">
+                ${logo('Innovatech')}
+            </div>
+        </div>
+
+        <div class="content">
+            <div class="alert-icon">🛡️</div>
+
+            <div class="greeting">
+                New Sign-in Detected
+            </div>
+
+            <div class="message">
+                Hello ${payload.name},<br><br>
+                Your ObjectX account was just signed in to from a device we haven't seen before.
+            </div>
+
+            <div class="details">
+                <div class="detail-row"><span class="detail-label">When:</span> ${new Date(payload.loginAt).toLocaleString()}</div>
+                <div class="detail-row"><span class="detail-label">Device:</span> ${payload.userAgent || 'Unknown device'}</div>
+                <div class="detail-row"><span class="detail-label">IP address:</span> ${payload.ipAddress || 'Unknown'}</div>
+                <div class="detail-row"><span class="detail-label">Sign-in method:</span> ${payload.method}</div>
+            </div>
+
+            <div class="warning">
+                <div class="warning-text">
+                    <strong>Wasn't you?</strong> Change your password right away and sign out of all other devices from your account settings, or ask your school administrator for help.
+                </div>
+            </div>
+        </div>
+
+        <div class="footer">
+            <div class="footer-text">
+                Need help? Contact us at <a href="mailto:${brand.supportEmail}" class="support-link">${brand.supportEmail}</a>
+            </div>
+            ${footerNote}
+        </div>
+    </div>
+</body>
+</html>`
+        },
+
+        [EmailType.PARENT_CREDENTIALS]: {
+            subject: `Welcome to ${payload.organization} - Your ${subjectShortName} Parent Account`,
+            html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Welcome to ${payload.organization} - ${shortName} Platform</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Arial', sans-serif; background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); margin: 0; padding: 20px; }
+        .container { max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 15px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, ${brand.primaryColor} 0%, ${brand.secondaryColor} 100%); padding: 30px 20px; text-align: center; }
+        .logo { color: #ffffff; font-size: 28px; font-weight: bold; margin-bottom: 10px; }
+        .logo-accent { color: ${brand.accentColor}; }
+        .org-name { color: #e5e7eb; font-size: 16px; margin-top: 10px; }
+        .content { padding: 40px 30px; }
+        .greeting { font-size: 24px; color: ${brand.primaryColor}; margin-bottom: 20px; font-weight: 600; }
+        .message { color: #4b5563; line-height: 1.6; margin-bottom: 20px; font-size: 16px; }
+        .credentials-box { background: linear-gradient(135deg, #f0fdf4 0%, #dcfce7 100%); border-radius: 12px; padding: 25px; margin: 30px 0; border: 2px solid #16a34a; }
+        .credential-item { margin: 12px 0; display: flex; align-items: center; }
+        .credential-label { color: #16a34a; font-weight: 600; display: inline-block; width: 120px; }
+        .credential-value { color: #14532d; font-family: 'Courier New', monospace; font-weight: bold; background: #ffffff; padding: 8px 12px; border-radius: 6px; border: 1px solid #d1d5db; flex: 1; margin-left: 10px; }
+        .credential-title { color: #16a34a; font-weight: bold; margin-bottom: 15px; text-align: center; font-size: 18px; }
+        .info-box { background: #eff6ff; border-left: 4px solid #3b82f6; padding: 15px; margin: 20px 0; border-radius: 0 8px 8px 0; }
+        .info-text { color: #1e40af; font-size: 14px; }
+        .footer { background: #f9fafb; padding: 25px; text-align: center; border-top: 1px solid #e5e7eb; }
+        .footer-text { color: #6b7280; font-size: 14px; line-height: 1.5; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">
+                ${logo('Platform')}
+            </div>
+            <div class="org-name">${payload.organization}</div>
+        </div>
+
+        <div class="content">
+            <div class="greeting">
+                Hello ${payload.name}!
+            </div>
+
+            <div class="message">
+                <strong>${payload.organization}</strong> has created a parent account for you on the ObjectX Platform so you can follow <strong>${payload.childName}</strong>'s classes and learning.
+            </div>
+
+            <div class="credentials-box">
+                <div class="credential-title">Your Parent Account Credentials</div>
+                <div class="credential-item">
+                    <span class="credential-label">Email:</span>
+                    <span class="credential-value">${payload.email}</span>
+                </div>
+                <div class="credential-item">
+                    <span class="credential-label">Password:</span>
+                    <span class="credential-value">${payload.password}</span>
+                </div>
+            </div>
+
+            <div class="message">
+                You will be asked to choose a new password when you first log in.${payload.passwordExpiresAt ? ` This temporary password expires on <strong>${new Date(payload.passwordExpiresAt).toLocaleDateString()}</strong> if it is not used.` : ''}
+            </div>
+
+            <div class="info-box">
+                <div class="info-text">
+                    <strong>What you can see:</strong> your children's class and section, their teachers and the courses assigned to them. If you have more than one child at ${payload.organization}, they will all appear in this account.
+                </div>
+            </div>
+        </div>
+
+        <div class="footer">
+            <div class="footer-text">
+                Need assistance? Contact your school administrator.<br>
+                <strong>${payload.organization}</strong> - ${brand.footerText || 'Powered by ObjectX Innovatech'}
             </div>
         </div>
     </div>
@@ -151,14 +151,21 @@ export const generateTempPassword = () => {
 };
 
 /**
- * Validate password strength
+ * Validate password strength, and optionally check it against required rules
  * @param {string} password - Password to validate
- * @returns {object} Validation result with score and feedback
+ * @param {object} requirements - Rules the password must meet (see PASSWORD_POLICIES in passwordPolicy.js)
+ * @returns {object} Validation result with score and feedback (plus failedRules when requirements are given)
  */
-export const validatePasswordStrength = (password) => {
+export const validatePasswordStrength = (password, requirements = null) => {
     let score = 0;
     const feedback = [];
 
+    const hasUppercase = /[A-Z]/.test(password);
+    const hasLowercase = /[a-z]/.test(password);
+    const hasNumber = /[0-9]/.test(password);
+    const hasSpecialChar = /[!@#$%^&*()_+\-=\[\]{}|;:,.<>?]/.test(password);
+    const hasRepeatedChars = /(.)\1{2,}/.test(password);
+
     // Length check
     if (password.length >= 8) score += 1;
     else feedback.push('Password should be at least 8 characters long');
@@ -166,29 +173,63 @@ export const validatePasswordStrength = (password) => {
     if (password.length >= 12) score += 1;
 
     // Character type checks
-    if (/[A-Z]/.test(password)) score += 1;
+    if (hasUppercase) score += 1;
     else feedback.push('Password should contain uppercase letters');
 
-    if (/[a-z]/.test(password)) score += 1;
+    if (hasLowercase) score += 1;
     else feedback.push('Password should contain lowercase letters');
 
-    if (/[0-9]/.test(password)) score += 1;
+    if (hasNumber) score += 1;
     else feedback.push('Password should contain numbers');
 
-    if (/[!@#$%^&*()_+\-=\[\]{}|;:,.<>?]/.test(password)) score += 1;
+    if (hasSpecialChar) score += 1;
     else feedback.push('Password should contain special characters');
 
     // Common patterns check
-    if (!/(.)\1{2,}/.test(password)) score += 1;
+    if (!hasRepeatedChars) score += 1;
     else feedback.push('Password should not contain repeated characters');
 
     const strength = score >= 6 ? 'Strong' : score >= 4 ? 'Medium' : 'Weak';
 
-    return {
+    const result = {
         score,
         maxScore: 7,
         strength,
         isValid: score >= 4,
         feedback
     };
-};
\ No newline at end of file
+
+    if (!requirements) {
+        return result;
+    }
+
+    const failedRules = [];
+
+    if (password.length < (requirements.minLength || 0)) {
+        failedRules.push({ rule: 'minLength', message: `Must be at least ${requirements.minLength} characters long` });
+    }
+    if (requirements.requireUppercase && !hasUppercase) {
+        failedRules.push({ rule: 'uppercase', message: 'Must contain an uppercase letter' });
+    }
+    if (requirements.requireLowercase && !hasLowercase) {
+        failedRules.push({ rule: 'lowercase', message: 'Must contain a lowercase letter' });
+    }
+    if (requirements.requireLetter && !hasUppercase && !hasLowercase) {
+        failedRules.push({ rule: 'letter', message: 'Must contain a letter' });
+    }
+    if (requirements.requireNumber && !hasNumber) {
+        failedRules.push({ rule: 'number', message: 'Must contain a number' });
+    }
+    if (requirements.requireSpecialChar && !hasSpecialChar) {
+        failedRules.push({ rule: 'specialChar', message: 'Must contain a special character' });
+    }
+    if (requirements.disallowRepeatedChars && hasRepeatedChars) {
+        failedRules.push({ rule: 'noRepeatedChars', message: 'Must not repeat the same character three or more times in a row' });
+    }
+
+    return {
+        ...result,
+        isValid: failedRules.length === 0,
+        failedRules
+    };
+};
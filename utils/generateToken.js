@@ -1,15 +1,165 @@
 import jwt from 'jsonwebtoken'
+import Session from '../models/session.model.js';
+import Impersonation from '../models/impersonation.model.js';
+import { signToken, verifyToken } from './keyring.js';
 
-const generateToken = (user) => {
-    return jwt.sign(
+// Read lazily - dotenv is loaded after module imports are evaluated
+export const getAccessTokenExpiry = () => process.env.ACCESS_TOKEN_EXPIRY || '15m';
+
+/**
+ * Organization claim for a user's tokens, so CORS can check origins without loading the user
+ * Stays accurate because changing organization invalidates the user's tokens
+ * @param {Object} user - User document (organization populated or not)
+ * @returns {string|null} Organization ID, or null for users without one
+ */
+const getOrganizationClaim = (user) => (user.organization?._id || user.organization)?.toString() || null;
+
+const generateToken = (user, sessionId) => {
+    return signToken(
         {
             _id: user._id,
             email: user.email,
             role: user.role,
+            org: getOrganizationClaim(user),
+            sid: sessionId,
+            tv: user.tokenVersion || 0,
+        },
+        { expiresIn: getAccessTokenExpiry() }
+    );
+};
+
+/**
+ * Get device details for a session from the request
+ * @param {Object} req - Express request object
+ * @returns {Object} Device info
+ */
+export const getDeviceInfo = (req) => {
+    return {
+        deviceName: req.body?.deviceName || '',
+        userAgent: req.get('User-Agent') || '',
+        ipAddress: req.ip || ''
+    };
+};
+
+/**
+ * Start a new device session and issue access + refresh tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {Object} deviceOverrides - Device info to use instead of the request's (optional)
+ * @returns {Promise<Object>} Access token, refresh token and session ID
+ */
+export const generateAuthTokens = async (user, req, deviceOverrides = {}) => {
+    const deviceInfo = { ...getDeviceInfo(req), ...deviceOverrides };
+    const { session, refreshToken } = await Session.createForUser(user._id, deviceInfo);
+
+    return {
+        token: generateToken(user, session._id),
+        refreshToken,
+        expiresIn: getAccessTokenExpiry(),
+        sessionId: session._id
+    };
+};
+
+export const getSectionDeviceTokenExpiry = () => process.env.SECTION_DEVICE_TOKEN_EXPIRY || '2h';
+
+/**
+ * Issue an access token for a student signed in on a shared section device
+ * Bound to the device instead of a session - revoking the device ends it
+ * @param {Object} student - Student user document
+ * @param {Object} device - Section device document
+ * @returns {string} Signed access token
+ */
+export const generateSectionDeviceToken = (student, device) => {
+    return signToken(
+        {
+            _id: student._id,
+            email: student.email,
+            role: student.role,
+            org: getOrganizationClaim(student),
+            device: device._id,
+            tv: student.tokenVersion || 0,
+        },
+        { expiresIn: getSectionDeviceTokenExpiry() }
+    );
+};
+
+/**
+ * Issue an access token for a superAdmin or admin acting as another user
+ * Bound to an impersonation record instead of a session - carries both identities
+ * @param {Object} target - Impersonated user document
+ * @param {Object} actor - Acting user document
+ * @param {Object} impersonation - Impersonation document
+ * @returns {string} Signed access token
+ */
+export const generateImpersonationToken = (target, actor, impersonation) => {
+    return signToken(
+        {
+            _id: target._id,
+            email: target.email,
+            role: target.role,
+            org: getOrganizationClaim(target),
+            imp: impersonation._id,
+            act: actor._id,
+            tv: target.tokenVersion || 0,
+            atv: actor.tokenVersion || 0,
         },
-        process.env.JWT_SECRET,
-        { expiresIn: '24d' }
+        { expiresIn: Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000) }
     );
 };
 
-export default generateToken;
\ No newline at end of file
+const getChallengeTokenExpiry = () => process.env.CHALLENGE_TOKEN_EXPIRY || '5m';
+
+/**
+ * Issue a short-lived token for an unfinished login step (e.g. two-factor)
+ * @param {Object} user - User document
+ * @param {string} purpose - What the token may be used for
+ * @returns {string} Signed challenge token
+ */
+export const generateChallengeToken = (user, purpose) => {
+    return signToken(
+        {
+            _id: user._id,
+            purpose,
+            tv: user.tokenVersion || 0,
+        },
+        { expiresIn: getChallengeTokenExpiry() }
+    );
+};
+
+/**
+ * Verify a challenge token was issued for the given purpose
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object>} Decoded payload
+ * @throws {Error} If the token is invalid, expired or for another purpose
+ */
+export const verifyChallengeToken = async (token, purpose) => {
+    const decoded = await verifyToken(token);
+    if (decoded.purpose !== purpose) {
+        throw new jwt.JsonWebTokenError('Token was not issued for this step');
+    }
+    return decoded;
+};
+
+export default generateToken;
+
+/**
+ * Convert a jsonwebtoken expiresIn value (seconds or a string like '15m') to milliseconds
+ * @param {string|number} expiresIn - expiresIn sign option
+ * @returns {number} Milliseconds
+ */
+const getExpiresInMs = (expiresIn) => {
+    const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+    return (exp - iat) * 1000;
+};
+
+/**
+ * Longest lifetime of any token signed here - retired signing keys must keep verifying for at least this long
+ * @returns {number} Milliseconds
+ */
+export const getLongestTokenLifetimeMs = () => Math.max(
+    getExpiresInMs(getAccessTokenExpiry()),
+    getExpiresInMs(getSectionDeviceTokenExpiry()),
+    getExpiresInMs(getChallengeTokenExpiry()),
+    Impersonation.getLifetime()
+);
@@ -0,0 +1,240 @@
+// File: utils/keyring.js
+
+import jwt from 'jsonwebtoken';
+import SigningKey from '../models/signingKey.model.js';
+import logger from './logger.js';
+
+// How often each instance reloads keys (picks up rotations done by other instances) and checks rotation
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+// Don't hit the database more than this often for tokens with unknown key IDs
+const UNKNOWN_KID_RELOAD_MS = 10 * 1000;
+
+let keyring = { signing: null, keys: new Map(), loadedAt: 0 };
+let refreshTimer = null;
+// Longest lifetime of the tokens we sign (set by initializeKeyring)
+let longestTokenLifetimeMs = 0;
+
+// Read lazily - dotenv is loaded after module imports are evaluated
+const getAlgorithm = () => (process.env.JWT_SIGNING_ALGORITHM === 'RS256' ? 'RS256' : 'ES256');
+const getRotationMs = () => (parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const getConfiguredRetentionMs = () => (parseInt(process.env.JWT_KEY_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+// Must outlive the longest token signed with a key, whatever JWT_KEY_RETENTION_HOURS says
+const getRetentionMs = () => Math.max(getConfiguredRetentionMs(), longestTokenLifetimeMs);
+
+/**
+ * Load every usable key from the database into memory
+ */
+const loadKeys = async () => {
+    const keys = await SigningKey.findUsable();
+    const entries = new Map();
+    let signing = null;
+
+    for (const key of keys) {
+        const entry = {
+            kid: key.kid,
+            algorithm: key.algorithm,
+            status: key.status,
+            publicKey: key.getPublicKey(),
+            publicJwk: key.publicJwk,
+            activatedAt: key.activatedAt,
+            expiresAt: key.expiresAt
+        };
+
+        if (key.status === 'active') {
+            entry.privateKey = key.getPrivateKey();
+            signing = entry;
+        }
+
+        entries.set(key.kid, entry);
+    }
+
+    // Caught mid-rotation (old key retired, new one not promoted yet) - keep signing with the old key
+    if (!signing && keyring.signing && entries.has(keyring.signing.kid)) {
+        signing = keyring.signing;
+    }
+
+    keyring = { signing, keys: entries, loadedAt: Date.now() };
+};
+
+/**
+ * Create a key in the given state unless another instance just did
+ * @param {string} status - 'active' or 'next'
+ */
+const ensureKey = async (status) => {
+    const existing = await SigningKey.exists({ status });
+    if (existing) return;
+
+    try {
+        await SigningKey.generate(status, getAlgorithm());
+        logger.info('[KEYRING] Signing key created', { status, algorithm: getAlgorithm() });
+    } catch (error) {
+        // Duplicate key: another instance created it first
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Rotate: the waiting key starts signing, the signing key is retired (still verifies until expiry)
+ * and a new waiting key is published
+ * @returns {Promise<string|null>} Key ID now signing, or null if another instance rotated first
+ */
+export const rotateSigningKeys = async () => {
+    await ensureKey('next');
+
+    const now = new Date();
+    const active = await SigningKey.findOne({ status: 'active' });
+
+    if (active) {
+        const retired = await SigningKey.findOneAndUpdate(
+            { _id: active._id, status: 'active' },
+            {
+                $set: {
+                    status: 'retired',
+                    isCurrent: false,
+                    retiredAt: now,
+                    expiresAt: new Date(now.getTime() + getRetentionMs())
+                }
+            }
+        );
+
+        if (!retired) {
+            await loadKeys();
+            return null;
+        }
+    }
+
+    const promoted = await SigningKey.findOneAndUpdate(
+        { status: 'next' },
+        { $set: { status: 'active', activatedAt: now } },
+        { new: true }
+    );
+
+    await ensureKey('next');
+    await loadKeys();
+
+    logger.info('[KEYRING] Signing keys rotated', {
+        retiredKid: active?.kid,
+        activeKid: promoted?.kid
+    });
+
+    return promoted?.kid || null;
+};
+
+/**
+ * Reload keys and rotate when the signing key is older than the rotation period
+ */
+const refreshKeyring = async () => {
+    await loadKeys();
+
+    const activatedAt = keyring.signing?.activatedAt;
+    if (!activatedAt || Date.now() - new Date(activatedAt).getTime() > getRotationMs()) {
+        await rotateSigningKeys();
+    }
+};
+
+/**
+ * Load (or create on first start) the signing keys and keep them fresh
+ * Call once after the database connection is up
+ * @param {Object} options - longestTokenLifetimeMs: retired keys are kept at least this long
+ */
+export const initializeKeyring = async (options = {}) => {
+    longestTokenLifetimeMs = options.longestTokenLifetimeMs || 0;
+    if (getConfiguredRetentionMs() < longestTokenLifetimeMs) {
+        logger.warn('[KEYRING] JWT_KEY_RETENTION_HOURS is shorter than the longest token lifetime, keeping retired keys longer', {
+            configuredHours: getConfiguredRetentionMs() / (60 * 60 * 1000),
+            retentionHours: getRetentionMs() / (60 * 60 * 1000)
+        });
+    }
+
+    await ensureKey('active');
+    await ensureKey('next');
+    await refreshKeyring();
+
+    if (!refreshTimer) {
+        refreshTimer = setInterval(() => {
+            refreshKeyring().catch(error => logger.error('[KEYRING] Keyring refresh failed:', error));
+        }, REFRESH_INTERVAL_MS);
+        refreshTimer.unref();
+    }
+
+    logger.info('[KEYRING] Signing keyring ready', {
+        activeKid: keyring.signing?.kid,
+        publishedKeys: keyring.keys.size
+    });
+};
+
+/**
+ * Sign a JWT with the active key (kid set in the header)
+ * @param {Object} payload - Token claims
+ * @param {Object} options - jsonwebtoken sign options (e.g. expiresIn)
+ * @returns {string} Signed token
+ */
+export const signToken = (payload, options = {}) => {
+    const { signing } = keyring;
+    if (!signing) {
+        throw new Error('Signing keyring is not initialized');
+    }
+
+    return jwt.sign(payload, signing.privateKey, {
+        ...options,
+        algorithm: signing.algorithm,
+        keyid: signing.kid
+    });
+};
+
+/**
+ * Verify a JWT signed by any key that is still published (active, next or recently retired)
+ * @param {string} token - Signed token
+ * @returns {Promise<Object>} Decoded payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} If the token is invalid or expired
+ */
+export const verifyToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+    if (!kid) {
+        throw new jwt.JsonWebTokenError('Token has no key ID');
+    }
+
+    let key = keyring.keys.get(kid);
+
+    // Another instance may have rotated since we last loaded
+    if (!key && Date.now() - keyring.loadedAt > UNKNOWN_KID_RELOAD_MS) {
+        await loadKeys();
+        key = keyring.keys.get(kid);
+    }
+
+    if (!key || (key.expiresAt && key.expiresAt < new Date())) {
+        throw new jwt.JsonWebTokenError('Token was signed with an unknown or expired key');
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+};
+
+/**
+ * Verify a request's bearer token once, however many middlewares need it (e.g. CORS and protect)
+ * @param {Object} req - Express request object
+ * @param {string} token - Signed token from the request
+ * @returns {Promise<Object>} Decoded payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} If the token is invalid or expired
+ */
+export const verifyRequestToken = (req, token) => {
+    if (req.verifiedToken?.token !== token) {
+        req.verifiedToken = { token, decoded: verifyToken(token) };
+    }
+
+    return req.verifiedToken.decoded;
+};
+
+/**
+ * Public keys partners can verify our tokens with
+ * @returns {Object} JWK set
+ */
+export const getJwks = () => {
+    const now = new Date();
+
+    return {
+        keys: [...keyring.keys.values()]
+            .filter(key => !key.expiresAt || key.expiresAt > now)
+            .map(key => key.publicJwk)
+    };
+};
@@ -0,0 +1,108 @@
+// File: utils/licenseHelper.js
+
+import Section from '../models/section.model.js';
+
+// Readable names for license features in error messages
+const FEATURE_NAMES = {
+    sso: 'Single sign-on',
+    magic_link: 'Magic link login',
+    self_registration: 'Student self-registration',
+    section_devices: 'Section devices',
+    parent_accounts: 'Parent accounts',
+    multi_branch: 'Multi-branch management'
+};
+
+/**
+ * Response body for a role whose licensed seats are all in use
+ * @param {string} role - 'student' or 'teacher'
+ * @param {Object} seats - limit and used, from Organization.checkSeatLimit
+ * @returns {Object} 403 response body
+ */
+const getSeatLimitDenial = (role, { limit, used }) => ({
+    success: false,
+    code: 'SEAT_LIMIT_REACHED',
+    message: `Your organization's license allows ${limit} ${role}s and all seats are in use`,
+    limit,
+    used
+});
+
+/**
+ * Check the organization's license allows an action
+ * @param {Object} organization - Organization document
+ * @param {Object} options - role to add a seat for ('student' or 'teacher') and/or feature the action needs
+ * @returns {Promise<Object|null>} 403 response body when the license blocks the action, null when allowed
+ */
+export const getLicenseDenial = async (organization, { role, feature } = {}) => {
+    if (!organization.isLicenseWritable()) {
+        return {
+            success: false,
+            code: 'LICENSE_INACTIVE',
+            message: organization.getLicenseStatus() === 'not_started'
+                ? 'Your organization\'s license has not started yet'
+                : 'Your organization\'s license has expired. Access is read-only until it is renewed.',
+            license: organization.getLicenseSummary()
+        };
+    }
+
+    if (feature && !organization.hasLicenseFeature(feature)) {
+        return {
+            success: false,
+            code: 'FEATURE_NOT_LICENSED',
+            message: `${FEATURE_NAMES[feature] || feature} is not included in your organization's license`,
+            feature
+        };
+    }
+
+    if (role) {
+        const seats = await organization.checkSeatLimit(role);
+        if (!seats.allowed) {
+            return getSeatLimitDenial(role, seats);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check a user just created in (or moved into) the organization still fits its licensed seats
+ * getLicenseDenial runs before the write, so concurrent requests can all pass it for the last seat
+ * @param {Object} organization - Organization document
+ * @param {string} role - 'student' or 'teacher'
+ * @returns {Promise<Object|null>} 403 response body when over the limit (the caller undoes its write), null when within it
+ */
+export const getSeatOverflowDenial = async (organization, role) => {
+    const seats = await organization.confirmSeat(role);
+    return seats.allowed ? null : getSeatLimitDenial(role, { limit: seats.limit, used: seats.used - 1 });
+};
+
+/**
+ * Check a new section keeps total section capacity within the licensed student seats
+ * @param {Object} organization - Organization document
+ * @param {number} maxStudents - Capacity of the new section
+ * @returns {Promise<Object|null>} 403 response body when the section does not fit, null when allowed
+ */
+export const getSectionCapacityDenial = async (organization, maxStudents) => {
+    const licenseDenial = await getLicenseDenial(organization);
+    if (licenseDenial) return licenseDenial;
+
+    const limit = organization.license?.maxStudents;
+    if (limit === null || limit === undefined) return null;
+
+    const [capacity] = await Section.aggregate([
+        { $match: { organization: organization._id, isDeleted: false } },
+        { $group: { _id: null, total: { $sum: '$maxStudents' } } }
+    ]);
+    const currentCapacity = capacity?.total || 0;
+
+    if (currentCapacity + maxStudents > limit) {
+        return {
+            success: false,
+            code: 'SEAT_LIMIT_REACHED',
+            message: `Sections already provide ${currentCapacity} seats and your organization's license allows ${limit} students`,
+            limit,
+            used: currentCapacity
+        };
+    }
+
+    return null;
+};
@@ -0,0 +1,72 @@
+// File: utils/loginHistory.js
+
+import LoginEvent from '../models/loginEvent.model.js';
+import { getDeviceInfo } from './generateToken.js';
+import { sendNewDeviceLoginEmail } from './emailService.js';
+import logger from './logger.js';
+
+// How each sign-in method is described in security emails
+const METHOD_LABELS = {
+    password: 'Password',
+    two_factor: 'Password and authenticator app',
+    magic_link: 'Email sign-in link',
+    device_code: 'Device code',
+    section_device: 'Classroom device PIN',
+    sso: 'Single sign-on'
+};
+
+/**
+ * Record a sign-in attempt and alert the user when a successful one comes from a new device
+ * Never throws - a login must not fail because its history could not be written
+ * The alert email is sent in the background so the login doesn't wait for the mail server
+ * @param {Object} req - Express request object
+ * @param {Object} attempt - user, method, success, failureReason, identifier and optional userAgent/ipAddress
+ *                           (when the signing-in device is not the one making the request)
+ */
+export const recordLoginAttempt = async (req, attempt) => {
+    const { user = null, method, success, failureReason = null, identifier = '' } = attempt;
+
+    try {
+        const requestDevice = getDeviceInfo(req);
+        const userAgent = attempt.userAgent ?? requestDevice.userAgent;
+        const ipAddress = attempt.ipAddress ?? requestDevice.ipAddress;
+        const deviceFingerprint = LoginEvent.fingerprintDevice(userAgent);
+
+        // Shared classroom headsets are expected to see many students - no alerts for them
+        const isNewDevice = success && user && method !== 'section_device'
+            ? (await LoginEvent.isKnownDevice(user._id, deviceFingerprint)) === false
+            : false;
+
+        const event = await LoginEvent.create({
+            user: user?._id || null,
+            organization: user?.organization?._id || user?.organization || null,
+            identifier,
+            method,
+            success,
+            failureReason,
+            ipAddress,
+            userAgent,
+            deviceFingerprint,
+            isNewDevice,
+            expiresAt: new Date(Date.now() + LoginEvent.getRetention())
+        });
+
+        if (isNewDevice && user.email) {
+            sendNewDeviceLoginEmail(user.email, user.name, {
+                loginAt: event.createdAt,
+                ipAddress,
+                userAgent,
+                method: METHOD_LABELS[method]
+            })
+                .then(emailSent => {
+                    if (!emailSent) {
+                        logger.warn('[LOGIN-HISTORY] Failed to send new device email', { userId: user._id });
+                    }
+                })
+                .catch(error => logger.error('[LOGIN-HISTORY] Failed to send new device email:', error));
+        }
+
+    } catch (error) {
+        logger.error('[LOGIN-HISTORY] Failed to record login attempt:', error);
+    }
+};
@@ -0,0 +1,237 @@
+// File: utils/oidc.js
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from './logger.js';
+
+// Provider metadata and signing keys change rarely - cache them per issuer / JWKS URL
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Error raised when the identity provider cannot be used or returns something invalid
+ * `code` is safe to show to the user (e.g. in a redirect)
+ */
+export class OidcError extends Error {
+    constructor(message, code = 'sso_failed') {
+        super(message);
+        this.name = 'OidcError';
+        this.code = code;
+    }
+}
+
+// Hosts plain http is allowed for (a provider running on the same machine)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Check a provider URL is safe to send the client secret and tokens to
+ * Plain http is only accepted for localhost, or outside production
+ * @param {string} value - Issuer or endpoint URL
+ * @returns {boolean} True if the URL may be used
+ */
+export const isSecureProviderUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return false;
+    }
+
+    if (url.protocol === 'https:') return true;
+    if (url.protocol !== 'http:') return false;
+
+    return LOCAL_HOSTS.includes(url.hostname) || process.env.NODE_ENV !== 'production';
+};
+
+/**
+ * Fetch JSON from the identity provider
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(parseInt(process.env.OIDC_HTTP_TIMEOUT_MS) || 10000)
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+        throw new OidcError(
+            `Identity provider request failed (${response.status}): ${body?.error_description || body?.error || url}`,
+            'provider_error'
+        );
+    }
+
+    return body;
+};
+
+/**
+ * Get the provider's OpenID configuration (/.well-known/openid-configuration)
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Provider metadata
+ */
+export const discoverProvider = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+
+    if (!isSecureProviderUrl(issuer)) {
+        throw new OidcError(`Identity provider must use https: ${issuer}`, 'provider_error');
+    }
+
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== issuer) {
+        throw new OidcError(`Issuer mismatch in provider metadata: ${metadata.issuer}`, 'provider_error');
+    }
+
+    const insecureEndpoint = ['authorization_endpoint', 'token_endpoint', 'jwks_uri']
+        .find(endpoint => !isSecureProviderUrl(metadata[endpoint]));
+    if (insecureEndpoint) {
+        throw new OidcError(`Provider ${insecureEndpoint} is missing or does not use https`, 'provider_error');
+    }
+
+    discoveryCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_MS });
+    logger.debug('[OIDC] Provider metadata loaded', { issuer });
+
+    return metadata;
+};
+
+/**
+ * Find the provider key an ID token was signed with (refetches once for unknown key IDs, e.g. after rotation)
+ * @param {string} jwksUri - Provider JWKS URL
+ * @param {Object} header - Decoded ID token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (jwksUri, header) => {
+    const findKey = (keys) => keys.find(key =>
+        (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig')
+    );
+
+    let cached = jwksCache.get(jwksUri);
+    let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+    if (!jwk) {
+        const { keys = [] } = await fetchJson(jwksUri);
+        jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + METADATA_CACHE_MS });
+        jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+        throw new OidcError('ID token was signed with an unknown key', 'invalid_id_token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Create state, nonce and PKCE values for an authorization request
+ * @returns {Object} state, nonce, codeVerifier and codeChallenge
+ */
+export const createAuthorizationParams = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+    return {
+        state: crypto.randomBytes(32).toString('base64url'),
+        nonce: crypto.randomBytes(16).toString('base64url'),
+        codeVerifier,
+        codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    };
+};
+
+/**
+ * Build the provider URL the browser is sent to for sign-in
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} ssoConfig - Organization SSO settings
+ * @param {Object} params - redirectUri, state, nonce, codeChallenge and optional loginHint
+ * @returns {string} Authorization URL
+ */
+export const buildAuthorizationUrl = (metadata, ssoConfig, { redirectUri, state, nonce, codeChallenge, loginHint }) => {
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', ssoConfig.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (loginHint) {
+        url.searchParams.set('login_hint', loginHint);
+    }
+
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens at the provider's token endpoint
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} ssoConfig - Organization SSO settings (with client secret)
+ * @param {Object} params - code, codeVerifier and redirectUri
+ * @returns {Promise<Object>} Token response (includes id_token)
+ */
+export const exchangeAuthorizationCode = async (metadata, ssoConfig, { code, codeVerifier, redirectUri }) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (ssoConfig.tokenEndpointAuthMethod === 'client_secret_post') {
+        body.set('client_id', ssoConfig.clientId);
+        body.set('client_secret', ssoConfig.clientSecret);
+    } else {
+        const credentials = `${encodeURIComponent(ssoConfig.clientId)}:${encodeURIComponent(ssoConfig.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+    if (!tokens.id_token) {
+        throw new OidcError('Identity provider did not return an ID token', 'provider_error');
+    }
+
+    return tokens;
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - ID token from the token response
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} ssoConfig - Organization SSO settings
+ * @param {string} nonce - Nonce sent in the authorization request
+ * @returns {Promise<Object>} Verified ID token claims
+ */
+export const verifyIdToken = async (idToken, metadata, ssoConfig, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new OidcError('ID token could not be decoded', 'invalid_id_token');
+    }
+
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: ssoConfig.clientId,
+            clockTolerance: 60
+        });
+    } catch (error) {
+        throw new OidcError(`ID token rejected: ${error.message}`, 'invalid_id_token');
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new OidcError('ID token nonce does not match the sign-in request', 'invalid_id_token');
+    }
+
+    return claims;
+};
@@ -0,0 +1,235 @@
+// File: utils/organizationDeletionHelper.js
+
+import fs from 'fs/promises';
+import Organization from '../models/organization.model.js';
+import User from '../models/user.model.js';
+import Class from '../models/class.model.js';
+import Section from '../models/section.model.js';
+import APIKey from '../models/apikey.model.js';
+import JoinCode from '../models/joinCode.model.js';
+import Session from '../models/session.model.js';
+import SectionDevice from '../models/sectionDevice.model.js';
+import SelfRegistration from '../models/selfRegistration.model.js';
+import DeviceAuthorization from '../models/deviceAuthorization.model.js';
+import Impersonation from '../models/impersonation.model.js';
+import LoginEvent from '../models/loginEvent.model.js';
+import SsoLogin from '../models/ssoLogin.model.js';
+import LicenseChange from '../models/licenseChange.model.js';
+import OrganizationExport from '../models/organizationExport.model.js';
+import OrganizationSettingsVersion from '../models/organizationSettingsVersion.model.js';
+
+// Soft-deletable collections a deletion cascades to (each has softDelete/restore statics)
+const CASCADE_MODELS = {
+    users: User,
+    classes: Class,
+    sections: Section,
+    apiKeys: APIKey
+};
+
+// Collections only a hard purge removes, keyed by their organization field
+const PURGE_MODELS = {
+    joinCodes: JoinCode,
+    sectionDevices: SectionDevice,
+    selfRegistrations: SelfRegistration,
+    deviceAuthorizations: DeviceAuthorization,
+    impersonations: Impersonation,
+    loginEvents: LoginEvent,
+    ssoLogins: SsoLogin,
+    licenseChanges: LicenseChange,
+    exports: OrganizationExport,
+    settingsVersions: OrganizationSettingsVersion
+};
+
+// Documents restored at once
+const RESTORE_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days a deleted organization is kept before it can be purged
+ * @returns {number} Retention period in days
+ */
+export const getPurgeRetentionDays = () => parseInt(process.env.ORGANIZATION_PURGE_RETENTION_DAYS) || 30;
+
+/**
+ * When a deleted organization can be purged
+ * Organizations deleted before deletedAt was recorded count from their last update
+ * @param {Object} organization - Deleted organization document
+ * @returns {Date} Earliest purge date
+ */
+export const getPurgeableAt = (organization) => {
+    const deletedAt = organization.deletedAt || organization.updatedAt;
+    return new Date(deletedAt.getTime() + getPurgeRetentionDays() * DAY_MS);
+};
+
+/**
+ * Soft delete an organization and everything that belongs to it
+ * Dependents are marked with the deletion time so a restore brings back exactly these
+ * @param {Object} organization - Organization document
+ * @param {string} deletedBy - ID of the superAdmin deleting it
+ * @returns {Promise<Object>} Count of documents deleted per collection
+ */
+export const cascadeOrganizationDelete = async (organization, deletedBy) => {
+    const deletedAt = new Date();
+    const scope = { organization: organization._id, isDeleted: false };
+    const counts = {};
+
+    // Users are signed out too: their token version is bumped below and their sessions revoked
+    const userIds = await User.find(scope).distinct('_id');
+
+    for (const [name, Model] of Object.entries(CASCADE_MODELS)) {
+        // Two passes so restore knows which documents were already inactive
+        const [active, inactive] = await Promise.all([true, false].map(wasActive => Model.updateMany(
+            { ...scope, isActive: wasActive },
+            {
+                $set: {
+                    isDeleted: true,
+                    isActive: false,
+                    'organizationDeletion.deletedAt': deletedAt,
+                    'organizationDeletion.wasActive': wasActive
+                },
+                ...(name === 'users' && { $inc: { tokenVersion: 1 } })
+            }
+        )));
+
+        counts[name] = active.modifiedCount + inactive.modifiedCount;
+    }
+
+    await Session.updateMany(
+        { user: { $in: userIds }, isRevoked: false },
+        { $set: { isRevoked: true, revokedAt: deletedAt, revokedReason: 'organization_deleted' } }
+    );
+
+    // Join codes have no soft delete, so they are switched off instead
+    const joinCodes = await JoinCode.updateMany(
+        { organization: organization._id, isActive: true },
+        {
+            $set: {
+                isActive: false,
+                'organizationDeletion.deletedAt': deletedAt,
+                'organizationDeletion.wasActive': true
+            }
+        }
+    );
+    counts.joinCodes = joinCodes.modifiedCount;
+
+    organization.isDeleted = true;
+    organization.isActive = false;
+    organization.deletedAt = deletedAt;
+    organization.deletedBy = deletedBy;
+    await organization.save();
+
+    return counts;
+};
+
+/**
+ * Bring the organization itself back and drop its deletion marker
+ * @param {Object} organization - Deleted organization document
+ */
+const restoreOrganizationRecord = async (organization) => {
+    await Organization.restore(organization._id);
+    await Organization.updateOne(
+        { _id: organization._id },
+        { $set: { deletedAt: null, deletedBy: null } }
+    );
+};
+
+/**
+ * Restore a deleted organization and what its deletion cascaded to
+ * Documents deleted on their own before the organization stay deleted
+ * The organization comes back last, so if a dependent fails to restore it stays deleted
+ * with its deletedAt marker and the restore can be retried
+ * @param {Object} organization - Deleted organization document
+ * @returns {Promise<Object>} Count of documents restored per collection
+ */
+export const restoreOrganizationCascade = async (organization) => {
+    const deletedAt = organization.deletedAt;
+    const counts = {};
+
+    // Organizations deleted before deletedAt was recorded have nothing marked to restore
+    if (!deletedAt) {
+        await restoreOrganizationRecord(organization);
+        return counts;
+    }
+
+    const marked = { organization: organization._id, 'organizationDeletion.deletedAt': deletedAt };
+    const clearMark = {
+        $set: {
+            'organizationDeletion.deletedAt': null,
+            'organizationDeletion.wasActive': null
+        }
+    };
+
+    for (const [name, Model] of Object.entries(CASCADE_MODELS)) {
+        const ids = await Model.find(marked).distinct('_id');
+
+        for (let i = 0; i < ids.length; i += RESTORE_BATCH_SIZE) {
+            await Promise.all(ids.slice(i, i + RESTORE_BATCH_SIZE).map(id => Model.restore(id)));
+        }
+
+        // restore reactivates everything, so put back what was inactive before the deletion
+        await Model.updateMany({ ...marked, 'organizationDeletion.wasActive': false }, { $set: { isActive: false } });
+        await Model.updateMany(marked, clearMark);
+
+        counts[name] = ids.length;
+    }
+
+    const joinCodes = await JoinCode.updateMany(marked, { $set: { isActive: true }, ...clearMark });
+    counts.joinCodes = joinCodes.modifiedCount;
+
+    await restoreOrganizationRecord(organization);
+
+    return counts;
+};
+
+/**
+ * Count everything a hard purge of the organization would remove
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} Count of documents per collection
+ */
+export const getOrganizationPurgeCounts = async (organization) => {
+    const scope = { organization: organization._id };
+    const userIds = await User.find(scope).distinct('_id');
+
+    const models = { ...CASCADE_MODELS, ...PURGE_MODELS };
+    const names = Object.keys(models);
+    const totals = await Promise.all([
+        ...names.map(name => models[name].countDocuments(scope)),
+        Session.countDocuments({ user: { $in: userIds } })
+    ]);
+
+    const counts = Object.fromEntries(names.map((name, index) => [name, totals[index]]));
+    counts.sessions = totals[names.length];
+
+    return counts;
+};
+
+/**
+ * Permanently remove an organization and everything that belongs to it
+ * @param {Object} organization - Deleted organization document
+ * @returns {Promise<Object>} Count of documents removed per collection
+ */
+export const purgeOrganization = async (organization) => {
+    const scope = { organization: organization._id };
+    const userIds = await User.find(scope).distinct('_id');
+    const counts = {};
+
+    // Sessions first, they are only reachable through the users
+    const sessions = await Session.deleteMany({ user: { $in: userIds } });
+    counts.sessions = sessions.deletedCount;
+
+    // Export archives hold every user's personal data - remove the files before their records
+    const exportJobs = await OrganizationExport.find({ ...scope, filePath: { $ne: null } }).select('+filePath');
+    for (const exportJob of exportJobs) {
+        await fs.rm(exportJob.filePath, { force: true });
+    }
+
+    for (const [name, Model] of Object.entries({ ...PURGE_MODELS, ...CASCADE_MODELS })) {
+        const result = await Model.deleteMany(scope);
+        counts[name] = result.deletedCount;
+    }
+
+    await Organization.deleteOne({ _id: organization._id });
+
+    return counts;
+};
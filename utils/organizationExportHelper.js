@@ -0,0 +1,218 @@
+// File: utils/organizationExportHelper.js
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Organization from '../models/organization.model.js';
+import OrganizationExport from '../models/organizationExport.model.js';
+import User from '../models/user.model.js';
+import Class from '../models/class.model.js';
+import Section from '../models/section.model.js';
+import APIKey from '../models/apikey.model.js';
+import { writeTarGz } from './tarArchive.js';
+import logger from './logger.js';
+
+// Credentials and security state that never leave the server
+const USER_EXCLUDED_FIELDS = '-password -devicePin -devicePinAttempts -devicePinLockUntil -devicePinLockCount -otp -magicLink -passwordHistory -twoFactor -tokenVersion ' +
+    '-loginAttempts -lockUntil -lockCount -lastFailedLoginAt -passwordResetAttempts';
+
+// Columns of each CSV file (dotted paths into the exported JSON)
+const CSV_COLUMNS = {
+    classes: ['_id', 'name', 'grade', 'academicYear', 'sections.length', 'courses.length', 'isActive', 'isDeleted', 'createdAt'],
+    sections: ['_id', 'name', 'class', 'sectionTeacher', 'maxStudents', 'students.length', 'academicYear', 'isActive', 'isDeleted', 'createdAt'],
+    users: ['_id', 'name', 'email', 'role', 'section', 'studentDetails.rollNumber', 'studentDetails.admissionDate',
+        'teacherDetails.employeeId', 'isVerified', 'isActive', 'isDeleted', 'lastLogin', 'createdAt'],
+    apiKeys: ['_id', 'keyName', 'keyPrefix', 'description', 'isActive', 'isDeleted', 'neverExpires', 'expiresAt',
+        'stats.totalRequests', 'stats.lastUsed', 'createdAt']
+};
+
+// Archive file names per collection
+const FILE_NAMES = {
+    classes: 'classes',
+    sections: 'sections',
+    users: 'users',
+    apiKeys: 'api-keys'
+};
+
+/**
+ * Directory export archives are written to
+ * @returns {string} Absolute directory path
+ */
+const getExportDir = () => process.env.ORGANIZATION_EXPORT_DIR || path.join(os.tmpdir(), 'objectx-exports');
+
+/**
+ * Hours a finished archive stays downloadable
+ * @returns {number} Lifetime in hours
+ */
+const getExportLifetimeHours = () => parseInt(process.env.ORGANIZATION_EXPORT_TTL_HOURS) || 72;
+
+/**
+ * Read a dotted path from an object (arrays answer .length)
+ * @param {Object} record - Plain object
+ * @param {string} fieldPath - e.g. 'studentDetails.rollNumber'
+ * @returns {*} Value or undefined
+ */
+const readPath = (record, fieldPath) => fieldPath.split('.').reduce((value, key) => value?.[key], record);
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render records as CSV
+ * @param {Array<Object>} records - Plain objects
+ * @param {string[]} columns - Dotted paths to include
+ * @returns {string} CSV with a header row
+ */
+const toCsv = (records, columns) => {
+    const rows = records.map(record => columns.map(column => toCsvCell(readPath(record, column))).join(','));
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+/**
+ * Load everything that goes into an organization's archive
+ * Soft-deleted records are included (with isDeleted) so the export is complete
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} organization plus classes, sections, users and apiKeys as plain objects
+ */
+const collectOrganizationData = async (organizationId) => {
+    const scope = { organization: organizationId };
+
+    const [organization, classes, sections, users, apiKeys] = await Promise.all([
+        Organization.findById(organizationId).lean(),
+        Class.find(scope).sort({ grade: 1, name: 1 }).lean(),
+        Section.find(scope).sort({ class: 1, name: 1 }).lean(),
+        User.find(scope).select(USER_EXCLUDED_FIELDS).sort({ role: 1, name: 1 }).lean(),
+        APIKey.find(scope).select('-hashedKey -stats.dailyUsage').sort({ createdAt: 1 }).lean()
+    ]);
+
+    return { organization, records: { classes, sections, users, apiKeys } };
+};
+
+/**
+ * Delete archives past their lifetime and mark their exports expired
+ * @returns {Promise<number>} Number of exports expired
+ */
+export const removeExpiredExports = async () => {
+    const expired = await OrganizationExport.find({ status: 'completed', expiresAt: { $lte: new Date() } })
+        .select('+filePath');
+
+    for (const exportJob of expired) {
+        await fs.rm(exportJob.filePath, { force: true });
+        exportJob.status = 'expired';
+        await exportJob.save();
+    }
+
+    return expired.length;
+};
+
+/**
+ * Build an export's archive: manifest.json, organization.json, and JSON plus CSV per collection
+ * @param {string} exportId - OrganizationExport ID
+ */
+export const runOrganizationExport = async (exportId) => {
+    const startTime = Date.now();
+    const exportJob = await OrganizationExport.findById(exportId);
+    if (!exportJob || exportJob.status !== 'queued') return;
+
+    try {
+        exportJob.status = 'running';
+        exportJob.startedAt = new Date();
+        await exportJob.save();
+
+        await removeExpiredExports();
+
+        const { organization, records } = await collectOrganizationData(exportJob.organization);
+        if (!organization) {
+            throw new Error('Organization no longer exists');
+        }
+
+        const generatedAt = new Date();
+        const entries = [{ name: 'organization.json', content: JSON.stringify(organization, null, 2) }];
+        const counts = {};
+
+        for (const [collection, list] of Object.entries(records)) {
+            counts[collection] = list.length;
+            entries.push(
+                { name: `${FILE_NAMES[collection]}.json`, content: JSON.stringify(list, null, 2) },
+                { name: `${FILE_NAMES[collection]}.csv`, content: toCsv(list, CSV_COLUMNS[collection]) }
+            );
+        }
+
+        // Per-file checksums let the school check each file after extracting
+        const manifest = {
+            exportId: exportJob._id,
+            organization: {
+                _id: organization._id,
+                name: organization.name,
+                organizationCode: organization.organizationCode
+            },
+            generatedAt,
+            counts,
+            files: entries.map(entry => ({
+                name: entry.name,
+                sha256: crypto.createHash('sha256').update(entry.content).digest('hex')
+            }))
+        };
+        entries.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+        const exportDir = getExportDir();
+        await fs.mkdir(exportDir, { recursive: true });
+
+        const stamp = generatedAt.toISOString().slice(0, 10);
+        const fileName = `${organization.organizationCode || organization._id}-export-${stamp}.tar.gz`;
+        const filePath = path.join(exportDir, `${exportJob._id}.tar.gz`);
+
+        const { size, checksum } = await writeTarGz(filePath, entries);
+
+        exportJob.status = 'completed';
+        exportJob.counts = counts;
+        exportJob.fileName = fileName;
+        exportJob.filePath = filePath;
+        exportJob.size = size;
+        exportJob.checksum = checksum;
+        exportJob.completedAt = new Date();
+        exportJob.expiresAt = new Date(Date.now() + getExportLifetimeHours() * 60 * 60 * 1000);
+        await exportJob.save();
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`[EXPORT] Organization export completed (${processingTime}ms)`, {
+            exportId: exportJob._id,
+            organizationId: exportJob.organization,
+            counts,
+            size
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logger.error(`[EXPORT] Organization export failed (${processingTime}ms):`, error);
+
+        exportJob.status = 'failed';
+        exportJob.error = process.env.NODE_ENV === 'production' ? 'Export could not be generated' : error.message;
+        exportJob.completedAt = new Date();
+        await exportJob.save().catch(saveError => {
+            logger.error('[EXPORT] Could not record export failure:', saveError);
+        });
+    }
+};
+
+/**
+ * Run an export after the current request has been answered
+ * @param {Object} exportJob - Queued OrganizationExport document
+ */
+export const scheduleOrganizationExport = (exportJob) => {
+    setImmediate(() => {
+        runOrganizationExport(exportJob._id).catch(error => {
+            logger.error('[EXPORT] Export job crashed:', error);
+        });
+    });
+};
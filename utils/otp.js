@@ -17,6 +17,14 @@ export const generateOTP = () => {
     return otp;
 };
 
+/**
+ * Generate a random token for single-use login links
+ * @returns {string} 64-character hex token
+ */
+export const generateMagicLinkToken = () => {
+    return crypto.randomBytes(32).toString('hex');
+};
+
 /**
  * Generate OTP hash for secure storage
  * @param {string} otp - The OTP to hash
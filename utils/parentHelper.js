@@ -0,0 +1,84 @@
+// File: utils/parentHelper.js
+
+import bcrypt from 'bcryptjs';
+import User, { getTemporaryPasswordExpiry } from '../models/user.model.js';
+import { generatePasswordForUser } from './passwordPolicy.js';
+import { sendParentCredentialsEmail } from './emailService.js';
+import logger from './logger.js';
+
+/**
+ * Give a student's parent a login: create a parent account from studentDetails.parentContact.email,
+ * or link the student to the existing parent account with that email (siblings share one account)
+ * @param {Object} student - Student user document
+ * @param {Object} organization - Organization document the student belongs to
+ * @returns {Promise<Object>} status ('created', 'linked', 'not_licensed', 'no_parent_email' or 'email_in_use') and the parent
+ */
+export const createOrLinkParentAccount = async (student, organization) => {
+    if (!organization.hasLicenseFeature('parent_accounts')) {
+        return { status: 'not_licensed', parent: null };
+    }
+
+    const parentContact = student.studentDetails?.parentContact || {};
+    const email = parentContact.email?.toLowerCase().trim();
+
+    if (!email) {
+        return { status: 'no_parent_email', parent: null };
+    }
+
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+        // Email belongs to a staff member, a student or another organization's parent
+        if (existingUser.role !== 'parent' || existingUser.isDeleted ||
+            existingUser.organization?.toString() !== organization._id.toString()) {
+            logger.warn('[PARENT] Parent email already used by another account', {
+                studentId: student._id,
+                existingUserId: existingUser._id,
+                existingRole: existingUser.role
+            });
+            return { status: 'email_in_use', parent: null };
+        }
+
+        await existingUser.addChild(student._id);
+
+        logger.info('[PARENT] Student linked to existing parent account', {
+            studentId: student._id,
+            parentId: existingUser._id
+        });
+
+        return { status: 'linked', parent: existingUser };
+    }
+
+    const generatedPassword = await generatePasswordForUser({ role: 'parent', organization });
+
+    const parent = await User.create({
+        name: parentContact.fatherName || parentContact.motherName || `Parent of ${student.name}`,
+        email,
+        password: await bcrypt.hash(generatedPassword, 10),
+        mustChangePassword: true,
+        temporaryPasswordExpiresAt: getTemporaryPasswordExpiry(),
+        role: 'parent',
+        organization: organization._id,
+        children: [student._id],
+        isVerified: true // Email comes from the school's enrollment records
+    });
+
+    const emailSent = await sendParentCredentialsEmail(parent.email, parent.name, {
+        organization: organization.name,
+        childName: student.name,
+        password: generatedPassword,
+        passwordExpiresAt: parent.temporaryPasswordExpiresAt
+    });
+
+    if (!emailSent) {
+        logger.warn('[PARENT] Failed to send parent credentials email', { parentId: parent._id });
+    }
+
+    logger.info('[PARENT] Parent account created', {
+        studentId: student._id,
+        parentId: parent._id,
+        emailSent
+    });
+
+    return { status: 'created', parent };
+};
@@ -0,0 +1,174 @@
+// File: utils/passwordPolicy.js
+
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import { validatePasswordStrength, generateSimplePassword, generateStrongPassword } from './generatePassword.js';
+import logger from './logger.js';
+
+// Requirements for each organization password policy level
+export const PASSWORD_POLICIES = {
+    simple: {
+        minLength: 6,
+        requireUppercase: false,
+        requireLowercase: false,
+        requireLetter: true,
+        requireNumber: true,
+        requireSpecialChar: false,
+        disallowRepeatedChars: false
+    },
+    medium: {
+        minLength: 8,
+        requireUppercase: true,
+        requireLowercase: true,
+        requireLetter: true,
+        requireNumber: true,
+        requireSpecialChar: false,
+        disallowRepeatedChars: false
+    },
+    strong: {
+        minLength: 12,
+        requireUppercase: true,
+        requireLowercase: true,
+        requireLetter: true,
+        requireNumber: true,
+        requireSpecialChar: true,
+        disallowRepeatedChars: true
+    }
+};
+
+/**
+ * Check a password against a policy level
+ * @param {string} password - Plain password
+ * @param {string} policyName - 'simple', 'medium' or 'strong'
+ * @returns {Object} Validation result with every rule that was not met
+ */
+export const checkPasswordPolicy = (password, policyName = 'medium') => {
+    const policy = PASSWORD_POLICIES[policyName] || PASSWORD_POLICIES.medium;
+    const { isValid, failedRules } = validatePasswordStrength(password, policy);
+
+    return {
+        isValid,
+        policy: policyName,
+        failedRules
+    };
+};
+
+/**
+ * Generate a temporary password that meets a policy level
+ * Students get the short, easy-to-type password unless their policy needs a longer one
+ * @param {string} policyName - 'simple', 'medium' or 'strong'
+ * @param {Object} options - forStudent: generate a student password
+ * @returns {string} Generated password
+ */
+export const generatePasswordForPolicy = (policyName = 'medium', { forStudent = false } = {}) => {
+    const policy = PASSWORD_POLICIES[policyName] || PASSWORD_POLICIES.medium;
+    const generate = forStudent && policy.minLength <= 8 ? generateSimplePassword : generateStrongPassword;
+
+    // Random fills can still break a rule (e.g. three repeated characters) - draw again
+    let password = generate();
+    while (!checkPasswordPolicy(password, policyName).isValid) {
+        password = generate();
+    }
+
+    return password;
+};
+
+/**
+ * Generate a temporary password that meets the policy of the user's organization
+ * @param {Object} user - User document or { role, organization } for a user about to be created
+ * @returns {Promise<string>} Generated password
+ */
+export const generatePasswordForUser = async (user) => {
+    const { policy } = await getPasswordSettingsForUser(user);
+    return generatePasswordForPolicy(policy, { forStudent: user.role === 'student' });
+};
+
+/**
+ * Resolve the password settings that apply to a user from their organization
+ * Users without an organization (superAdmin, specialUser) get the strong policy
+ * @param {Object} user - User document (organization populated or ID)
+ * @returns {Promise<Object>} Policy name, history count and max age in days
+ */
+export const getPasswordSettingsForUser = async (user) => {
+    let organization = user.organization;
+
+    if (organization && !organization.security) {
+        organization = await mongoose.model('Organization')
+            .findById(organization._id || organization)
+            .select('studentEnrollment security');
+    }
+
+    if (!organization) {
+        return { policy: 'strong', historyCount: 0, maxAgeDays: 0 };
+    }
+
+    const security = organization.security || {};
+
+    return {
+        policy: user.role === 'student'
+            ? organization.studentEnrollment?.passwordPolicy || 'medium'
+            : security.staffPasswordPolicy || 'medium',
+        historyCount: security.passwordHistoryCount || 0,
+        maxAgeDays: security.maxPasswordAgeDays?.[user.role] || 0
+    };
+};
+
+/**
+ * Validate a new password for a user: organization policy plus reuse of recent passwords
+ * @param {Object} user - User document (with password and passwordHistory)
+ * @param {string} newPassword - Plain new password
+ * @returns {Promise<Object>} Validation result, settings used and every rule that was not met
+ */
+export const validateNewPassword = async (user, newPassword) => {
+    const settings = await getPasswordSettingsForUser(user);
+    const { failedRules } = checkPasswordPolicy(newPassword, settings.policy);
+
+    // "Last N passwords" = the current one plus N-1 previous ones
+    let usedBefore = false;
+    if (settings.historyCount > 0) {
+        const previousHashes = settings.historyCount > 1
+            ? (user.passwordHistory || []).slice(-(settings.historyCount - 1))
+            : [];
+        const recentHashes = [user.password, ...previousHashes].filter(Boolean);
+
+        const matches = await Promise.all(recentHashes.map(hash => bcrypt.compare(newPassword, hash)));
+        usedBefore = matches.some(Boolean);
+    }
+
+    if (usedBefore) {
+        failedRules.push({
+            rule: 'history',
+            message: `Must not match any of your last ${settings.historyCount} passwords`
+        });
+    }
+
+    if (failedRules.length > 0) {
+        logger.debug('[PASSWORD] New password rejected by policy', {
+            userId: user._id,
+            policy: settings.policy,
+            failedRules: failedRules.map(({ rule }) => rule)
+        });
+    }
+
+    return {
+        isValid: failedRules.length === 0,
+        settings,
+        failedRules
+    };
+};
+
+/**
+ * Check whether a user's password is older than their organization allows
+ * Only password sign-ins check this: SSO, magic-link and section device sign-ins never use the password
+ * @param {Object} user - User document
+ * @param {Object} settings - Settings from getPasswordSettingsForUser
+ * @returns {boolean} True if the password has expired
+ */
+export const isPasswordExpired = (user, settings) => {
+    if (!settings.maxAgeDays) return false;
+
+    const changedAt = user.lastPasswordReset || user.createdAt;
+    if (!changedAt) return false;
+
+    return Date.now() - new Date(changedAt).getTime() > settings.maxAgeDays * 24 * 60 * 60 * 1000;
+};
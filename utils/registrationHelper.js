@@ -0,0 +1,139 @@
+// File: utils/registrationHelper.js
+
+import User from '../models/user.model.js';
+import Class from '../models/class.model.js';
+import Section from '../models/section.model.js';
+import { findBestSectionForPlacement, generateUniqueRollNumber } from './sectionHelper.js';
+import { generateOTP } from './otp.js';
+import { sendOTPEmail, sendWelcomeEmail } from './emailService.js';
+import logger from './logger.js';
+
+/**
+ * Find the section a self-registered student joins: the join code's section if it still has a seat,
+ * otherwise the best section of the code's class
+ * @param {Object} registration - SelfRegistration document
+ * @param {Object} classDoc - Class the join code targets
+ * @returns {Promise<Object|null>} Section or null if nothing has a free seat
+ */
+const findSectionForRegistration = async (registration, classDoc) => {
+    if (!registration.section) {
+        return findBestSectionForPlacement(classDoc._id);
+    }
+
+    const section = await Section.findOne({
+        _id: registration.section,
+        class: classDoc._id,
+        isActive: true,
+        isDeleted: false
+    });
+
+    return section && section.students.length < section.maxStudents ? section : null;
+};
+
+/**
+ * Undo a student account whose registration could not be completed,
+ * so the registration can be approved again without the email being taken
+ * @param {Object} student - User document created for the registration
+ * @param {Object} section - Section the student was placed in
+ * @param {Object} classDoc - Class of the section
+ * @param {Object} organization - Organization document
+ */
+const discardRegistrationStudent = async (student, section, classDoc, organization) => {
+    await Section.updateOne({ _id: section._id }, { $pull: { students: student._id } });
+    await User.deleteOne({ _id: student._id });
+    await classDoc.updateStudentCount();
+    await organization.updateStats();
+};
+
+/**
+ * Turn an approved self-registration into a student account placed in a section
+ * The registration must already be claimed (status 'approved') and loaded with its password
+ * @param {Object} registration - SelfRegistration document
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} status ('approved', 'class_not_found', 'no_section_available', 'email_in_use'
+ *                            or 'seat_limit_reached'),
+ *                            and the student, class and section when approved
+ */
+export const createStudentFromRegistration = async (registration, organization) => {
+    const classDoc = await Class.findOne({ _id: registration.class, organization: organization._id });
+    if (!classDoc) {
+        return { status: 'class_not_found' };
+    }
+
+    if (await User.exists({ email: registration.email })) {
+        return { status: 'email_in_use' };
+    }
+
+    if (!(await organization.checkSeatLimit('student')).allowed) {
+        return { status: 'seat_limit_reached' };
+    }
+
+    const section = await findSectionForRegistration(registration, classDoc);
+    if (!section) {
+        return { status: 'no_section_available' };
+    }
+
+    // Students choose their own email here, so confirm they own it unless the organization opted out
+    const requiresVerification = organization.requireEmailVerification !== false;
+
+    const student = await User.create({
+        name: registration.name,
+        email: registration.email,
+        password: registration.password,
+        role: 'student',
+        organization: organization._id,
+        section: section._id,
+        isVerified: !requiresVerification,
+        studentDetails: {
+            rollNumber: await generateUniqueRollNumber(organization._id, classDoc, section),
+            admissionDate: new Date()
+        }
+    });
+
+    // Another sign-up or enrollment may have taken the last seat in the meantime
+    if (!(await organization.confirmSeat('student')).allowed) {
+        await User.deleteOne({ _id: student._id });
+        return { status: 'seat_limit_reached' };
+    }
+
+    let otp = null;
+    try {
+        await section.addStudent(student._id);
+        await classDoc.updateStudentCount();
+        await organization.updateStats();
+
+        registration.user = student._id;
+        await registration.save();
+
+        if (requiresVerification) {
+            otp = generateOTP();
+            student.setOTP(otp, 'email_verification');
+            await student.save();
+        }
+    } catch (error) {
+        logger.warn('[REGISTRATION] Removing partly created student', {
+            registrationId: registration._id,
+            studentId: student._id
+        });
+        await discardRegistrationStudent(student, section, classDoc, organization);
+        throw error;
+    }
+
+    if (requiresVerification) {
+        const emailSent = await sendOTPEmail(student.email, student.name, otp);
+        if (!emailSent) {
+            logger.warn('[REGISTRATION] Failed to send verification email', { studentId: student._id });
+        }
+    } else {
+        await sendWelcomeEmail(student.email, student.name);
+    }
+
+    logger.info('[REGISTRATION] Self-registered student created', {
+        registrationId: registration._id,
+        studentId: student._id,
+        sectionId: section._id,
+        requiresVerification
+    });
+
+    return { status: 'approved', student, classDoc, section };
+};
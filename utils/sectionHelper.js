@@ -2,6 +2,7 @@
 
 import Section from '../models/section.model.js';
 import Class from '../models/class.model.js';
+import User from '../models/user.model.js';
 import logger from './logger.js';
 
 /**
@@ -264,4 +265,24 @@ export const checkSectionCapacity = async (sectionId, studentCount = 1) => {
             error: error.message
         };
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Generate a roll number that is not yet used in the organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} classDoc - Class the student joins
+ * @param {Object} section - Section the student joins
+ * @returns {Promise<string>} Unique roll number
+ */
+export const generateUniqueRollNumber = async (organizationId, classDoc, section) => {
+    const prefix = `${classDoc.grade}${section.name}`;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = `${prefix}${Math.floor(1000 + Math.random() * 9000)}`;
+        if (!(await User.isRollNumberTaken(organizationId, candidate))) {
+            return candidate;
+        }
+    }
+
+    return `${prefix}${Date.now().toString().slice(-6)}`;
+};
@@ -0,0 +1,108 @@
+// File: utils/tarArchive.js
+
+import crypto from 'crypto';
+import fs from 'fs';
+import zlib from 'zlib';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a field into a tar header
+ * @param {Buffer} header - 512-byte header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @param {string} value - Field value (truncated to fit)
+ */
+const writeField = (header, offset, length, value) => {
+    header.write(value.slice(0, length), offset, length, 'utf8');
+};
+
+/**
+ * Write a number as a zero-padded octal tar field
+ * @param {Buffer} header - 512-byte header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length including the terminating NUL
+ * @param {number} value - Number to write
+ */
+const writeOctal = (header, offset, length, value) => {
+    writeField(header, offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+};
+
+/**
+ * Build the ustar header for one file
+ * @param {string} name - File name inside the archive (up to 100 bytes)
+ * @param {number} size - File size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer} Header block
+ */
+const buildHeader = (name, size, mtime) => {
+    const header = Buffer.alloc(BLOCK_SIZE);
+
+    writeField(header, 0, 100, name);
+    writeOctal(header, 100, 8, 0o644);
+    writeOctal(header, 108, 8, 0);
+    writeOctal(header, 116, 8, 0);
+    writeOctal(header, 124, 12, size);
+    writeOctal(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+    writeField(header, 148, 8, ' '.repeat(8)); // Counted as spaces while the checksum is computed
+    writeField(header, 156, 1, '0');
+    writeField(header, 257, 6, 'ustar\0');
+    writeField(header, 263, 2, '00');
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    writeField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+    return header;
+};
+
+/**
+ * Yield the tar blocks for a list of files
+ * @param {Array<Object>} entries - Files as { name, content } (content is a string or Buffer)
+ * @param {Date} mtime - Modification time for every file
+ */
+function* tarBlocks(entries, mtime) {
+    for (const entry of entries) {
+        const content = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, 'utf8');
+
+        yield buildHeader(entry.name, content.length, mtime);
+        yield content;
+
+        const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding) yield Buffer.alloc(padding);
+    }
+
+    // Two empty blocks end the archive
+    yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * Write files into a gzipped tar archive
+ * @param {string} filePath - Where to write the archive
+ * @param {Array<Object>} entries - Files as { name, content } (content is a string or Buffer)
+ * @returns {Promise<Object>} size in bytes and sha256 checksum (hex) of the written archive
+ */
+export const writeTarGz = async (filePath, entries) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    // Checksum the bytes as they are written so the archive is not read back
+    const measure = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+
+    await pipeline(
+        Readable.from(tarBlocks(entries, new Date())),
+        zlib.createGzip(),
+        measure,
+        fs.createWriteStream(filePath)
+    );
+
+    return { size, checksum: hash.digest('hex') };
+};
@@ -0,0 +1,180 @@
+// File: utils/totp.js
+
+import crypto from 'crypto';
+import logger from './logger.js';
+import { hashOTP } from './otp.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in secret');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret (160 bits, base32)
+ * @returns {string} Base32 encoded secret
+ */
+export const generateTOTPSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch (default: now)
+ * @returns {number} Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a secret and time step (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter (default: current step)
+ * @returns {string} Zero-padded numeric code
+ */
+export const generateTOTP = (secret, step = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        ((hmac[offset + 1] & 0xff) << 16) |
+        ((hmac[offset + 2] & 0xff) << 8) |
+        (hmac[offset + 3] & 0xff);
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of steps to accept either side of now (default: 1)
+ * @returns {number|null} Matched time step (for replay protection) or null if invalid
+ */
+export const verifyTOTP = (secret, code, window = 1) => {
+    if (!secret || !code || !/^\d{6}$/.test(code.toString().trim())) {
+        return null;
+    }
+
+    const normalizedCode = code.toString().trim();
+    const currentStep = getTimeStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = generateTOTP(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+            return step;
+        }
+    }
+
+    logger.debug('[TOTP] Code verification failed');
+    return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator app enrollment (QR code)
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label (usually the user's email)
+ * @param {string} issuer - Issuer shown in the authenticator app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthURI = (secret, accountName, issuer = 'ObjectX') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: TOTP_DIGITS.toString(),
+        period: TOTP_PERIOD_SECONDS.toString()
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {number} count - Number of codes (default: 10)
+ * @returns {Object} Plain codes (show once) and their hashes (store)
+ */
+export const generateRecoveryCodes = (count = 10) => {
+    const plainCodes = [];
+
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+        plainCodes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+        plainCodes,
+        hashedCodes: plainCodes.map(code => hashRecoveryCode(code))
+    };
+};
+
+/**
+ * Hash a recovery code for storage/comparison (case and dash insensitive)
+ * @param {string} code - Recovery code
+ * @returns {string} Hashed code
+ */
+export const hashRecoveryCode = (code) => {
+    return hashOTP(code.toString().toUpperCase().replace(/[^A-Z0-9]/g, ''));
+};
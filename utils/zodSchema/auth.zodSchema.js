@@ -30,16 +30,29 @@ export const registerSchema = z.object({
     })
 });
 
-// User Login Schema
+// User Login Schema (email, or organization code + roll number for students)
 export const loginSchema = z.object({
     user: z.object({
-        email: z.string({ required_error: "Email is required" })
+        email: z.string()
             .email('Please provide a valid email address')
             .trim()
-            .toLowerCase(),
+            .toLowerCase()
+            .optional(),
+
+        organizationCode: z.string()
+            .trim()
+            .toUpperCase()
+            .optional(),
+
+        rollNumber: z.string()
+            .trim()
+            .optional(),
 
         password: z.string({ required_error: "Password is required" })
             .min(1, 'Password is required'),
+    }).refine(data => data.email || (data.organizationCode && data.rollNumber), {
+        message: 'Email or organization code with roll number is required',
+        path: ['email']
     })
 });
 